@@ -115,17 +115,23 @@ class MemoryKeyStrategies {
   }
 
   /**
-   * Strategy 7: Composite Key (for complex scenarios)
+   * Strategy 7: Scoped session (for complex scenarios)
+   * The project, user and feature are stored as a hierarchical scope
+   * instead of being packed into the session id.
    */
   async useCompositeKey(projectId, userId, featureId) {
-    const sessionId = `composite-${projectId}-${userId}-${featureId}`;
-    await this.memoryManager.startSession(sessionId, `Composite: Project ${projectId}, User ${userId}, Feature ${featureId}`);
+    const sessionId = `feature-${featureId}`;
+    await this.memoryManager.startSession(sessionId, `Feature ${featureId}`, {
+      project: projectId,
+      user: userId,
+      story: featureId
+    });
     
     // Store composite data
     await this.memoryManager.saveSystemMessage(`COMPOSITE_CONTEXT: Project ${projectId}, User ${userId}, Feature ${featureId}`);
     await this.memoryManager.saveSystemMessage(`SCOPE: User-specific feature work`);
     
-    console.log(`🔗 Created composite session: ${sessionId}`);
+    console.log(`🔗 Created scoped session: ${sessionId}`);
     return sessionId;
   }
 
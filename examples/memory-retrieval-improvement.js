@@ -40,9 +40,13 @@ class MemoryRetrievalImprover {
    * Store learning data for text improvement
    */
   async storeLearningData(projectId, dataType, content) {
-    const sessionId = `project-${projectId}`;
-    await this.memoryManager.startSession(sessionId, `Project: ${projectId}`);
-    await this.memoryManager.saveSystemMessage(`${dataType}: ${content}`);
+    // Typed records are upserted by key, so storing the same item twice does not duplicate it
+    await this.memoryManager.upsertRecord({
+      kind: dataType.toLowerCase(),
+      key: content,
+      value: content,
+      sessionId: `project-${projectId}`
+    });
     console.log(`💾 Stored ${dataType} for ${projectId}`);
   }
 
@@ -51,25 +55,13 @@ class MemoryRetrievalImprover {
    */
   async retrieveRelevantMemory(projectId, textType) {
     const sessionId = `project-${projectId}`;
-    const history = await this.memoryManager.getSessionHistory(sessionId);
-    
-    // Get relevant patterns and preferences
-    const patterns = history.filter(msg => 
-      msg.role === 'system' && msg.content.includes('PATTERN')
-    );
-    
-    const preferences = history.filter(msg => 
-      msg.role === 'system' && msg.content.includes('PREFERENCE')
-    );
-    
-    const feedback = history.filter(msg => 
-      msg.role === 'system' && msg.content.includes('FEEDBACK')
-    );
-    
+    const valuesOf = async (kind) =>
+      (await this.memoryManager.queryRecords({ sessionId, kind })).map(record => record.value);
+
     return {
-      patterns: patterns.map(p => p.content.replace(/^.*?: /, '')),
-      preferences: preferences.map(p => p.content.replace(/^.*?: /, '')),
-      feedback: feedback.map(f => f.content.replace(/^.*?: /, ''))
+      patterns: await valuesOf('pattern'),
+      preferences: await valuesOf('preference'),
+      feedback: await valuesOf('feedback')
     };
   }
 
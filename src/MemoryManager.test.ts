@@ -0,0 +1,137 @@
+import { LocalKeyProvider } from './encryption/LocalKeyProvider';
+import { MemoryManager } from './MemoryManager';
+import { HashingEmbeddings } from './retrieval/HashingEmbeddings';
+import { SqliteStorage } from './storage/SqliteStorage';
+
+describe('MemoryManager', () => {
+  it('closes the backend through the encryption and plugin layers', async () => {
+    const manager = new MemoryManager({
+      type: 'sqlite',
+      options: { filePath: ':memory:' },
+      encryption: { keyProvider: new LocalKeyProvider(LocalKeyProvider.generateKeyring()) },
+      redaction: {},
+      retention: { maxSessions: 10, pruneIntervalMs: 60000 }
+    });
+    await manager.initialize();
+    const close = jest.spyOn(SqliteStorage.prototype, 'close');
+
+    await manager.close();
+    expect(close).toHaveBeenCalledTimes(1);
+    expect(manager.isReady()).toBe(false);
+    close.mockRestore();
+  });
+
+  it('continues a selected branch without loading the whole session', async () => {
+    const manager = new MemoryManager({ type: 'memory', options: {} });
+    await manager.initialize();
+    const sessionId = manager.startSession();
+
+    const question = await manager.saveUserMessage('first question');
+    await manager.saveAssistantMessage('first answer');
+    const edited = await manager.editMessage(question, 'better question');
+
+    const getMessages = jest.spyOn(manager.getStorage(), 'getMessages');
+    const answer = await manager.saveAssistantMessage('better answer');
+    await manager.saveUserMessage('follow-up');
+    expect(getMessages).not.toHaveBeenCalled();
+
+    const branch = await manager.getBranch(sessionId);
+    expect(branch.map(m => m.content)).toEqual(['better question', 'better answer', 'follow-up']);
+    expect(branch[1].id).toBe(answer);
+    expect((await manager.getSession(sessionId))?.metadata).toEqual(expect.objectContaining({
+      activeBranch: edited,
+      activeBranchHead: branch[2].id
+    }));
+  });
+
+  it('stores the scope of a started session before it is queried or saved to', async () => {
+    const manager = new MemoryManager({ type: 'memory', options: {} });
+    await manager.initialize();
+    const scope = { tenant: 'acme', project: 'idelite' };
+    const sessionId = manager.startSession('scoped', 'Scoped', scope);
+
+    expect((await manager.getSessions({ scope })).map(s => s.id)).toEqual([sessionId]);
+    manager.startSession('counted', 'Counted', scope);
+    await manager.saveUserMessage('hello');
+    expect(await manager.getSession('counted')).toEqual(expect.objectContaining({ scope, messageCount: 1 }));
+  });
+
+  it('rejects the first save when the started session could not be created', async () => {
+    const manager = new MemoryManager({ type: 'memory', options: {} });
+    await manager.initialize();
+    jest.spyOn(manager.getStorage(), 'getSession').mockRejectedValueOnce(new Error('storage down'));
+    manager.startSession();
+
+    await expect(manager.saveUserMessage('hello')).rejects.toThrow('storage down');
+    await expect(manager.saveUserMessage('hello again')).resolves.toBeDefined();
+  });
+
+  it('embeds messages as the configured plugins store them', async () => {
+    const embeddings = new HashingEmbeddings();
+    const manager = new MemoryManager({
+      type: 'memory',
+      options: {},
+      embeddings,
+      plugins: [{ name: 'signature', beforeSave: message => ({ ...message, content: `${message.content} -- sent from my phone` }) }]
+    });
+    await manager.initialize();
+    const sessionId = manager.startSession();
+
+    await manager.saveUserMessage('deploys go out on fridays');
+    const [stored] = await manager.getSessionHistory(sessionId);
+    expect(stored.embedding).toEqual(await embeddings.embedQuery('deploys go out on fridays -- sent from my phone'));
+  });
+
+  it('keeps edits and regenerations as versions on their own branches', async () => {
+    const manager = new MemoryManager({ type: 'memory', options: {} });
+    await manager.initialize();
+    const sessionId = manager.startSession();
+    const contents = async () => (await manager.getBranch(sessionId)).map(m => m.content);
+
+    const question = await manager.saveUserMessage('what is 2 + 2');
+    const answer = await manager.saveAssistantMessage('5');
+    const regenerated = await manager.regenerateMessage(answer, '4');
+    expect(await contents()).toEqual(['what is 2 + 2', '4']);
+    expect((await manager.getMessageVersions(answer)).map(m => m.id)).toEqual([answer, regenerated]);
+    await expect(manager.regenerateMessage(question, 'again')).rejects.toThrow('Only assistant messages can be regenerated');
+
+    const edited = await manager.editMessage(question, 'what is 3 + 3');
+    await manager.saveAssistantMessage('6');
+    expect(await contents()).toEqual(['what is 3 + 3', '6']);
+
+    await manager.switchBranch(regenerated);
+    expect(await contents()).toEqual(['what is 2 + 2', '4']);
+    await manager.saveUserMessage('and 2 + 3?');
+    expect(await contents()).toEqual(['what is 2 + 2', '4', 'and 2 + 3?']);
+
+    expect((await manager.getBranch(sessionId, edited)).map(m => m.content)).toEqual(['what is 3 + 3', '6']);
+    expect(await manager.getSessionHistory(sessionId)).toHaveLength(3);
+    expect((await manager.searchMessages({ sessionId })).total).toBe(6);
+  });
+
+  it('forks the conversation up to a message into a new session', async () => {
+    const manager = new MemoryManager({ type: 'memory', options: {} });
+    await manager.initialize();
+    const sessionId = manager.startSession('original', 'Original', { tenant: 'acme' });
+    await manager.saveUserMessage('first');
+    const second = await manager.saveAssistantMessage('second');
+    await manager.saveUserMessage('third');
+
+    const fork = await manager.forkSession(second, { sessionId: 'fork' });
+    expect(await manager.getSession(fork)).toEqual(expect.objectContaining({
+      title: 'Original',
+      scope: { tenant: 'acme' },
+      metadata: expect.objectContaining({ forkedFrom: { sessionId, messageId: second } })
+    }));
+    const copies = await manager.getSessionHistory(fork);
+    expect(copies.map(m => m.content)).toEqual(['first', 'second']);
+    expect(copies[1].parentId).toBe(copies[0].id);
+
+    // Continuing in the fork leaves the original alone
+    manager.startSession(fork);
+    await manager.saveUserMessage('alternative third');
+    expect((await manager.getSessionHistory(fork)).map(m => m.content)).toEqual(['first', 'second', 'alternative third']);
+    expect(await manager.getSessionHistory(sessionId)).toHaveLength(3);
+    await expect(manager.forkSession(second, { sessionId: 'fork' })).rejects.toThrow('Session already exists: fork');
+  });
+});
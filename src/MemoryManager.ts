@@ -1,24 +1,104 @@
+import { Readable } from 'stream';
 import { v4 as uuidv4 } from 'uuid';
 import { IMemoryStorage } from './interfaces/MemoryInterface';
 import { LocalStorage } from './storage/LocalStorage';
 import { S3Storage } from './storage/S3Storage';
 import { DynamoDBStorage } from './storage/DynamoDBStorage';
+import { SqliteStorage } from './storage/SqliteStorage';
+import { PostgresStorage } from './storage/PostgresStorage';
+import { RedisStorage } from './storage/RedisStorage';
+import { InMemoryStorage } from './storage/InMemoryStorage';
+import { EncryptedStorage, ReencryptionReport } from './encryption/EncryptedStorage';
+import { RedactionPipeline } from './redaction/RedactionPipeline';
+import { redactionPlugin } from './redaction/redactionPlugin';
+import { embeddingPlugin } from './retrieval/embeddingPlugin';
+import { PluginStorage } from './plugins/PluginStorage';
+import { IMemoryPlugin } from './interfaces/PluginInterface';
+import { LangChainMemory, LangChainMemoryInput } from './langchain/LangChainMemory';
+import { PersistentChatMessageHistory } from './langchain/PersistentChatMessageHistory';
+import { RetrievalMemory, RetrievalMemoryInput } from './langchain/RetrievalMemory';
+import { EntityGraphMemory, EntityGraphMemoryInput } from './langchain/EntityGraphMemory';
+import { EntityStore } from './entities/EntityStore';
+import { IEntityExtractor } from './interfaces/EntityExtractorInterface';
 import { 
   MemoryConfig, 
   ConversationMessage, 
   ConversationSession, 
+  ContentPart,
+  ToolCall,
   MemoryQueryOptions, 
   MemorySearchResult, 
-  MemoryStats 
+  MemoryStats,
+  HistoryLoadOptions,
+  RetrievalOptions,
+  RetrievedMessage,
+  MemoryRecord,
+  MemoryRecordInput,
+  MemoryRecordKind,
+  MemoryRecordQueryOptions,
+  MemoryScope,
+  SessionQueryOptions,
+  RetentionOptions,
+  RetentionPolicy,
+  RetentionReport,
+  ExportOptions,
+  ImportOptions,
+  TransferCounts
 } from './types';
+import { selectHistory } from './utils/history';
+import { messageContent } from './utils/content';
+import { applyRetention } from './utils/retention';
+import { iterateMessages } from './utils/cursor';
+import {
+  ROOT_PARENT_ID,
+  activeBranchHead,
+  advanceBranchHead,
+  branchMessages,
+  loadActiveBranch,
+  messageParents,
+  messagePath,
+  messageVersions,
+  selectBranch
+} from './utils/branches';
+import { exportMemory } from './transfer/exportMemory';
+import { importMemory, ImportInput } from './transfer/importMemory';
+import { ISummarizer } from './interfaces/SummarizerInterface';
+import { RollingSummary, RollingSummaryOptions, SummarizedHistory } from './summary/RollingSummary';
+import { SemanticRetriever } from './retrieval/SemanticRetriever';
 
 export class MemoryManager {
   private storage: IMemoryStorage;
   private currentSessionId: string | null = null;
   private ready: boolean = false;
+  private retriever: SemanticRetriever | null = null;
+  private retention?: RetentionPolicy;
+  private pruneTimer?: NodeJS.Timeout;
+  private encryptedStorage?: EncryptedStorage;
+  private redaction?: RedactionPipeline;
+  private pluginStorage: PluginStorage;
+  /** Sessions being created by startSession, awaited before they are read or written */
+  private pendingSessions = new Map<string, Promise<void>>();
 
   constructor(config: MemoryConfig) {
-    this.storage = this.createStorage(config);
+    // Messages pass through the plugins (redaction first, then the configured plugins, then
+    // embedding), then are encrypted, then stored
+    let storage = this.createStorage(config);
+    if (config.encryption) {
+      this.encryptedStorage = new EncryptedStorage(storage, config.encryption);
+      storage = this.encryptedStorage;
+    }
+    this.pluginStorage = new PluginStorage(storage);
+    if (config.redaction) {
+      this.redaction = new RedactionPipeline(config.redaction);
+      this.pluginStorage.use(redactionPlugin(this.redaction));
+    }
+    (config.plugins || []).forEach(plugin => this.pluginStorage.use(plugin));
+    this.storage = this.pluginStorage;
+    if (config.embeddings) {
+      this.retriever = new SemanticRetriever(this.storage, config.embeddings);
+      this.pluginStorage.use(embeddingPlugin(this.retriever));
+    }
+    this.retention = config.retention;
   }
 
   /**
@@ -27,26 +107,40 @@ export class MemoryManager {
   async initialize(): Promise<void> {
     await this.storage.initialize();
     this.ready = true;
+
+    const retention = this.retention;
+    if (retention?.pruneIntervalMs && !this.pruneTimer) {
+      this.pruneTimer = setInterval(() => {
+        this.applyRetention().catch(error => retention.onPruneError?.(error));
+      }, retention.pruneIntervalMs);
+      // Scheduled pruning should not keep the process alive
+      this.pruneTimer.unref();
+    }
+  }
+
+  /**
+   * Register a plugin whose hooks run around saves, loads, session creation and deletes.
+   * Hooks run in registration order, after those of the plugins from the config
+   * and of the embedding plugin.
+   */
+  use(plugin: IMemoryPlugin): this {
+    this.pluginStorage.use(plugin);
+    return this;
   }
 
   /**
-   * Start a new conversation session
+   * Start a new conversation session, optionally inside a scope
    */
-  startSession(sessionId?: string, title?: string): string {
+  startSession(sessionId?: string, title?: string, scope?: MemoryScope): string {
     if (!this.ready) throw new Error('Memory manager not initialized');
 
     const id = sessionId || uuidv4();
     this.currentSessionId = id;
 
-    // Create session if it doesn't exist
-    this.storage.getSession(id).then(session => {
-      if (!session) {
-        this.storage.updateSession(id, {
-          title,
-          messageCount: 0
-        });
-      }
-    });
+    // Creation errors surface from the next operation on the session
+    const creation = this.createSession(id, title, scope);
+    creation.catch(() => undefined);
+    this.pendingSessions.set(id, creation);
 
     return id;
   }
@@ -66,9 +160,9 @@ export class MemoryManager {
   }
 
   /**
-   * Save a user message
+   * Save a user message, as text or as structured content with images and files
    */
-  async saveUserMessage(content: string, metadata?: Record<string, any>): Promise<string> {
+  async saveUserMessage(content: string | ContentPart[], metadata?: Record<string, any>): Promise<string> {
     if (!this.currentSessionId) {
       throw new Error('No active session. Call startSession() first.');
     }
@@ -77,19 +171,23 @@ export class MemoryManager {
       id: uuidv4(),
       sessionId: this.currentSessionId,
       role: 'user',
-      content,
+      ...messageContent(content),
       timestamp: new Date(),
       metadata
     };
 
-    await this.storage.saveMessage(message);
+    await this.persistMessage(message);
     return message.id;
   }
 
   /**
-   * Save an assistant message
+   * Save an assistant message, optionally with the tools it asks to call
    */
-  async saveAssistantMessage(content: string, metadata?: Record<string, any>): Promise<string> {
+  async saveAssistantMessage(
+    content: string | ContentPart[],
+    metadata?: Record<string, any>,
+    toolCalls?: ToolCall[]
+  ): Promise<string> {
     if (!this.currentSessionId) {
       throw new Error('No active session. Call startSession() first.');
     }
@@ -101,19 +199,20 @@ export class MemoryManager {
       id: uuidv4(),
       sessionId: this.currentSessionId,
       role: 'assistant',
-      content,
+      ...messageContent(content),
       timestamp: new Date(),
-      metadata
+      metadata,
+      toolCalls
     };
 
-    await this.storage.saveMessage(message);
+    await this.persistMessage(message);
     return message.id;
   }
 
   /**
    * Save a system message
    */
-  async saveSystemMessage(content: string, metadata?: Record<string, any>): Promise<string> {
+  async saveSystemMessage(content: string | ContentPart[], metadata?: Record<string, any>): Promise<string> {
     if (!this.currentSessionId) {
       throw new Error('No active session. Call startSession() first.');
     }
@@ -122,54 +221,176 @@ export class MemoryManager {
       id: uuidv4(),
       sessionId: this.currentSessionId,
       role: 'system',
-      content,
+      ...messageContent(content),
       timestamp: new Date(),
       metadata
     };
 
-    await this.storage.saveMessage(message);
+    await this.persistMessage(message);
     return message.id;
   }
 
   /**
-   * Get conversation history for the current session
+   * Save the result of a tool call requested by an assistant message
    */
-  async getCurrentSessionHistory(limit?: number): Promise<ConversationMessage[]> {
+  async saveToolMessage(
+    toolCallId: string,
+    content: string | ContentPart[],
+    metadata?: Record<string, any>
+  ): Promise<string> {
     if (!this.currentSessionId) {
       throw new Error('No active session. Call startSession() first.');
     }
 
-    const result = await this.storage.getMessages({
+    const message: ConversationMessage = {
+      id: uuidv4(),
       sessionId: this.currentSessionId,
-      limit
-    });
+      role: 'tool',
+      ...messageContent(content),
+      timestamp: new Date(),
+      metadata,
+      toolCallId
+    };
 
-    return result.messages;
+    await this.persistMessage(message);
+    return message.id;
   }
 
   /**
-   * Get conversation history for a specific session
+   * Get conversation history for the current session.
+   * A number keeps the most recent N messages; options select a window or token budget.
    */
-  async getSessionHistory(sessionId: string, limit?: number): Promise<ConversationMessage[]> {
-    const result = await this.storage.getMessages({
-      sessionId,
-      limit
+  async getCurrentSessionHistory(limit?: number | HistoryLoadOptions): Promise<ConversationMessage[]> {
+    if (!this.currentSessionId) {
+      throw new Error('No active session. Call startSession() first.');
+    }
+
+    return await this.getSessionHistory(this.currentSessionId, limit);
+  }
+
+  /**
+   * Get conversation history for a specific session, following its active branch.
+   * A number keeps the most recent N messages; options select a window or token budget.
+   */
+  async getSessionHistory(sessionId: string, limit?: number | HistoryLoadOptions): Promise<ConversationMessage[]> {
+    const messages = await loadActiveBranch(this.storage, sessionId);
+    const options = typeof limit === 'number' ? { lastMessages: limit } : limit;
+
+    return options ? selectHistory(messages, options) : messages;
+  }
+
+  /**
+   * Get the messages of the branch through a message, from the start of the
+   * conversation to the branch's most recent message. Without a message id,
+   * the session's active branch.
+   */
+  async getBranch(sessionId: string, messageId?: string): Promise<ConversationMessage[]> {
+    if (!messageId) {
+      return await loadActiveBranch(this.storage, sessionId);
+    }
+
+    const { messages } = await this.storage.getMessages({ sessionId });
+    if (!messages.some(message => message.id === messageId)) {
+      throw new Error(`Message not found in session ${sessionId}: ${messageId}`);
+    }
+    return branchMessages(messages, messageId);
+  }
+
+  /**
+   * Make the branch through a message the active branch of its session
+   */
+  async switchBranch(messageId: string): Promise<void> {
+    const message = await this.requireMessage(messageId);
+    await selectBranch(this.storage, message.sessionId, messageId);
+  }
+
+  /**
+   * Save a new version of a message next to the original, and switch to it.
+   * Replies to the original stay on the original's branch; a new version of a tool
+   * result answers the same tool call. Returns the new message's id.
+   */
+  async editMessage(messageId: string, content: string | ContentPart[], metadata?: Record<string, any>): Promise<string> {
+    const original = await this.requireMessage(messageId);
+    return await this.addVersion(original, { ...messageContent(content), metadata, toolCallId: original.toolCallId });
+  }
+
+  /**
+   * Save a regenerated assistant reply as a sibling of the original, and switch to it.
+   * Returns the new message's id.
+   */
+  async regenerateMessage(
+    messageId: string,
+    content: string | ContentPart[],
+    metadata?: Record<string, any>,
+    toolCalls?: ToolCall[]
+  ): Promise<string> {
+    const original = await this.requireMessage(messageId);
+    if (original.role !== 'assistant') {
+      throw new Error(`Only assistant messages can be regenerated, ${messageId} is a ${original.role} message`);
+    }
+    return await this.addVersion(original, { ...messageContent(content), metadata, toolCalls });
+  }
+
+  /**
+   * Get the versions of a message: the message and its edits or regenerations, oldest first
+   */
+  async getMessageVersions(messageId: string): Promise<ConversationMessage[]> {
+    const message = await this.requireMessage(messageId);
+    const { messages } = await this.storage.getMessages({ sessionId: message.sessionId });
+    return messageVersions(messages, messageId);
+  }
+
+  /**
+   * Copy the conversation up to and including a message into a new session,
+   * e.g. to explore an alternative without touching the original. Returns the new session's id.
+   */
+  async forkSession(messageId: string, options: { sessionId?: string; title?: string } = {}): Promise<string> {
+    const source = await this.requireMessage(messageId);
+    const [session, { messages }] = await Promise.all([
+      this.storage.getSession(source.sessionId),
+      this.storage.getMessages({ sessionId: source.sessionId })
+    ]);
+
+    const sessionId = options.sessionId || uuidv4();
+    if (await this.storage.getSession(sessionId)) {
+      throw new Error(`Session already exists: ${sessionId}`);
+    }
+
+    await this.storage.updateSession(sessionId, {
+      title: options.title ?? session?.title,
+      scope: session?.scope,
+      messageCount: 0,
+      metadata: { forkedFrom: { sessionId: source.sessionId, messageId } }
+    });
+
+    const ids = new Map<string, string>();
+    const copies = messagePath(messages, messageId).map((message, i, path) => {
+      ids.set(message.id, uuidv4());
+      return {
+        ...message,
+        id: ids.get(message.id)!,
+        sessionId,
+        parentId: i > 0 ? ids.get(path[i - 1].id) : undefined
+      };
     });
+    await this.storage.saveMessages(copies);
 
-    return result.messages;
+    return sessionId;
   }
 
   /**
    * Get all sessions
    */
-  async getSessions(): Promise<ConversationSession[]> {
-    return await this.storage.getSessions();
+  async getSessions(options?: SessionQueryOptions): Promise<ConversationSession[]> {
+    await this.sessionsCreated();
+    return await this.storage.getSessions(options);
   }
 
   /**
    * Get a specific session
    */
   async getSession(sessionId: string): Promise<ConversationSession | null> {
+    await this.sessionsCreated(sessionId);
     return await this.storage.getSession(sessionId);
   }
 
@@ -177,6 +398,7 @@ export class MemoryManager {
    * Update session metadata
    */
   async updateSession(sessionId: string, updates: Partial<ConversationSession>): Promise<void> {
+    await this.sessionsCreated(sessionId);
     await this.storage.updateSession(sessionId, updates);
   }
 
@@ -184,9 +406,60 @@ export class MemoryManager {
    * Search messages with filters
    */
   async searchMessages(options: MemoryQueryOptions = {}): Promise<MemorySearchResult> {
+    await this.sessionsCreated(options.sessionId);
     return await this.storage.getMessages(options);
   }
 
+  /**
+   * Stream matching messages page by page, following cursors.
+   * Pages of `pageSize` messages (default 100) are only fetched as they are consumed.
+   */
+  async *iterateMessages(options: MemoryQueryOptions & { pageSize?: number } = {}): AsyncGenerator<ConversationMessage> {
+    yield* iterateMessages(this.storage, options);
+  }
+
+  /**
+   * Stream sessions and messages in an export format (JSONL by default).
+   * Filter by session, scope, date range and role; JSONL also carries the records.
+   */
+  export(options: ExportOptions = {}): Readable {
+    return Readable.from(exportMemory(this.storage, options));
+  }
+
+  /**
+   * Import data in JSONL, OpenAI chat, LangChain or CSV format.
+   * Messages go through the configured redaction and encryption like any other write.
+   */
+  async import(input: ImportInput, options: ImportOptions = {}): Promise<TransferCounts> {
+    return await importMemory(this.storage, input, options);
+  }
+
+  /**
+   * Find the stored messages most similar in meaning to the query.
+   * Requires `embeddings` in the memory config.
+   */
+  async retrieveRelevant(query: string, options: RetrievalOptions = {}): Promise<RetrievedMessage[]> {
+    return await this.getRetriever().retrieveRelevant(query, options);
+  }
+
+  /**
+   * Embed stored messages that were saved without an embedding.
+   * Returns the number of messages embedded.
+   */
+  async indexEmbeddings(sessionId?: string): Promise<number> {
+    return await this.getRetriever().indexMessages({ sessionId });
+  }
+
+  /**
+   * Get the semantic retriever; throws when no embeddings are configured
+   */
+  getRetriever(): SemanticRetriever {
+    if (!this.retriever) {
+      throw new Error('Semantic retrieval requires embeddings in the memory config');
+    }
+    return this.retriever;
+  }
+
   /**
    * Get a specific message
    */
@@ -205,6 +478,7 @@ export class MemoryManager {
    * Delete a session and all its messages
    */
   async deleteSession(sessionId: string): Promise<void> {
+    await this.sessionsCreated(sessionId);
     await this.storage.deleteSession(sessionId);
     
     // Clear current session if it's the one being deleted
@@ -213,6 +487,110 @@ export class MemoryManager {
     }
   }
 
+  /**
+   * Remove the messages and sessions that the configured retention policy no longer keeps.
+   * With `dryRun`, only report what would be removed.
+   */
+  async applyRetention(options: RetentionOptions = {}): Promise<RetentionReport> {
+    if (!this.retention) {
+      throw new Error('Retention requires a retention policy in the memory config');
+    }
+
+    const report = await applyRetention(this.storage, this.retention, options);
+    if (!report.dryRun && this.currentSessionId && report.sessionIds.includes(this.currentSessionId)) {
+      this.currentSessionId = null;
+    }
+    return report;
+  }
+
+  /**
+   * Stop the scheduled pruning started for `retention.pruneIntervalMs`
+   */
+  stopPruning(): void {
+    clearInterval(this.pruneTimer);
+    this.pruneTimer = undefined;
+  }
+
+  /**
+   * Stop scheduled pruning and close the storage's connections, e.g. the
+   * Redis client or the PostgreSQL pool, so that the process can exit
+   */
+  async close(): Promise<void> {
+    this.stopPruning();
+    this.ready = false;
+    await this.storage.close?.();
+  }
+
+  /**
+   * Re-encrypt all data under fresh data keys from the current master key,
+   * e.g. after a key rotation. Requires `encryption` in the memory config.
+   */
+  async reencrypt(): Promise<ReencryptionReport> {
+    if (!this.encryptedStorage) {
+      throw new Error('Re-encryption requires encryption in the memory config');
+    }
+    return await this.encryptedStorage.reencrypt();
+  }
+
+  /**
+   * Put the original values back in place of redaction tokens, e.g. in a message's content.
+   * Requires `redaction` in the memory config; tokens unknown to the vault are left as they are.
+   */
+  async restoreRedacted(text: string): Promise<string> {
+    if (!this.redaction) {
+      throw new Error('Restoring redacted values requires redaction in the memory config');
+    }
+    return await this.redaction.restore(text);
+  }
+
+  /**
+   * Create or update a structured record. Records are unique per sessionId, kind and key,
+   * so saving the same key again updates the existing record instead of adding a duplicate.
+   */
+  async upsertRecord(input: MemoryRecordInput): Promise<MemoryRecord> {
+    const now = new Date();
+    return await this.storage.saveRecord({
+      ...input,
+      id: uuidv4(),
+      createdAt: now,
+      updatedAt: now
+    });
+  }
+
+  /**
+   * Get a record by ID
+   */
+  async getRecord(recordId: string): Promise<MemoryRecord | null> {
+    return await this.storage.getRecord(recordId);
+  }
+
+  /**
+   * Get a record by its kind and key (and session or scope, for bound records)
+   */
+  async getRecordByKey(
+    kind: MemoryRecordKind,
+    key: string,
+    sessionId?: string,
+    scope: MemoryScope = {}
+  ): Promise<MemoryRecord | null> {
+    const records = await this.storage.getRecords({ kind, key, sessionId, scope });
+    return records.find(record => record.sessionId === sessionId) || null;
+  }
+
+  /**
+   * Query records, most recently updated first
+   */
+  async queryRecords(options: MemoryRecordQueryOptions = {}): Promise<MemoryRecord[]> {
+    return await this.storage.getRecords(options);
+  }
+
+  /**
+   * Delete a record
+   */
+  async deleteRecord(recordId: string): Promise<void> {
+    await this.storage.deleteRecord(recordId);
+  }
+
   /**
    * Get storage statistics
    */
@@ -243,52 +621,145 @@ export class MemoryManager {
   }
 
   /**
-   * Create a LangChain-compatible memory object
-   */
-  createLangChainMemory() {
-    return {
-      memoryKeys: ['history'],
-      // Save messages to our storage
-      saveContext: async (inputValues: Record<string, any>, outputValues: Record<string, any>) => {
-        try {
-          console.log('Saving context - Input:', inputValues);
-          console.log('Saving context - Output:', outputValues);
-          
-          // Save user message first
-          if (inputValues.input) {
-            await this.saveUserMessage(inputValues.input);
-          }
-          
-          // Handle different possible output formats from LangChain
-          const output = outputValues.output || outputValues.response || outputValues.text || outputValues.result;
-          if (output) {
-            // Add a small delay to ensure proper ordering
-            await new Promise(resolve => setTimeout(resolve, 10));
-            await this.saveAssistantMessage(output);
-          }
-        } catch (error) {
-          console.error('Error saving context:', error);
-        }
-      },
-
-      // Load conversation history
-      loadMemoryVariables: async (variables: Record<string, any>) => {
-        const history = await this.getCurrentSessionHistory();
-        const formattedHistory = history
-          .map(msg => `${msg.role}: ${msg.content}`)
-          .join('\n');
-        
-        return {
-          history: formattedHistory,
-          messages: history
-        };
-      },
-
-      // Clear memory
-      clear: async () => {
-        await this.clear();
+   * Get a LangChain chat message history for a session (defaults to the current session)
+   */
+  getChatMessageHistory(sessionId?: string): PersistentChatMessageHistory {
+    const id = sessionId || this.currentSessionId;
+    if (!id) {
+      throw new Error('No active session. Call startSession() first.');
+    }
+
+    return new PersistentChatMessageHistory({
+      storage: this.storage,
+      sessionId: id,
+      saveMessage: message => this.persistMessage(message)
+    });
+  }
+
+  /**
+   * Create a LangChain memory bound to a session (defaults to the current session)
+   */
+  createLangChainMemory(
+    options: Omit<LangChainMemoryInput, 'storage' | 'chatHistory' | 'saveMessage'> = {}
+  ): LangChainMemory {
+    const sessionId = options.sessionId || this.currentSessionId;
+    if (!sessionId) {
+      throw new Error('No active session. Call startSession() first.');
+    }
+
+    return new LangChainMemory({
+      ...options,
+      storage: this.storage,
+      sessionId,
+      saveMessage: message => this.persistMessage(message)
+    });
+  }
+
+  /**
+   * Create a LangChain memory that injects the stored messages most relevant
+   * to the current input. Requires `embeddings` in the memory config.
+   */
+  createRetrievalMemory(options: Omit<RetrievalMemoryInput, 'retriever'> = {}): RetrievalMemory {
+    return new RetrievalMemory({ ...options, retriever: this.getRetriever() });
+  }
+
+  /**
+   * Create an entity store over this memory's storage
+   */
+  createEntityStore(extractor?: IEntityExtractor): EntityStore {
+    return new EntityStore(this.storage, extractor);
+  }
+
+  /**
+   * Create a LangChain memory that injects what is known about the entities
+   * mentioned in the current input
+   */
+  createEntityMemory(
+    extractor: IEntityExtractor,
+    options: Omit<EntityGraphMemoryInput, 'entityStore'>
+  ): EntityGraphMemory {
+    return new EntityGraphMemory({ ...options, entityStore: this.createEntityStore(extractor) });
+  }
+
+  /**
+   * Get a session's running summary plus its recent messages, folding
+   * messages that left the verbatim window into the persisted summary
+   */
+  async getSummarizedHistory(
+    sessionId: string,
+    summarizer: ISummarizer,
+    options?: RollingSummaryOptions
+  ): Promise<SummarizedHistory> {
+    return await new RollingSummary(this.storage, summarizer, options).load(sessionId);
+  }
+
+  /**
+   * Create a session started with startSession unless it already exists
+   */
+  private async createSession(sessionId: string, title?: string, scope?: MemoryScope): Promise<void> {
+    if (await this.storage.getSession(sessionId)) return;
+    await this.storage.updateSession(sessionId, { title, scope, messageCount: 0 });
+  }
+
+  /**
+   * Wait until the sessions started with startSession (or just the given one)
+   * exist in the storage, rethrowing the error if creating one failed
+   */
+  private async sessionsCreated(sessionId?: string): Promise<void> {
+    const pending = sessionId === undefined ? [...this.pendingSessions] : [[sessionId, this.pendingSessions.get(sessionId)] as const];
+    for (const [id, creation] of pending) {
+      if (!creation) continue;
+      try {
+        await creation;
+      } finally {
+        if (this.pendingSessions.get(id) === creation) this.pendingSessions.delete(id);
       }
+    }
+  }
+
+  private async requireMessage(messageId: string): Promise<ConversationMessage> {
+    const message = await this.storage.getMessage(messageId);
+    if (!message) {
+      throw new Error(`Message not found: ${messageId}`);
+    }
+    return message;
+  }
+
+  /**
+   * Save another version of a message under the same parent and select its branch
+   */
+  private async addVersion(
+    original: ConversationMessage,
+    fields: Pick<ConversationMessage, 'content' | 'parts' | 'metadata' | 'toolCalls' | 'toolCallId'>
+  ): Promise<string> {
+    const { messages } = await this.storage.getMessages({ sessionId: original.sessionId });
+    const version: ConversationMessage = {
+      ...fields,
+      id: uuidv4(),
+      sessionId: original.sessionId,
+      role: original.role,
+      timestamp: new Date(),
+      parentId: messageParents(messages).get(original.id) ?? ROOT_PARENT_ID
     };
+
+    await this.persistMessage(version);
+    await selectBranch(this.storage, version.sessionId, version.id, version.id);
+    return version.id;
+  }
+
+  /**
+   * Save a message; the plugins redact and embed it on the way to the storage.
+   * Messages without a parent continue the active branch of their session and
+   * become its head.
+   */
+  private async persistMessage(message: ConversationMessage): Promise<void> {
+    await this.sessionsCreated(message.sessionId);
+    if (message.parentId === undefined) {
+      message.parentId = await activeBranchHead(this.storage, message.sessionId);
+    }
+
+    await this.storage.saveMessage(message);
+    await advanceBranchHead(this.storage, message.sessionId, [message]);
   }
 
   private createStorage(config: MemoryConfig): IMemoryStorage {
@@ -298,7 +769,15 @@ export class MemoryManager {
       case 's3':
         return new S3Storage(config.options as any);
       case 'dynamodb':
-        return new DynamoDBStorage(config.options as any);
+        return new DynamoDBStorage({ ...config.options as any, retention: config.retention });
+      case 'sqlite':
+        return new SqliteStorage(config.options as any);
+      case 'postgres':
+        return new PostgresStorage(config.options as any);
+      case 'redis':
+        return new RedisStorage(config.options as any);
+      case 'memory':
+        return new InMemoryStorage();
       default:
         throw new Error(`Unsupported storage type: ${config.type}`);
     }
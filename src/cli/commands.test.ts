@@ -0,0 +1,165 @@
+import * as fs from 'fs-extra';
+import * as os from 'os';
+import * as path from 'path';
+import { MemoryManager } from '../MemoryManager';
+import { MemoryConfig } from '../types';
+import { COMMANDS } from './commands';
+import { main } from './index';
+import { CliFlags } from './options';
+
+const config: MemoryConfig = { type: 'memory', options: {} };
+
+async function createManager(): Promise<MemoryManager> {
+  const manager = new MemoryManager(config);
+  await manager.initialize();
+  return manager;
+}
+
+/** Run a command with `--json` and return what it printed */
+async function runJson(manager: MemoryManager, name: string, args: string[], flags: CliFlags = {}): Promise<any> {
+  const log = jest.spyOn(console, 'log').mockImplementation(() => undefined);
+  try {
+    await COMMANDS[name]({ manager, config, args, flags: { ...flags, json: true } });
+    return JSON.parse(log.mock.calls.map(call => call.join(' ')).join('\n'));
+  } finally {
+    log.mockRestore();
+  }
+}
+
+/** Manager holding two sessions: one scoped to acme with two messages, one global with one */
+async function createPopulatedManager(): Promise<MemoryManager> {
+  const manager = await createManager();
+  manager.startSession('support', 'Support', { tenant: 'acme' });
+  await manager.saveUserMessage('my refund is missing');
+  await manager.saveAssistantMessage('the refund was sent today');
+  // Sales is the most recently updated session
+  await new Promise(resolve => setTimeout(resolve, 5));
+  manager.startSession('sales', 'Sales');
+  await manager.saveUserMessage('what does the pro plan cost');
+  return manager;
+}
+
+describe('CLI commands', () => {
+  let dir: string;
+
+  beforeAll(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'cli-'));
+  });
+
+  afterAll(async () => {
+    await fs.remove(dir);
+  });
+
+  it('lists sessions, filtered by scope', async () => {
+    const manager = await createPopulatedManager();
+
+    expect((await runJson(manager, 'sessions list', [])).map((s: any) => s.id).sort()).toEqual(['sales', 'support']);
+    expect((await runJson(manager, 'sessions list', [], { scope: 'tenant=acme' })).map((s: any) => s.id)).toEqual(['support']);
+    expect(await runJson(manager, 'sessions list', [], { limit: '1' })).toHaveLength(1);
+  });
+
+  it('searches messages with a full-text query and filters', async () => {
+    const manager = await createPopulatedManager();
+
+    const result = await runJson(manager, 'messages search', ['refund'], { role: 'assistant' });
+    expect(result.messages.map((m: any) => m.content)).toEqual(['the refund was sent today']);
+    expect(result.matches[0].snippet).toBe('the **refund** was sent today');
+    await expect(runJson(manager, 'messages search', [], { role: 'robot' }))
+      .rejects.toThrow('--role must be one of user, assistant, system, tool, got robot');
+  });
+
+  it('reports storage statistics', async () => {
+    const manager = await createPopulatedManager();
+
+    expect(await runJson(manager, 'stats', [])).toEqual(expect.objectContaining({
+      storage: 'memory',
+      totalSessions: 2,
+      totalMessages: 3
+    }));
+  });
+
+  it('exports to a file that imports into another store', async () => {
+    const output = path.join(dir, 'support.jsonl');
+    await COMMANDS.export({ manager: await createPopulatedManager(), config, args: [], flags: { session: 'support', output } });
+
+    const target = await createManager();
+    expect(await runJson(target, 'import', [output])).toEqual({ sessions: 1, messages: 2, records: 0 });
+    expect((await target.getSessionHistory('support')).map(m => m.content))
+      .toEqual(['my refund is missing', 'the refund was sent today']);
+  });
+
+  it('prunes only after confirmation, or reports with --dry-run', async () => {
+    const manager = await createPopulatedManager();
+
+    expect(await runJson(manager, 'prune', [], { 'max-sessions': '1', 'dry-run': true }))
+      .toEqual(expect.objectContaining({ dryRun: true, sessionIds: ['support'] }));
+    // Not running in a terminal, so the question cannot be asked
+    await expect(runJson(manager, 'prune', [], { 'max-sessions': '1' })).rejects.toThrow('Pass --yes to confirm');
+    expect(await manager.getSession('support')).not.toBeNull();
+
+    await runJson(manager, 'prune', [], { 'max-sessions': '1', yes: true });
+    expect((await manager.getSessions()).map(s => s.id)).toEqual(['sales']);
+    await expect(runJson(manager, 'prune', [])).rejects.toThrow('Nothing to prune');
+  });
+
+  it('migrates everything into the storage of another config', async () => {
+    const to = path.join(dir, 'target.json');
+    const filePath = path.join(dir, 'target-memory.json');
+    await fs.writeJson(to, { type: 'local', options: { filePath } });
+    jest.spyOn(console, 'error').mockImplementation(() => undefined);
+
+    expect(await runJson(await createPopulatedManager(), 'migrate', [], { to, yes: true }))
+      .toEqual({ sessions: 2, messages: 3, records: 0 });
+    jest.restoreAllMocks();
+
+    const target = new MemoryManager({ type: 'local', options: { filePath } });
+    await target.initialize();
+    expect((await target.getStats()).totalMessages).toBe(3);
+    await target.close();
+  });
+
+  it('deletes a session with --yes', async () => {
+    const manager = await createPopulatedManager();
+
+    expect(await runJson(manager, 'delete-session', ['sales'], { yes: true })).toEqual({ deleted: 'sales' });
+    expect(await manager.getSession('sales')).toBeNull();
+    await expect(runJson(manager, 'delete-session', ['sales'], { yes: true })).rejects.toThrow('Session not found: sales');
+  });
+
+  it('runs commands against the storage of a config file', async () => {
+    const config = path.join(dir, 'main.json');
+    await fs.writeJson(config, { type: 'local', options: { filePath: path.join(dir, 'main-memory.json') } });
+    const log = jest.spyOn(console, 'log').mockImplementation(() => undefined);
+
+    expect(await main(['stats', '--json', '-c', config])).toBe(0);
+    expect(JSON.parse(log.mock.calls[0][0])).toEqual(expect.objectContaining({ storage: 'local', totalMessages: 0 }));
+    expect(await main([])).toBe(1);
+    log.mockRestore();
+    await expect(main(['sessions', 'rename', '-c', config])).rejects.toThrow('Unknown command: sessions rename');
+  });
+
+  it('shows the active branch of a session, or every message with --all', async () => {
+    const manager = await createManager();
+    const sessionId = manager.startSession();
+    const question = await manager.saveUserMessage('first question');
+    await manager.saveAssistantMessage('first answer');
+    await manager.editMessage(question, 'better question');
+    await manager.saveAssistantMessage('better answer');
+
+    const contents = (output: any) => output.messages.map((m: any) => m.content);
+    expect(contents(await runJson(manager, 'sessions show', [sessionId])))
+      .toEqual(['better question', 'better answer']);
+    expect(contents(await runJson(manager, 'sessions show', [sessionId], { order: 'desc', limit: '1' })))
+      .toEqual(['better answer']);
+    expect(contents(await runJson(manager, 'sessions show', [sessionId], { all: true })))
+      .toEqual(['first question', 'first answer', 'better question', 'better answer']);
+  });
+
+  it('rejects an --order other than asc or desc', async () => {
+    const manager = await createManager();
+    const sessionId = manager.startSession();
+
+    await expect(runJson(manager, 'sessions show', [sessionId], { order: 'newest' }))
+      .rejects.toThrow('--order must be one of asc, desc, got newest');
+  });
+});
@@ -0,0 +1,258 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import { pipeline } from 'stream/promises';
+import { MemoryManager } from '../MemoryManager';
+import { ConversationMessage, ExportFormat, ImportFormat, MemoryConfig, RetentionPolicy, TransferCounts } from '../types';
+import { applyRetention } from '../utils/retention';
+import { scopeKey } from '../utils/scope';
+import { copyStorage } from '../transfer/migrate';
+import {
+  CliFlags,
+  confirm,
+  loadConfig,
+  parseChoice,
+  parseCount,
+  parseDate,
+  parseDuration,
+  parseOrder,
+  parseScope
+} from './options';
+import { formatDate, printJson, printTable } from './output';
+
+export interface CommandContext {
+  manager: MemoryManager;
+  config: MemoryConfig;
+  /** Positional arguments after the command name */
+  args: string[];
+  flags: CliFlags;
+}
+
+/** Returns the exit code (0 when nothing is returned) */
+export type Command = (context: CommandContext) => Promise<number | void>;
+
+const ROLES = ['user', 'assistant', 'system', 'tool'] as const;
+const EXPORT_FORMATS: readonly ExportFormat[] = ['jsonl', 'openai', 'langchain', 'csv', 'markdown'];
+const IMPORT_FORMATS: readonly ImportFormat[] = ['jsonl', 'openai', 'langchain', 'csv'];
+
+function requireArg(args: string[], name: string): string {
+  if (!args[0]) {
+    throw new Error(`Missing <${name}> argument`);
+  }
+  return args[0];
+}
+
+function messageFilters(flags: CliFlags) {
+  return {
+    sessionId: flags.session,
+    role: flags.role ? parseChoice(flags.role, 'role', ROLES) : undefined,
+    startDate: flags.since ? parseDate(flags.since) : undefined,
+    endDate: flags.until ? parseDate(flags.until) : undefined,
+    ...parseScope(flags)
+  };
+}
+
+const listSessions: Command = async ({ manager, flags }) => {
+  const sessions = (await manager.getSessions(parseScope(flags)))
+    .sort((a, b) => b.updatedAt.getTime() - a.updatedAt.getTime())
+    .slice(0, flags.limit ? parseCount(flags.limit, 'limit') : undefined);
+
+  if (flags.json) return printJson(sessions);
+  printTable(
+    ['ID', 'TITLE', 'MESSAGES', 'UPDATED', 'SCOPE'],
+    sessions.map(session => [
+      session.id,
+      session.title || '',
+      String(session.messageCount),
+      formatDate(session.updatedAt),
+      scopeKey(session.scope)
+    ])
+  );
+};
+
+const showSession: Command = async ({ manager, args, flags }) => {
+  const sessionId = requireArg(args, 'session-id');
+  const session = await manager.getSession(sessionId);
+  if (!session) {
+    throw new Error(`Session not found: ${sessionId}`);
+  }
+
+  const order = parseOrder(flags);
+  const limit = flags.limit ? parseCount(flags.limit, 'limit') : undefined;
+  let messages: ConversationMessage[];
+  if (flags.all) {
+    ({ messages } = await manager.searchMessages({ sessionId, limit, order }));
+  } else {
+    const branch = await manager.getBranch(sessionId);
+    messages = (order === 'desc' ? branch.reverse() : branch).slice(0, limit);
+  }
+
+  if (flags.json) return printJson({ session, messages });
+  console.log(`Session:  ${session.id}`);
+  console.log(`Title:    ${session.title || '-'}`);
+  console.log(`Scope:    ${scopeKey(session.scope) || '-'}`);
+  console.log(`Created:  ${formatDate(session.createdAt)}`);
+  console.log(`Updated:  ${formatDate(session.updatedAt)}`);
+  console.log(`Messages: ${session.messageCount}\n`);
+  printTable(
+    ['TIME', 'ROLE', 'CONTENT'],
+    messages.map(message => [formatDate(message.timestamp), message.role, message.content])
+  );
+};
+
+const searchMessages: Command = async ({ manager, args, flags }) => {
+  const result = await manager.searchMessages({
+    ...messageFilters(flags),
+    query: args.length > 0 ? args.join(' ') : undefined,
+    limit: flags.limit ? parseCount(flags.limit, 'limit') : 20,
+    cursor: flags.cursor,
+    order: parseOrder(flags)
+  });
+
+  if (flags.json) return printJson(result);
+  printTable(
+    ['SESSION', 'TIME', 'ROLE', 'CONTENT'],
+    result.messages.map((message, i) => [
+      message.sessionId,
+      formatDate(message.timestamp),
+      message.role,
+      result.matches?.[i]?.snippet || message.content
+    ])
+  );
+  console.log(`\n${result.messages.length} of ${result.total} messages`);
+  if (result.nextCursor) {
+    console.log(`Next page: --cursor ${result.nextCursor}`);
+  }
+};
+
+const showStats: Command = async ({ manager, config, flags }) => {
+  const stats = await manager.getStats();
+
+  if (flags.json) return printJson({ storage: config.type, ...stats });
+  printTable(['STAT', 'VALUE'], [
+    ['Storage', config.type],
+    ['Sessions', String(stats.totalSessions)],
+    ['Messages', String(stats.totalMessages)],
+    ['Messages per session', stats.averageMessagesPerSession.toFixed(1)],
+    ['Oldest message', formatDate(stats.oldestMessage)],
+    ['Newest message', formatDate(stats.newestMessage)]
+  ]);
+};
+
+const exportData: Command = async ({ manager, flags }) => {
+  const stream = manager.export({
+    ...messageFilters(flags),
+    format: flags.format ? parseChoice(flags.format, 'format', EXPORT_FORMATS) : 'jsonl',
+    includeRecords: !flags['skip-records']
+  });
+
+  if (flags.output) {
+    await pipeline(stream, fs.createWriteStream(flags.output));
+  } else {
+    await pipeline(stream, process.stdout);
+  }
+};
+
+const importData: Command = async ({ manager, args, flags }) => {
+  const file = requireArg(args, 'file');
+  const extension = path.extname(file).slice(1);
+  const format = flags.format
+    ? parseChoice(flags.format, 'format', IMPORT_FORMATS)
+    : extension === 'csv' ? 'csv' : 'jsonl';
+  const input = file === '-' ? process.stdin : fs.createReadStream(file);
+
+  const counts = await manager.import(input, { format, sessionId: flags.session });
+
+  if (flags.json) return printJson(counts);
+  console.log(`Imported ${counts.messages} messages in ${counts.sessions} sessions and ${counts.records} records`);
+};
+
+const prune: Command = async ({ manager, config, flags }) => {
+  const policy: RetentionPolicy = { ...config.retention };
+  if (flags['max-age']) policy.maxMessageAgeMs = parseDuration(flags['max-age']);
+  if (flags['max-messages']) policy.maxMessagesPerSession = parseCount(flags['max-messages'], 'max-messages');
+  if (flags['max-sessions']) policy.maxSessions = parseCount(flags['max-sessions'], 'max-sessions');
+
+  if (policy.maxMessageAgeMs === undefined && policy.maxMessagesPerSession === undefined && policy.maxSessions === undefined) {
+    throw new Error('Nothing to prune: pass --max-age, --max-messages or --max-sessions, or set retention in the config');
+  }
+
+  const planned = await applyRetention(manager.getStorage(), policy, { dryRun: true });
+  const summary = `${planned.messageIds.length} messages and ${planned.sessionIds.length} sessions`;
+
+  if (flags['dry-run'] || (planned.messageIds.length === 0 && planned.sessionIds.length === 0)) {
+    if (flags.json) return printJson(planned);
+    console.log(`Would delete ${summary}`);
+    return;
+  }
+  if (!await confirm(`Delete ${summary}?`, flags)) {
+    console.error('Aborted');
+    return 1;
+  }
+
+  const report = await applyRetention(manager.getStorage(), policy);
+  if (flags.json) return printJson(report);
+  console.log(`Deleted ${report.messageIds.length} messages and ${report.sessionIds.length} sessions`);
+};
+
+const migrate: Command = async ({ manager, config, flags }) => {
+  if (!flags.to) {
+    throw new Error('Missing --to <config file> for the target storage');
+  }
+  const targetConfig = loadConfig(flags.to);
+  if (!await confirm(`Copy everything from ${config.type} storage into ${targetConfig.type} storage?`, flags)) {
+    console.error('Aborted');
+    return 1;
+  }
+
+  const target = new MemoryManager(targetConfig);
+  let counts: TransferCounts;
+  try {
+    await target.initialize();
+
+    let reported = -1;
+    counts = await copyStorage(manager.getStorage(), target.getStorage(), {
+      pageSize: flags['page-size'] ? parseCount(flags['page-size'], 'page-size') : undefined,
+      onProgress: progress => {
+        if (progress.sessions === reported) return;
+        reported = progress.sessions;
+        console.error(`Copied ${progress.sessions}/${progress.totalSessions} sessions, ${progress.messages} messages`);
+      }
+    });
+  } finally {
+    await target.close();
+  }
+
+  if (flags.json) return printJson(counts);
+  console.log(`Migrated ${counts.messages} messages in ${counts.sessions} sessions and ${counts.records} records`);
+};
+
+const deleteSession: Command = async ({ manager, args, flags }) => {
+  const sessionId = requireArg(args, 'session-id');
+  const session = await manager.getSession(sessionId);
+  if (!session) {
+    throw new Error(`Session not found: ${sessionId}`);
+  }
+  if (!await confirm(`Delete session ${sessionId} and its ${session.messageCount} messages?`, flags)) {
+    console.error('Aborted');
+    return 1;
+  }
+
+  await manager.deleteSession(sessionId);
+  if (flags.json) return printJson({ deleted: sessionId });
+  console.log(`Deleted session ${sessionId}`);
+};
+
+/**
+ * Commands by name; two-word names are matched before one-word names
+ */
+export const COMMANDS: Record<string, Command> = {
+  'sessions list': listSessions,
+  'sessions show': showSession,
+  'messages search': searchMessages,
+  stats: showStats,
+  export: exportData,
+  import: importData,
+  prune,
+  migrate,
+  'delete-session': deleteSession
+};
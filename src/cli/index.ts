@@ -0,0 +1,95 @@
+#!/usr/bin/env node
+import { parseArgs } from 'util';
+import { MemoryManager } from '../MemoryManager';
+import { COMMANDS } from './commands';
+import { CliFlags, FLAG_OPTIONS, loadConfig } from './options';
+
+const USAGE = `Usage: langchain-memory <command> [options]
+
+Commands:
+  sessions list                 List sessions, most recently updated first
+  sessions show <session-id>    Show a session and the messages of its active branch
+  messages search [query]       Search messages (full-text when a query is given)
+  stats                         Show storage statistics
+  export                        Write sessions and messages to stdout or --output
+  import <file|->               Read an export from a file or stdin
+  prune                         Delete messages and sessions outside a retention policy
+  migrate --to <config>         Copy everything into another storage
+  delete-session <session-id>   Delete a session and its messages
+
+Storage:
+  -c, --config <file>           Memory config (.json, or a .js module exporting one);
+                                defaults to the MEMORY_* environment variables
+
+Filters (sessions list, messages search, export):
+  -s, --session <id>            Only this session
+      --role <role>             user, assistant, system or tool
+      --since <date|duration>   e.g. 2024-01-31 or 7d
+      --until <date|duration>
+      --scope <key>             e.g. tenant=acme/project=idelite
+      --scope-mode <mode>       exact, ancestors or descendants
+  -n, --limit <n>               Maximum number of results
+      --cursor <cursor>         Continue a previous search
+      --order <asc|desc>        Timestamp order
+      --all                     Show the messages of every branch (sessions show)
+
+Export and import:
+  -f, --format <format>         jsonl (default), openai, langchain, csv or markdown (export only)
+  -o, --output <file>           Export to a file instead of stdout
+      --skip-records            Leave memory records out of a JSONL export
+
+Prune:
+      --max-age <duration>      Delete messages older than this (e.g. 30d)
+      --max-messages <n>        Keep the newest n messages of each session
+      --max-sessions <n>        Keep the n most recently updated sessions
+      --dry-run                 Only report what would be deleted
+
+Migrate:
+      --to <file>               Target memory config
+      --page-size <n>           Messages per batch (default 100)
+
+Output:
+      --json                    Print JSON instead of tables
+  -y, --yes                     Do not ask before deleting or overwriting data
+  -h, --help                    Show this help`;
+
+/**
+ * Run the command line tool; resolves to the exit code
+ */
+export async function main(argv: string[]): Promise<number> {
+  const { values, positionals } = parseArgs({ args: argv, options: FLAG_OPTIONS, allowPositionals: true });
+  const flags = values as CliFlags;
+
+  if (flags.help || positionals.length === 0) {
+    console.log(USAGE);
+    return flags.help ? 0 : 1;
+  }
+
+  const twoWords = positionals.slice(0, 2).join(' ');
+  const [name, args] = COMMANDS[twoWords]
+    ? [twoWords, positionals.slice(2)]
+    : [positionals[0], positionals.slice(1)];
+  const command = COMMANDS[name];
+  if (!command) {
+    throw new Error(`Unknown command: ${positionals.join(' ')} (see --help)`);
+  }
+
+  const config = loadConfig(flags.config);
+  const manager = new MemoryManager(config);
+  await manager.initialize();
+
+  try {
+    return (await command({ manager, config, args, flags })) || 0;
+  } finally {
+    await manager.close();
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then(code => process.exit(code))
+    .catch(error => {
+      console.error(`Error: ${error instanceof Error ? error.message : error}`);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,172 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import * as readline from 'readline';
+import { MemoryConfig, MemoryScope, ScopeMode } from '../types';
+import { memoryConfigFromEnv } from '../utils/factory';
+import { parseScopeKey } from '../utils/scope';
+
+/**
+ * Flags shared by all commands; each command reads the ones it understands
+ */
+export interface CliFlags {
+  config?: string;
+  json?: boolean;
+  yes?: boolean;
+  help?: boolean;
+  session?: string;
+  role?: string;
+  since?: string;
+  until?: string;
+  scope?: string;
+  'scope-mode'?: string;
+  limit?: string;
+  cursor?: string;
+  order?: string;
+  format?: string;
+  output?: string;
+  'skip-records'?: boolean;
+  'dry-run'?: boolean;
+  'max-age'?: string;
+  'max-messages'?: string;
+  'max-sessions'?: string;
+  to?: string;
+  'page-size'?: string;
+  all?: boolean;
+}
+
+export const FLAG_OPTIONS = {
+  config: { type: 'string', short: 'c' },
+  json: { type: 'boolean' },
+  yes: { type: 'boolean', short: 'y' },
+  help: { type: 'boolean', short: 'h' },
+  session: { type: 'string', short: 's' },
+  role: { type: 'string' },
+  since: { type: 'string' },
+  until: { type: 'string' },
+  scope: { type: 'string' },
+  'scope-mode': { type: 'string' },
+  limit: { type: 'string', short: 'n' },
+  cursor: { type: 'string' },
+  order: { type: 'string' },
+  format: { type: 'string', short: 'f' },
+  output: { type: 'string', short: 'o' },
+  'skip-records': { type: 'boolean' },
+  'dry-run': { type: 'boolean' },
+  'max-age': { type: 'string' },
+  'max-messages': { type: 'string' },
+  'max-sessions': { type: 'string' },
+  to: { type: 'string' },
+  'page-size': { type: 'string' },
+  all: { type: 'boolean' }
+} as const;
+
+/**
+ * Load a memory config from a `.json` file or a JavaScript module exporting one
+ * (needed for configs holding objects such as key providers or clients).
+ * Without a file, the config comes from the same environment variables as
+ * `createMemoryManagerFromEnv`.
+ */
+export function loadConfig(file?: string): MemoryConfig {
+  if (!file) return memoryConfigFromEnv();
+
+  const resolved = path.resolve(file);
+  if (!fs.existsSync(resolved)) {
+    throw new Error(`Config file not found: ${file}`);
+  }
+  const loaded = path.extname(resolved) === '.json'
+    ? JSON.parse(fs.readFileSync(resolved, 'utf8'))
+    : require(resolved);
+  const config: MemoryConfig = loaded?.default || loaded;
+  if (!config?.type) {
+    throw new Error(`Config file ${file} does not define a storage type`);
+  }
+  return config;
+}
+
+const DURATION_UNITS: Record<string, number> = {
+  ms: 1,
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * Parse a duration such as `90m`, `12h`, `30d` or `2w` (a bare number is milliseconds)
+ */
+export function parseDuration(value: string): number {
+  const match = /^(\d+(?:\.\d+)?)(ms|s|m|h|d|w)?$/.exec(value.trim());
+  if (!match) {
+    throw new Error(`Invalid duration: ${value} (expected e.g. 30d, 12h or 90m)`);
+  }
+  return Number(match[1]) * DURATION_UNITS[match[2] || 'ms'];
+}
+
+/**
+ * Parse a date, or a duration meaning that long ago (e.g. `--since 7d`)
+ */
+export function parseDate(value: string): Date {
+  if (/^\d+(?:\.\d+)?(ms|s|m|h|d|w)$/.test(value.trim())) {
+    return new Date(Date.now() - parseDuration(value));
+  }
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid date: ${value}`);
+  }
+  return date;
+}
+
+export function parseCount(value: string, flag: string): number {
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 0) {
+    throw new Error(`--${flag} must be a whole number, got ${value}`);
+  }
+  return count;
+}
+
+export function parseChoice<T extends string>(value: string, flag: string, choices: readonly T[]): T {
+  if (!choices.includes(value as T)) {
+    throw new Error(`--${flag} must be one of ${choices.join(', ')}, got ${value}`);
+  }
+  return value as T;
+}
+
+/**
+ * Timestamp order from `--order`
+ */
+export function parseOrder(flags: CliFlags): 'asc' | 'desc' | undefined {
+  return flags.order ? parseChoice(flags.order, 'order', ['asc', 'desc'] as const) : undefined;
+}
+
+/**
+ * Scope filter from `--scope tenant=acme/project=idelite` and `--scope-mode`
+ */
+export function parseScope(flags: CliFlags): { scope?: MemoryScope; scopeMode?: ScopeMode } {
+  if (!flags.scope) return {};
+  return {
+    scope: parseScopeKey(flags.scope),
+    scopeMode: flags['scope-mode']
+      ? parseChoice(flags['scope-mode'], 'scope-mode', ['exact', 'ancestors', 'descendants'] as const)
+      : undefined
+  };
+}
+
+/**
+ * Ask before a destructive operation. `--yes` skips the question; without a
+ * terminal to ask on, the operation is refused unless `--yes` was given.
+ */
+export async function confirm(question: string, flags: CliFlags): Promise<boolean> {
+  if (flags.yes) return true;
+  if (!process.stdin.isTTY) {
+    throw new Error(`${question} Pass --yes to confirm when not running interactively.`);
+  }
+
+  const prompt = readline.createInterface({ input: process.stdin, output: process.stderr });
+  try {
+    const answer = await new Promise<string>(resolve => prompt.question(`${question} [y/N] `, resolve));
+    return /^y(es)?$/i.test(answer.trim());
+  } finally {
+    prompt.close();
+  }
+}
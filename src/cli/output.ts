@@ -0,0 +1,32 @@
+const MAX_CELL_WIDTH = 60;
+
+/**
+ * Shorten a value to one line of at most `width` characters
+ */
+export function truncate(value: string, width: number = MAX_CELL_WIDTH): string {
+  const single = value.replace(/\s+/g, ' ').trim();
+  return single.length > width ? `${single.slice(0, width - 1)}…` : single;
+}
+
+export function formatDate(date: Date | null | undefined): string {
+  return date ? date.toISOString().replace('T', ' ').slice(0, 19) : '-';
+}
+
+/**
+ * Lay out rows as aligned columns under a header
+ */
+export function formatTable(headers: string[], rows: string[][]): string {
+  const cells = rows.map(row => row.map(cell => truncate(cell)));
+  const widths = headers.map((header, i) => Math.max(header.length, ...cells.map(row => row[i].length)));
+  const format = (row: string[]) => row.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd();
+
+  return [format(headers), format(widths.map(width => '-'.repeat(width))), ...cells.map(format)].join('\n');
+}
+
+export function printJson(value: unknown): void {
+  console.log(JSON.stringify(value, null, 2));
+}
+
+export function printTable(headers: string[], rows: string[][]): void {
+  console.log(rows.length > 0 ? formatTable(headers, rows) : '(none)');
+}
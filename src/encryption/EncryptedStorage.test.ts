@@ -0,0 +1,104 @@
+import { InMemoryStorage } from '../storage/InMemoryStorage';
+import { ConversationMessage, MemoryRecord } from '../types';
+import { EncryptedStorage, SEALED_FIELD } from './EncryptedStorage';
+import { isEnvelope, parseEnvelope } from './envelope';
+import { Keyring, LocalKeyProvider } from './LocalKeyProvider';
+
+function message(id: string, content: string): ConversationMessage {
+  return { id, sessionId: 's1', role: 'user', content, metadata: { ticket: 'PROJ-1' }, timestamp: new Date(Date.UTC(2024, 0, 1)) };
+}
+
+const record: MemoryRecord = {
+  id: 'r1',
+  kind: 'preference',
+  key: 'language',
+  value: 'Dutch',
+  createdAt: new Date(0),
+  updatedAt: new Date(0)
+};
+
+async function encrypted(inner: InMemoryStorage, keyring: Keyring): Promise<EncryptedStorage> {
+  const storage = new EncryptedStorage(inner, { keyProvider: new LocalKeyProvider(keyring) });
+  await storage.initialize();
+  return storage;
+}
+
+/** Master key ids of every envelope in the wrapped storage */
+async function keyIds(inner: InMemoryStorage): Promise<Set<string>> {
+  const { messages } = await inner.getMessages();
+  const sealed = [
+    ...messages.map(m => m.content),
+    ...(await inner.getSessions()).map(s => s.metadata?.[SEALED_FIELD]),
+    ...(await inner.getRecords()).map(r => r.value)
+  ];
+  expect(sealed.every(isEnvelope)).toBe(true);
+  return new Set(sealed.map(value => parseEnvelope(value).keyId));
+}
+
+describe('EncryptedStorage', () => {
+  it('stores only ciphertext for content, titles, metadata and record values', async () => {
+    const inner = new InMemoryStorage();
+    const storage = await encrypted(inner, LocalKeyProvider.generateKeyring());
+
+    await storage.updateSession('s1', { title: 'Payroll questions', metadata: { customer: 'acme' } });
+    await storage.saveMessage(message('m1', 'my salary is late'));
+    await storage.saveRecord(record);
+
+    const [stored] = (await inner.getMessages()).messages;
+    expect(stored.content).not.toContain('salary');
+    expect(stored.metadata).toBeUndefined();
+    expect(JSON.stringify(await inner.getSession('s1'))).not.toContain('Payroll');
+    expect((await inner.getRecord('r1'))?.value).not.toBe('Dutch');
+
+    expect(await storage.getMessage('m1')).toEqual(message('m1', 'my salary is late'));
+    expect(await storage.getSession('s1')).toEqual(expect.objectContaining({ title: 'Payroll questions', metadata: { customer: 'acme' } }));
+    expect(await storage.getRecord('r1')).toEqual(expect.objectContaining({ value: 'Dutch' }));
+    expect((await storage.getMessages({ query: 'salary' })).messages.map(m => m.id)).toEqual(['m1']);
+  });
+
+  it('reads data sealed with a rotated master key and re-encrypts it under the current one', async () => {
+    const inner = new InMemoryStorage();
+    const first = LocalKeyProvider.generateKeyring('first');
+    const before = await encrypted(inner, first);
+    await before.updateSession('s1', { title: 'Before rotation' });
+    await before.saveMessages([message('m1', 'one'), message('m2', 'two')]);
+    await before.saveRecord(record);
+
+    const second = LocalKeyProvider.generateKeyring('second');
+    const rotated = await encrypted(inner, { currentKeyId: 'second', keys: { ...first.keys, ...second.keys } });
+    expect((await rotated.getMessages()).messages.map(m => m.content)).toEqual(['one', 'two']);
+
+    expect(await rotated.reencrypt()).toEqual({ sessions: 1, messages: 2, records: 1 });
+    expect(await keyIds(inner)).toEqual(new Set(['second']));
+
+    // The old master key is no longer needed
+    const retired = await encrypted(inner, second);
+    expect((await retired.getMessages()).messages.map(m => m.content)).toEqual(['one', 'two']);
+    expect((await retired.getSession('s1'))?.title).toBe('Before rotation');
+    expect((await retired.getRecord('r1'))?.value).toBe('Dutch');
+  });
+
+  it('returns plaintext stored before encryption was enabled until it is re-encrypted', async () => {
+    const inner = new InMemoryStorage();
+    await inner.initialize();
+    await inner.updateSession('s1', { title: 'Plain' });
+    await inner.saveMessage(message('m1', 'written in the clear'));
+    await inner.saveRecord(record);
+
+    const storage = await encrypted(inner, LocalKeyProvider.generateKeyring('current'));
+    expect((await storage.getMessage('m1'))?.content).toBe('written in the clear');
+
+    await storage.reencrypt();
+    expect(await keyIds(inner)).toEqual(new Set(['current']));
+    expect(await storage.getMessage('m1')).toEqual(message('m1', 'written in the clear'));
+    expect((await storage.getSession('s1'))?.title).toBe('Plain');
+  });
+
+  it('fails to read data whose master key is not in the keyring', async () => {
+    const inner = new InMemoryStorage();
+    await (await encrypted(inner, LocalKeyProvider.generateKeyring('lost'))).saveMessage(message('m1', 'secret'));
+
+    const storage = await encrypted(inner, LocalKeyProvider.generateKeyring('other'));
+    await expect(storage.getMessage('m1')).rejects.toThrow('Unknown master key: lost');
+  });
+});
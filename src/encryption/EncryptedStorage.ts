@@ -0,0 +1,329 @@
+import { v4 as uuidv4 } from 'uuid';
+import { IMemoryStorage } from '../interfaces/MemoryInterface';
+import { IKeyProvider, WrappedKey } from '../interfaces/KeyProviderInterface';
+import {
+  ConversationMessage,
+  ConversationSession,
+  EncryptionConfig,
+  MemoryQueryOptions,
+  MemorySearchResult,
+  MemoryStats,
+  MemoryRecord,
+  MemoryRecordQueryOptions,
+  SessionQueryOptions
+} from '../types';
+import { InvertedIndex } from '../search/InvertedIndex';
+import { rankMessages } from '../search/fullTextSearch';
+import { paginateMessages } from '../utils/cursor';
+import { generateDataKey, isEnvelope, openEnvelope, parseEnvelope, sealEnvelope } from './envelope';
+
+/** Session metadata field holding the sealed title and metadata */
+export const SEALED_FIELD = 'sealed';
+
+interface DataKey {
+  key: Buffer;
+  wrapped: WrappedKey;
+}
+
+export interface ReencryptionReport {
+  sessions: number;
+  messages: number;
+  records: number;
+}
+
+/**
+ * Storage decorator that encrypts sensitive fields client-side before they reach
+ * the wrapped storage, with AES-256-GCM envelope encryption:
+ *
+ * - message `content`, `parts`, `toolCalls`, `metadata` and `embedding` are sealed into `content`
+ * - session `title` and `metadata` are sealed into `metadata.sealed`
+ * - record `value` and `metadata` are sealed into `value`
+ *
+ * Ids, session ids, roles, parent and tool call links, timestamps, scopes and record
+ * kinds, keys and tags stay in plaintext, so the wrapped storage still filters, orders
+ * and paginates on them.
+ * Full-text queries are ranked here after decryption.
+ *
+ * Each session has its own data key, wrapped by the key provider and stored in
+ * every envelope next to the ciphertext. Values without an envelope are returned
+ * as they are, so data written before encryption was enabled stays readable
+ * until `reencrypt()` is run.
+ */
+export class EncryptedStorage implements IMemoryStorage {
+  private storage: IMemoryStorage;
+  private keyProvider: IKeyProvider;
+  /** Data key per session id; records share the key under '' */
+  private dataKeys = new Map<string, Promise<DataKey>>();
+  /** Unwrapped data keys by wrapped key, so each is unwrapped once */
+  private unwrappedKeys = new Map<string, Promise<Buffer>>();
+
+  constructor(storage: IMemoryStorage, config: EncryptionConfig) {
+    this.storage = storage;
+    this.keyProvider = config.keyProvider;
+  }
+
+  async initialize(): Promise<void> {
+    await this.storage.initialize();
+  }
+
+  async saveMessage(message: ConversationMessage): Promise<void> {
+    await this.saveMessages([message]);
+  }
+
+  async saveMessages(messages: ConversationMessage[]): Promise<void> {
+    for (const message of messages) {
+      // Storages assign missing ids to the message they are given, which is the sealed copy here
+      if (!message.id) {
+        message.id = uuidv4();
+      }
+    }
+
+    await this.storage.saveMessages(await Promise.all(messages.map(message => this.sealMessage(message))));
+  }
+
+  async getMessages(options: MemoryQueryOptions = {}): Promise<MemorySearchResult> {
+    if (!options.query) {
+      const result = await this.storage.getMessages(options);
+      return { ...result, messages: await Promise.all(result.messages.map(message => this.openMessage(message))) };
+    }
+
+    // The wrapped storage only sees ciphertext, so rank the decrypted candidates here
+    const { messages: sealed } = await this.storage.getMessages({
+      ...options,
+      query: undefined,
+      cursor: undefined,
+      offset: undefined,
+      limit: undefined
+    });
+    const candidates = await Promise.all(sealed.map(message => this.openMessage(message)));
+    const { messages, matches } = rankMessages(InvertedIndex.fromMessages(candidates), candidates, options.query);
+
+    return paginateMessages(messages, options, matches);
+  }
+
+  async getMessage(messageId: string): Promise<ConversationMessage | null> {
+    const message = await this.storage.getMessage(messageId);
+    return message ? await this.openMessage(message) : null;
+  }
+
+  async getSessions(options?: SessionQueryOptions): Promise<ConversationSession[]> {
+    const sessions = await this.storage.getSessions(options);
+    return await Promise.all(sessions.map(session => this.openSession(session)));
+  }
+
+  async getSession(sessionId: string): Promise<ConversationSession | null> {
+    const session = await this.storage.getSession(sessionId);
+    return session ? await this.openSession(session) : null;
+  }
+
+  async updateSession(sessionId: string, updates: Partial<ConversationSession>): Promise<void> {
+    if (!('title' in updates) && !('metadata' in updates)) {
+      await this.storage.updateSession(sessionId, updates);
+      return;
+    }
+
+    // Title and metadata are sealed together, so a partial update needs the other one
+    const current = await this.getSession(sessionId);
+    const title = 'title' in updates ? updates.title : current?.title;
+    const metadata = 'metadata' in updates ? updates.metadata : current?.metadata;
+    const dataKey = await this.dataKey(sessionId);
+
+    await this.storage.updateSession(sessionId, { ...updates, ...this.sealSession(title, metadata, dataKey) });
+  }
+
+  async deleteMessage(messageId: string): Promise<void> {
+    await this.storage.deleteMessage(messageId);
+  }
+
+  async deleteSession(sessionId: string): Promise<void> {
+    await this.storage.deleteSession(sessionId);
+    this.dataKeys.delete(sessionId);
+  }
+
+  async saveRecord(record: MemoryRecord): Promise<MemoryRecord> {
+    const { key, wrapped } = await this.dataKey();
+    const sealed = sealEnvelope(JSON.stringify({ value: record.value, metadata: record.metadata }), key, wrapped);
+
+    const stored = await this.storage.saveRecord({ ...record, value: sealed, metadata: undefined });
+    return await this.openRecord(stored);
+  }
+
+  async getRecord(recordId: string): Promise<MemoryRecord | null> {
+    const record = await this.storage.getRecord(recordId);
+    return record ? await this.openRecord(record) : null;
+  }
+
+  async getRecords(options?: MemoryRecordQueryOptions): Promise<MemoryRecord[]> {
+    const records = await this.storage.getRecords(options);
+    return await Promise.all(records.map(record => this.openRecord(record)));
+  }
+
+  async deleteRecord(recordId: string): Promise<void> {
+    await this.storage.deleteRecord(recordId);
+  }
+
+  async getStats(): Promise<MemoryStats> {
+    return await this.storage.getStats();
+  }
+
+  async clear(): Promise<void> {
+    await this.storage.clear();
+    this.dataKeys.clear();
+  }
+
+  isReady(): boolean {
+    return this.storage.isReady();
+  }
+
+  async close(): Promise<void> {
+    await this.storage.close?.();
+  }
+
+  /**
+   * Get the wrapped storage
+   */
+  getInnerStorage(): IMemoryStorage {
+    return this.storage;
+  }
+
+  /**
+   * Rewrite everything under fresh data keys wrapped by the provider's current
+   * master key: after rotating master keys, or to encrypt data stored before
+   * encryption was enabled
+   */
+  async reencrypt(): Promise<ReencryptionReport> {
+    const report: ReencryptionReport = { sessions: 0, messages: 0, records: 0 };
+
+    for (const session of await this.getSessions()) {
+      const { messages } = await this.getMessages({ sessionId: session.id });
+      const dataKey = await this.newDataKey();
+      this.dataKeys.set(session.id, Promise.resolve(dataKey));
+
+      await this.storage.updateSession(session.id, this.sealSession(session.title, session.metadata, dataKey));
+      await this.saveMessages(messages);
+      report.sessions++;
+      report.messages += messages.length;
+    }
+
+    const records = await this.getRecords();
+    this.dataKeys.set('', this.newDataKey());
+    for (const record of records) {
+      await this.saveRecord(record);
+      report.records++;
+    }
+
+    return report;
+  }
+
+  private async sealMessage(message: ConversationMessage): Promise<ConversationMessage> {
+    const { key, wrapped } = await this.dataKey(message.sessionId);
+    const fields = {
+      content: message.content,
+      parts: message.parts,
+      toolCalls: message.toolCalls,
+      metadata: message.metadata,
+      embedding: message.embedding
+    };
+
+    return {
+      ...message,
+      content: sealEnvelope(JSON.stringify(fields), key, wrapped),
+      parts: undefined,
+      toolCalls: undefined,
+      metadata: undefined,
+      embedding: undefined
+    };
+  }
+
+  private async openMessage(message: ConversationMessage): Promise<ConversationMessage> {
+    if (!isEnvelope(message.content)) return message;
+
+    const fields = JSON.parse(await this.open(message.content));
+    return {
+      ...message,
+      content: fields.content,
+      parts: fields.parts,
+      toolCalls: fields.toolCalls,
+      metadata: fields.metadata,
+      embedding: fields.embedding
+    };
+  }
+
+  private sealSession(
+    title: string | undefined,
+    metadata: Record<string, any> | undefined,
+    { key, wrapped }: DataKey
+  ): Partial<ConversationSession> {
+    return {
+      title: undefined,
+      metadata: { [SEALED_FIELD]: sealEnvelope(JSON.stringify({ title, metadata }), key, wrapped) }
+    };
+  }
+
+  private async openSession(session: ConversationSession): Promise<ConversationSession> {
+    const sealed = session.metadata?.[SEALED_FIELD];
+    if (!isEnvelope(sealed)) return session;
+
+    const fields = JSON.parse(await this.open(sealed));
+    return { ...session, title: fields.title, metadata: fields.metadata };
+  }
+
+  private async openRecord(record: MemoryRecord): Promise<MemoryRecord> {
+    if (!isEnvelope(record.value)) return record;
+
+    const fields = JSON.parse(await this.open(record.value));
+    return { ...record, value: fields.value, metadata: fields.metadata };
+  }
+
+  private async open(value: string): Promise<string> {
+    const envelope = parseEnvelope(value);
+    return openEnvelope(envelope, await this.unwrap(envelope));
+  }
+
+  private unwrap(wrapped: WrappedKey): Promise<Buffer> {
+    const cacheKey = `${wrapped.keyId}:${wrapped.wrappedKey}`;
+    let key = this.unwrappedKeys.get(cacheKey);
+    if (!key) {
+      key = this.keyProvider.unwrapKey({ keyId: wrapped.keyId, wrappedKey: wrapped.wrappedKey });
+      this.unwrappedKeys.set(cacheKey, key);
+      key.catch(() => this.unwrappedKeys.delete(cacheKey));
+    }
+    return key;
+  }
+
+  /**
+   * Data key of a session, or the shared record key when no session is given
+   */
+  private dataKey(sessionId?: string): Promise<DataKey> {
+    const id = sessionId ?? '';
+    let dataKey = this.dataKeys.get(id);
+    if (!dataKey) {
+      dataKey = sessionId ? this.loadSessionKey(sessionId) : this.newDataKey();
+      this.dataKeys.set(id, dataKey);
+      dataKey.catch(() => this.dataKeys.delete(id));
+    }
+    return dataKey;
+  }
+
+  /**
+   * Reuse the key the session's sealed fields were written with; otherwise start
+   * a new key and seal the session with it, so later writers pick it up
+   */
+  private async loadSessionKey(sessionId: string): Promise<DataKey> {
+    const session = await this.storage.getSession(sessionId);
+    const sealed = session?.metadata?.[SEALED_FIELD];
+    if (isEnvelope(sealed)) {
+      const { keyId, wrappedKey } = parseEnvelope(sealed);
+      return { key: await this.unwrap({ keyId, wrappedKey }), wrapped: { keyId, wrappedKey } };
+    }
+
+    const dataKey = await this.newDataKey();
+    await this.storage.updateSession(sessionId, this.sealSession(session?.title, session?.metadata, dataKey));
+    return dataKey;
+  }
+
+  private async newDataKey(): Promise<DataKey> {
+    const key = generateDataKey();
+    return { key, wrapped: await this.keyProvider.wrapKey(key) };
+  }
+}
@@ -0,0 +1,52 @@
+import { KMSClient, EncryptCommand, DecryptCommand } from '@aws-sdk/client-kms';
+import { IKeyProvider, WrappedKey } from '../interfaces/KeyProviderInterface';
+
+export interface KmsKeyProviderConfig {
+  /** KMS key id, ARN or alias used to wrap new data keys */
+  keyId: string;
+  region?: string;
+  /** Existing client to use instead of creating one */
+  client?: KMSClient;
+}
+
+/**
+ * Key provider backed by AWS KMS: data keys are wrapped and unwrapped by KMS,
+ * so master keys never leave it. Rotate with KMS automatic key rotation or by
+ * pointing `keyId` at a new key; data wrapped by the old key stays readable.
+ */
+export class KmsKeyProvider implements IKeyProvider {
+  private config: KmsKeyProviderConfig;
+  private client: KMSClient;
+
+  constructor(config: KmsKeyProviderConfig) {
+    this.config = config;
+    this.client = config.client || new KMSClient({ region: config.region });
+  }
+
+  async wrapKey(dataKey: Buffer): Promise<WrappedKey> {
+    const response = await this.client.send(new EncryptCommand({
+      KeyId: this.config.keyId,
+      Plaintext: dataKey
+    }));
+    if (!response.CiphertextBlob) {
+      throw new Error('KMS returned no ciphertext');
+    }
+
+    return {
+      keyId: response.KeyId || this.config.keyId,
+      wrappedKey: Buffer.from(response.CiphertextBlob).toString('base64')
+    };
+  }
+
+  async unwrapKey(wrapped: WrappedKey): Promise<Buffer> {
+    const response = await this.client.send(new DecryptCommand({
+      KeyId: wrapped.keyId,
+      CiphertextBlob: Buffer.from(wrapped.wrappedKey, 'base64')
+    }));
+    if (!response.Plaintext) {
+      throw new Error('KMS returned no plaintext');
+    }
+
+    return Buffer.from(response.Plaintext);
+  }
+}
@@ -0,0 +1,104 @@
+import * as fs from 'fs-extra';
+import * as crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import { IKeyProvider, WrappedKey } from '../interfaces/KeyProviderInterface';
+import { decrypt, encrypt } from './envelope';
+import { writeFileAtomic } from '../utils/files';
+
+/**
+ * Master keys by id (base64-encoded, 32 bytes each) and the one used for new data keys
+ */
+export interface Keyring {
+  currentKeyId: string;
+  keys: Record<string, string>;
+}
+
+/**
+ * Key provider holding the master keys in process, loaded from a keyring
+ * file or an environment variable. Data keys are wrapped with AES-256-GCM.
+ */
+export class LocalKeyProvider implements IKeyProvider {
+  private keys = new Map<string, Buffer>();
+  private currentKeyId: string;
+
+  constructor(keyring: Keyring) {
+    for (const [keyId, key] of Object.entries(keyring.keys)) {
+      const bytes = Buffer.from(key, 'base64');
+      if (bytes.length !== 32) {
+        throw new Error(`Master key ${keyId} must be 32 bytes, base64-encoded`);
+      }
+      this.keys.set(keyId, bytes);
+    }
+
+    if (!this.keys.has(keyring.currentKeyId)) {
+      throw new Error(`Current master key ${keyring.currentKeyId} is not in the keyring`);
+    }
+    this.currentKeyId = keyring.currentKeyId;
+  }
+
+  /**
+   * Load a keyring file (see `Keyring`)
+   */
+  static async fromFile(filePath: string): Promise<LocalKeyProvider> {
+    return new LocalKeyProvider(await fs.readJson(filePath));
+  }
+
+  /**
+   * Load master keys from an environment variable holding either one base64 key
+   * or comma-separated `keyId:base64Key` entries, the first being current
+   */
+  static fromEnv(variable: string = 'MEMORY_MASTER_KEY'): LocalKeyProvider {
+    const value = process.env[variable];
+    if (!value) {
+      throw new Error(`${variable} environment variable is not set`);
+    }
+
+    const entries = value.split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+      const separator = entry.indexOf(':');
+      return separator < 0 ? ['default', entry] : [entry.slice(0, separator), entry.slice(separator + 1)];
+    });
+    return new LocalKeyProvider({ currentKeyId: entries[0][0], keys: Object.fromEntries(entries) });
+  }
+
+  /**
+   * Create a keyring with a single random master key
+   */
+  static generateKeyring(keyId: string = uuidv4()): Keyring {
+    return { currentKeyId: keyId, keys: { [keyId]: crypto.randomBytes(32).toString('base64') } };
+  }
+
+  /**
+   * Add a random master key to a keyring file (created if missing) and make it current.
+   * Older keys stay in the file so existing data can still be decrypted.
+   * Returns the id of the new key.
+   */
+  static async rotateKeyFile(filePath: string, keyId: string = uuidv4()): Promise<string> {
+    const keyring: Keyring = await fs.pathExists(filePath)
+      ? await fs.readJson(filePath)
+      : { currentKeyId: keyId, keys: {} };
+    if (keyring.keys[keyId]) {
+      throw new Error(`Master key ${keyId} already exists`);
+    }
+
+    keyring.keys[keyId] = crypto.randomBytes(32).toString('base64');
+    keyring.currentKeyId = keyId;
+    await writeFileAtomic(filePath, JSON.stringify(keyring, null, 2), 'utf8', 0o600);
+    return keyId;
+  }
+
+  async wrapKey(dataKey: Buffer): Promise<WrappedKey> {
+    const sealed = encrypt(dataKey, this.keys.get(this.currentKeyId)!);
+    return {
+      keyId: this.currentKeyId,
+      wrappedKey: Buffer.from(JSON.stringify(sealed), 'utf8').toString('base64')
+    };
+  }
+
+  async unwrapKey(wrapped: WrappedKey): Promise<Buffer> {
+    const key = this.keys.get(wrapped.keyId);
+    if (!key) {
+      throw new Error(`Unknown master key: ${wrapped.keyId}`);
+    }
+    return decrypt(JSON.parse(Buffer.from(wrapped.wrappedKey, 'base64').toString('utf8')), key);
+  }
+}
@@ -0,0 +1,66 @@
+import * as crypto from 'crypto';
+import { WrappedKey } from '../interfaces/KeyProviderInterface';
+
+/** Marks an encrypted value; anything without it is read as plaintext */
+export const ENVELOPE_PREFIX = 'enc:v1:';
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_BYTES = 12;
+
+/**
+ * Ciphertext together with the wrapped data key needed to decrypt it
+ */
+export interface Envelope extends WrappedKey {
+  iv: string;
+  tag: string;
+  ciphertext: string;
+}
+
+export function generateDataKey(): Buffer {
+  return crypto.randomBytes(32);
+}
+
+/**
+ * AES-256-GCM encrypt with a data key; returns base64 iv, tag and ciphertext
+ */
+export function encrypt(plaintext: Buffer, key: Buffer): { iv: string; tag: string; ciphertext: string } {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+
+  return {
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    ciphertext: ciphertext.toString('base64')
+  };
+}
+
+export function decrypt(sealed: { iv: string; tag: string; ciphertext: string }, key: Buffer): Buffer {
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(sealed.iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(sealed.tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(sealed.ciphertext, 'base64')), decipher.final()]);
+}
+
+/**
+ * Encrypt a string into a self-contained envelope string
+ */
+export function sealEnvelope(plaintext: string, dataKey: Buffer, wrapped: WrappedKey): string {
+  const envelope: Envelope = { ...wrapped, ...encrypt(Buffer.from(plaintext, 'utf8'), dataKey) };
+  return ENVELOPE_PREFIX + Buffer.from(JSON.stringify(envelope), 'utf8').toString('base64url');
+}
+
+export function isEnvelope(value: unknown): value is string {
+  return typeof value === 'string' && value.startsWith(ENVELOPE_PREFIX);
+}
+
+export function parseEnvelope(value: string): Envelope {
+  try {
+    return JSON.parse(Buffer.from(value.slice(ENVELOPE_PREFIX.length), 'base64url').toString('utf8'));
+  } catch {
+    throw new Error('Malformed encryption envelope');
+  }
+}
+
+export function openEnvelope(envelope: Envelope, dataKey: Buffer): string {
+  return decrypt(envelope, dataKey).toString('utf8');
+}
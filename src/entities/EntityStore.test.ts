@@ -0,0 +1,70 @@
+import { InMemoryStorage } from '../storage/InMemoryStorage';
+import { EntityStore } from './EntityStore';
+import { RuleBasedEntityExtractor } from './RuleBasedEntityExtractor';
+
+const scope = { tenant: 'acme', project: 'idelite' };
+
+async function createStore(): Promise<{ storage: InMemoryStorage; entities: EntityStore }> {
+  const storage = new InMemoryStorage();
+  await storage.initialize();
+  return { storage, entities: new EntityStore(storage, new RuleBasedEntityExtractor()) };
+}
+
+describe('EntityStore', () => {
+  it('merges what is learned about an entity across messages', async () => {
+    const { entities } = await createStore();
+
+    await entities.upsertEntity(scope, { name: 'billing-service', type: 'unknown', attributes: { lang: 'go' } }, 'm1');
+    await entities.upsertEntity(scope, {
+      name: 'Billing-Service',
+      type: 'service',
+      aliases: ['billing'],
+      description: 'Issues invoices',
+      attributes: { owner: 'alice' }
+    }, 'm2');
+
+    expect(await entities.getEntity(scope, 'billing')).toEqual({
+      name: 'billing-service',
+      type: 'service',
+      aliases: ['billing'],
+      description: 'Issues invoices',
+      attributes: { lang: 'go', owner: 'alice' },
+      sourceMessageIds: ['m1', 'm2']
+    });
+    expect(await entities.listEntities(scope, { type: 'service' })).toHaveLength(1);
+    expect(await entities.listEntities({ tenant: 'other' })).toEqual([]);
+  });
+
+  it('ingests only the messages of a session it has not seen yet', async () => {
+    const { storage, entities } = await createStore();
+    await storage.updateSession('s1', { scope });
+    const save = (id: string, content: string, minute: number) => storage.saveMessage({
+      id,
+      sessionId: 's1',
+      role: 'user',
+      content,
+      timestamp: new Date(Date.UTC(2024, 0, 1, 0, minute))
+    });
+
+    await save('m1', 'PROJ-12 blocks PROJ-7', 0);
+    expect(await entities.ingestSession('s1')).toBe(1);
+    await save('m2', 'PROJ-12 blocks PROJ-7 still', 1);
+    expect(await entities.ingestSession('s1')).toBe(1);
+    expect(await entities.ingestSession('s1')).toBe(0);
+
+    expect(await entities.describe(scope, 'proj-12')).toEqual({
+      entity: { name: 'PROJ-12', type: 'jira_issue', aliases: [], attributes: undefined, description: undefined, sourceMessageIds: ['m1', 'm2'] },
+      relations: [{ subject: 'PROJ-12', predicate: 'blocks', object: 'PROJ-7', sourceMessageIds: ['m1', 'm2'] }]
+    });
+    expect(await entities.getRelations(scope, { object: 'proj-7' })).toHaveLength(1);
+  });
+
+  it('finds entities mentioned by name or alias as whole words', async () => {
+    const { entities } = await createStore();
+    await entities.upsertEntity(scope, { name: 'ledger', aliases: ['the books'] });
+    await entities.upsertEntity(scope, { name: 'api' });
+
+    const mentioned = await entities.findMentioned(scope, 'Is the Books service behind the ledgers rapid?');
+    expect(mentioned.map(entity => entity.name)).toEqual(['ledger']);
+  });
+});
@@ -0,0 +1,258 @@
+import { v4 as uuidv4 } from 'uuid';
+import { IEntityExtractor } from '../interfaces/EntityExtractorInterface';
+import { IMemoryStorage } from '../interfaces/MemoryInterface';
+import {
+  ConversationMessage,
+  Entity,
+  EntityExtractionResult,
+  EntityKnowledge,
+  EntityRelation,
+  MemoryRecord,
+  MemoryScope
+} from '../types';
+import { messagesAfter } from '../utils/history';
+
+export const ENTITY_RECORD_KIND = 'entity';
+export const RELATION_RECORD_KIND = 'relation';
+export const ENTITY_CURSOR_RECORD_KIND = 'entity_cursor';
+
+function normalize(name: string): string {
+  return name.trim().toLowerCase();
+}
+
+function union(a: string[] = [], b: string[] = []): string[] {
+  return [...new Set([...a, ...b])];
+}
+
+/**
+ * Entity and relation memory persisted as typed records.
+ * Knowledge is kept per scope (e.g. one project), so it is shared by all of
+ * the scope's sessions.
+ */
+export class EntityStore {
+  private storage: IMemoryStorage;
+  private extractor?: IEntityExtractor;
+
+  constructor(storage: IMemoryStorage, extractor?: IEntityExtractor) {
+    this.storage = storage;
+    this.extractor = extractor;
+  }
+
+  /**
+   * Extract entities and relations from a message and merge them into the scope
+   */
+  async ingestMessage(scope: MemoryScope, message: ConversationMessage): Promise<EntityExtractionResult> {
+    if (!this.extractor) {
+      throw new Error('Entity extraction requires an extractor');
+    }
+
+    const result = await this.extractor.extract(message);
+    for (const entity of result.entities) {
+      await this.upsertEntity(scope, entity, message.id);
+    }
+    for (const relation of result.relations) {
+      await this.upsertRelation(scope, relation, message.id);
+    }
+
+    return result;
+  }
+
+  /**
+   * Ingest the messages of a session that have not been ingested yet.
+   * Returns the number of messages processed.
+   */
+  async ingestSession(sessionId: string, scope?: MemoryScope): Promise<number> {
+    if (!scope) {
+      // Default to the scope the session belongs to
+      scope = (await this.storage.getSession(sessionId))?.scope || {};
+    }
+
+    const cursor = await this.findRecord(scope, ENTITY_CURSOR_RECORD_KIND, sessionId);
+    const { messages } = await this.storage.getMessages({ sessionId });
+    const pending = messagesAfter(messages, cursor?.value);
+
+    for (const message of pending) {
+      await this.ingestMessage(scope, message);
+    }
+
+    if (pending.length > 0) {
+      const last = pending[pending.length - 1];
+      await this.saveRecord(scope, ENTITY_CURSOR_RECORD_KIND, sessionId, {
+        lastMessageId: last.id,
+        lastTimestamp: last.timestamp.toISOString()
+      }, cursor);
+    }
+
+    return pending.length;
+  }
+
+  /**
+   * Create or merge an entity; aliases, attributes and provenance are accumulated
+   */
+  async upsertEntity(
+    scope: MemoryScope,
+    entity: Omit<Entity, 'sourceMessageIds'> & { sourceMessageIds?: string[] },
+    sourceMessageId?: string
+  ): Promise<Entity> {
+    const existing = await this.findRecord(scope, ENTITY_RECORD_KIND, normalize(entity.name));
+    const previous: Entity | undefined = existing?.value;
+
+    const merged: Entity = {
+      name: previous?.name || entity.name.trim(),
+      type: entity.type && entity.type !== 'unknown' ? entity.type : previous?.type || entity.type,
+      aliases: union(previous?.aliases, entity.aliases).filter(alias => normalize(alias) !== normalize(entity.name)),
+      description: entity.description || previous?.description,
+      attributes: previous?.attributes || entity.attributes
+        ? { ...previous?.attributes, ...entity.attributes }
+        : undefined,
+      sourceMessageIds: union(union(previous?.sourceMessageIds, entity.sourceMessageIds), sourceMessageId ? [sourceMessageId] : [])
+    };
+
+    await this.saveRecord(scope, ENTITY_RECORD_KIND, normalize(merged.name), merged, existing, {
+      tags: merged.type ? [merged.type] : undefined,
+      sourceMessageId
+    });
+
+    return merged;
+  }
+
+  /**
+   * Create a relation or add provenance to an existing one
+   */
+  async upsertRelation(
+    scope: MemoryScope,
+    relation: Omit<EntityRelation, 'sourceMessageIds'> & { sourceMessageIds?: string[] },
+    sourceMessageId?: string
+  ): Promise<EntityRelation> {
+    const key = [relation.subject, relation.predicate, relation.object].map(normalize).join('|');
+    const existing = await this.findRecord(scope, RELATION_RECORD_KIND, key);
+    const previous: EntityRelation | undefined = existing?.value;
+
+    const merged: EntityRelation = {
+      subject: previous?.subject || relation.subject,
+      predicate: previous?.predicate || relation.predicate,
+      object: previous?.object || relation.object,
+      sourceMessageIds: union(union(previous?.sourceMessageIds, relation.sourceMessageIds), sourceMessageId ? [sourceMessageId] : [])
+    };
+
+    await this.saveRecord(scope, RELATION_RECORD_KIND, key, merged, existing, { sourceMessageId });
+    return merged;
+  }
+
+  /**
+   * Get an entity by name or alias
+   */
+  async getEntity(scope: MemoryScope, name: string): Promise<Entity | null> {
+    const direct = await this.findRecord(scope, ENTITY_RECORD_KIND, normalize(name));
+    if (direct) return direct.value;
+
+    const target = normalize(name);
+    const entities = await this.listEntities(scope);
+    return entities.find(entity => (entity.aliases || []).some(alias => normalize(alias) === target)) || null;
+  }
+
+  /**
+   * List the entities of a scope, optionally of one type
+   */
+  async listEntities(scope: MemoryScope, options: { type?: string } = {}): Promise<Entity[]> {
+    const records = await this.storage.getRecords({
+      kind: ENTITY_RECORD_KIND,
+      scope,
+      tags: options.type ? [options.type] : undefined
+    });
+    return records.map(record => record.value);
+  }
+
+  /**
+   * Get the relations of a scope, optionally filtered by subject, predicate or object
+   */
+  async getRelations(
+    scope: MemoryScope,
+    filter: { subject?: string; predicate?: string; object?: string } = {}
+  ): Promise<EntityRelation[]> {
+    const records = await this.storage.getRecords({ kind: RELATION_RECORD_KIND, scope });
+    const relations: EntityRelation[] = records.map(record => record.value);
+
+    return relations.filter(relation =>
+      (!filter.subject || normalize(relation.subject) === normalize(filter.subject)) &&
+      (!filter.predicate || normalize(relation.predicate) === normalize(filter.predicate)) &&
+      (!filter.object || normalize(relation.object) === normalize(filter.object))
+    );
+  }
+
+  /**
+   * Everything known about an entity: its details and the relations it takes part in
+   */
+  async describe(scope: MemoryScope, name: string): Promise<EntityKnowledge | null> {
+    const entity = await this.getEntity(scope, name);
+    if (!entity) return null;
+
+    const names = new Set([entity.name, ...(entity.aliases || [])].map(normalize));
+    const relations = (await this.getRelations(scope)).filter(relation =>
+      names.has(normalize(relation.subject)) || names.has(normalize(relation.object))
+    );
+
+    return { entity, relations };
+  }
+
+  /**
+   * Find the entities whose name or an alias is mentioned in the text
+   */
+  async findMentioned(scope: MemoryScope, text: string): Promise<Entity[]> {
+    const haystack = text.toLowerCase();
+    const entities = await this.listEntities(scope);
+
+    return entities.filter(entity =>
+      [entity.name, ...(entity.aliases || [])].some(name => mentions(haystack, normalize(name)))
+    );
+  }
+
+  private async findRecord(scope: MemoryScope, kind: string, key: string): Promise<MemoryRecord | undefined> {
+    const records = await this.storage.getRecords({ kind, key, scope });
+    return records.find(record => !record.sessionId);
+  }
+
+  private async saveRecord(
+    scope: MemoryScope,
+    kind: string,
+    key: string,
+    value: any,
+    existing?: MemoryRecord,
+    extra: Partial<MemoryRecord> = {}
+  ): Promise<MemoryRecord> {
+    const now = new Date();
+    return await this.storage.saveRecord({
+      ...extra,
+      id: existing?.id || uuidv4(),
+      kind,
+      key,
+      value,
+      scope,
+      createdAt: existing?.createdAt || now,
+      updatedAt: now
+    });
+  }
+}
+
+/**
+ * Render what is known about an entity as a short plain-text summary
+ */
+export function formatEntityKnowledge({ entity, relations }: EntityKnowledge): string {
+  const header = `${entity.name}${entity.type ? ` (${entity.type})` : ''}` +
+    (entity.description ? `: ${entity.description}` : '');
+  const facts = relations.map(r => `- ${r.subject} ${r.predicate} ${r.object}`);
+  return [header, ...facts].join('\n');
+}
+
+function mentions(haystack: string, name: string): boolean {
+  let index = haystack.indexOf(name);
+  while (index >= 0) {
+    const before = index === 0 ? '' : haystack[index - 1];
+    const after = haystack[index + name.length] || '';
+    if (!/[\p{L}\p{N}_]/u.test(before) && !/[\p{L}\p{N}_]/u.test(after)) {
+      return true;
+    }
+    index = haystack.indexOf(name, index + 1);
+  }
+  return false;
+}
@@ -0,0 +1,68 @@
+import { BaseLanguageModelInterface } from '@langchain/core/language_models/base';
+import { IEntityExtractor } from '../interfaces/EntityExtractorInterface';
+import { ConversationMessage, EntityExtractionResult } from '../types';
+
+export const DEFAULT_ENTITY_EXTRACTION_PROMPT = `Extract the named entities (people, components, services, Jira issues, products) and the relations between them from the message below.
+
+Respond with JSON only, in this shape:
+{"entities": [{"name": "...", "type": "...", "description": "..."}], "relations": [{"subject": "...", "predicate": "...", "object": "..."}]}
+
+Message ({role}):
+{content}
+
+JSON:`;
+
+/**
+ * Entity extractor backed by any LangChain LLM or chat model
+ */
+export class LLMEntityExtractor implements IEntityExtractor {
+  private llm: BaseLanguageModelInterface;
+  private prompt: string;
+
+  constructor(llm: BaseLanguageModelInterface, prompt: string = DEFAULT_ENTITY_EXTRACTION_PROMPT) {
+    this.llm = llm;
+    this.prompt = prompt;
+  }
+
+  async extract(message: ConversationMessage): Promise<EntityExtractionResult> {
+    const prompt = this.prompt
+      .replace('{role}', message.role)
+      .replace('{content}', message.content);
+
+    const output = await this.llm.invoke(prompt);
+    const text = typeof output === 'string' ? output : output?.content;
+
+    return typeof text === 'string' ? parseExtraction(text) : { entities: [], relations: [] };
+  }
+}
+
+/**
+ * Parse the first JSON object in a model response, ignoring malformed entries
+ */
+function parseExtraction(text: string): EntityExtractionResult {
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start < 0 || end <= start) {
+    return { entities: [], relations: [] };
+  }
+
+  try {
+    const parsed = JSON.parse(text.slice(start, end + 1));
+    const isText = (value: unknown): value is string => typeof value === 'string' && value.trim().length > 0;
+
+    return {
+      entities: (Array.isArray(parsed.entities) ? parsed.entities : [])
+        .filter((e: any) => isText(e?.name))
+        .map((e: any) => ({
+          name: e.name.trim(),
+          type: isText(e.type) ? e.type : undefined,
+          description: isText(e.description) ? e.description : undefined
+        })),
+      relations: (Array.isArray(parsed.relations) ? parsed.relations : [])
+        .filter((r: any) => isText(r?.subject) && isText(r?.predicate) && isText(r?.object))
+        .map((r: any) => ({ subject: r.subject.trim(), predicate: r.predicate.trim(), object: r.object.trim() }))
+    };
+  } catch {
+    return { entities: [], relations: [] };
+  }
+}
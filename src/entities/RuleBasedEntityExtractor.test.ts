@@ -0,0 +1,46 @@
+import { ConversationMessage } from '../types';
+import { RuleBasedEntityExtractor } from './RuleBasedEntityExtractor';
+
+function message(content: string): ConversationMessage {
+  return { id: 'm1', sessionId: 's1', role: 'user', content, timestamp: new Date(0) };
+}
+
+describe('RuleBasedEntityExtractor', () => {
+  it('recognises Jira keys, mentions and services with their relations', async () => {
+    const extractor = new RuleBasedEntityExtractor();
+    const result = await extractor.extract(message('PROJ-12 blocks PROJ-7. @alice owns billing-service, and billing-service depends on ledger'));
+
+    expect(result.entities).toEqual([
+      { name: 'PROJ-12', type: 'jira_issue' },
+      { name: 'PROJ-7', type: 'jira_issue' },
+      { name: 'alice', type: 'person' },
+      { name: 'billing-service', type: 'service' },
+      { name: 'ledger', type: 'unknown' }
+    ]);
+    expect(result.relations).toEqual([
+      { subject: 'PROJ-12', predicate: 'blocks', object: 'PROJ-7' },
+      { subject: 'alice', predicate: 'owns', object: 'billing-service' },
+      { subject: 'billing-service', predicate: 'depends on', object: 'ledger' }
+    ]);
+  });
+
+  it('uses custom rules, with a fixed predicate when the pattern has none', async () => {
+    const extractor = new RuleBasedEntityExtractor({
+      entityRules: [{ type: 'team', pattern: /\bteam ([a-z]+)/gi }],
+      relationRules: [{ pattern: /(?<subject>[a-z]+) joined team (?<object>[a-z]+)/g, predicate: 'member of' }]
+    });
+
+    // Names are deduplicated case-insensitively, keeping the first spelling
+    expect((await extractor.extract(message('team Payments and team payments'))).entities)
+      .toEqual([{ name: 'Payments', type: 'team' }]);
+    expect(await extractor.extract(message('bob joined team payments'))).toEqual({
+      entities: [{ name: 'payments', type: 'team' }, { name: 'bob', type: 'unknown' }],
+      relations: [{ subject: 'bob', predicate: 'member of', object: 'payments' }]
+    });
+  });
+
+  it('rejects patterns without the global flag', () => {
+    expect(() => new RuleBasedEntityExtractor({ entityRules: [{ type: 'x', pattern: /x/ }] }))
+      .toThrow('Extraction pattern must use the global flag: /x/');
+  });
+});
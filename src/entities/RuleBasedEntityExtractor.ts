@@ -0,0 +1,85 @@
+import { IEntityExtractor } from '../interfaces/EntityExtractorInterface';
+import { ConversationMessage, EntityExtractionResult } from '../types';
+
+export interface EntityRule {
+  /** Type assigned to matched entities */
+  type: string;
+  /** Global pattern; the first capture group (or the whole match) is the entity name */
+  pattern: RegExp;
+}
+
+export interface RelationRule {
+  /** Global pattern with `subject` and `object` named groups (and optionally `predicate`) */
+  pattern: RegExp;
+  /** Predicate to use when the pattern has no `predicate` group */
+  predicate?: string;
+}
+
+export const DEFAULT_ENTITY_RULES: EntityRule[] = [
+  { type: 'jira_issue', pattern: /\b([A-Z][A-Z0-9]+-\d+)\b/g },
+  { type: 'person', pattern: /(?:^|\s)@([A-Za-z][\w.-]*[\w])/g },
+  { type: 'service', pattern: /\b([a-z][a-z0-9]*(?:-[a-z0-9]+)*-(?:service|api|svc))\b/g }
+];
+
+export const DEFAULT_RELATION_RULES: RelationRule[] = [
+  {
+    pattern: /\b(?<subject>[A-Z][A-Z0-9]+-\d+) (?<predicate>blocks|is blocked by|relates to|duplicates|is part of) (?<object>[A-Z][A-Z0-9]+-\d+)\b/g
+  },
+  {
+    pattern: /@(?<subject>[A-Za-z][\w.-]*[\w]) (?<predicate>owns|maintains|works on|reviewed) (?<object>[A-Za-z0-9][\w-]*)/g
+  },
+  {
+    pattern: /\b(?<subject>[a-z][a-z0-9-]*-(?:service|api|svc)) (?<predicate>depends on|calls|uses) (?<object>[a-z][a-z0-9-]*)/g
+  }
+];
+
+/**
+ * Offline entity extractor driven by regular expressions.
+ * The default rules recognise Jira issue keys, @mentions and `*-service` names.
+ */
+export class RuleBasedEntityExtractor implements IEntityExtractor {
+  private entityRules: EntityRule[];
+  private relationRules: RelationRule[];
+
+  constructor(options: { entityRules?: EntityRule[]; relationRules?: RelationRule[] } = {}) {
+    this.entityRules = options.entityRules || DEFAULT_ENTITY_RULES;
+    this.relationRules = options.relationRules || DEFAULT_RELATION_RULES;
+
+    for (const rule of [...this.entityRules, ...this.relationRules]) {
+      if (!rule.pattern.global) {
+        throw new Error(`Extraction pattern must use the global flag: ${rule.pattern}`);
+      }
+    }
+  }
+
+  async extract(message: ConversationMessage): Promise<EntityExtractionResult> {
+    const entities = new Map<string, { name: string; type: string }>();
+    const relations: EntityExtractionResult['relations'] = [];
+
+    for (const rule of this.entityRules) {
+      for (const match of message.content.matchAll(rule.pattern)) {
+        const name = (match[1] ?? match[0]).trim();
+        if (name && !entities.has(name.toLowerCase())) {
+          entities.set(name.toLowerCase(), { name, type: rule.type });
+        }
+      }
+    }
+
+    for (const rule of this.relationRules) {
+      for (const match of message.content.matchAll(rule.pattern)) {
+        const { subject, object } = match.groups || {};
+        const predicate = match.groups?.predicate || rule.predicate;
+        if (subject && object && predicate) {
+          relations.push({ subject, predicate: predicate.toLowerCase(), object });
+          for (const name of [subject, object]) {
+            if (!entities.has(name.toLowerCase())) {
+              entities.set(name.toLowerCase(), { name, type: 'unknown' });
+            }
+          }
+        }
+      }
+    }
+
+    return { entities: [...entities.values()], relations };
+  }
+}
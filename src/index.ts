@@ -4,22 +4,84 @@ export { MemoryManager } from './MemoryManager';
 // Storage implementations
 export { LocalStorage } from './storage/LocalStorage';
 export { S3Storage } from './storage/S3Storage';
-export { DynamoDBStorage } from './storage/DynamoDBStorage';
+export { DynamoDBStorage, createDynamoDBTable, migrateLegacyDynamoDBTable } from './storage/DynamoDBStorage';
+export { SqliteStorage } from './storage/SqliteStorage';
+export { PostgresStorage } from './storage/PostgresStorage';
+export { RedisStorage } from './storage/RedisStorage';
+export { InMemoryStorage } from './storage/InMemoryStorage';
+
+// LangChain integration
+export { LangChainMemory } from './langchain/LangChainMemory';
+export type { LangChainMemoryInput } from './langchain/LangChainMemory';
+export { PersistentChatMessageHistory } from './langchain/PersistentChatMessageHistory';
+export type { PersistentChatMessageHistoryInput } from './langchain/PersistentChatMessageHistory';
+export { RetrievalMemory } from './langchain/RetrievalMemory';
+export type { RetrievalMemoryInput } from './langchain/RetrievalMemory';
+export { EntityGraphMemory } from './langchain/EntityGraphMemory';
+export type { EntityGraphMemoryInput } from './langchain/EntityGraphMemory';
+export { toLangChainMessage, fromLangChainMessage } from './langchain/messageConversion';
 
 // Interfaces
 export { IMemoryStorage } from './interfaces/MemoryInterface';
+export { ITokenCounter } from './interfaces/TokenCounterInterface';
+export { ISummarizer } from './interfaces/SummarizerInterface';
+export { IEmbeddings } from './interfaces/EmbeddingsInterface';
+export { IKeyProvider, WrappedKey } from './interfaces/KeyProviderInterface';
+export { ITokenVault } from './interfaces/TokenVaultInterface';
+export { IEntityExtractor } from './interfaces/EntityExtractorInterface';
+export { IMemoryPlugin, DeleteTarget, Awaitable } from './interfaces/PluginInterface';
 
 // Types
 export type {
   ConversationMessage,
+  ContentPart,
+  ToolCall,
   ConversationSession,
   MemoryConfig,
   LocalStorageConfig,
   S3StorageConfig,
   DynamoDBStorageConfig,
+  SqliteStorageConfig,
+  PostgresStorageConfig,
+  RedisStorageConfig,
+  InMemoryStorageConfig,
   MemoryQueryOptions,
   MemorySearchResult,
-  MemoryStats
+  MemorySearchMatch,
+  HistoryLoadOptions,
+  SessionSummary,
+  RetrievalOptions,
+  RetrievedMessage,
+  MemoryRecord,
+  MemoryRecordInput,
+  MemoryRecordKind,
+  MemoryRecordQueryOptions,
+  Entity,
+  EntityRelation,
+  EntityKnowledge,
+  EntityExtractionResult,
+  MemoryScope,
+  ScopeMode,
+  SessionQueryOptions,
+  MemoryStats,
+  RetentionPolicy,
+  RetentionRule,
+  RetentionOptions,
+  RetentionReport,
+  EncryptionConfig,
+  RedactionConfig,
+  RedactionMode,
+  RedactionFinding,
+  RedactionReport,
+  Redactor,
+  BuiltInDetector,
+  ExportFormat,
+  ImportFormat,
+  ExportOptions,
+  ImportOptions,
+  TransferCounts,
+  MigrationProgress,
+  MigrationOptions
 } from './types';
 
 // Utility functions
@@ -28,5 +90,127 @@ export {
   createLocalMemoryManager,
   createS3MemoryManager,
   createDynamoDBMemoryManager,
-  createMemoryManagerFromEnv
-} from './utils/factory'; 
\ No newline at end of file
+  createSqliteMemoryManager,
+  createPostgresMemoryManager,
+  createRedisMemoryManager,
+  createInMemoryMemoryManager,
+  createMemoryManagerFromEnv,
+  memoryConfigFromEnv
+} from './utils/factory';
+
+// Testing
+export { runStorageConformanceSuite, STORAGE_CONFORMANCE_CASES } from './testing/storageConformance';
+export type {
+  StorageConformanceCase,
+  StorageConformanceOptions,
+  StorageConformanceReport,
+  StorageConformanceResult
+} from './testing/storageConformance';
+
+// Scopes
+export {
+  SCOPE_LEVELS,
+  scopeKey,
+  parseScopeKey,
+  ancestorScopeKeys,
+  isWithinScope,
+  matchesScope
+} from './utils/scope';
+
+// Pagination
+export {
+  encodeCursor,
+  decodeCursor,
+  sortMessages,
+  compareMessages,
+  isAfter,
+  paginateMessages,
+  paginateSources,
+  iterateMessages
+} from './utils/cursor';
+export type { CursorPosition, KeysetPosition, MessageSource } from './utils/cursor';
+
+// Encryption
+export { EncryptedStorage, SEALED_FIELD } from './encryption/EncryptedStorage';
+export type { ReencryptionReport } from './encryption/EncryptedStorage';
+export { LocalKeyProvider } from './encryption/LocalKeyProvider';
+export type { Keyring } from './encryption/LocalKeyProvider';
+export { KmsKeyProvider } from './encryption/KmsKeyProvider';
+export type { KmsKeyProviderConfig } from './encryption/KmsKeyProvider';
+
+// Redaction
+export { RedactionPipeline, REDACTION_METADATA_KEY } from './redaction/RedactionPipeline';
+export { RedactingStorage } from './redaction/RedactingStorage';
+export { redactionPlugin } from './redaction/redactionPlugin';
+export { InMemoryTokenVault, FileTokenVault } from './redaction/TokenVault';
+export { BUILT_IN_DETECTORS } from './redaction/detectors';
+
+// Plugins
+export { PluginStorage } from './plugins/PluginStorage';
+
+// Branching
+export {
+  BRANCH_METADATA_KEY,
+  BRANCH_HEAD_METADATA_KEY,
+  ROOT_PARENT_ID,
+  messageParents,
+  messageVersions,
+  messagePath,
+  branchHead,
+  branchMessages,
+  activeBranch,
+  loadActiveBranch,
+  activeBranchHead,
+  advanceBranchHead,
+  selectBranch
+} from './utils/branches';
+
+// Structured content
+export { messageContent, partsText } from './utils/content';
+
+// Retention
+export { applyRetention, retentionRule, messageExpiresAt } from './utils/retention';
+
+// Export, import and migration
+export { exportMemory, CSV_COLUMNS } from './transfer/exportMemory';
+export { importMemory } from './transfer/importMemory';
+export type { ImportInput } from './transfer/importMemory';
+export { copyStorage, migrateStorage } from './transfer/migrate';
+
+// History strategies
+export { selectHistory, selectHistoryBy } from './utils/history';
+export type { HistoryEntry } from './utils/history';
+export { CharacterTokenCounter } from './utils/tokenCounter';
+
+// Summarization
+export { RollingSummary, SUMMARY_METADATA_KEY } from './summary/RollingSummary';
+export type { RollingSummaryOptions, SummarizedHistory } from './summary/RollingSummary';
+export { LLMSummarizer, DEFAULT_SUMMARY_PROMPT } from './summary/LLMSummarizer';
+
+// Full-text search
+export { InvertedIndex } from './search/InvertedIndex';
+export type { SearchHit, IndexSearchOptions, SerializedIndex } from './search/InvertedIndex';
+export { tokenize, parseQuery } from './search/tokenizer';
+export type { Token, ParsedQuery } from './search/tokenizer';
+export { rankMessages } from './search/fullTextSearch';
+
+// Semantic retrieval
+export { SemanticRetriever, cosineSimilarity } from './retrieval/SemanticRetriever';
+export { embeddingPlugin } from './retrieval/embeddingPlugin';
+export { HashingEmbeddings } from './retrieval/HashingEmbeddings';
+
+// Entity memory
+export {
+  EntityStore,
+  formatEntityKnowledge,
+  ENTITY_RECORD_KIND,
+  RELATION_RECORD_KIND,
+  ENTITY_CURSOR_RECORD_KIND
+} from './entities/EntityStore';
+export {
+  RuleBasedEntityExtractor,
+  DEFAULT_ENTITY_RULES,
+  DEFAULT_RELATION_RULES
+} from './entities/RuleBasedEntityExtractor';
+export type { EntityRule, RelationRule } from './entities/RuleBasedEntityExtractor';
+export { LLMEntityExtractor, DEFAULT_ENTITY_EXTRACTION_PROMPT } from './entities/LLMEntityExtractor';
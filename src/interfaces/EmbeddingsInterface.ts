@@ -0,0 +1,15 @@
+/**
+ * Embedding model used for semantic retrieval. Any LangChain `Embeddings`
+ * implementation satisfies this interface.
+ */
+export interface IEmbeddings {
+  /**
+   * Embed a batch of documents
+   */
+  embedDocuments(documents: string[]): Promise<number[][]>;
+
+  /**
+   * Embed a search query
+   */
+  embedQuery(document: string): Promise<number[]>;
+}
@@ -0,0 +1,8 @@
+import { ConversationMessage, EntityExtractionResult } from '../types';
+
+export interface IEntityExtractor {
+  /**
+   * Extract entities and (subject, predicate, object) relations from a message
+   */
+  extract(message: ConversationMessage): Promise<EntityExtractionResult>;
+}
@@ -0,0 +1,26 @@
+/**
+ * A data key encrypted ("wrapped") under a master key
+ */
+export interface WrappedKey {
+  /** Id of the master key that wrapped the data key */
+  keyId: string;
+  /** Wrapped data key, base64-encoded */
+  wrappedKey: string;
+}
+
+/**
+ * Source of master keys for envelope encryption. Data keys are wrapped with
+ * the current master key and unwrapped with whichever key wrapped them, so
+ * master keys can be rotated without losing access to older data.
+ */
+export interface IKeyProvider {
+  /**
+   * Wrap a data key with the current master key
+   */
+  wrapKey(dataKey: Buffer): Promise<WrappedKey>;
+
+  /**
+   * Recover a data key wrapped by `wrapKey`
+   */
+  unwrapKey(wrapped: WrappedKey): Promise<Buffer>;
+}
@@ -3,7 +3,10 @@ import {
   ConversationSession, 
   MemoryQueryOptions, 
   MemorySearchResult, 
-  MemoryStats 
+  MemoryStats,
+  MemoryRecord,
+  MemoryRecordQueryOptions,
+  SessionQueryOptions
 } from '../types';
 
 export interface IMemoryStorage {
@@ -33,9 +36,9 @@ export interface IMemoryStorage {
   getMessage(messageId: string): Promise<ConversationMessage | null>;
 
   /**
-   * Get all sessions
+   * Get all sessions, or the sessions matching a scope, most recently updated first
    */
-  getSessions(): Promise<ConversationSession[]>;
+  getSessions(options?: SessionQueryOptions): Promise<ConversationSession[]>;
 
   /**
    * Get a specific session by ID
@@ -57,6 +60,27 @@ export interface IMemoryStorage {
    */
   deleteSession(sessionId: string): Promise<void>;
 
+  /**
+   * Save a structured record, replacing any record with the same sessionId, kind and key.
+   * Returns the stored record (which keeps the original id and createdAt on update).
+   */
+  saveRecord(record: MemoryRecord): Promise<MemoryRecord>;
+
+  /**
+   * Get a specific record by ID
+   */
+  getRecord(recordId: string): Promise<MemoryRecord | null>;
+
+  /**
+   * Get records matching the query options, most recently updated first
+   */
+  getRecords(options?: MemoryRecordQueryOptions): Promise<MemoryRecord[]>;
+
+  /**
+   * Delete a record
+   */
+  deleteRecord(recordId: string): Promise<void>;
+
   /**
    * Get storage statistics
    */
@@ -71,4 +95,9 @@ export interface IMemoryStorage {
    * Check if storage is ready
    */
   isReady(): boolean;
+
+  /**
+   * Release the connections or handles the storage holds, if any
+   */
+  close?(): Promise<void>;
 } 
\ No newline at end of file
@@ -0,0 +1,56 @@
+import { ConversationMessage, ConversationSession, MemoryQueryOptions } from '../types';
+
+export type Awaitable<T> = T | Promise<T>;
+
+/**
+ * What is about to be deleted: a message, a session with its messages,
+ * a record, or (for `clear`) everything
+ */
+export type DeleteTarget =
+  | { type: 'message'; id: string }
+  | { type: 'session'; id: string }
+  | { type: 'record'; id: string }
+  | { type: 'all' };
+
+/**
+ * Hooks around memory operations, registered with `MemoryManager.use(plugin)`.
+ * Plugins run in registration order and each hook may be async. Hooks returning
+ * `false` veto the operation, which then fails with an error naming the plugin;
+ * throwing from a hook fails it with that error.
+ */
+export interface IMemoryPlugin {
+  /** Name used in veto errors */
+  name: string;
+
+  /**
+   * Called before a message is stored; return a replacement message to transform it
+   */
+  beforeSave?(message: ConversationMessage): Awaitable<ConversationMessage | false | void>;
+
+  /**
+   * Called after a message was stored
+   */
+  afterSave?(message: ConversationMessage): Awaitable<void>;
+
+  /**
+   * Called before messages are queried; return replacement options to transform the query
+   */
+  beforeLoad?(options: MemoryQueryOptions): Awaitable<MemoryQueryOptions | false | void>;
+
+  /**
+   * Called with loaded messages; return a replacement list to transform or filter
+   * them. Messages it drops are taken off the result's `total`; pagination still
+   * follows the stored messages, so a page may come back shorter than its limit.
+   */
+  afterLoad?(messages: ConversationMessage[], options: MemoryQueryOptions): Awaitable<ConversationMessage[] | void>;
+
+  /**
+   * Called once a session has been created, explicitly or by its first message
+   */
+  onSessionCreated?(session: ConversationSession): Awaitable<void>;
+
+  /**
+   * Called before something is deleted, including deletions by retention pruning
+   */
+  onDelete?(target: DeleteTarget): Awaitable<false | void>;
+}
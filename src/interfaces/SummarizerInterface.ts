@@ -0,0 +1,9 @@
+import { ConversationMessage } from '../types';
+
+export interface ISummarizer {
+  /**
+   * Fold new messages into an existing summary and return the updated summary.
+   * The existing summary is an empty string on the first call.
+   */
+  summarize(existingSummary: string, messages: ConversationMessage[]): Promise<string>;
+}
@@ -0,0 +1,6 @@
+export interface ITokenCounter {
+  /**
+   * Count the number of tokens in a piece of text
+   */
+  countTokens(text: string): number;
+}
@@ -0,0 +1,20 @@
+/**
+ * Keeps the original values behind redaction tokens, stored apart from the
+ * conversation data so that access to it can be restricted separately
+ */
+export interface ITokenVault {
+  /**
+   * Store the value behind a token
+   */
+  put(token: string, value: string): Promise<void>;
+
+  /**
+   * Get the value behind a token, or null if unknown
+   */
+  get(token: string): Promise<string | null>;
+
+  /**
+   * Forget a token, e.g. to honour an erasure request
+   */
+  delete(token: string): Promise<void>;
+}
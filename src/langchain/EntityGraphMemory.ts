@@ -0,0 +1,60 @@
+import { BaseMemory, InputValues, MemoryVariables, OutputValues, getInputValue } from '@langchain/core/memory';
+import { EntityStore, formatEntityKnowledge } from '../entities/EntityStore';
+import { MemoryScope } from '../types';
+
+export interface EntityGraphMemoryInput {
+  entityStore: EntityStore;
+  /** Scope whose entities are injected (the global scope when omitted) */
+  scope?: MemoryScope;
+  /**
+   * Session whose new messages are ingested on each saveContext.
+   * The conversation itself must be saved by another memory (e.g. LangChainMemory in a CombinedMemory).
+   */
+  sessionId?: string;
+  memoryKey?: string;
+  inputKey?: string;
+}
+
+/**
+ * LangChain memory that injects summaries of the entities mentioned in the current input
+ */
+export class EntityGraphMemory extends BaseMemory {
+  memoryKey = 'entities';
+  inputKey?: string;
+
+  private entityStore: EntityStore;
+  private scope: MemoryScope;
+  private sessionId?: string;
+
+  constructor(fields: EntityGraphMemoryInput) {
+    super();
+    this.entityStore = fields.entityStore;
+    this.scope = fields.scope || {};
+    this.sessionId = fields.sessionId;
+    this.memoryKey = fields.memoryKey ?? this.memoryKey;
+    this.inputKey = fields.inputKey;
+  }
+
+  get memoryKeys(): string[] {
+    return [this.memoryKey];
+  }
+
+  async loadMemoryVariables(values: InputValues): Promise<MemoryVariables> {
+    const input = String(getInputValue(values, this.inputKey));
+    const mentioned = await this.entityStore.findMentioned(this.scope, input);
+
+    const summaries: string[] = [];
+    for (const entity of mentioned) {
+      const knowledge = await this.entityStore.describe(this.scope, entity.name);
+      if (knowledge) summaries.push(formatEntityKnowledge(knowledge));
+    }
+
+    return { [this.memoryKey]: summaries.join('\n\n') };
+  }
+
+  async saveContext(_inputValues: InputValues, _outputValues: OutputValues): Promise<void> {
+    if (this.sessionId) {
+      await this.entityStore.ingestSession(this.sessionId, this.scope);
+    }
+  }
+}
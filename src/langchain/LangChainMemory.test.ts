@@ -0,0 +1,25 @@
+import { MemoryManager } from '../MemoryManager';
+import { HashingEmbeddings } from '../retrieval/HashingEmbeddings';
+
+describe('LangChainMemory', () => {
+  it('saves context through the manager, so it is redacted and embedded', async () => {
+    const manager = new MemoryManager({
+      type: 'memory',
+      options: {},
+      embeddings: new HashingEmbeddings(),
+      redaction: {}
+    });
+    await manager.initialize();
+    const sessionId = manager.startSession();
+
+    const memory = manager.createLangChainMemory();
+    await memory.saveContext({ input: 'deploys go out on fridays, mail ops@example.com' }, { output: 'noted' });
+
+    const [stored] = await manager.getSessionHistory(sessionId);
+    expect(stored.content).toBe('deploys go out on fridays, mail [REDACTED:email]');
+    expect(stored.embedding).toBeDefined();
+
+    const [match] = await manager.retrieveRelevant('when do deploys go out', { k: 1 });
+    expect(match.message.id).toBe(stored.id);
+  });
+});
@@ -0,0 +1,135 @@
+import { BaseChatMemory, BaseChatMemoryInput } from 'langchain/memory';
+import { InputValues, MemoryVariables, OutputValues, getInputValue, getOutputValue } from '@langchain/core/memory';
+import { AIMessage, BaseMessage, HumanMessage, SystemMessage, getBufferString } from '@langchain/core/messages';
+import { IMemoryStorage } from '../interfaces/MemoryInterface';
+import { ISummarizer } from '../interfaces/SummarizerInterface';
+import { RollingSummary, RollingSummaryOptions } from '../summary/RollingSummary';
+import { ConversationMessage, HistoryLoadOptions } from '../types';
+import { selectHistoryBy } from '../utils/history';
+import { PersistentChatMessageHistory } from './PersistentChatMessageHistory';
+import { toHistoryEntry, toLangChainMessage } from './messageConversion';
+
+export interface LangChainMemoryInput extends BaseChatMemoryInput {
+  /**
+   * Storage to persist messages in; required unless chatHistory is given
+   */
+  storage?: IMemoryStorage;
+  /**
+   * Session to read and write; required unless chatHistory is given
+   */
+  sessionId?: string;
+  /**
+   * Save path for new messages in place of the storage's own; see PersistentChatMessageHistoryInput
+   */
+  saveMessage?: (message: ConversationMessage) => Promise<void>;
+  memoryKey?: string;
+  humanPrefix?: string;
+  aiPrefix?: string;
+  /**
+   * Window or token budget applied when loading memory variables
+   */
+  history?: HistoryLoadOptions;
+  /**
+   * Fold older messages into a persisted running summary; requires storage and sessionId
+   */
+  summarizer?: ISummarizer;
+  /**
+   * How many recent messages stay verbatim when a summarizer is set
+   */
+  summary?: RollingSummaryOptions;
+}
+
+/**
+ * LangChain chat memory that persists conversations through an IMemoryStorage
+ */
+export class LangChainMemory extends BaseChatMemory {
+  memoryKey = 'history';
+  humanPrefix = 'Human';
+  aiPrefix = 'AI';
+  history?: HistoryLoadOptions;
+
+  private rollingSummary?: RollingSummary;
+  private sessionId?: string;
+
+  constructor(fields: LangChainMemoryInput) {
+    let chatHistory = fields.chatHistory;
+    if (!chatHistory) {
+      if (!fields.storage || !fields.sessionId) {
+        throw new Error('LangChainMemory requires either chatHistory or both storage and sessionId');
+      }
+      chatHistory = new PersistentChatMessageHistory({
+        storage: fields.storage,
+        sessionId: fields.sessionId,
+        saveMessage: fields.saveMessage
+      });
+    }
+
+    super({
+      chatHistory,
+      returnMessages: fields.returnMessages,
+      inputKey: fields.inputKey,
+      outputKey: fields.outputKey
+    });
+
+    this.memoryKey = fields.memoryKey ?? this.memoryKey;
+    this.humanPrefix = fields.humanPrefix ?? this.humanPrefix;
+    this.aiPrefix = fields.aiPrefix ?? this.aiPrefix;
+    this.history = fields.history;
+
+    if (fields.summarizer) {
+      if (!fields.storage || !fields.sessionId) {
+        throw new Error('LangChainMemory requires storage and sessionId when a summarizer is set');
+      }
+      this.rollingSummary = new RollingSummary(fields.storage, fields.summarizer, fields.summary);
+      this.sessionId = fields.sessionId;
+    }
+  }
+
+  get memoryKeys(): string[] {
+    return [this.memoryKey];
+  }
+
+  async loadMemoryVariables(_values: InputValues): Promise<MemoryVariables> {
+    const allMessages = await this.loadMessages();
+    const messages = this.history ? selectHistoryBy(allMessages, this.history, toHistoryEntry) : allMessages;
+
+    if (this.returnMessages) {
+      return { [this.memoryKey]: messages };
+    }
+
+    return {
+      [this.memoryKey]: getBufferString(messages, this.humanPrefix, this.aiPrefix)
+    };
+  }
+
+  /**
+   * Load the chat history, prefixed with the running summary when summarization is enabled
+   */
+  private async loadMessages(): Promise<BaseMessage[]> {
+    if (!this.rollingSummary || !this.sessionId) {
+      return await this.chatHistory.getMessages();
+    }
+
+    const { summary, messages } = await this.rollingSummary.load(this.sessionId);
+    const recent = messages.map(toLangChainMessage);
+    return summary ? [new SystemMessage(summary), ...recent] : recent;
+  }
+
+  /**
+   * Save the input and output of a chain run as one user and one assistant message
+   */
+  async saveContext(inputValues: InputValues, outputValues: OutputValues): Promise<void> {
+    const messages = [
+      new HumanMessage(String(getInputValue(inputValues, this.inputKey))),
+      new AIMessage(String(getOutputValue(outputValues, this.outputKey)))
+    ];
+
+    if (this.chatHistory instanceof PersistentChatMessageHistory) {
+      await this.chatHistory.addMessages(messages);
+    } else {
+      for (const message of messages) {
+        await this.chatHistory.addMessage(message);
+      }
+    }
+  }
+}
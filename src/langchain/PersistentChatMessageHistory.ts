@@ -0,0 +1,91 @@
+import { BaseListChatMessageHistory } from '@langchain/core/chat_history';
+import { BaseMessage } from '@langchain/core/messages';
+import { IMemoryStorage } from '../interfaces/MemoryInterface';
+import { ConversationMessage, HistoryLoadOptions } from '../types';
+import { selectHistory } from '../utils/history';
+import { activeBranchHead, advanceBranchHead, loadActiveBranch } from '../utils/branches';
+import { fromLangChainMessage, toLangChainMessage } from './messageConversion';
+
+export interface PersistentChatMessageHistoryInput {
+  storage: IMemoryStorage;
+  sessionId: string;
+  /**
+   * Window or token budget applied when reading messages
+   */
+  history?: HistoryLoadOptions;
+  /**
+   * Save path for new messages, one at a time, in place of the storage's own
+   * (MemoryManager passes its own, so that messages are redacted and embedded)
+   */
+  saveMessage?: (message: ConversationMessage) => Promise<void>;
+}
+
+/**
+ * LangChain chat message history backed by any IMemoryStorage implementation
+ */
+export class PersistentChatMessageHistory extends BaseListChatMessageHistory {
+  lc_namespace = ['langchain-memory-utility', 'stores', 'message'];
+
+  private storage: IMemoryStorage;
+  private sessionId: string;
+  private history?: HistoryLoadOptions;
+  private saveMessage?: (message: ConversationMessage) => Promise<void>;
+  private lastTimestamp: number = 0;
+
+  constructor(fields: PersistentChatMessageHistoryInput) {
+    super(fields);
+    this.storage = fields.storage;
+    this.sessionId = fields.sessionId;
+    this.history = fields.history;
+    this.saveMessage = fields.saveMessage;
+  }
+
+  /**
+   * Get the session ID this history reads from and writes to
+   */
+  getSessionId(): string {
+    return this.sessionId;
+  }
+
+  async getMessages(): Promise<BaseMessage[]> {
+    const branch = await loadActiveBranch(this.storage, this.sessionId);
+    const messages = this.history ? selectHistory(branch, this.history) : branch;
+    return messages.map(toLangChainMessage);
+  }
+
+  async addMessage(message: BaseMessage): Promise<void> {
+    await this.addMessages([message]);
+  }
+
+  async addMessages(messages: BaseMessage[]): Promise<void> {
+    // Continue the active branch, each message following the one before it
+    let parentId = await activeBranchHead(this.storage, this.sessionId);
+    const converted = messages.map(message => {
+      const stored = { ...fromLangChainMessage(message, this.sessionId, this.nextTimestamp()), parentId };
+      parentId = stored.id;
+      return stored;
+    });
+
+    if (!this.saveMessage) {
+      await this.storage.saveMessages(converted);
+      await advanceBranchHead(this.storage, this.sessionId, converted);
+      return;
+    }
+    for (const message of converted) {
+      await this.saveMessage(message);
+    }
+  }
+
+  async clear(): Promise<void> {
+    await this.storage.deleteSession(this.sessionId);
+  }
+
+  /**
+   * Timestamps must be strictly increasing so that messages saved in the
+   * same millisecond keep their order when read back
+   */
+  private nextTimestamp(): Date {
+    this.lastTimestamp = Math.max(Date.now(), this.lastTimestamp + 1);
+    return new Date(this.lastTimestamp);
+  }
+}
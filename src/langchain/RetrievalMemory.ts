@@ -0,0 +1,64 @@
+import { BaseMemory, InputValues, MemoryVariables, OutputValues, getInputValue } from '@langchain/core/memory';
+import { SemanticRetriever } from '../retrieval/SemanticRetriever';
+import { RetrievalOptions } from '../types';
+import { toLangChainMessage } from './messageConversion';
+
+export interface RetrievalMemoryInput extends RetrievalOptions {
+  retriever: SemanticRetriever;
+  memoryKey?: string;
+  inputKey?: string;
+  returnMessages?: boolean;
+  /**
+   * Embed messages of `sessionId` that are still missing embeddings on each saveContext.
+   * Use when the conversation is written by another memory (e.g. LangChainMemory in a CombinedMemory).
+   */
+  indexOnSave?: boolean;
+}
+
+/**
+ * LangChain memory that injects the stored messages most relevant to the current input
+ */
+export class RetrievalMemory extends BaseMemory {
+  memoryKey = 'relevant_history';
+  inputKey?: string;
+  returnMessages = false;
+
+  private retriever: SemanticRetriever;
+  private retrievalOptions: RetrievalOptions;
+  private indexOnSave: boolean;
+
+  constructor(fields: RetrievalMemoryInput) {
+    super();
+    const { retriever, memoryKey, inputKey, returnMessages, indexOnSave, ...retrievalOptions } = fields;
+
+    this.retriever = retriever;
+    this.retrievalOptions = retrievalOptions;
+    this.memoryKey = memoryKey ?? this.memoryKey;
+    this.inputKey = inputKey;
+    this.returnMessages = returnMessages ?? this.returnMessages;
+    this.indexOnSave = indexOnSave ?? false;
+  }
+
+  get memoryKeys(): string[] {
+    return [this.memoryKey];
+  }
+
+  async loadMemoryVariables(values: InputValues): Promise<MemoryVariables> {
+    const query = String(getInputValue(values, this.inputKey));
+    const results = await this.retriever.retrieveRelevant(query, this.retrievalOptions);
+
+    if (this.returnMessages) {
+      return { [this.memoryKey]: results.map(result => toLangChainMessage(result.message)) };
+    }
+
+    return {
+      [this.memoryKey]: results.map(({ message }) => `${message.role}: ${message.content}`).join('\n')
+    };
+  }
+
+  async saveContext(_inputValues: InputValues, _outputValues: OutputValues): Promise<void> {
+    if (this.indexOnSave) {
+      await this.retriever.indexMessages({ sessionId: this.retrievalOptions.sessionId });
+    }
+  }
+}
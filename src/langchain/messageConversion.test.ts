@@ -0,0 +1,24 @@
+import { ContentPart } from '../types';
+import { fromLangChainMessage, toLangChainMessage } from './messageConversion';
+
+describe('messageConversion', () => {
+  it('round-trips image and file parts with their mime types', () => {
+    const parts: ContentPart[] = [
+      { type: 'text', text: 'what is in these?' },
+      { type: 'image', url: 'https://example.com/cat.png', mimeType: 'image/png', detail: 'low' },
+      { type: 'image', url: 'https://example.com/dog' },
+      { type: 'file', url: 'data:text/plain;base64,aGk=', mimeType: 'text/plain', name: 'notes.txt' }
+    ];
+
+    const converted = toLangChainMessage({
+      id: 'm1',
+      sessionId: 's1',
+      role: 'user',
+      content: 'what is in these?',
+      parts,
+      timestamp: new Date()
+    });
+
+    expect(fromLangChainMessage(converted, 's1').parts).toEqual(parts);
+  });
+});
@@ -0,0 +1,188 @@
+import { v4 as uuidv4 } from 'uuid';
+import {
+  AIMessage,
+  BaseMessage,
+  ChatMessage,
+  HumanMessage,
+  MessageContent,
+  MessageContentComplex,
+  SystemMessage,
+  ToolMessage
+} from '@langchain/core/messages';
+import { ContentPart, ConversationMessage } from '../types';
+import { messageContent, partsText } from '../utils/content';
+import { HistoryEntry } from '../utils/history';
+
+type MessageRole = ConversationMessage['role'];
+
+/**
+ * Map a LangChain message type to the role stored in memory
+ */
+function toRole(message: BaseMessage): MessageRole {
+  const type = message._getType();
+
+  switch (type) {
+    case 'human':
+      return 'user';
+    case 'ai':
+      return 'assistant';
+    case 'system':
+      return 'system';
+    case 'tool':
+      return 'tool';
+    case 'generic': {
+      const role = (message as ChatMessage).role;
+      if (role === 'user' || role === 'assistant' || role === 'system') {
+        return role;
+      }
+      throw new Error(`Unsupported chat message role: ${role}`);
+    }
+    default:
+      throw new Error(`Unsupported message type: ${type}`);
+  }
+}
+
+/**
+ * Convert a stored conversation message into a LangChain message
+ */
+export function toLangChainMessage(message: ConversationMessage): BaseMessage {
+  const fields = {
+    content: message.parts ? message.parts.map(toContentBlock) : message.content,
+    name: message.metadata?.name,
+    additional_kwargs: message.metadata?.additionalKwargs || {}
+  };
+
+  switch (message.role) {
+    case 'user':
+      return new HumanMessage(fields);
+    case 'assistant':
+      return new AIMessage(message.toolCalls ? { ...fields, tool_calls: message.toolCalls.map(call => ({ ...call })) } : fields);
+    case 'system':
+      return new SystemMessage(fields);
+    case 'tool':
+      if (message.toolCallId === undefined) {
+        throw new Error(`Tool message ${message.id} does not reference a tool call`);
+      }
+      return new ToolMessage({ ...fields, tool_call_id: message.toolCallId });
+    default:
+      throw new Error(`Unsupported message role: ${message.role}`);
+  }
+}
+
+/**
+ * Convert a LangChain message into a conversation message for the given session
+ */
+export function fromLangChainMessage(
+  message: BaseMessage,
+  sessionId: string,
+  timestamp: Date = new Date()
+): ConversationMessage {
+  const metadata: Record<string, any> = {};
+
+  if (message.name) {
+    metadata.name = message.name;
+  }
+  if (message.additional_kwargs && Object.keys(message.additional_kwargs).length > 0) {
+    metadata.additionalKwargs = message.additional_kwargs;
+  }
+
+  const converted: ConversationMessage = {
+    id: uuidv4(),
+    sessionId,
+    role: toRole(message),
+    ...messageContent(typeof message.content === 'string' ? message.content : fromContentBlocks(message.content)),
+    timestamp,
+    metadata: Object.keys(metadata).length > 0 ? metadata : undefined
+  };
+
+  const toolCalls = (message as AIMessage).tool_calls;
+  if (converted.role === 'assistant' && toolCalls && toolCalls.length > 0) {
+    converted.toolCalls = toolCalls.map(call => ({ id: call.id ?? uuidv4(), name: call.name, args: call.args }));
+  }
+  if (converted.role === 'tool') {
+    converted.toolCallId = (message as ToolMessage).tool_call_id;
+  }
+  return converted;
+}
+
+/**
+ * Describe a LangChain message for history selection
+ */
+export function toHistoryEntry(message: BaseMessage): HistoryEntry {
+  const type = message._getType();
+  const role = type === 'human' ? 'user'
+    : type === 'ai' ? 'assistant'
+    : type === 'generic' ? (message as ChatMessage).role
+    : type;
+
+  return {
+    role,
+    content: contentText(message.content)
+  };
+}
+
+/**
+ * Text of a LangChain message's content
+ */
+function contentText(content: MessageContent): string {
+  return typeof content === 'string' ? content : partsText(fromContentBlocks(content));
+}
+
+/**
+ * LangChain content block for a content part: images as `image_url` blocks
+ * (with their `mime_type` alongside), files as standard data blocks
+ */
+function toContentBlock(part: ContentPart): MessageContentComplex {
+  switch (part.type) {
+    case 'text':
+      return { type: 'text', text: part.text };
+    case 'image':
+      return {
+        type: 'image_url',
+        image_url: part.detail ? { url: part.url, detail: part.detail } : { url: part.url },
+        ...(part.mimeType ? { mime_type: part.mimeType } : {})
+      };
+    case 'file':
+      return {
+        type: 'file',
+        source_type: 'url',
+        url: part.url,
+        ...(part.mimeType ? { mime_type: part.mimeType } : {}),
+        ...(part.name ? { metadata: { filename: part.name } } : {})
+      };
+  }
+}
+
+/**
+ * Content parts of LangChain content blocks. Other blocks, such as provider-specific
+ * tool use blocks (covered by the message's tool calls), are left out.
+ */
+function fromContentBlocks(blocks: MessageContentComplex[]): ContentPart[] {
+  const parts: ContentPart[] = [];
+
+  for (const block of blocks) {
+    if (block.type === 'text' && typeof block.text === 'string') {
+      parts.push({ type: 'text', text: block.text });
+    } else if (block.type === 'image_url' && block.image_url) {
+      const image = typeof block.image_url === 'string' ? { url: block.image_url } : block.image_url;
+      const mimeType: string | undefined = (block as Record<string, any>).mime_type;
+      parts.push({
+        type: 'image',
+        url: image.url,
+        ...(image.detail ? { detail: image.detail } : {}),
+        ...(mimeType ? { mimeType } : {})
+      });
+    } else if ((block.type === 'image' || block.type === 'file') && block.source_type) {
+      const url = block.source_type === 'base64' ? `data:${block.mime_type};base64,${block.data}`
+        : block.source_type === 'id' ? block.id
+        : block.url;
+      const mimeType: string | undefined = block.mime_type;
+      const name: string | undefined = block.metadata?.filename ?? block.metadata?.name;
+
+      parts.push(block.type === 'image'
+        ? { type: 'image', url, ...(mimeType ? { mimeType } : {}) }
+        : { type: 'file', url, ...(name ? { name } : {}), ...(mimeType ? { mimeType } : {}) });
+    }
+  }
+  return parts;
+}
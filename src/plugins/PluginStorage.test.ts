@@ -0,0 +1,28 @@
+import { InMemoryStorage } from '../storage/InMemoryStorage';
+import { PluginStorage } from './PluginStorage';
+
+describe('PluginStorage', () => {
+  it('takes messages an afterLoad hook drops off the total', async () => {
+    const storage = new PluginStorage(new InMemoryStorage(), [{
+      name: 'hide-system',
+      afterLoad: messages => messages.filter(message => message.role !== 'system')
+    }]);
+    await storage.initialize();
+    await storage.saveMessages(['system', 'user', 'assistant', 'system'].map((role, i) => ({
+      id: `m${i}`,
+      sessionId: 's1',
+      role: role as 'system' | 'user' | 'assistant',
+      content: `message ${i}`,
+      timestamp: new Date(Date.UTC(2024, 0, 1, 0, i))
+    })));
+
+    const all = await storage.getMessages({ sessionId: 's1' });
+    expect(all.messages.map(message => message.id)).toEqual(['m1', 'm2']);
+    expect(all.total).toBe(2);
+
+    const page = await storage.getMessages({ sessionId: 's1', limit: 2 });
+    expect(page.messages.map(message => message.id)).toEqual(['m1']);
+    expect(page.total).toBe(3);
+    expect(page.hasMore).toBe(true);
+  });
+});
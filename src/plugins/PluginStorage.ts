@@ -0,0 +1,244 @@
+import { IMemoryStorage } from '../interfaces/MemoryInterface';
+import { DeleteTarget, IMemoryPlugin } from '../interfaces/PluginInterface';
+import {
+  ConversationMessage,
+  ConversationSession,
+  MemoryQueryOptions,
+  MemorySearchResult,
+  MemoryStats,
+  MemoryRecord,
+  MemoryRecordQueryOptions,
+  SessionQueryOptions
+} from '../types';
+
+/**
+ * Storage decorator that runs plugin hooks around every operation, so writes
+ * from MemoryManager, LangChain memories, chat histories, imports and
+ * retention pruning all pass through the same plugins
+ */
+export class PluginStorage implements IMemoryStorage {
+  private storage: IMemoryStorage;
+  private plugins: IMemoryPlugin[] = [];
+  /** Sessions known to exist, so creation is only looked up once per session */
+  private knownSessions = new Set<string>();
+
+  constructor(storage: IMemoryStorage, plugins: IMemoryPlugin[] = []) {
+    this.storage = storage;
+    plugins.forEach(plugin => this.use(plugin));
+  }
+
+  /**
+   * Register a plugin; its hooks run after those of the plugins registered before it
+   */
+  use(plugin: IMemoryPlugin): void {
+    if (this.plugins.some(other => other.name === plugin.name)) {
+      throw new Error(`A plugin named ${plugin.name} is already registered`);
+    }
+    this.plugins.push(plugin);
+  }
+
+  /**
+   * Get the registered plugins in the order their hooks run
+   */
+  getPlugins(): IMemoryPlugin[] {
+    return [...this.plugins];
+  }
+
+  async initialize(): Promise<void> {
+    await this.storage.initialize();
+  }
+
+  async saveMessage(message: ConversationMessage): Promise<void> {
+    await this.saveMessages([message]);
+  }
+
+  async saveMessages(messages: ConversationMessage[]): Promise<void> {
+    const prepared: ConversationMessage[] = [];
+    for (const message of messages) {
+      prepared.push(await this.beforeSave(message));
+    }
+
+    const created = await this.unknownSessions(prepared.map(message => message.sessionId));
+    await this.storage.saveMessages(prepared);
+
+    // Keep ids assigned by the wrapped storage visible to the caller
+    prepared.forEach((message, i) => {
+      if (!messages[i].id) messages[i].id = message.id;
+    });
+
+    await this.sessionsCreated(created);
+    for (const message of prepared) {
+      for (const plugin of this.plugins) {
+        await plugin.afterSave?.(message);
+      }
+    }
+  }
+
+  async getMessages(options: MemoryQueryOptions = {}): Promise<MemorySearchResult> {
+    let query = options;
+    for (const plugin of this.plugins) {
+      if (!plugin.beforeLoad) continue;
+      const result = await plugin.beforeLoad(query);
+      if (result === false) {
+        throw new Error(`Plugin ${plugin.name} vetoed loading messages`);
+      }
+      if (result) query = result;
+    }
+
+    const result = await this.storage.getMessages(query);
+    const messages = await this.afterLoad(result.messages, query);
+    if (messages === result.messages) return result;
+
+    // Keep the relevance details parallel to the messages, as long as each still has one
+    const matches = new Map(result.matches?.map(match => [match.messageId, match]));
+    const kept = new Set(messages.map(message => message.id));
+    const dropped = result.messages.filter(message => !kept.has(message.id)).length;
+    return {
+      ...result,
+      // The cursor and hasMore still follow the storage's pages; messages filtered
+      // from pages that were not loaded remain in the total
+      total: Math.max(result.total - dropped, messages.length),
+      messages,
+      matches: result.matches && messages.every(message => matches.has(message.id))
+        ? messages.map(message => matches.get(message.id)!)
+        : undefined
+    };
+  }
+
+  async getMessage(messageId: string): Promise<ConversationMessage | null> {
+    const message = await this.storage.getMessage(messageId);
+    if (!message) return null;
+
+    const [loaded] = await this.afterLoad([message], { sessionId: message.sessionId });
+    return loaded || null;
+  }
+
+  async getSessions(options?: SessionQueryOptions): Promise<ConversationSession[]> {
+    return await this.storage.getSessions(options);
+  }
+
+  async getSession(sessionId: string): Promise<ConversationSession | null> {
+    return await this.storage.getSession(sessionId);
+  }
+
+  async updateSession(sessionId: string, updates: Partial<ConversationSession>): Promise<void> {
+    const created = await this.unknownSessions([sessionId]);
+    await this.storage.updateSession(sessionId, updates);
+    await this.sessionsCreated(created);
+  }
+
+  async deleteMessage(messageId: string): Promise<void> {
+    await this.beforeDelete({ type: 'message', id: messageId });
+    await this.storage.deleteMessage(messageId);
+  }
+
+  async deleteSession(sessionId: string): Promise<void> {
+    await this.beforeDelete({ type: 'session', id: sessionId });
+    await this.storage.deleteSession(sessionId);
+    this.knownSessions.delete(sessionId);
+  }
+
+  async saveRecord(record: MemoryRecord): Promise<MemoryRecord> {
+    return await this.storage.saveRecord(record);
+  }
+
+  async getRecord(recordId: string): Promise<MemoryRecord | null> {
+    return await this.storage.getRecord(recordId);
+  }
+
+  async getRecords(options?: MemoryRecordQueryOptions): Promise<MemoryRecord[]> {
+    return await this.storage.getRecords(options);
+  }
+
+  async deleteRecord(recordId: string): Promise<void> {
+    await this.beforeDelete({ type: 'record', id: recordId });
+    await this.storage.deleteRecord(recordId);
+  }
+
+  async getStats(): Promise<MemoryStats> {
+    return await this.storage.getStats();
+  }
+
+  async clear(): Promise<void> {
+    await this.beforeDelete({ type: 'all' });
+    await this.storage.clear();
+    this.knownSessions.clear();
+  }
+
+  isReady(): boolean {
+    return this.storage.isReady();
+  }
+
+  async close(): Promise<void> {
+    await this.storage.close?.();
+  }
+
+  /**
+   * Get the wrapped storage
+   */
+  getInnerStorage(): IMemoryStorage {
+    return this.storage;
+  }
+
+  private async beforeSave(message: ConversationMessage): Promise<ConversationMessage> {
+    let current = message;
+    for (const plugin of this.plugins) {
+      if (!plugin.beforeSave) continue;
+      const result = await plugin.beforeSave(current);
+      if (result === false) {
+        throw new Error(`Plugin ${plugin.name} vetoed saving a message to session ${current.sessionId}`);
+      }
+      if (result) current = result;
+    }
+    return current;
+  }
+
+  private async afterLoad(messages: ConversationMessage[], options: MemoryQueryOptions): Promise<ConversationMessage[]> {
+    let current = messages;
+    for (const plugin of this.plugins) {
+      if (!plugin.afterLoad) continue;
+      current = (await plugin.afterLoad(current, options)) || current;
+    }
+    return current;
+  }
+
+  private async beforeDelete(target: DeleteTarget): Promise<void> {
+    for (const plugin of this.plugins) {
+      if (await plugin.onDelete?.(target) === false) {
+        const what = target.type === 'all' ? 'clearing all data' : `deleting ${target.type} ${target.id}`;
+        throw new Error(`Plugin ${plugin.name} vetoed ${what}`);
+      }
+    }
+  }
+
+  /**
+   * Sessions among the ids that do not exist yet (only looked up when a plugin wants to know)
+   */
+  private async unknownSessions(sessionIds: string[]): Promise<string[]> {
+    if (!this.plugins.some(plugin => plugin.onSessionCreated)) return [];
+
+    const unknown: string[] = [];
+    for (const sessionId of new Set(sessionIds)) {
+      if (this.knownSessions.has(sessionId)) continue;
+      if (await this.storage.getSession(sessionId)) {
+        this.knownSessions.add(sessionId);
+      } else {
+        unknown.push(sessionId);
+      }
+    }
+    return unknown;
+  }
+
+  private async sessionsCreated(sessionIds: string[]): Promise<void> {
+    for (const sessionId of sessionIds) {
+      const session = await this.storage.getSession(sessionId);
+      // Concurrent writes may both have found the session missing; report it once
+      if (!session || this.knownSessions.has(sessionId)) continue;
+
+      this.knownSessions.add(sessionId);
+      for (const plugin of this.plugins) {
+        await plugin.onSessionCreated?.(session);
+      }
+    }
+  }
+}
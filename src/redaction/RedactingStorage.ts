@@ -0,0 +1,118 @@
+import { IMemoryStorage } from '../interfaces/MemoryInterface';
+import {
+  ConversationMessage,
+  ConversationSession,
+  MemoryQueryOptions,
+  MemorySearchResult,
+  MemoryStats,
+  MemoryRecord,
+  MemoryRecordQueryOptions,
+  SessionQueryOptions
+} from '../types';
+import { RedactionPipeline } from './RedactionPipeline';
+
+/**
+ * Storage decorator that runs every saved message through a redaction pipeline,
+ * for storages used without a MemoryManager (which redacts through `redactionPlugin`)
+ */
+export class RedactingStorage implements IMemoryStorage {
+  private storage: IMemoryStorage;
+  private pipeline: RedactionPipeline;
+
+  constructor(storage: IMemoryStorage, pipeline: RedactionPipeline) {
+    this.storage = storage;
+    this.pipeline = pipeline;
+  }
+
+  async initialize(): Promise<void> {
+    await this.storage.initialize();
+  }
+
+  async saveMessage(message: ConversationMessage): Promise<void> {
+    await this.saveMessages([message]);
+  }
+
+  async saveMessages(messages: ConversationMessage[]): Promise<void> {
+    const redacted = await Promise.all(messages.map(message => this.pipeline.redactMessage(message)));
+    await this.storage.saveMessages(redacted);
+
+    // Keep ids assigned by the wrapped storage visible to the caller
+    redacted.forEach((message, i) => {
+      if (!messages[i].id) messages[i].id = message.id;
+    });
+  }
+
+  async getMessages(options?: MemoryQueryOptions): Promise<MemorySearchResult> {
+    return await this.storage.getMessages(options);
+  }
+
+  async getMessage(messageId: string): Promise<ConversationMessage | null> {
+    return await this.storage.getMessage(messageId);
+  }
+
+  async getSessions(options?: SessionQueryOptions): Promise<ConversationSession[]> {
+    return await this.storage.getSessions(options);
+  }
+
+  async getSession(sessionId: string): Promise<ConversationSession | null> {
+    return await this.storage.getSession(sessionId);
+  }
+
+  async updateSession(sessionId: string, updates: Partial<ConversationSession>): Promise<void> {
+    await this.storage.updateSession(sessionId, updates);
+  }
+
+  async deleteMessage(messageId: string): Promise<void> {
+    await this.storage.deleteMessage(messageId);
+  }
+
+  async deleteSession(sessionId: string): Promise<void> {
+    await this.storage.deleteSession(sessionId);
+  }
+
+  async saveRecord(record: MemoryRecord): Promise<MemoryRecord> {
+    return await this.storage.saveRecord(record);
+  }
+
+  async getRecord(recordId: string): Promise<MemoryRecord | null> {
+    return await this.storage.getRecord(recordId);
+  }
+
+  async getRecords(options?: MemoryRecordQueryOptions): Promise<MemoryRecord[]> {
+    return await this.storage.getRecords(options);
+  }
+
+  async deleteRecord(recordId: string): Promise<void> {
+    await this.storage.deleteRecord(recordId);
+  }
+
+  async getStats(): Promise<MemoryStats> {
+    return await this.storage.getStats();
+  }
+
+  async clear(): Promise<void> {
+    await this.storage.clear();
+  }
+
+  isReady(): boolean {
+    return this.storage.isReady();
+  }
+
+  async close(): Promise<void> {
+    await this.storage.close?.();
+  }
+
+  /**
+   * Get the wrapped storage
+   */
+  getInnerStorage(): IMemoryStorage {
+    return this.storage;
+  }
+
+  /**
+   * Get the redaction pipeline
+   */
+  getPipeline(): RedactionPipeline {
+    return this.pipeline;
+  }
+}
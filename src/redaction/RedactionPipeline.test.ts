@@ -0,0 +1,37 @@
+import { MemoryManager } from '../MemoryManager';
+import { RedactionPipeline } from './RedactionPipeline';
+
+describe('RedactionPipeline', () => {
+  it('redacts messages whose metadata already carries a report', async () => {
+    const pipeline = new RedactionPipeline();
+    const message = {
+      id: 'm1',
+      sessionId: 's1',
+      role: 'user' as const,
+      content: 'mail me at jane@example.com',
+      timestamp: new Date(),
+      metadata: { redaction: { redactedAt: new Date().toISOString(), findings: [] } }
+    };
+
+    const redacted = await pipeline.redactMessage(message);
+    expect(redacted.content).toBe('mail me at [REDACTED:email]');
+    expect(await pipeline.redactMessage(redacted)).toBe(redacted);
+  });
+
+  it('scans each message saved through the manager once', async () => {
+    const scanned: string[] = [];
+    const manager = new MemoryManager({
+      type: 'memory',
+      options: {},
+      redaction: {
+        detectors: [],
+        redactors: [{ name: 'secret', detect: text => { scanned.push(text); return []; } }]
+      }
+    });
+    await manager.initialize();
+    manager.startSession();
+
+    await manager.saveUserMessage('nothing to hide');
+    expect(scanned).toEqual(['nothing to hide']);
+  });
+});
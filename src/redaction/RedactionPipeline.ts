@@ -0,0 +1,200 @@
+import * as crypto from 'crypto';
+import { ITokenVault } from '../interfaces/TokenVaultInterface';
+import {
+  BuiltInDetector,
+  ConversationMessage,
+  RedactionConfig,
+  RedactionFinding,
+  RedactionMode,
+  RedactionReport
+} from '../types';
+import { partsText } from '../utils/content';
+import { BUILT_IN_DETECTORS, TextRange, detect, matchPattern } from './detectors';
+
+/**
+ * Key under which the redaction report is stored in message metadata
+ */
+export const REDACTION_METADATA_KEY = 'redaction';
+
+const TOKEN_PATTERN = /\[\[([^\]:]+):([0-9a-f]{16})\]\]/g;
+
+interface Detection extends TextRange {
+  type: string;
+  mode: RedactionMode;
+}
+
+interface Detector {
+  type: string;
+  mode: RedactionMode;
+  find: (text: string) => TextRange[];
+}
+
+/**
+ * Finds secrets and personal data in text and masks, drops or tokenises them.
+ * Where detections overlap, the earlier detector wins (built-in detectors run
+ * before custom redactors).
+ */
+export class RedactionPipeline {
+  private detectors: Detector[];
+  private roles?: Set<ConversationMessage['role']>;
+  private vault?: ITokenVault;
+  /** Messages this pipeline has already been through, which it returns as they are */
+  private redacted = new WeakSet<ConversationMessage>();
+
+  constructor(config: RedactionConfig = {}) {
+    const mode = config.mode || 'mask';
+    const builtIn = BUILT_IN_DETECTORS.filter(name => !config.detectors || config.detectors.includes(name));
+
+    this.detectors = [
+      ...builtIn.map((name: BuiltInDetector) => ({
+        type: name,
+        mode: config.modes?.[name] || mode,
+        find: (text: string) => detect(name, text)
+      })),
+      ...(config.redactors || []).map(redactor => {
+        if (!redactor.pattern && !redactor.detect) {
+          throw new Error(`Redactor ${redactor.name} needs a pattern or a detect function`);
+        }
+        return {
+          type: redactor.name,
+          mode: redactor.mode || mode,
+          find: (text: string) => redactor.detect ? redactor.detect(text) : matchPattern(text, redactor.pattern!)
+        };
+      })
+    ];
+
+    if (!config.vault && this.detectors.some(detector => detector.mode === 'tokenize')) {
+      throw new Error('Tokenisation requires a token vault in the redaction config');
+    }
+    this.vault = config.vault;
+    this.roles = config.roles ? new Set(config.roles) : undefined;
+  }
+
+  /**
+   * Redact a text; findings are listed in the order they appear
+   */
+  async redact(text: string): Promise<{ text: string; findings: RedactionFinding[] }> {
+    const detections = this.detect(text);
+    const findings: RedactionFinding[] = [];
+    let redacted = '';
+    let position = 0;
+
+    for (const detection of detections) {
+      redacted += text.slice(position, detection.start);
+      const value = text.slice(detection.start, detection.end);
+
+      if (detection.mode === 'mask') {
+        redacted += `[REDACTED:${detection.type}]`;
+        findings.push({ type: detection.type, mode: 'mask' });
+      } else if (detection.mode === 'tokenize') {
+        const token = `[[${detection.type}:${crypto.randomBytes(8).toString('hex')}]]`;
+        await this.vault!.put(token, value);
+        redacted += token;
+        findings.push({ type: detection.type, mode: 'tokenize', token });
+      } else {
+        findings.push({ type: detection.type, mode: 'drop' });
+      }
+
+      position = detection.end;
+    }
+
+    return { text: redacted + text.slice(position), findings };
+  }
+
+  /**
+   * Redact a message's content, text parts and tool call arguments, attaching a report
+   * to its metadata when anything was found.
+   * Messages this pipeline returned before, or whose role is not redacted, are returned as is.
+   */
+  async redactMessage(message: ConversationMessage): Promise<ConversationMessage> {
+    if (this.redacted.has(message)) return message;
+    if (this.roles && !this.roles.has(message.role)) return message;
+
+    const findings: RedactionFinding[] = [];
+    const redactText = async (text: string) => {
+      const result = await this.redact(text);
+      findings.push(...result.findings);
+      return result.text;
+    };
+
+    const redacted: ConversationMessage = { ...message };
+    if (message.parts) {
+      redacted.parts = [];
+      for (const part of message.parts) {
+        redacted.parts.push(part.type === 'text' ? { ...part, text: await redactText(part.text) } : part);
+      }
+    }
+    // Content that is the text of the parts follows them, so each value is only reported once
+    redacted.content = message.parts && message.content === partsText(message.parts)
+      ? partsText(redacted.parts!)
+      : await redactText(message.content);
+    if (message.toolCalls) {
+      redacted.toolCalls = [];
+      for (const call of message.toolCalls) {
+        redacted.toolCalls.push({ ...call, args: await redactValues(call.args, redactText) });
+      }
+    }
+    if (findings.length === 0) {
+      this.redacted.add(message);
+      return message;
+    }
+
+    const report: RedactionReport = { redactedAt: new Date().toISOString(), findings };
+    const result = { ...redacted, metadata: { ...message.metadata, [REDACTION_METADATA_KEY]: report } };
+    this.redacted.add(result);
+    return result;
+  }
+
+  /**
+   * Put the original values back in place of the tokens the vault still knows
+   */
+  async restore(text: string): Promise<string> {
+    if (!this.vault) return text;
+
+    const tokens = [...new Set(Array.from(text.matchAll(TOKEN_PATTERN), match => match[0]))];
+    const values = new Map<string, string>();
+    for (const token of tokens) {
+      const value = await this.vault.get(token);
+      if (value !== null) values.set(token, value);
+    }
+
+    return text.replace(TOKEN_PATTERN, token => values.get(token) ?? token);
+  }
+
+  private detect(text: string): Detection[] {
+    const accepted: Detection[] = [];
+
+    for (const detector of this.detectors) {
+      for (const range of detector.find(text)) {
+        const overlaps = accepted.some(other => range.start < other.end && other.start < range.end);
+        if (!overlaps && range.end > range.start) {
+          accepted.push({ ...range, type: detector.type, mode: detector.mode });
+        }
+      }
+    }
+
+    return accepted.sort((a, b) => a.start - b.start);
+  }
+}
+
+/**
+ * Redact the strings in a JSON value, such as tool call arguments
+ */
+async function redactValues(value: any, redactText: (text: string) => Promise<string>): Promise<any> {
+  if (typeof value === 'string') return await redactText(value);
+  if (Array.isArray(value)) {
+    const items = [];
+    for (const item of value) {
+      items.push(await redactValues(item, redactText));
+    }
+    return items;
+  }
+  if (value && typeof value === 'object') {
+    const entries: Record<string, any> = {};
+    for (const [key, item] of Object.entries(value)) {
+      entries[key] = await redactValues(item, redactText);
+    }
+    return entries;
+  }
+  return value;
+}
@@ -0,0 +1,66 @@
+import * as fs from 'fs-extra';
+import * as path from 'path';
+import { ITokenVault } from '../interfaces/TokenVaultInterface';
+import { withFileLock, writeFileAtomic } from '../utils/files';
+
+/**
+ * Token vault kept in process memory; tokens cannot be resolved after a restart
+ */
+export class InMemoryTokenVault implements ITokenVault {
+  private values = new Map<string, string>();
+
+  async put(token: string, value: string): Promise<void> {
+    this.values.set(token, value);
+  }
+
+  async get(token: string): Promise<string | null> {
+    return this.values.get(token) ?? null;
+  }
+
+  async delete(token: string): Promise<void> {
+    this.values.delete(token);
+  }
+}
+
+/**
+ * Token vault in a JSON file of its own (readable by the owner only), shared
+ * between processes through the same lock file convention as LocalStorage
+ */
+export class FileTokenVault implements ITokenVault {
+  private filePath: string;
+  private lockPath: string;
+
+  constructor(filePath: string) {
+    this.filePath = filePath;
+    this.lockPath = `${filePath}.lock`;
+  }
+
+  async put(token: string, value: string): Promise<void> {
+    await this.update(values => {
+      values[token] = value;
+    });
+  }
+
+  async get(token: string): Promise<string | null> {
+    return (await this.read())[token] ?? null;
+  }
+
+  async delete(token: string): Promise<void> {
+    await this.update(values => {
+      delete values[token];
+    });
+  }
+
+  private async read(): Promise<Record<string, string>> {
+    return await fs.pathExists(this.filePath) ? await fs.readJson(this.filePath) : {};
+  }
+
+  private async update(change: (values: Record<string, string>) => void): Promise<void> {
+    await fs.ensureDir(path.dirname(path.resolve(this.filePath)));
+    await withFileLock(this.lockPath, async () => {
+      const values = await this.read();
+      change(values);
+      await writeFileAtomic(this.filePath, JSON.stringify(values), 'utf8', 0o600);
+    });
+  }
+}
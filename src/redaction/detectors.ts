@@ -0,0 +1,66 @@
+import { BuiltInDetector } from '../types';
+
+export interface TextRange {
+  start: number;
+  end: number;
+}
+
+/**
+ * Ranges of all matches of a pattern (searched globally)
+ */
+export function matchPattern(text: string, pattern: RegExp): TextRange[] {
+  const flags = pattern.flags.includes('g') ? pattern.flags : `${pattern.flags}g`;
+  const ranges: TextRange[] = [];
+
+  for (const match of text.matchAll(new RegExp(pattern.source, flags))) {
+    if (match[0].length > 0) {
+      ranges.push({ start: match.index!, end: match.index! + match[0].length });
+    }
+  }
+  return ranges;
+}
+
+const PATTERNS: Record<Exclude<BuiltInDetector, 'creditCard'>, RegExp> = {
+  privateKey: /-----BEGIN (?:[A-Z0-9]+ )*PRIVATE KEY-----[\s\S]*?-----END (?:[A-Z0-9]+ )*PRIVATE KEY-----/,
+  jwt: /\beyJ[A-Za-z0-9_-]+\.eyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+/,
+  // URLs with inline credentials, e.g. database connection strings
+  connectionString: /\b[a-z][a-z0-9+.-]*:\/\/[^\s:@\/]+:[^\s@\/]+@[^\s"'<>]+/i,
+  // Access key ids, and secret keys where they are assigned to a recognisable name
+  awsKey: /\b(?:AKIA|ASIA|AIDA|AROA)[0-9A-Z]{16}\b|(?<=aws_?secret_?access_?key["']?\s*[:=]\s*["']?)[A-Za-z0-9/+=]{40}(?![A-Za-z0-9/+=])/i,
+  email: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}\b/,
+  // Digit groups need separators, so plain numbers such as ids, line numbers and IP addresses are left alone
+  phone: /(?<![\w+.])(?:\+\d{1,3}[\s.-]?)?(?:\(\d{2,4}\)[\s.-]?|\d{2,4}[\s.-])\d{3,4}[\s.-]\d{3,4}\b(?!\.\d)/
+};
+
+/** Card-like digit runs; only those passing the Luhn check are reported */
+const CARD_CANDIDATE = /\b\d(?:[ -]?\d){12,18}\b/;
+
+function luhn(digits: string): boolean {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * Find the values of a built-in detector
+ */
+export function detect(detector: BuiltInDetector, text: string): TextRange[] {
+  if (detector === 'creditCard') {
+    return matchPattern(text, CARD_CANDIDATE)
+      .filter(range => luhn(text.slice(range.start, range.end).replace(/[ -]/g, '')));
+  }
+  return matchPattern(text, PATTERNS[detector]);
+}
+
+/**
+ * Built-in detectors in the order they claim overlapping text:
+ * multi-line and structured secrets before the looser patterns
+ */
+export const BUILT_IN_DETECTORS: BuiltInDetector[] = ['privateKey', 'jwt', 'connectionString', 'awsKey', 'email', 'creditCard', 'phone'];
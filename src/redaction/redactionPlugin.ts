@@ -0,0 +1,13 @@
+import { IMemoryPlugin } from '../interfaces/PluginInterface';
+import { RedactionPipeline } from './RedactionPipeline';
+
+/**
+ * Plugin that runs every saved message through a redaction pipeline.
+ * MemoryManager registers it before any other plugin, so later hooks only see redacted content.
+ */
+export function redactionPlugin(pipeline: RedactionPipeline): IMemoryPlugin {
+  return {
+    name: 'redaction',
+    beforeSave: message => pipeline.redactMessage(message)
+  };
+}
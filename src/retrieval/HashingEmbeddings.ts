@@ -0,0 +1,46 @@
+import { IEmbeddings } from '../interfaces/EmbeddingsInterface';
+import { tokenize } from '../search/tokenizer';
+
+/**
+ * Deterministic, offline embeddings based on feature hashing of word tokens.
+ * Useful for tests and local development; it captures word overlap, not meaning.
+ */
+export class HashingEmbeddings implements IEmbeddings {
+  private dimensions: number;
+
+  constructor(dimensions: number = 256) {
+    if (dimensions <= 0) {
+      throw new Error('dimensions must be greater than zero');
+    }
+    this.dimensions = dimensions;
+  }
+
+  async embedDocuments(documents: string[]): Promise<number[][]> {
+    return documents.map(document => this.embed(document));
+  }
+
+  async embedQuery(document: string): Promise<number[]> {
+    return this.embed(document);
+  }
+
+  private embed(text: string): number[] {
+    const vector = new Array<number>(this.dimensions).fill(0);
+
+    for (const { term } of tokenize(text)) {
+      const hash = fnv1a(term);
+      vector[hash % this.dimensions] += (hash & 0x80000000) ? -1 : 1;
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return norm > 0 ? vector.map(value => value / norm) : vector;
+  }
+}
+
+function fnv1a(text: string): number {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
@@ -0,0 +1,94 @@
+import { IEmbeddings } from '../interfaces/EmbeddingsInterface';
+import { IMemoryStorage } from '../interfaces/MemoryInterface';
+import { ConversationMessage, RetrievalOptions, RetrievedMessage } from '../types';
+
+const INDEX_BATCH_SIZE = 64;
+
+/**
+ * Cosine similarity of two vectors; 0 when either vector is empty or zero
+ */
+export function cosineSimilarity(a: number[], b: number[]): number {
+  if (a.length !== b.length) {
+    throw new Error(`Embedding dimensions do not match: ${a.length} vs ${b.length}`);
+  }
+
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  return normA > 0 && normB > 0 ? dot / (Math.sqrt(normA) * Math.sqrt(normB)) : 0;
+}
+
+/**
+ * Embedding-based retrieval over messages in any IMemoryStorage.
+ * Embeddings are persisted on each message (`embedding`).
+ */
+export class SemanticRetriever {
+  private storage: IMemoryStorage;
+  private embeddings: IEmbeddings;
+  /** Messages this retriever attached an embedding to, which are not embedded again */
+  private embedded = new WeakSet<ConversationMessage>();
+
+  constructor(storage: IMemoryStorage, embeddings: IEmbeddings) {
+    this.storage = storage;
+    this.embeddings = embeddings;
+  }
+
+  /**
+   * Attach an embedding to a message that is about to be saved. Messages without
+   * text, such as assistant messages that only call tools, are not embedded.
+   */
+  async embedMessage(message: ConversationMessage): Promise<ConversationMessage> {
+    if (!message.content || this.embedded.has(message)) return message;
+
+    const [embedding] = await this.embeddings.embedDocuments([message.content]);
+    const embedded = { ...message, embedding };
+    this.embedded.add(embedded);
+    return embedded;
+  }
+
+  /**
+   * Embed and re-save stored messages that have no embedding yet.
+   * Returns the number of messages that were embedded.
+   */
+  async indexMessages(options: { sessionId?: string } = {}): Promise<number> {
+    const { messages } = await this.storage.getMessages({ sessionId: options.sessionId });
+    const missing = messages.filter(m => !m.embedding && m.content);
+
+    for (let i = 0; i < missing.length; i += INDEX_BATCH_SIZE) {
+      const batch = missing.slice(i, i + INDEX_BATCH_SIZE);
+      const vectors = await this.embeddings.embedDocuments(batch.map(m => m.content));
+      const embedded = batch.map((message, j) => ({ ...message, embedding: vectors[j] }));
+      embedded.forEach(message => this.embedded.add(message));
+      await this.storage.saveMessages(embedded);
+    }
+
+    return missing.length;
+  }
+
+  /**
+   * Find the stored messages most similar in meaning to the query
+   */
+  async retrieveRelevant(query: string, options: RetrievalOptions = {}): Promise<RetrievedMessage[]> {
+    const k = options.k ?? 4;
+    if (k <= 0) return [];
+
+    const queryVector = await this.embeddings.embedQuery(query);
+    const { messages } = await this.storage.getMessages({
+      sessionId: options.sessionId,
+      role: options.role
+    });
+
+    return messages
+      .filter(message => message.embedding && message.embedding.length === queryVector.length)
+      .map(message => ({ message, score: cosineSimilarity(queryVector, message.embedding!) }))
+      .filter(result => options.minScore === undefined || result.score >= options.minScore)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, k);
+  }
+}
@@ -0,0 +1,14 @@
+import { IMemoryPlugin } from '../interfaces/PluginInterface';
+import { SemanticRetriever } from './SemanticRetriever';
+
+/**
+ * Plugin that embeds every saved message for semantic retrieval.
+ * MemoryManager registers it after redaction and the configured plugins, so vectors are
+ * computed from the content those plugins store.
+ */
+export function embeddingPlugin(retriever: SemanticRetriever): IMemoryPlugin {
+  return {
+    name: 'embedding',
+    beforeSave: message => retriever.embedMessage(message)
+  };
+}
@@ -0,0 +1,70 @@
+import { ConversationMessage } from '../types';
+import { InvertedIndex } from './InvertedIndex';
+
+function message(id: string, content: string, sessionId: string = 's1'): ConversationMessage {
+  return { id, sessionId, role: 'user', content, timestamp: new Date(0) };
+}
+
+const ids = (index: InvertedIndex, query: string) => index.search(query).map(hit => hit.id);
+
+describe('InvertedIndex', () => {
+  const messages = [
+    message('m1', 'the refund was sent to the customer'),
+    message('m2', 'refund refund refund'),
+    message('m3', 'the customer asked about shipping'),
+    message('m4', 'a very long message that mentions a refund only once among many other words', 's2')
+  ];
+
+  it('ranks matches with BM25: frequent terms in short documents first', () => {
+    const index = InvertedIndex.fromMessages(messages);
+    expect(ids(index, 'refund')).toEqual(['m2', 'm1', 'm4']);
+
+    // Rarer terms weigh more
+    const [best] = index.search('customer shipping');
+    expect(best).toEqual(expect.objectContaining({ id: 'm3', matchedTerms: ['customer', 'shipping'] }));
+  });
+
+  it('requires quoted phrases to appear in order', () => {
+    const index = InvertedIndex.fromMessages(messages);
+    expect(new Set(ids(index, '"the customer"'))).toEqual(new Set(['m1', 'm3']));
+    expect(ids(index, '"customer the"')).toEqual([]);
+    expect(ids(index, 'refund "asked about"')).toEqual(['m3']);
+  });
+
+  it('expands prefix terms to every indexed term they start', () => {
+    const index = InvertedIndex.fromMessages(messages);
+    expect(index.search('ship*')[0]).toEqual(expect.objectContaining({ id: 'm3', matchedTerms: ['shipping'] }));
+    expect(new Set(ids(index, 'cust*'))).toEqual(new Set(['m1', 'm3']));
+  });
+
+  it('restricts results to a session or a filter', () => {
+    const index = InvertedIndex.fromMessages(messages);
+    expect(index.search('refund', { sessionId: 's2' }).map(hit => hit.id)).toEqual(['m4']);
+    expect(index.search('refund', { filter: id => id !== 'm2' }).map(hit => hit.id)).toEqual(['m1', 'm4']);
+  });
+
+  it('updates incrementally as messages are added, replaced and removed', () => {
+    const index = InvertedIndex.fromMessages(messages);
+    index.add(message('m2', 'nothing to see'));
+    expect(ids(index, 'refund')).toEqual(['m1', 'm4']);
+
+    index.remove('m1');
+    index.removeSession('s2');
+    expect(ids(index, 'refund')).toEqual([]);
+    expect(index.size).toBe(2);
+  });
+
+  it('ranks merged indexes like one index over all their messages', () => {
+    const merged = InvertedIndex.merge([
+      InvertedIndex.fromMessages(messages.slice(0, 2)),
+      InvertedIndex.fromMessages(messages.slice(2))
+    ]);
+    expect(merged.search('refund customer')).toEqual(InvertedIndex.fromMessages(messages).search('refund customer'));
+  });
+
+  it('restores a serialized index', () => {
+    const index = InvertedIndex.fromMessages(messages);
+    const restored = InvertedIndex.fromJSON(JSON.parse(JSON.stringify(index.toJSON())));
+    expect(restored.search('"the customer" refund')).toEqual(index.search('"the customer" refund'));
+  });
+});
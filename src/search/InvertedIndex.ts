@@ -0,0 +1,245 @@
+import { ConversationMessage } from '../types';
+import { ParsedQuery, parseQuery, tokenize } from './tokenizer';
+
+interface IndexedDocument {
+  sessionId: string;
+  length: number;
+  terms: string[];
+}
+
+export interface SerializedIndex {
+  version: number;
+  lastUpdated: string;
+  docs: Record<string, IndexedDocument>;
+  postings: Record<string, Record<string, number[]>>;
+}
+
+export interface SearchHit {
+  id: string;
+  score: number;
+  /** Index terms that matched in this document */
+  matchedTerms: string[];
+}
+
+export interface IndexSearchOptions {
+  /** Restrict results to one session */
+  sessionId?: string;
+  /** Restrict results to documents accepted by this predicate */
+  filter?: (id: string) => boolean;
+}
+
+const INDEX_VERSION = 1;
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+/**
+ * Incremental inverted index over message content with BM25 ranking,
+ * phrase matching and prefix expansion
+ */
+export class InvertedIndex {
+  private docs = new Map<string, IndexedDocument>();
+  private postings = new Map<string, Map<string, number[]>>();
+  private totalLength = 0;
+  lastUpdated: Date = new Date(0);
+
+  /**
+   * Build an index over a set of messages
+   */
+  static fromMessages(messages: ConversationMessage[]): InvertedIndex {
+    const index = new InvertedIndex();
+    messages.forEach(message => index.add(message));
+    return index;
+  }
+
+  /**
+   * Combine indexes over disjoint sets of messages, e.g. one per session,
+   * so that they are ranked together
+   */
+  static merge(indexes: InvertedIndex[]): InvertedIndex {
+    if (indexes.length === 1) return indexes[0];
+
+    const merged = new InvertedIndex();
+    for (const index of indexes) {
+      for (const [id, doc] of index.docs) {
+        merged.docs.set(id, doc);
+        merged.totalLength += doc.length;
+      }
+      for (const [term, docs] of index.postings) {
+        const target = merged.postings.get(term);
+        if (target) {
+          docs.forEach((positions, id) => target.set(id, positions));
+        } else {
+          merged.postings.set(term, new Map(docs));
+        }
+      }
+    }
+    return merged;
+  }
+
+  /**
+   * Restore an index from its serialized form
+   */
+  static fromJSON(data: SerializedIndex): InvertedIndex {
+    if (data.version !== INDEX_VERSION) {
+      throw new Error(`Unsupported search index version: ${data.version}`);
+    }
+
+    const index = new InvertedIndex();
+    for (const [id, doc] of Object.entries(data.docs)) {
+      index.docs.set(id, doc);
+      index.totalLength += doc.length;
+    }
+    for (const [term, postings] of Object.entries(data.postings)) {
+      index.postings.set(term, new Map(Object.entries(postings)));
+    }
+    index.lastUpdated = new Date(data.lastUpdated);
+    return index;
+  }
+
+  toJSON(): SerializedIndex {
+    const postings: Record<string, Record<string, number[]>> = {};
+    for (const [term, docs] of this.postings) {
+      postings[term] = Object.fromEntries(docs);
+    }
+
+    return {
+      version: INDEX_VERSION,
+      lastUpdated: this.lastUpdated.toISOString(),
+      docs: Object.fromEntries(this.docs),
+      postings
+    };
+  }
+
+  get size(): number {
+    return this.docs.size;
+  }
+
+  has(id: string): boolean {
+    return this.docs.has(id);
+  }
+
+  /**
+   * Add or replace a message in the index
+   */
+  add(message: ConversationMessage): void {
+    this.remove(message.id);
+
+    const tokens = tokenize(message.content);
+    const positions = new Map<string, number[]>();
+    for (const token of tokens) {
+      const list = positions.get(token.term);
+      if (list) {
+        list.push(token.position);
+      } else {
+        positions.set(token.term, [token.position]);
+      }
+    }
+
+    for (const [term, list] of positions) {
+      let docs = this.postings.get(term);
+      if (!docs) {
+        docs = new Map();
+        this.postings.set(term, docs);
+      }
+      docs.set(message.id, list);
+    }
+
+    this.docs.set(message.id, {
+      sessionId: message.sessionId,
+      length: tokens.length,
+      terms: [...positions.keys()]
+    });
+    this.totalLength += tokens.length;
+  }
+
+  /**
+   * Remove a message from the index
+   */
+  remove(id: string): void {
+    const doc = this.docs.get(id);
+    if (!doc) return;
+
+    for (const term of doc.terms) {
+      const docs = this.postings.get(term);
+      if (!docs) continue;
+      docs.delete(id);
+      if (docs.size === 0) this.postings.delete(term);
+    }
+
+    this.docs.delete(id);
+    this.totalLength -= doc.length;
+  }
+
+  /**
+   * Remove every message of a session from the index
+   */
+  removeSession(sessionId: string): void {
+    for (const [id, doc] of [...this.docs]) {
+      if (doc.sessionId === sessionId) this.remove(id);
+    }
+  }
+
+  clear(): void {
+    this.docs.clear();
+    this.postings.clear();
+    this.totalLength = 0;
+  }
+
+  /**
+   * Search the index and return hits ordered by descending relevance
+   */
+  search(query: string | ParsedQuery, options: IndexSearchOptions = {}): SearchHit[] {
+    const parsed = typeof query === 'string' ? parseQuery(query) : query;
+    const accept = (id: string) =>
+      (!options.sessionId || this.docs.get(id)?.sessionId === options.sessionId) &&
+      (!options.filter || options.filter(id));
+
+    const queryTerms = new Set(parsed.terms);
+    for (const phrase of parsed.phrases) {
+      phrase.forEach(term => queryTerms.add(term));
+    }
+    for (const prefix of parsed.prefixes) {
+      for (const term of this.postings.keys()) {
+        if (term.startsWith(prefix)) queryTerms.add(term);
+      }
+    }
+
+    const scores = new Map<string, { score: number; matchedTerms: string[] }>();
+    const avgLength = this.docs.size > 0 ? this.totalLength / this.docs.size : 0;
+
+    for (const term of queryTerms) {
+      const docs = this.postings.get(term);
+      if (!docs) continue;
+
+      const idf = Math.log(1 + (this.docs.size - docs.size + 0.5) / (docs.size + 0.5));
+      for (const [id, positions] of docs) {
+        if (!accept(id)) continue;
+
+        const length = this.docs.get(id)!.length;
+        const tf = positions.length;
+        const norm = tf + BM25_K1 * (1 - BM25_B + BM25_B * (avgLength > 0 ? length / avgLength : 0));
+        const entry = scores.get(id) || { score: 0, matchedTerms: [] };
+        entry.score += idf * (tf * (BM25_K1 + 1)) / norm;
+        entry.matchedTerms.push(term);
+        scores.set(id, entry);
+      }
+    }
+
+    const hits: SearchHit[] = [];
+    for (const [id, entry] of scores) {
+      if (parsed.phrases.every(phrase => this.containsPhrase(id, phrase))) {
+        hits.push({ id, ...entry });
+      }
+    }
+
+    return hits.sort((a, b) => b.score - a.score);
+  }
+
+  private containsPhrase(id: string, phrase: string[]): boolean {
+    const lists = phrase.map(term => this.postings.get(term)?.get(id));
+    if (lists.some(list => !list)) return false;
+
+    const following = lists.slice(1).map(list => new Set(list));
+    return lists[0]!.some(start => following.every((set, i) => set.has(start + i + 1)));
+  }
+}
@@ -0,0 +1,39 @@
+import { ConversationMessage } from '../types';
+import { InvertedIndex } from './InvertedIndex';
+import { rankMessages } from './fullTextSearch';
+
+function message(id: string, content: string): ConversationMessage {
+  return { id, sessionId: 's1', role: 'user', content, timestamp: new Date(0) };
+}
+
+describe('rankMessages', () => {
+  it('returns matching candidates in rank order with highlighted snippets', () => {
+    const messages = [
+      message('m1', 'Where is my Refund? I asked for a refund last week.'),
+      message('m2', 'The weather is nice'),
+      message('m3', 'refund issued')
+    ];
+    const index = InvertedIndex.fromMessages(messages);
+
+    const { messages: ranked, matches } = rankMessages(index, messages.slice(0, 2), 'refund');
+    expect(ranked.map(m => m.id)).toEqual(['m1']);
+    expect(matches).toEqual([{
+      messageId: 'm1',
+      score: expect.any(Number),
+      snippet: 'Where is my **Refund**? I asked for a **refund** last week.',
+      highlights: [{ start: 12, end: 18 }, { start: 34, end: 40 }]
+    }]);
+  });
+
+  it('cuts long content around the first match', () => {
+    const content = `${'filler '.repeat(40)}the refund arrived ${'more '.repeat(40)}`;
+    const index = InvertedIndex.fromMessages([message('m1', content)]);
+
+    const { matches } = rankMessages(index, [message('m1', content)], 'refund');
+    const snippet = matches[0].snippet;
+    expect(snippet.startsWith('…')).toBe(true);
+    expect(snippet.endsWith('…')).toBe(true);
+    expect(snippet).toContain('the **refund** arrived');
+    expect(snippet.length).toBeLessThan(content.length);
+  });
+});
@@ -0,0 +1,64 @@
+import { ConversationMessage, MemorySearchMatch } from '../types';
+import { InvertedIndex } from './InvertedIndex';
+import { tokenize } from './tokenizer';
+
+const SNIPPET_LENGTH = 160;
+const HIGHLIGHT_OPEN = '**';
+const HIGHLIGHT_CLOSE = '**';
+
+export interface RankedMessages {
+  messages: ConversationMessage[];
+  matches: MemorySearchMatch[];
+}
+
+/**
+ * Rank candidate messages against a full-text query using the given index.
+ * Candidates that do not match the query are dropped.
+ */
+export function rankMessages(
+  index: InvertedIndex,
+  candidates: ConversationMessage[],
+  query: string
+): RankedMessages {
+  const byId = new Map(candidates.map(message => [message.id, message]));
+  const hits = index.search(query, { filter: id => byId.has(id) });
+
+  return {
+    messages: hits.map(hit => byId.get(hit.id)!),
+    matches: hits.map(hit => buildMatch(byId.get(hit.id)!, hit.score, hit.matchedTerms))
+  };
+}
+
+/**
+ * Build the highlighted snippet for a matching message
+ */
+export function buildMatch(message: ConversationMessage, score: number, matchedTerms: string[]): MemorySearchMatch {
+  const terms = new Set(matchedTerms);
+  const highlights = tokenize(message.content)
+    .filter(token => terms.has(token.term))
+    .map(token => ({ start: token.start, end: token.end }));
+
+  return {
+    messageId: message.id,
+    score,
+    snippet: buildSnippet(message.content, highlights),
+    highlights
+  };
+}
+
+function buildSnippet(content: string, highlights: Array<{ start: number; end: number }>): string {
+  const first = highlights[0]?.start ?? 0;
+  const start = Math.max(0, Math.min(first - SNIPPET_LENGTH / 4, content.length - SNIPPET_LENGTH));
+  const end = Math.min(content.length, start + SNIPPET_LENGTH);
+
+  let snippet = '';
+  let cursor = start;
+  for (const { start: from, end: to } of highlights) {
+    if (from < start || to > end) continue;
+    snippet += content.slice(cursor, from) + HIGHLIGHT_OPEN + content.slice(from, to) + HIGHLIGHT_CLOSE;
+    cursor = to;
+  }
+  snippet += content.slice(cursor, end);
+
+  return (start > 0 ? '…' : '') + snippet + (end < content.length ? '…' : '');
+}
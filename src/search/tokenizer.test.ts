@@ -0,0 +1,27 @@
+import { parseQuery, tokenize } from './tokenizer';
+
+describe('tokenize', () => {
+  it('splits text into lower-cased words with positions and offsets', () => {
+    expect(tokenize('Refund the Order-42, café!')).toEqual([
+      { term: 'refund', position: 0, start: 0, end: 6 },
+      { term: 'the', position: 1, start: 7, end: 10 },
+      { term: 'order', position: 2, start: 11, end: 16 },
+      { term: '42', position: 3, start: 17, end: 19 },
+      { term: 'café', position: 4, start: 21, end: 25 }
+    ]);
+  });
+});
+
+describe('parseQuery', () => {
+  it('separates plain terms, quoted phrases and prefix terms', () => {
+    expect(parseQuery('Refund "shipping label" deliv* "order"')).toEqual({
+      terms: ['order', 'refund'],
+      prefixes: ['deliv'],
+      phrases: [['shipping', 'label']]
+    });
+  });
+
+  it('treats only the last word of a starred token as a prefix', () => {
+    expect(parseQuery('order-sta*')).toEqual({ terms: ['order'], prefixes: ['sta'], phrases: [] });
+  });
+});
@@ -0,0 +1,73 @@
+export interface Token {
+  /** Normalised (lower-cased) term */
+  term: string;
+  /** Position of the token within the text, counted in tokens */
+  position: number;
+  /** Character offset where the token starts */
+  start: number;
+  /** Character offset just past the end of the token */
+  end: number;
+}
+
+export interface ParsedQuery {
+  /** Plain terms; any of them may match */
+  terms: string[];
+  /** Terms written as `prefix*` */
+  prefixes: string[];
+  /** Quoted phrases; every phrase must match */
+  phrases: string[][];
+}
+
+const TOKEN_PATTERN = /[\p{L}\p{N}_]+/gu;
+
+/**
+ * Split text into lower-cased word tokens with positions and character offsets
+ */
+export function tokenize(text: string): Token[] {
+  const tokens: Token[] = [];
+  let position = 0;
+
+  for (const match of text.matchAll(TOKEN_PATTERN)) {
+    tokens.push({
+      term: match[0].toLowerCase(),
+      position: position++,
+      start: match.index!,
+      end: match.index! + match[0].length
+    });
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse a search query. Supports plain terms, `"quoted phrases"` and `prefix*` terms.
+ */
+export function parseQuery(query: string): ParsedQuery {
+  const parsed: ParsedQuery = { terms: [], prefixes: [], phrases: [] };
+  const rest = query.replace(/"([^"]*)"/g, (_match, phrase: string) => {
+    const terms = tokenize(phrase).map(t => t.term);
+    if (terms.length === 1) {
+      parsed.terms.push(terms[0]);
+    } else if (terms.length > 1) {
+      parsed.phrases.push(terms);
+    }
+    return ' ';
+  });
+
+  for (const word of rest.split(/\s+/)) {
+    if (!word) continue;
+
+    const isPrefix = word.endsWith('*');
+    const terms = tokenize(word).map(t => t.term);
+    if (terms.length === 0) continue;
+
+    if (isPrefix) {
+      parsed.terms.push(...terms.slice(0, -1));
+      parsed.prefixes.push(terms[terms.length - 1]);
+    } else {
+      parsed.terms.push(...terms);
+    }
+  }
+
+  return parsed;
+}
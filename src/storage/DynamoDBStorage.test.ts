@@ -0,0 +1,104 @@
+import { AddressInfo } from 'net';
+import { CreateTableCommand, DynamoDBClient } from '@aws-sdk/client-dynamodb';
+import { DynamoDBDocumentClient, PutCommand, ScanCommand } from '@aws-sdk/lib-dynamodb';
+import { runStorageConformanceSuite } from '../testing/storageConformance';
+import { DynamoDBStorage, createDynamoDBTable, migrateLegacyDynamoDBTable } from './DynamoDBStorage';
+
+// dynalite is an in-process DynamoDB implementation and ships without type definitions
+const dynalite = require('dynalite');
+
+describe('DynamoDBStorage', () => {
+  let server: any;
+  let client: DynamoDBClient;
+  let tables = 0;
+
+  beforeAll(async () => {
+    server = dynalite({ createTableMs: 0, deleteTableMs: 0, updateTableMs: 0 });
+    await new Promise<void>(resolve => server.listen(0, '127.0.0.1', resolve));
+    client = new DynamoDBClient({
+      region: 'us-east-1',
+      endpoint: `http://127.0.0.1:${(server.address() as AddressInfo).port}`,
+      credentials: { accessKeyId: 'test', secretAccessKey: 'test' }
+    });
+  });
+
+  afterAll(async () => {
+    client.destroy();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('passes the storage conformance suite', async () => {
+    const report = await runStorageConformanceSuite(async () => {
+      const config = { tableName: `memory${tables++}`, region: 'us-east-1', client };
+      await createDynamoDBTable(config);
+      return new DynamoDBStorage(config);
+    });
+
+    expect(report.results.filter(result => !result.passed)).toEqual([]);
+  });
+
+  it('spreads sessions over the partitions of the session list', async () => {
+    const config = { tableName: `memory${tables++}`, region: 'us-east-1', client, sessionListShards: 4 };
+    await createDynamoDBTable(config);
+    const storage = new DynamoDBStorage(config);
+    await storage.initialize();
+
+    for (let i = 0; i < 20; i++) {
+      await storage.saveMessage({ id: `m${i}`, sessionId: `s${i}`, role: 'user', content: 'hello', timestamp: new Date() });
+    }
+
+    const { Items = [] } = await DynamoDBDocumentClient.from(client).send(new ScanCommand({
+      TableName: config.tableName,
+      FilterExpression: '#type = :type',
+      ExpressionAttributeNames: { '#type': 'type' },
+      ExpressionAttributeValues: { ':type': 'session' }
+    }));
+    const listKeys = new Set(Items.map(item => item.listKey));
+    expect(listKeys.size).toBeGreaterThan(1);
+    expect([...listKeys].every(key => /^SESSIONS#[0-3]$/.test(key))).toBe(true);
+    expect((await storage.getSessions()).length).toBe(20);
+  });
+
+  it('copies a table in the legacy layout', async () => {
+    const legacyTableName = `legacy${tables++}`;
+    await client.send(new CreateTableCommand({
+      TableName: legacyTableName,
+      BillingMode: 'PAY_PER_REQUEST',
+      AttributeDefinitions: [{ AttributeName: 'PK', AttributeType: 'S' }, { AttributeName: 'SK', AttributeType: 'S' }],
+      KeySchema: [{ AttributeName: 'PK', KeyType: 'HASH' }, { AttributeName: 'SK', KeyType: 'RANGE' }]
+    }));
+
+    const docClient = DynamoDBDocumentClient.from(client);
+    const put = (Item: Record<string, any>) => docClient.send(new PutCommand({ TableName: legacyTableName, Item }));
+    await put({
+      PK: 'SESSION#s1', SK: 'SESSION#s1', type: 'session', id: 's1', title: 'Legacy',
+      createdAt: '2024-01-01T00:00:00.000Z', updatedAt: '2024-01-01T00:02:00.000Z', messageCount: 2
+    });
+    await put({
+      PK: 'MESSAGE#m1', SK: 'SESSION#s1', type: 'message', id: 'm1', sessionId: 's1', role: 'user',
+      content: 'hello', timestamp: '2024-01-01T00:01:00.000Z', metadata: JSON.stringify({ source: 'web' })
+    });
+    await put({
+      PK: 'MESSAGE#m2', SK: 'SESSION#s1', type: 'message', id: 'm2', sessionId: 's1', role: 'assistant',
+      content: 'hi', timestamp: '2024-01-01T00:02:00.000Z'
+    });
+
+    const config = { tableName: `memory${tables++}`, region: 'us-east-1', client };
+    const storage = new DynamoDBStorage(config);
+    await expect(new DynamoDBStorage({ ...config, tableName: legacyTableName }).initialize())
+      .rejects.toThrow(/migrateLegacyDynamoDBTable/);
+
+    expect(await migrateLegacyDynamoDBTable(legacyTableName, config)).toEqual({ sessions: 1, messages: 2, records: 0 });
+    // Copying again changes nothing
+    await migrateLegacyDynamoDBTable(legacyTableName, config);
+
+    await storage.initialize();
+    const session = await storage.getSession('s1');
+    expect(session).toMatchObject({ title: 'Legacy', messageCount: 2, createdAt: new Date('2024-01-01T00:00:00.000Z') });
+    const { messages } = await storage.getMessages({ sessionId: 's1' });
+    expect(messages.map(m => [m.id, m.role, m.content, m.metadata])).toEqual([
+      ['m1', 'user', 'hello', { source: 'web' }],
+      ['m2', 'assistant', 'hi', undefined]
+    ]);
+  });
+});
@@ -1,16 +1,81 @@
-import { DynamoDBClient } from '@aws-sdk/client-dynamodb';
-import { DynamoDBDocumentClient, GetCommand, PutCommand, DeleteCommand, QueryCommand, ScanCommand } from '@aws-sdk/lib-dynamodb';
+import {
+  DynamoDBClient,
+  CreateTableCommand,
+  DescribeTableCommand,
+  DescribeTimeToLiveCommand,
+  UpdateTimeToLiveCommand,
+  waitUntilTableExists
+} from '@aws-sdk/client-dynamodb';
+import {
+  DynamoDBDocumentClient,
+  GetCommand,
+  PutCommand,
+  DeleteCommand,
+  QueryCommand,
+  QueryCommandInput,
+  ScanCommand,
+  UpdateCommand,
+  BatchGetCommand,
+  BatchGetCommandOutput,
+  BatchWriteCommand,
+  BatchWriteCommandOutput
+} from '@aws-sdk/lib-dynamodb';
+import { createHash } from 'crypto';
 import { v4 as uuidv4 } from 'uuid';
 import { IMemoryStorage } from '../interfaces/MemoryInterface';
-import { 
-  ConversationMessage, 
-  ConversationSession, 
-  DynamoDBStorageConfig, 
-  MemoryQueryOptions, 
-  MemorySearchResult, 
-  MemoryStats 
+import {
+  ConversationMessage,
+  ConversationSession,
+  DynamoDBStorageConfig,
+  MemoryQueryOptions,
+  MemorySearchResult,
+  MemoryStats,
+  MemoryRecord,
+  MemoryRecordQueryOptions,
+  MemoryScope,
+  ScopeMode,
+  SessionQueryOptions,
+  TransferCounts
 } from '../types';
-
+import { InvertedIndex } from '../search/InvertedIndex';
+import { rankMessages } from '../search/fullTextSearch';
+import { queryRecords, recordIdentity } from '../utils/records';
+import { ancestorScopeKeys, parseScopeKey, scopeKey } from '../utils/scope';
+import { KeysetPosition, MessageSource, decodeKeysetCursor, encodeCursor, paginateMessages, paginateSources } from '../utils/cursor';
+import { messageExpiresAt } from '../utils/retention';
+
+type Item = Record<string, any>;
+type WriteRequest = { PutRequest: { Item: Item } } | { DeleteRequest: { Key: Item } };
+
+const SESSION_SK = 'SESSION';
+const RECORD_SK = 'RECORD';
+const TTL_ATTRIBUTE = 'expiresAt';
+const MESSAGE_PREFIX = 'MESSAGE#';
+const SESSIONS_LIST = 'SESSIONS';
+const RECORDS_LIST = 'RECORDS';
+const DEFAULT_SESSION_LIST_SHARDS = 16;
+const MAX_BATCH_ATTEMPTS = 8;
+
+/**
+ * DynamoDB storage on a single table with string keys `PK` and `SK`:
+ *
+ * - session: `PK = SESSION#<id>`, `SK = SESSION`
+ * - message: `PK = SESSION#<sessionId>`, `SK = MESSAGE#<ISO timestamp>#<id>`, so a
+ *   session's messages are read in timestamp order straight from the table
+ * - record: `PK = SK = RECORD#<identity>`
+ *
+ * Global secondary indexes, all projecting every attribute (see `createDynamoDBTable`):
+ *
+ * - `IdIndex` on `idKey` (`MESSAGE#<id>` or `RECORD#<id>`): messages and records by id
+ * - `UpdatedIndex` on `listKey` and `updatedAt`: sessions and records by last update.
+ *   Every message save updates its session, so sessions are spread over
+ *   `SESSIONS#<n>` (n from a hash of the id) to keep those writes off a single
+ *   index partition; records are all under `RECORDS`
+ * - `ScopeIndex` on `scopeRoot` and `scopeKey`: sessions and records by scope
+ *
+ * Session message counts are kept with atomic `ADD` updates. With a retention policy,
+ * messages carry an `expiresAt` TTL attribute (epoch seconds).
+ */
 export class DynamoDBStorage implements IMemoryStorage {
   private config: DynamoDBStorageConfig;
   private client: DynamoDBClient;
@@ -19,28 +84,29 @@ export class DynamoDBStorage implements IMemoryStorage {
 
   constructor(config: DynamoDBStorageConfig) {
     this.config = config;
-    
-    this.client = new DynamoDBClient({
-      region: config.region,
-      endpoint: config.endpoint,
-      credentials: config.accessKeyId && config.secretAccessKey ? {
-        accessKeyId: config.accessKeyId,
-        secretAccessKey: config.secretAccessKey,
-        sessionToken: config.sessionToken
-      } : undefined
-    });
+    this.client = config.client || createClient(config);
 
-    this.docClient = DynamoDBDocumentClient.from(this.client);
+    // Optional attributes (title, metadata, ...) are often undefined
+    this.docClient = DynamoDBDocumentClient.from(this.client, {
+      marshallOptions: { removeUndefinedValues: true }
+    });
   }
 
   async initialize(): Promise<void> {
     try {
-      // Test connection by trying to describe the table
-      await this.docClient.send(new ScanCommand({
-        TableName: this.config.tableName,
-        Limit: 1
+      const { Table } = await this.client.send(new DescribeTableCommand({
+        TableName: this.config.tableName
       }));
 
+      const indexNames = (Table?.GlobalSecondaryIndexes || []).map(index => index.IndexName);
+      const missing = Object.values(indexNamesFor(this.config)).filter(name => !indexNames.includes(name));
+      if (missing.length > 0) {
+        throw new Error(
+          `Table ${this.config.tableName} is missing global secondary indexes: ${missing.join(', ')}. ` +
+          'Tables written by earlier versions can be copied into a new table with migrateLegacyDynamoDBTable'
+        );
+      }
+
       this.ready = true;
     } catch (error) {
       throw new Error(`Failed to initialize DynamoDB storage: ${error}`);
@@ -48,249 +114,284 @@ export class DynamoDBStorage implements IMemoryStorage {
   }
 
   async saveMessage(message: ConversationMessage): Promise<void> {
+    await this.saveMessages([message]);
+  }
+
+  /**
+   * Write messages with BatchWriteItem and adjust each session's count once
+   */
+  async saveMessages(messages: ConversationMessage[]): Promise<void> {
     if (!this.ready) throw new Error('Storage not initialized');
 
-    // Generate ID if not provided
-    if (!message.id) {
-      message.id = uuidv4();
+    // A batch may not write the same key twice, so the last copy of an id wins
+    const byId = new Map<string, ConversationMessage>();
+    for (const message of messages) {
+      // Generate ID if not provided
+      if (!message.id) {
+        message.id = uuidv4();
+      }
+      byId.set(message.id, message);
     }
-
-    // Save message
-    await this.docClient.send(new PutCommand({
-      TableName: this.config.tableName,
-      Item: {
-        PK: `MESSAGE#${message.id}`,
-        SK: `SESSION#${message.sessionId}`,
-        type: 'message',
-        id: message.id,
-        sessionId: message.sessionId,
-        role: message.role,
-        content: message.content,
-        timestamp: message.timestamp.toISOString(),
-        metadata: message.metadata ? JSON.stringify(message.metadata) : undefined,
-        createdAt: new Date().toISOString()
+    const batch = [...byId.values()];
+    if (batch.length === 0) return;
+
+    const existing = await this.findMessageItems(batch);
+    const requests: WriteRequest[] = [];
+    const countChanges = new Map<string, number>();
+    const addCount = (sessionId: string, delta: number) =>
+      countChanges.set(sessionId, (countChanges.get(sessionId) || 0) + delta);
+
+    for (const message of batch) {
+      const item = this.messageItem(message);
+      const previous = existing.get(message.id);
+
+      if (!previous) {
+        addCount(message.sessionId, 1);
+      } else if (previous.PK !== item.PK || previous.SK !== item.SK) {
+        // Moved to another session or timestamp
+        requests.push({ DeleteRequest: { Key: { PK: previous.PK, SK: previous.SK } } });
+        addCount(previous.sessionId, -1);
+        addCount(message.sessionId, 1);
+      } else {
+        addCount(message.sessionId, 0);
       }
-    }));
+      requests.push({ PutRequest: { Item: item } });
+    }
 
-    // Update session
-    await this.updateSessionInternal(message.sessionId);
-  }
+    await this.batchWrite(requests);
 
-  async saveMessages(messages: ConversationMessage[]): Promise<void> {
-    for (const message of messages) {
-      await this.saveMessage(message);
+    for (const [sessionId, delta] of countChanges) {
+      await this.touchSession(sessionId, delta);
     }
   }
 
   async getMessages(options: MemoryQueryOptions = {}): Promise<MemorySearchResult> {
     if (!this.ready) throw new Error('Storage not initialized');
 
-    let messages: ConversationMessage[] = [];
+    let sessionIds: string[];
+    if (options.scope) {
+      // Resolve the scope to its sessions through the scope index
+      sessionIds = (await this.getSessions({ scope: options.scope, scopeMode: options.scopeMode }))
+        .map(session => session.id)
+        .filter(id => !options.sessionId || id === options.sessionId);
+    } else if (options.sessionId) {
+      sessionIds = [options.sessionId];
+    } else {
+      sessionIds = (await this.getSessions()).map(session => session.id);
+    }
 
-    if (options.sessionId) {
-      // Get messages for specific session
-      const response = await this.docClient.send(new QueryCommand({
-        TableName: this.config.tableName,
-        KeyConditionExpression: 'SK = :sessionId AND begins_with(PK, :messagePrefix)',
-        ExpressionAttributeValues: {
-          ':sessionId': `SESSION#${options.sessionId}`,
-          ':messagePrefix': 'MESSAGE#'
-        },
-        ScanIndexForward: false // Most recent first
-      }));
+    const offset = options.offset || 0;
 
-      messages = (response.Items || []).map(item => ({
-        id: item.id,
-        sessionId: item.sessionId,
-        role: item.role,
-        content: item.content,
-        timestamp: new Date(item.timestamp),
-        metadata: item.metadata ? JSON.parse(item.metadata) : undefined
-      }));
-    } else {
-      // Get all messages
-      const response = await this.docClient.send(new ScanCommand({
-        TableName: this.config.tableName,
-        FilterExpression: 'begins_with(PK, :messagePrefix)',
-        ExpressionAttributeValues: {
-          ':messagePrefix': 'MESSAGE#'
-        }
-      }));
+    if (sessionIds.length === 1 && !options.query) {
+      // One session in timestamp order: paginate natively, resuming a cursor from its sort key
+      const input = this.messageQuery(sessionIds[0], options);
+      const page: QueryCommandInput = { ...input, ScanIndexForward: options.order !== 'desc' };
+      let start = offset;
+      if (options.cursor) {
+        page.ExclusiveStartKey = this.messageKey(sessionIds[0], decodeKeysetCursor(options.cursor));
+        start = 0;
+      }
 
-      messages = (response.Items || []).map(item => ({
-        id: item.id,
-        sessionId: item.sessionId,
-        role: item.role,
-        content: item.content,
-        timestamp: new Date(item.timestamp),
-        metadata: item.metadata ? JSON.parse(item.metadata) : undefined
-      }));
+      // One extra item tells whether there is a next page
+      const [total, items] = await Promise.all([
+        this.countItems(input),
+        this.queryRange(page, start, options.limit ? options.limit + 1 : undefined)
+      ]);
+      const hasMore = !!options.limit && items.length > options.limit;
+      const messages = items.slice(0, options.limit || items.length).map(item => this.toMessage(item));
+      const last = messages[messages.length - 1];
+
+      return {
+        messages,
+        total,
+        hasMore,
+        nextCursor: hasMore && last ? encodeCursor({ timestamp: last.timestamp.getTime(), key: last.id }) : undefined
+      };
     }
 
-    // Apply additional filters
-    if (options.role) {
-      messages = messages.filter(m => m.role === options.role);
-    }
+    if (options.query) {
+      const items: Item[] = [];
+      for (const sessionId of sessionIds) {
+        items.push(...await this.queryAll(this.messageQuery(sessionId, options)));
+      }
+      const messages = items.map(item => this.toMessage(item));
 
-    if (options.startDate) {
-      messages = messages.filter(m => m.timestamp >= options.startDate!);
+      const ranked = rankMessages(InvertedIndex.fromMessages(messages), messages, options.query);
+      return paginateMessages(ranked.messages, options, ranked.matches);
     }
 
-    if (options.endDate) {
-      messages = messages.filter(m => m.timestamp <= options.endDate!);
-    }
+    // Each session is queried from the cursor's sort key for just the items the page can still use
+    const sources: MessageSource[] = sessionIds.map(sessionId => ({
+      read: async (after, count) => {
+        const input: QueryCommandInput = { ...this.messageQuery(sessionId, options), ScanIndexForward: options.order !== 'desc' };
+        if (after) input.ExclusiveStartKey = this.messageKey(sessionId, after);
+        const items = Number.isFinite(count) ? await this.queryRange(input, 0, count) : await this.queryAll(input);
+        return items.map(item => this.toMessage(item));
+      }
+    }));
 
-    // Sort by timestamp
-    messages.sort((a, b) => a.timestamp.getTime() - b.timestamp.getTime());
+    return paginateSources(sources, options, async () => {
+      let total = 0;
+      for (const sessionId of sessionIds) {
+        total += await this.countItems(this.messageQuery(sessionId, options));
+      }
+      return total;
+    });
+  }
 
-    const total = messages.length;
-    const offset = options.offset || 0;
-    const limit = options.limit || total;
+  async getMessage(messageId: string): Promise<ConversationMessage | null> {
+    if (!this.ready) throw new Error('Storage not initialized');
 
-    const paginatedMessages = messages.slice(offset, offset + limit);
+    const item = await this.findById(`MESSAGE#${messageId}`);
+    return item ? this.toMessage(item) : null;
+  }
 
-    return {
-      messages: paginatedMessages,
-      total,
-      hasMore: offset + limit < total
-    };
+  async getSessions(options: SessionQueryOptions = {}): Promise<ConversationSession[]> {
+    if (!this.ready) throw new Error('Storage not initialized');
+
+    const items = options.scope
+      ? await this.queryScope('session', options.scope, options.scopeMode)
+      : await this.querySessionList();
+
+    return items
+      .map(item => this.toSession(item))
+      .sort((a, b) => b.updatedAt.getTime() - a.updatedAt.getTime());
   }
 
-  async getMessage(messageId: string): Promise<ConversationMessage | null> {
+  async getSession(sessionId: string): Promise<ConversationSession | null> {
     if (!this.ready) throw new Error('Storage not initialized');
 
     const response = await this.docClient.send(new GetCommand({
       TableName: this.config.tableName,
-      Key: {
-        PK: `MESSAGE#${messageId}`,
-        SK: `MESSAGE#${messageId}`
-      }
+      Key: this.sessionKey(sessionId),
+      ConsistentRead: true
     }));
 
     if (!response.Item) return null;
 
-    return {
-      id: response.Item.id,
-      sessionId: response.Item.sessionId,
-      role: response.Item.role,
-      content: response.Item.content,
-      timestamp: new Date(response.Item.timestamp),
-      metadata: response.Item.metadata ? JSON.parse(response.Item.metadata) : undefined
-    };
+    return this.toSession(response.Item);
   }
 
-  async getSessions(): Promise<ConversationSession[]> {
+  async updateSession(sessionId: string, updates: Partial<ConversationSession>): Promise<void> {
     if (!this.ready) throw new Error('Storage not initialized');
 
-    const response = await this.docClient.send(new ScanCommand({
+    const now = new Date().toISOString();
+    const set: Item = { type: 'session', id: sessionId, listKey: this.sessionListKey(sessionId), updatedAt: now };
+    if (updates.title !== undefined) set.title = updates.title;
+    if (updates.metadata !== undefined) set.metadata = JSON.stringify(updates.metadata);
+    // A title or metadata given as undefined is cleared, as in the other backends
+    const remove = (['title', 'metadata'] as const).filter(field => field in updates && updates[field] === undefined);
+    if (updates.messageCount !== undefined) set.messageCount = updates.messageCount;
+    if (updates.createdAt !== undefined) set.createdAt = updates.createdAt.toISOString();
+    if (updates.scope !== undefined) Object.assign(set, { scope: updates.scope }, this.scopeAttributes(updates.scope));
+
+    // Unknown sessions are created, as in the other backends
+    await this.docClient.send(new UpdateCommand({
       TableName: this.config.tableName,
-      FilterExpression: 'begins_with(PK, :sessionPrefix)',
-      ExpressionAttributeValues: {
-        ':sessionPrefix': 'SESSION#'
-      }
+      Key: this.sessionKey(sessionId),
+      ...updateExpression(set, { createdAt: now, messageCount: 0, ...this.scopeAttributes() }, {}, remove)
     }));
-
-    return (response.Items || []).map(item => ({
-      id: item.id,
-      title: item.title,
-      createdAt: new Date(item.createdAt),
-      updatedAt: new Date(item.updatedAt),
-      messageCount: item.messageCount || 0,
-      metadata: item.metadata ? JSON.parse(item.metadata) : undefined
-    })).sort((a, b) => b.updatedAt.getTime() - a.updatedAt.getTime());
   }
 
-  async getSession(sessionId: string): Promise<ConversationSession | null> {
+  async deleteMessage(messageId: string): Promise<void> {
     if (!this.ready) throw new Error('Storage not initialized');
 
-    const response = await this.docClient.send(new GetCommand({
+    const item = await this.findById(`MESSAGE#${messageId}`);
+    if (!item) return;
+
+    const response = await this.docClient.send(new DeleteCommand({
       TableName: this.config.tableName,
-      Key: {
-        PK: `SESSION#${sessionId}`,
-        SK: `SESSION#${sessionId}`
-      }
+      Key: { PK: item.PK, SK: item.SK },
+      ReturnValues: 'ALL_OLD'
     }));
 
-    if (!response.Item) return null;
+    // Update session message count, unless a concurrent delete got there first
+    if (response.Attributes) {
+      await this.touchSession(item.sessionId, -1);
+    }
+  }
 
-    return {
-      id: response.Item.id,
-      title: response.Item.title,
-      createdAt: new Date(response.Item.createdAt),
-      updatedAt: new Date(response.Item.updatedAt),
-      messageCount: response.Item.messageCount || 0,
-      metadata: response.Item.metadata ? JSON.parse(response.Item.metadata) : undefined
-    };
+  async deleteSession(sessionId: string): Promise<void> {
+    if (!this.ready) throw new Error('Storage not initialized');
+
+    // The session and its messages share a partition
+    const items = await this.queryAll({
+      TableName: this.config.tableName,
+      KeyConditionExpression: 'PK = :pk',
+      ExpressionAttributeValues: { ':pk': this.sessionKey(sessionId).PK },
+      ProjectionExpression: 'PK, SK',
+      ConsistentRead: true
+    });
+
+    await this.batchWrite(items.map(item => ({ DeleteRequest: { Key: { PK: item.PK, SK: item.SK } } })));
   }
 
-  async updateSession(sessionId: string, updates: Partial<ConversationSession>): Promise<void> {
+  async saveRecord(record: MemoryRecord): Promise<MemoryRecord> {
     if (!this.ready) throw new Error('Storage not initialized');
 
-    const session = await this.getSession(sessionId);
-    if (!session) {
-      throw new Error(`Session ${sessionId} not found`);
-    }
+    // Records are keyed by their identity so that saving the same key upserts
+    const key = this.recordKey(record);
+    const response = await this.docClient.send(new GetCommand({
+      TableName: this.config.tableName,
+      Key: key,
+      ConsistentRead: true
+    }));
 
-    const updatedSession = { ...session, ...updates, updatedAt: new Date() };
+    const stored: MemoryRecord = response.Item
+      ? { ...record, id: response.Item.id, createdAt: new Date(response.Item.createdAt) }
+      : { ...record, id: record.id || uuidv4() };
 
     await this.docClient.send(new PutCommand({
       TableName: this.config.tableName,
       Item: {
-        PK: `SESSION#${sessionId}`,
-        SK: `SESSION#${sessionId}`,
-        type: 'session',
-        id: sessionId,
-        title: updatedSession.title,
-        createdAt: updatedSession.createdAt.toISOString(),
-        updatedAt: updatedSession.updatedAt.toISOString(),
-        messageCount: updatedSession.messageCount,
-        metadata: updatedSession.metadata ? JSON.stringify(updatedSession.metadata) : undefined
+        ...key,
+        type: 'record',
+        idKey: `RECORD#${stored.id}`,
+        listKey: RECORDS_LIST,
+        id: stored.id,
+        kind: stored.kind,
+        key: stored.key,
+        value: JSON.stringify(stored.value),
+        tags: stored.tags,
+        confidence: stored.confidence,
+        sourceMessageId: stored.sourceMessageId,
+        sessionId: stored.sessionId,
+        scope: stored.scope,
+        ...this.scopeAttributes(stored.scope),
+        createdAt: stored.createdAt.toISOString(),
+        updatedAt: stored.updatedAt.toISOString(),
+        metadata: stored.metadata ? JSON.stringify(stored.metadata) : undefined
       }
     }));
+
+    return stored;
   }
 
-  async deleteMessage(messageId: string): Promise<void> {
+  async getRecord(recordId: string): Promise<MemoryRecord | null> {
     if (!this.ready) throw new Error('Storage not initialized');
 
-    const message = await this.getMessage(messageId);
-    if (!message) return;
+    const item = await this.findById(`RECORD#${recordId}`);
+    return item ? this.toRecord(item) : null;
+  }
 
-    await this.docClient.send(new DeleteCommand({
-      TableName: this.config.tableName,
-      Key: {
-        PK: `MESSAGE#${messageId}`,
-        SK: `SESSION#${message.sessionId}`
-      }
-    }));
+  async getRecords(options: MemoryRecordQueryOptions = {}): Promise<MemoryRecord[]> {
+    if (!this.ready) throw new Error('Storage not initialized');
 
-    // Update session message count
-    await this.updateSessionInternal(message.sessionId);
+    const items = options.scope
+      ? await this.queryScope('record', options.scope, options.scopeMode)
+      : await this.queryList(RECORDS_LIST);
+    return queryRecords(items.map(item => this.toRecord(item)), options);
   }
 
-  async deleteSession(sessionId: string): Promise<void> {
+  async deleteRecord(recordId: string): Promise<void> {
     if (!this.ready) throw new Error('Storage not initialized');
 
-    // Get all messages for this session
-    const messages = await this.getMessages({ sessionId });
+    const item = await this.findById(`RECORD#${recordId}`);
+    if (!item) return;
 
-    // Delete all messages
-    for (const message of messages.messages) {
-      await this.docClient.send(new DeleteCommand({
-        TableName: this.config.tableName,
-        Key: {
-          PK: `MESSAGE#${message.id}`,
-          SK: `SESSION#${sessionId}`
-        }
-      }));
-    }
-
-    // Delete session
     await this.docClient.send(new DeleteCommand({
       TableName: this.config.tableName,
-      Key: {
-        PK: `SESSION#${sessionId}`,
-        SK: `SESSION#${sessionId}`
-      }
+      Key: { PK: item.PK, SK: item.SK }
     }));
   }
 
@@ -298,17 +399,27 @@ export class DynamoDBStorage implements IMemoryStorage {
     if (!this.ready) throw new Error('Storage not initialized');
 
     const sessions = await this.getSessions();
-    const messages = await this.getMessages();
+    const totalMessages = sessions.reduce((sum, session) => sum + session.messageCount, 0);
+
+    // Each session's first and last message bound the range
+    let oldestMessage: Date | null = null;
+    let newestMessage: Date | null = null;
+    for (const session of sessions.filter(s => s.messageCount > 0)) {
+      const [first] = await this.queryEdge(session.id, true);
+      const [last] = await this.queryEdge(session.id, false);
+      if (first && (!oldestMessage || new Date(first.timestamp) < oldestMessage)) {
+        oldestMessage = new Date(first.timestamp);
+      }
+      if (last && (!newestMessage || new Date(last.timestamp) > newestMessage)) {
+        newestMessage = new Date(last.timestamp);
+      }
+    }
 
-    const timestamps = messages.messages.map(m => m.timestamp.getTime());
-    const oldestMessage = timestamps.length > 0 ? new Date(Math.min(...timestamps)) : null;
-    const newestMessage = timestamps.length > 0 ? new Date(Math.max(...timestamps)) : null;
-    
-    const averageMessagesPerSession = sessions.length > 0 ? messages.total / sessions.length : 0;
+    const averageMessagesPerSession = sessions.length > 0 ? totalMessages / sessions.length : 0;
 
     return {
       totalSessions: sessions.length,
-      totalMessages: messages.total,
+      totalMessages,
       oldestMessage,
       newestMessage,
       averageMessagesPerSession
@@ -318,46 +429,571 @@ export class DynamoDBStorage implements IMemoryStorage {
   async clear(): Promise<void> {
     if (!this.ready) throw new Error('Storage not initialized');
 
-    // Get all items
-    const response = await this.docClient.send(new ScanCommand({
-      TableName: this.config.tableName
+    for (const session of await this.getSessions()) {
+      await this.deleteSession(session.id);
+    }
+
+    const records = await this.queryList(RECORDS_LIST);
+    await this.batchWrite(records.map(item => ({ DeleteRequest: { Key: { PK: item.PK, SK: item.SK } } })));
+  }
+
+  isReady(): boolean {
+    return this.ready;
+  }
+
+  /**
+   * Bump a session's updatedAt and add `delta` to its message count,
+   * creating the session if it does not exist
+   */
+  private async touchSession(sessionId: string, delta: number): Promise<void> {
+    const now = new Date().toISOString();
+
+    await this.docClient.send(new UpdateCommand({
+      TableName: this.config.tableName,
+      Key: this.sessionKey(sessionId),
+      ...updateExpression(
+        { type: 'session', id: sessionId, listKey: this.sessionListKey(sessionId), updatedAt: now },
+        { createdAt: now, ...this.scopeAttributes() },
+        { messageCount: delta }
+      )
+    }));
+  }
+
+  /**
+   * Stored items for messages that already exist, keyed by message id
+   */
+  private async findMessageItems(messages: ConversationMessage[]): Promise<Map<string, Item>> {
+    const found = new Map<string, Item>();
+
+    // Usually a message is re-saved under the same key, which can be read consistently
+    const items = await this.batchGet(messages.map(message => {
+      const { PK, SK } = this.messageItem(message);
+      return { PK, SK };
+    }));
+    items.forEach(item => found.set(item.id, item));
+
+    // Otherwise it may exist under another session or timestamp
+    await Promise.all(messages.filter(message => !found.has(message.id)).map(async message => {
+      const item = await this.findById(`MESSAGE#${message.id}`);
+      if (item) found.set(message.id, item);
     }));
 
-    // Delete all items
-    for (const item of response.Items || []) {
-      await this.docClient.send(new DeleteCommand({
+    return found;
+  }
+
+  private async findById(idKey: string): Promise<Item | null> {
+    const response = await this.docClient.send(new QueryCommand({
+      TableName: this.config.tableName,
+      IndexName: indexNamesFor(this.config).id,
+      KeyConditionExpression: 'idKey = :idKey',
+      ExpressionAttributeValues: { ':idKey': idKey },
+      Limit: 1
+    }));
+
+    return response.Items?.[0] || null;
+  }
+
+  /**
+   * Partition of the session list a session is kept in
+   */
+  private sessionListKey(sessionId: string): string {
+    const shards = this.config.sessionListShards || DEFAULT_SESSION_LIST_SHARDS;
+    const hash = createHash('md5').update(sessionId).digest().readUInt32BE(0);
+    return `${SESSIONS_LIST}#${hash % shards}`;
+  }
+
+  /**
+   * Sessions from every partition of the session list, in no particular order
+   */
+  private async querySessionList(): Promise<Item[]> {
+    const shards = this.config.sessionListShards || DEFAULT_SESSION_LIST_SHARDS;
+    const lists = await Promise.all(
+      Array.from({ length: shards }, (_, shard) => this.queryList(`${SESSIONS_LIST}#${shard}`))
+    );
+    return lists.flat();
+  }
+
+  /**
+   * Sessions or records, most recently updated first
+   */
+  private async queryList(listKey: string): Promise<Item[]> {
+    return this.queryAll({
+      TableName: this.config.tableName,
+      IndexName: indexNamesFor(this.config).updated,
+      KeyConditionExpression: 'listKey = :listKey',
+      ExpressionAttributeValues: { ':listKey': listKey },
+      ScanIndexForward: false
+    });
+  }
+
+  /**
+   * Query for a session's messages, with the date range in the key condition
+   * and the role as a filter
+   */
+  /**
+   * Key of the message at a cursor position, to resume a query after it
+   */
+  private messageKey(sessionId: string, position: KeysetPosition): Item {
+    return {
+      PK: this.sessionKey(sessionId).PK,
+      SK: `${MESSAGE_PREFIX}${new Date(position.timestamp).toISOString()}#${position.key}`
+    };
+  }
+
+  private messageQuery(sessionId: string, options: MemoryQueryOptions): QueryCommandInput {
+    const input: QueryCommandInput = {
+      TableName: this.config.tableName,
+      KeyConditionExpression: 'PK = :pk AND SK BETWEEN :from AND :to',
+      ExpressionAttributeValues: {
+        ':pk': this.sessionKey(sessionId).PK,
+        ':from': options.startDate ? `${MESSAGE_PREFIX}${options.startDate.toISOString()}` : MESSAGE_PREFIX,
+        ':to': options.endDate ? `${MESSAGE_PREFIX}${options.endDate.toISOString()}#\uffff` : `${MESSAGE_PREFIX}\uffff`
+      },
+      ConsistentRead: true
+    };
+
+    if (options.role) {
+      input.FilterExpression = '#role = :role';
+      input.ExpressionAttributeNames = { '#role': 'role' };
+      input.ExpressionAttributeValues![':role'] = options.role;
+    }
+
+    return input;
+  }
+
+  private async queryEdge(sessionId: string, oldest: boolean): Promise<Item[]> {
+    const response = await this.docClient.send(new QueryCommand({
+      TableName: this.config.tableName,
+      KeyConditionExpression: 'PK = :pk AND begins_with(SK, :prefix)',
+      ExpressionAttributeValues: { ':pk': this.sessionKey(sessionId).PK, ':prefix': MESSAGE_PREFIX },
+      ScanIndexForward: oldest,
+      Limit: 1
+    }));
+    return response.Items || [];
+  }
+
+  /**
+   * Run a query to the end, following LastEvaluatedKey
+   */
+  private async queryAll(input: QueryCommandInput): Promise<Item[]> {
+    const items: Item[] = [];
+    let exclusiveStartKey = input.ExclusiveStartKey;
+
+    do {
+      const response = await this.docClient.send(new QueryCommand({ ...input, ExclusiveStartKey: exclusiveStartKey }));
+      items.push(...(response.Items || []));
+      exclusiveStartKey = response.LastEvaluatedKey;
+    } while (exclusiveStartKey);
+
+    return items;
+  }
+
+  /**
+   * Read items `offset` to `offset + limit` of a query, stopping as soon as
+   * they have been read
+   */
+  private async queryRange(input: QueryCommandInput, offset: number, limit?: number): Promise<Item[]> {
+    if (limit === undefined) {
+      return (await this.queryAll(input)).slice(offset);
+    }
+
+    const items: Item[] = [];
+    let exclusiveStartKey = input.ExclusiveStartKey;
+
+    do {
+      const response = await this.docClient.send(new QueryCommand({
+        ...input,
+        // Limit counts items before the filter, so more pages may be needed
+        Limit: offset + limit - items.length,
+        ExclusiveStartKey: exclusiveStartKey
+      }));
+      items.push(...(response.Items || []));
+      exclusiveStartKey = response.LastEvaluatedKey;
+    } while (exclusiveStartKey && items.length < offset + limit);
+
+    return items.slice(offset, offset + limit);
+  }
+
+  private async countItems(input: QueryCommandInput): Promise<number> {
+    let count = 0;
+    let exclusiveStartKey: Item | undefined;
+
+    do {
+      const response = await this.docClient.send(new QueryCommand({
+        ...input,
+        Select: 'COUNT',
+        ExclusiveStartKey: exclusiveStartKey
+      }));
+      count += response.Count || 0;
+      exclusiveStartKey = response.LastEvaluatedKey;
+    } while (exclusiveStartKey);
+
+    return count;
+  }
+
+  /**
+   * Consistently read items by key, 100 keys per request
+   */
+  private async batchGet(keys: Item[]): Promise<Item[]> {
+    const items: Item[] = [];
+
+    for (let i = 0; i < keys.length; i += 100) {
+      let pending: Item[] | undefined = keys.slice(i, i + 100);
+      for (let attempt = 0; pending && pending.length > 0; attempt++) {
+        if (attempt >= MAX_BATCH_ATTEMPTS) throw new Error('BatchGetItem left keys unprocessed');
+        if (attempt > 0) await backoff(attempt);
+
+        const response: BatchGetCommandOutput = await this.docClient.send(new BatchGetCommand({
+          RequestItems: { [this.config.tableName]: { Keys: pending, ConsistentRead: true } }
+        }));
+        items.push(...(response.Responses?.[this.config.tableName] || []));
+        pending = response.UnprocessedKeys?.[this.config.tableName]?.Keys;
+      }
+    }
+
+    return items;
+  }
+
+  /**
+   * Apply puts and deletes, 25 per request, retrying unprocessed items
+   */
+  private async batchWrite(requests: WriteRequest[]): Promise<void> {
+    for (let i = 0; i < requests.length; i += 25) {
+      let pending: WriteRequest[] | undefined = requests.slice(i, i + 25);
+      for (let attempt = 0; pending && pending.length > 0; attempt++) {
+        if (attempt >= MAX_BATCH_ATTEMPTS) throw new Error('BatchWriteItem left items unprocessed');
+        if (attempt > 0) await backoff(attempt);
+
+        const response: BatchWriteCommandOutput = await this.docClient.send(new BatchWriteCommand({
+          RequestItems: { [this.config.tableName]: pending }
+        }));
+        pending = response.UnprocessedItems?.[this.config.tableName] as WriteRequest[] | undefined;
+      }
+    }
+  }
+
+  private sessionKey(sessionId: string): { PK: string; SK: string } {
+    return { PK: `SESSION#${sessionId}`, SK: SESSION_SK };
+  }
+
+  private messageItem(message: ConversationMessage): Item {
+    const timestamp = message.timestamp.toISOString();
+    const expiresAt = this.config.retention ? messageExpiresAt(message, this.config.retention) : null;
+    return {
+      PK: this.sessionKey(message.sessionId).PK,
+      SK: `${MESSAGE_PREFIX}${timestamp}#${message.id}`,
+      type: 'message',
+      idKey: `MESSAGE#${message.id}`,
+      id: message.id,
+      sessionId: message.sessionId,
+      role: message.role,
+      content: message.content,
+      timestamp,
+      metadata: message.metadata ? JSON.stringify(message.metadata) : undefined,
+      embedding: message.embedding,
+      parentId: message.parentId,
+      parts: message.parts ? JSON.stringify(message.parts) : undefined,
+      toolCalls: message.toolCalls ? JSON.stringify(message.toolCalls) : undefined,
+      toolCallId: message.toolCallId,
+      createdAt: new Date().toISOString(),
+      // Epoch seconds, as DynamoDB TTL expects
+      [TTL_ATTRIBUTE]: expiresAt ? Math.floor(expiresAt.getTime() / 1000) : undefined
+    };
+  }
+
+  private toMessage(item: Item): ConversationMessage {
+    return {
+      id: item.id,
+      sessionId: item.sessionId,
+      role: item.role,
+      content: item.content,
+      timestamp: new Date(item.timestamp),
+      metadata: item.metadata ? JSON.parse(item.metadata) : undefined,
+      embedding: item.embedding,
+      parentId: item.parentId,
+      parts: item.parts ? JSON.parse(item.parts) : undefined,
+      toolCalls: item.toolCalls ? JSON.parse(item.toolCalls) : undefined,
+      toolCallId: item.toolCallId
+    };
+  }
+
+  private recordKey(record: Pick<MemoryRecord, 'sessionId' | 'kind' | 'key' | 'scope'>): { PK: string; SK: string } {
+    return { PK: `RECORD#${recordIdentity(record)}`, SK: RECORD_SK };
+  }
+
+  private toSession(item: Item): ConversationSession {
+    return {
+      id: item.id,
+      title: item.title,
+      scope: item.scope,
+      createdAt: new Date(item.createdAt),
+      updatedAt: new Date(item.updatedAt),
+      messageCount: item.messageCount || 0,
+      metadata: item.metadata ? JSON.parse(item.metadata) : undefined
+    };
+  }
+
+  /**
+   * Attributes indexed by the scope GSI; the global scope is stored as '_'
+   * because key attributes cannot be empty
+   */
+  private scopeAttributes(scope?: MemoryScope): { scopeRoot: string; scopeKey: string } {
+    const key = scopeKey(scope);
+    return { scopeRoot: key ? key.split('/')[0] : '_', scopeKey: key || '_' };
+  }
+
+  /**
+   * Find sessions or records in a scope through the scope GSI
+   */
+  private async queryScope(type: 'session' | 'record', scope: MemoryScope, mode: ScopeMode = 'exact'): Promise<Item[]> {
+    const key = scopeKey(scope);
+    const indexName = indexNamesFor(this.config).scope;
+
+    if (mode === 'descendants' && !key) {
+      // Everything is inside the global scope
+      return type === 'session' ? await this.querySessionList() : await this.queryList(RECORDS_LIST);
+    }
+
+    const conditions: Array<{ expression: string; values: Record<string, any> }> = [];
+    const exactKeys = mode === 'ancestors' ? ancestorScopeKeys(scope) : [key];
+    for (const exactKey of exactKeys) {
+      const { scopeRoot, scopeKey: indexedKey } = this.scopeAttributes(parseScopeKey(exactKey));
+      conditions.push({
+        expression: 'scopeRoot = :root AND scopeKey = :key',
+        values: { ':root': scopeRoot, ':key': indexedKey }
+      });
+    }
+    if (mode === 'descendants') {
+      conditions.push({
+        expression: 'scopeRoot = :root AND begins_with(scopeKey, :key)',
+        values: { ':root': key.split('/')[0], ':key': `${key}/` }
+      });
+    }
+
+    const items: Item[] = [];
+    for (const condition of conditions) {
+      items.push(...await this.queryAll({
         TableName: this.config.tableName,
-        Key: {
-          PK: item.PK,
-          SK: item.SK
-        }
+        IndexName: indexName,
+        KeyConditionExpression: condition.expression,
+        FilterExpression: '#type = :type',
+        ExpressionAttributeNames: { '#type': 'type' },
+        ExpressionAttributeValues: { ...condition.values, ':type': type }
       }));
     }
+
+    return items;
   }
 
-  isReady(): boolean {
-    return this.ready;
+  private toRecord(item: Item): MemoryRecord {
+    return {
+      id: item.id,
+      kind: item.kind,
+      key: item.key,
+      value: JSON.parse(item.value),
+      tags: item.tags,
+      confidence: item.confidence,
+      sourceMessageId: item.sourceMessageId,
+      sessionId: item.sessionId,
+      scope: item.scope,
+      createdAt: new Date(item.createdAt),
+      updatedAt: new Date(item.updatedAt),
+      metadata: item.metadata ? JSON.parse(item.metadata) : undefined
+    };
+  }
+}
+
+/**
+ * Create the table and indexes used by DynamoDBStorage, e.g. against
+ * DynamoDB Local, and wait until it is active. Existing tables are left as is,
+ * except that TTL on `expiresAt` is enabled when the config has a retention policy.
+ */
+export async function createDynamoDBTable(config: DynamoDBStorageConfig): Promise<void> {
+  const client = config.client || createClient(config);
+  const indexNames = indexNamesFor(config);
+  const attribute = (AttributeName: string) => ({ AttributeName, AttributeType: 'S' as const });
+  const index = (IndexName: string, hashKey: string, rangeKey?: string) => ({
+    IndexName,
+    KeySchema: [
+      { AttributeName: hashKey, KeyType: 'HASH' as const },
+      ...(rangeKey ? [{ AttributeName: rangeKey, KeyType: 'RANGE' as const }] : [])
+    ],
+    Projection: { ProjectionType: 'ALL' as const }
+  });
+
+  try {
+    await client.send(new CreateTableCommand({
+      TableName: config.tableName,
+      BillingMode: 'PAY_PER_REQUEST',
+      AttributeDefinitions: ['PK', 'SK', 'idKey', 'listKey', 'updatedAt', 'scopeRoot', 'scopeKey'].map(attribute),
+      KeySchema: [
+        { AttributeName: 'PK', KeyType: 'HASH' },
+        { AttributeName: 'SK', KeyType: 'RANGE' }
+      ],
+      GlobalSecondaryIndexes: [
+        index(indexNames.id, 'idKey'),
+        index(indexNames.updated, 'listKey', 'updatedAt'),
+        index(indexNames.scope, 'scopeRoot', 'scopeKey')
+      ]
+    }));
+  } catch (error: any) {
+    if (error.name !== 'ResourceInUseException') throw error;
   }
 
-  private async updateSessionInternal(sessionId: string): Promise<void> {
-    // Count messages for this session
-    const messages = await this.getMessages({ sessionId });
-    
-    // Get or create session
-    let session = await this.getSession(sessionId);
-    if (!session) {
-      session = {
-        id: sessionId,
-        createdAt: new Date(),
-        updatedAt: new Date(),
-        messageCount: 0
-      };
+  try {
+    await waitUntilTableExists({ client, maxWaitTime: 60 }, { TableName: config.tableName });
+
+    if (config.retention) {
+      // Let DynamoDB delete expired messages in the background
+      const ttl = await client.send(new DescribeTimeToLiveCommand({ TableName: config.tableName }));
+      const status = ttl.TimeToLiveDescription?.TimeToLiveStatus;
+      if (status !== 'ENABLED' && status !== 'ENABLING') {
+        await client.send(new UpdateTimeToLiveCommand({
+          TableName: config.tableName,
+          TimeToLiveSpecification: { AttributeName: TTL_ATTRIBUTE, Enabled: true }
+        }));
+      }
     }
+  } finally {
+    if (!config.client) client.destroy();
+  }
+}
+
+/**
+ * Copy a table in the layout of earlier versions (messages under
+ * `PK = MESSAGE#<id>`, `SK = SESSION#<sessionId>`; sessions under
+ * `PK = SK = SESSION#<id>`, no secondary indexes) into the table of `config`,
+ * which is created first. The legacy table is only read, one scan page at a
+ * time, and copying again skips what is already there. Message counts are
+ * recomputed rather than copied.
+ */
+export async function migrateLegacyDynamoDBTable(
+  legacyTableName: string,
+  config: DynamoDBStorageConfig
+): Promise<TransferCounts> {
+  const client = config.client || createClient(config);
+  const counts: TransferCounts = { sessions: 0, messages: 0, records: 0 };
+
+  try {
+    const target = { ...config, client };
+    await createDynamoDBTable(target);
+    const storage = new DynamoDBStorage(target);
+    await storage.initialize();
+
+    const docClient = DynamoDBDocumentClient.from(client);
+    let exclusiveStartKey: Item | undefined;
+    do {
+      const response = await docClient.send(new ScanCommand({
+        TableName: legacyTableName,
+        ConsistentRead: true,
+        ExclusiveStartKey: exclusiveStartKey
+      }));
 
-    // Update session
-    await this.updateSession(sessionId, {
-      messageCount: messages.total,
-      updatedAt: new Date()
-    });
+      const messages: ConversationMessage[] = [];
+      for (const item of response.Items || []) {
+        if (item.type === 'session') {
+          await storage.updateSession(item.id, {
+            title: item.title,
+            metadata: item.metadata ? JSON.parse(item.metadata) : undefined,
+            createdAt: new Date(item.createdAt)
+          });
+          counts.sessions++;
+        } else if (item.type === 'message') {
+          messages.push({
+            id: item.id,
+            sessionId: item.sessionId,
+            role: item.role,
+            content: item.content,
+            timestamp: new Date(item.timestamp),
+            metadata: item.metadata ? JSON.parse(item.metadata) : undefined
+          });
+        }
+      }
+      await storage.saveMessages(messages);
+      counts.messages += messages.length;
+
+      exclusiveStartKey = response.LastEvaluatedKey;
+    } while (exclusiveStartKey);
+  } finally {
+    if (!config.client) client.destroy();
   }
-} 
\ No newline at end of file
+
+  return counts;
+}
+
+function createClient(config: DynamoDBStorageConfig): DynamoDBClient {
+  return new DynamoDBClient({
+    region: config.region,
+    endpoint: config.endpoint,
+    credentials: config.accessKeyId && config.secretAccessKey ? {
+      accessKeyId: config.accessKeyId,
+      secretAccessKey: config.secretAccessKey,
+      sessionToken: config.sessionToken
+    } : undefined
+  });
+}
+
+function indexNamesFor(config: DynamoDBStorageConfig): { id: string; updated: string; scope: string } {
+  return {
+    id: config.idIndexName || 'IdIndex',
+    updated: config.updatedIndexName || 'UpdatedIndex',
+    scope: config.scopeIndexName || 'ScopeIndex'
+  };
+}
+
+/**
+ * Build an UpdateItem expression that sets `set`, initialises `initial`
+ * attributes only when absent, atomically adds `add` and removes `remove`
+ */
+function updateExpression(
+  set: Item,
+  initial: Item = {},
+  add: Record<string, number> = {},
+  remove: readonly string[] = []
+): {
+  UpdateExpression: string;
+  ExpressionAttributeNames: Record<string, string>;
+  ExpressionAttributeValues: Item;
+} {
+  const names: Record<string, string> = {};
+  const values: Item = {};
+  const name = (attribute: string) => {
+    const placeholder = `#a${Object.keys(names).length}`;
+    names[placeholder] = attribute;
+    return placeholder;
+  };
+  const placeholder = (attribute: string, value: any) => {
+    const i = Object.keys(names).length;
+    values[`:v${i}`] = value;
+    return [name(attribute), `:v${i}`];
+  };
+
+  const assignments = Object.entries(set).map(([attribute, value]) => {
+    const [name, val] = placeholder(attribute, value);
+    return `${name} = ${val}`;
+  });
+  Object.entries(initial)
+    .filter(([attribute]) => !(attribute in set) && !(attribute in add))
+    .forEach(([attribute, value]) => {
+      const [name, val] = placeholder(attribute, value);
+      assignments.push(`${name} = if_not_exists(${name}, ${val})`);
+    });
+  const additions = Object.entries(add).map(([attribute, value]) => {
+    const [name, val] = placeholder(attribute, value);
+    return `${name} ${val}`;
+  });
+
+  const removals = remove.map(name);
+
+  return {
+    UpdateExpression: `SET ${assignments.join(', ')}`
+      + (additions.length > 0 ? ` ADD ${additions.join(', ')}` : '')
+      + (removals.length > 0 ? ` REMOVE ${removals.join(', ')}` : ''),
+    ExpressionAttributeNames: names,
+    ExpressionAttributeValues: values
+  };
+}
+
+function backoff(attempt: number): Promise<void> {
+  return new Promise(resolve => setTimeout(resolve, Math.random() * 50 * 2 ** attempt));
+}
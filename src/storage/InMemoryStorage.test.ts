@@ -0,0 +1,10 @@
+import { runStorageConformanceSuite } from '../testing/storageConformance';
+import { InMemoryStorage } from './InMemoryStorage';
+
+describe('InMemoryStorage', () => {
+  it('passes the storage conformance suite', async () => {
+    const report = await runStorageConformanceSuite(() => new InMemoryStorage());
+
+    expect(report.results.filter(result => !result.passed)).toEqual([]);
+  });
+});
@@ -0,0 +1,246 @@
+import { v4 as uuidv4 } from 'uuid';
+import { IMemoryStorage } from '../interfaces/MemoryInterface';
+import {
+  ConversationMessage,
+  ConversationSession,
+  MemoryQueryOptions,
+  MemorySearchResult,
+  MemoryStats,
+  MemorySearchMatch,
+  MemoryRecord,
+  MemoryRecordQueryOptions,
+  SessionQueryOptions
+} from '../types';
+import { InvertedIndex } from '../search/InvertedIndex';
+import { rankMessages } from '../search/fullTextSearch';
+import { queryRecords, recordIdentity } from '../utils/records';
+import { ScopeIndex } from '../utils/scope';
+import { paginateMessages, sortMessages } from '../utils/cursor';
+
+/**
+ * Process-local storage that keeps everything in memory and persists nothing.
+ * Intended for unit tests and short-lived scripts.
+ */
+export class InMemoryStorage implements IMemoryStorage {
+  private messages = new Map<string, ConversationMessage>();
+  private sessions = new Map<string, ConversationSession>();
+  private records = new Map<string, MemoryRecord>();
+  private ready: boolean = false;
+  private index: InvertedIndex = new InvertedIndex();
+  private sessionScopes = new ScopeIndex<ConversationSession>();
+  private recordScopes = new ScopeIndex<MemoryRecord>();
+
+  async initialize(): Promise<void> {
+    this.ready = true;
+  }
+
+  async saveMessage(message: ConversationMessage): Promise<void> {
+    if (!this.ready) throw new Error('Storage not initialized');
+
+    // Generate ID if not provided
+    if (!message.id) {
+      message.id = uuidv4();
+    }
+
+    const previous = this.messages.get(message.id);
+    this.messages.set(message.id, { ...message });
+    this.index.add(message);
+
+    if (previous && previous.sessionId !== message.sessionId) {
+      this.updateSessionInternal(previous.sessionId, { messageCount: this.countMessages(previous.sessionId) });
+    }
+    this.updateSessionInternal(message.sessionId, { messageCount: this.countMessages(message.sessionId) });
+  }
+
+  async saveMessages(messages: ConversationMessage[]): Promise<void> {
+    for (const message of messages) {
+      await this.saveMessage(message);
+    }
+  }
+
+  async getMessages(options: MemoryQueryOptions = {}): Promise<MemorySearchResult> {
+    if (!this.ready) throw new Error('Storage not initialized');
+
+    let filteredMessages = [...this.messages.values()];
+
+    // Apply filters
+    if (options.sessionId) {
+      filteredMessages = filteredMessages.filter(m => m.sessionId === options.sessionId);
+    }
+
+    if (options.scope) {
+      const sessionIds = new Set(this.sessionScopes.lookup(options.scope, options.scopeMode).map(s => s.id));
+      filteredMessages = filteredMessages.filter(m => sessionIds.has(m.sessionId));
+    }
+
+    if (options.role) {
+      filteredMessages = filteredMessages.filter(m => m.role === options.role);
+    }
+
+    if (options.startDate) {
+      filteredMessages = filteredMessages.filter(m => m.timestamp >= options.startDate!);
+    }
+
+    if (options.endDate) {
+      filteredMessages = filteredMessages.filter(m => m.timestamp <= options.endDate!);
+    }
+
+    let matches: MemorySearchMatch[] | undefined;
+    if (options.query) {
+      ({ messages: filteredMessages, matches } = rankMessages(this.index, filteredMessages, options.query));
+    } else {
+      filteredMessages = sortMessages(filteredMessages, options.order);
+    }
+
+    const result = paginateMessages(filteredMessages, options, matches);
+    return { ...result, messages: result.messages.map(m => ({ ...m })) };
+  }
+
+  async getMessage(messageId: string): Promise<ConversationMessage | null> {
+    if (!this.ready) throw new Error('Storage not initialized');
+    const message = this.messages.get(messageId);
+    return message ? { ...message } : null;
+  }
+
+  async getSessions(options: SessionQueryOptions = {}): Promise<ConversationSession[]> {
+    if (!this.ready) throw new Error('Storage not initialized');
+    const sessions = options.scope
+      ? this.sessionScopes.lookup(options.scope, options.scopeMode)
+      : [...this.sessions.values()];
+    return sessions
+      .sort((a, b) => b.updatedAt.getTime() - a.updatedAt.getTime())
+      .map(session => ({ ...session }));
+  }
+
+  async getSession(sessionId: string): Promise<ConversationSession | null> {
+    if (!this.ready) throw new Error('Storage not initialized');
+    const session = this.sessions.get(sessionId);
+    return session ? { ...session } : null;
+  }
+
+  async updateSession(sessionId: string, updates: Partial<ConversationSession>): Promise<void> {
+    if (!this.ready) throw new Error('Storage not initialized');
+    this.updateSessionInternal(sessionId, updates);
+  }
+
+  async deleteMessage(messageId: string): Promise<void> {
+    if (!this.ready) throw new Error('Storage not initialized');
+
+    const message = this.messages.get(messageId);
+    if (!message) return;
+
+    this.messages.delete(messageId);
+    this.index.remove(messageId);
+
+    // Update session message count
+    this.updateSessionInternal(message.sessionId, { messageCount: this.countMessages(message.sessionId) });
+  }
+
+  async deleteSession(sessionId: string): Promise<void> {
+    if (!this.ready) throw new Error('Storage not initialized');
+
+    // Remove all messages for this session
+    for (const message of [...this.messages.values()]) {
+      if (message.sessionId === sessionId) this.messages.delete(message.id);
+    }
+    this.index.removeSession(sessionId);
+
+    // Remove session
+    this.sessions.delete(sessionId);
+    this.sessionScopes.delete(sessionId);
+  }
+
+  async saveRecord(record: MemoryRecord): Promise<MemoryRecord> {
+    if (!this.ready) throw new Error('Storage not initialized');
+
+    const identity = recordIdentity(record);
+    const existing = [...this.records.values()].find(r => recordIdentity(r) === identity);
+    const stored: MemoryRecord = existing
+      ? { ...record, id: existing.id, createdAt: existing.createdAt }
+      : { ...record, id: record.id || uuidv4() };
+
+    this.records.set(stored.id, stored);
+    this.recordScopes.set(stored.id, stored.scope, stored);
+    return { ...stored };
+  }
+
+  async getRecord(recordId: string): Promise<MemoryRecord | null> {
+    if (!this.ready) throw new Error('Storage not initialized');
+    const record = this.records.get(recordId);
+    return record ? { ...record } : null;
+  }
+
+  async getRecords(options: MemoryRecordQueryOptions = {}): Promise<MemoryRecord[]> {
+    if (!this.ready) throw new Error('Storage not initialized');
+    const candidates = options.scope
+      ? this.recordScopes.lookup(options.scope, options.scopeMode)
+      : [...this.records.values()];
+    return queryRecords(candidates, options).map(record => ({ ...record }));
+  }
+
+  async deleteRecord(recordId: string): Promise<void> {
+    if (!this.ready) throw new Error('Storage not initialized');
+    this.records.delete(recordId);
+    this.recordScopes.delete(recordId);
+  }
+
+  async getStats(): Promise<MemoryStats> {
+    if (!this.ready) throw new Error('Storage not initialized');
+
+    const totalSessions = this.sessions.size;
+    const totalMessages = this.messages.size;
+
+    const timestamps = [...this.messages.values()].map(m => m.timestamp.getTime());
+    const oldestMessage = timestamps.length > 0 ? new Date(Math.min(...timestamps)) : null;
+    const newestMessage = timestamps.length > 0 ? new Date(Math.max(...timestamps)) : null;
+
+    const averageMessagesPerSession = totalSessions > 0 ? totalMessages / totalSessions : 0;
+
+    return {
+      totalSessions,
+      totalMessages,
+      oldestMessage,
+      newestMessage,
+      averageMessagesPerSession
+    };
+  }
+
+  async clear(): Promise<void> {
+    if (!this.ready) throw new Error('Storage not initialized');
+
+    this.messages.clear();
+    this.sessions.clear();
+    this.records.clear();
+    this.index.clear();
+    this.sessionScopes.clear();
+    this.recordScopes.clear();
+  }
+
+  isReady(): boolean {
+    return this.ready;
+  }
+
+  private countMessages(sessionId: string): number {
+    let count = 0;
+    for (const message of this.messages.values()) {
+      if (message.sessionId === sessionId) count++;
+    }
+    return count;
+  }
+
+  private updateSessionInternal(sessionId: string, updates: Partial<ConversationSession>): void {
+    const existing = this.sessions.get(sessionId);
+    const session: ConversationSession = existing
+      ? { ...existing, ...updates, updatedAt: new Date() }
+      : {
+        id: sessionId,
+        createdAt: new Date(),
+        updatedAt: new Date(),
+        messageCount: this.countMessages(sessionId),
+        ...updates
+      };
+
+    this.sessions.set(sessionId, session);
+    this.sessionScopes.set(sessionId, session.scope, session);
+  }
+}
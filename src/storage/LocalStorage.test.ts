@@ -0,0 +1,80 @@
+import * as fs from 'fs-extra';
+import * as os from 'os';
+import * as path from 'path';
+import { runStorageConformanceSuite } from '../testing/storageConformance';
+import { LocalStorage } from './LocalStorage';
+
+describe('LocalStorage', () => {
+  let dir: string;
+  let files = 0;
+
+  beforeAll(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'local-storage-'));
+  });
+
+  afterAll(async () => {
+    await fs.remove(dir);
+  });
+
+  it('passes the storage conformance suite', async () => {
+    const report = await runStorageConformanceSuite(
+      () => new LocalStorage({ filePath: path.join(dir, `memory${files++}.json`) })
+    );
+
+    expect(report.results.filter(result => !result.passed)).toEqual([]);
+  });
+
+  it('passes the storage conformance suite in journaled mode', async () => {
+    const report = await runStorageConformanceSuite(
+      () => new LocalStorage({ filePath: path.join(dir, `memory${files++}.json`), journal: true, compactThreshold: 5 })
+    );
+
+    expect(report.results.filter(result => !result.passed)).toEqual([]);
+  });
+
+  it('applies updates on top of what other processes wrote since the last read', async () => {
+    const filePath = path.join(dir, `memory${files++}.json`);
+    const first = new LocalStorage({ filePath });
+    const second = new LocalStorage({ filePath });
+    await first.initialize();
+    await second.initialize();
+
+    await first.updateSession('s1', { title: 'Renamed' });
+    await second.updateSession('s1', { metadata: { pinned: true } });
+    expect(await first.getSession('s1')).toEqual(expect.objectContaining({
+      title: 'Renamed',
+      metadata: { pinned: true }
+    }));
+
+    await first.saveMessage({ id: 'm1', sessionId: 's1', role: 'user', content: 'hi', timestamp: new Date() });
+    const record = await first.saveRecord({
+      id: 'r1',
+      kind: 'fact',
+      key: 'origin',
+      value: 'written elsewhere',
+      createdAt: new Date(),
+      updatedAt: new Date()
+    });
+    await second.deleteMessage('m1');
+    await second.deleteRecord(record.id);
+    expect(await first.getMessage('m1')).toBeNull();
+    expect(await first.getRecord(record.id)).toBeNull();
+    expect((await first.getSession('s1'))?.messageCount).toBe(0);
+  });
+
+  it('keeps a journaled mutation out of memory when appending it fails', async () => {
+    const storage = new LocalStorage({ filePath: path.join(dir, `memory${files++}.json`), journal: true });
+    await storage.initialize();
+    await storage.saveMessage({ id: 'm1', sessionId: 's1', role: 'user', content: 'kept', timestamp: new Date() });
+
+    // The namespace import is read-only; LocalStorage reads appendFile through it from the module
+    const append = jest.spyOn(require('fs-extra'), 'appendFile').mockRejectedValueOnce(new Error('disk full'));
+    await expect(storage.saveMessage({ id: 'm2', sessionId: 's1', role: 'user', content: 'lost', timestamp: new Date() }))
+      .rejects.toThrow('disk full');
+    append.mockRestore();
+
+    expect(await storage.getMessage('m2')).toBeNull();
+    expect((await storage.getSession('s1'))?.messageCount).toBe(1);
+    expect((await storage.getMessages({ query: 'lost' })).messages).toEqual([]);
+  });
+});
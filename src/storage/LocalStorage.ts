@@ -2,33 +2,84 @@ import * as fs from 'fs-extra';
 import * as path from 'path';
 import { v4 as uuidv4 } from 'uuid';
 import { IMemoryStorage } from '../interfaces/MemoryInterface';
-import { 
-  ConversationMessage, 
-  ConversationSession, 
-  LocalStorageConfig, 
-  MemoryQueryOptions, 
-  MemorySearchResult, 
-  MemoryStats 
+import {
+  ConversationMessage,
+  ConversationSession,
+  LocalStorageConfig,
+  MemoryQueryOptions,
+  MemorySearchResult,
+  MemoryStats,
+  MemoryRecord,
+  MemoryRecordQueryOptions,
+  SessionQueryOptions
 } from '../types';
+import { InvertedIndex, SerializedIndex } from '../search/InvertedIndex';
+import { rankMessages } from '../search/fullTextSearch';
+import { queryRecords, recordIdentity } from '../utils/records';
+import { ScopeIndex } from '../utils/scope';
+import { KeysetPosition, MessageSource, compareMessages, isAfter, paginateMessages, paginateSources } from '../utils/cursor';
+import { withFileLock, writeFileAtomic } from '../utils/files';
 
 interface StorageData {
   messages: ConversationMessage[];
   sessions: ConversationSession[];
+  records: MemoryRecord[];
   lastUpdated: Date;
 }
 
+/**
+ * One mutation in the journal. Entries carry the resulting state, so
+ * replaying an entry twice has the same effect as replaying it once.
+ */
+type JournalEntry =
+  | { op: 'putMessage'; message: ConversationMessage }
+  | { op: 'deleteMessage'; id: string }
+  | { op: 'putSession'; session: ConversationSession }
+  | { op: 'deleteSession'; id: string }
+  | { op: 'putRecord'; record: MemoryRecord }
+  | { op: 'deleteRecord'; id: string }
+  | { op: 'clear' };
+
+const DEFAULT_COMPACT_THRESHOLD = 1000;
+
 export class LocalStorage implements IMemoryStorage {
   private config: LocalStorageConfig;
   private data: StorageData;
   private ready: boolean = false;
   private dataPath: string;
+  private indexPath: string;
+  private journalPath: string;
+  private backupPath: string;
+  private lockPath: string;
+  private journalEntries: number = 0;
+  private writes: Promise<void> = Promise.resolve();
+  /** Fingerprint of the files on disk as of the last read or write */
+  private diskState: string = '';
+  /** Whether the data file on disk is known to parse, and so is worth backing up */
+  private snapshotReadable: boolean = false;
+  private index: InvertedIndex = new InvertedIndex();
+  private messagesById = new Map<string, ConversationMessage>();
+  private messageCounts = new Map<string, number>();
+  private sessionScopes = new ScopeIndex<ConversationSession>();
+  private recordScopes = new ScopeIndex<MemoryRecord>();
+  /** All messages in `compareMessages` order, sorted again on the first query after a change */
+  private timeline: ConversationMessage[] | null = null;
 
   constructor(config: LocalStorageConfig) {
     this.config = config;
     this.dataPath = path.resolve(config.filePath);
+    this.indexPath = config.indexPath
+      ? path.resolve(config.indexPath)
+      : this.dataPath.replace(/(\.json)?$/, '.index.json');
+    this.journalPath = config.journalPath
+      ? path.resolve(config.journalPath)
+      : this.dataPath.replace(/(\.json)?$/, '.journal.jsonl');
+    this.backupPath = `${this.dataPath}.bak`;
+    this.lockPath = `${this.dataPath}.lock`;
     this.data = {
       messages: [],
       sessions: [],
+      records: [],
       lastUpdated: new Date()
     };
   }
@@ -39,21 +90,14 @@ export class LocalStorage implements IMemoryStorage {
       const dir = path.dirname(this.dataPath);
       await fs.ensureDir(dir);
 
-      // Load existing data if file exists
-      if (await fs.pathExists(this.dataPath)) {
-        const fileContent = await fs.readFile(this.dataPath, this.config.encoding || 'utf8');
-        this.data = JSON.parse(fileContent);
-        
-        // Convert string dates back to Date objects
-        this.data.messages.forEach(msg => {
-          msg.timestamp = new Date(msg.timestamp);
-        });
-        this.data.sessions.forEach(session => {
-          session.createdAt = new Date(session.createdAt);
-          session.updatedAt = new Date(session.updatedAt);
-        });
-        this.data.lastUpdated = new Date(this.data.lastUpdated);
-      }
+      await this.withLock(async () => {
+        const replayed = await this.loadFromDisk();
+        if (replayed > 0 && (!this.config.journal || replayed >= this.compactThreshold())) {
+          await this.compactNow();
+        } else {
+          this.journalEntries = replayed;
+        }
+      });
 
       this.ready = true;
     } catch (error) {
@@ -62,134 +106,153 @@ export class LocalStorage implements IMemoryStorage {
   }
 
   async saveMessage(message: ConversationMessage): Promise<void> {
-    if (!this.ready) throw new Error('Storage not initialized');
-
-    // Generate ID if not provided
-    if (!message.id) {
-      message.id = uuidv4();
-    }
-
-    // Update or add message
-    const existingIndex = this.data.messages.findIndex(m => m.id === message.id);
-    if (existingIndex >= 0) {
-      this.data.messages[existingIndex] = message;
-    } else {
-      this.data.messages.push(message);
-    }
-
-    // Update session
-    await this.updateSessionInternal(message.sessionId, {
-      updatedAt: new Date(),
-      messageCount: this.data.messages.filter(m => m.sessionId === message.sessionId).length
-    });
-
-    await this.saveToFile();
+    await this.saveMessages([message]);
   }
 
   async saveMessages(messages: ConversationMessage[]): Promise<void> {
-    for (const message of messages) {
-      await this.saveMessage(message);
-    }
+    if (!this.ready) throw new Error('Storage not initialized');
+
+    await this.persist(() => {
+      const entries: JournalEntry[] = [];
+      for (const message of messages) {
+        // Generate ID if not provided
+        if (!message.id) {
+          message.id = uuidv4();
+        }
+
+        const previous = this.messagesById.get(message.id);
+        entries.push(this.apply({ op: 'putMessage', message }));
+
+        // Update session
+        if (previous && previous.sessionId !== message.sessionId) {
+          entries.push(this.apply({ op: 'putSession', session: this.nextSession(previous.sessionId, {}) }));
+        }
+        entries.push(this.apply({ op: 'putSession', session: this.nextSession(message.sessionId, {}) }));
+      }
+      return entries;
+    });
   }
 
   async getMessages(options: MemoryQueryOptions = {}): Promise<MemorySearchResult> {
     if (!this.ready) throw new Error('Storage not initialized');
-
-    let filteredMessages = [...this.data.messages];
-
-    // Apply filters
-    if (options.sessionId) {
-      filteredMessages = filteredMessages.filter(m => m.sessionId === options.sessionId);
-    }
-
-    if (options.role) {
-      filteredMessages = filteredMessages.filter(m => m.role === options.role);
-    }
-
-    if (options.startDate) {
-      filteredMessages = filteredMessages.filter(m => m.timestamp >= options.startDate!);
-    }
-
-    if (options.endDate) {
-      filteredMessages = filteredMessages.filter(m => m.timestamp <= options.endDate!);
+    await this.refresh();
+
+    const sessionIds = options.scope
+      ? new Set(this.sessionScopes.lookup(options.scope, options.scopeMode).map(s => s.id))
+      : undefined;
+    const matching = (m: ConversationMessage) =>
+      (!options.sessionId || m.sessionId === options.sessionId) &&
+      (!sessionIds || sessionIds.has(m.sessionId)) &&
+      (!options.role || m.role === options.role) &&
+      (!options.startDate || m.timestamp >= options.startDate) &&
+      (!options.endDate || m.timestamp <= options.endDate);
+
+    if (options.query) {
+      const { messages, matches } = rankMessages(this.index, this.data.messages.filter(matching), options.query);
+      return paginateMessages(messages, options, matches);
     }
 
-    // Sort by timestamp
-    filteredMessages.sort((a, b) => a.timestamp.getTime() - b.timestamp.getTime());
-
-    const total = filteredMessages.length;
-    const offset = options.offset || 0;
-    const limit = options.limit || total;
-
-    const paginatedMessages = filteredMessages.slice(offset, offset + limit);
-
-    return {
-      messages: paginatedMessages,
-      total,
-      hasMore: offset + limit < total
+    // Pages walk the timeline from the cursor instead of sorting every message again
+    const source: MessageSource = {
+      read: async (after, count) => this.readTimeline(matching, options.order, after, count)
     };
+    return paginateSources([source], options, async () => this.data.messages.filter(matching).length);
   }
 
   async getMessage(messageId: string): Promise<ConversationMessage | null> {
     if (!this.ready) throw new Error('Storage not initialized');
-    return this.data.messages.find(m => m.id === messageId) || null;
+    await this.refresh();
+    return this.messagesById.get(messageId) || null;
   }
 
-  async getSessions(): Promise<ConversationSession[]> {
+  async getSessions(options: SessionQueryOptions = {}): Promise<ConversationSession[]> {
     if (!this.ready) throw new Error('Storage not initialized');
-    return [...this.data.sessions].sort((a, b) => b.updatedAt.getTime() - a.updatedAt.getTime());
+    await this.refresh();
+    const sessions = options.scope
+      ? this.sessionScopes.lookup(options.scope, options.scopeMode)
+      : [...this.data.sessions];
+    return sessions.sort((a, b) => b.updatedAt.getTime() - a.updatedAt.getTime());
   }
 
   async getSession(sessionId: string): Promise<ConversationSession | null> {
     if (!this.ready) throw new Error('Storage not initialized');
+    await this.refresh();
     return this.data.sessions.find(s => s.id === sessionId) || null;
   }
 
   async updateSession(sessionId: string, updates: Partial<ConversationSession>): Promise<void> {
     if (!this.ready) throw new Error('Storage not initialized');
-    await this.updateSessionInternal(sessionId, updates);
-    await this.saveToFile();
+    await this.persist(() => [this.apply({ op: 'putSession', session: this.nextSession(sessionId, updates) })]);
   }
 
   async deleteMessage(messageId: string): Promise<void> {
     if (!this.ready) throw new Error('Storage not initialized');
-    
-    const messageIndex = this.data.messages.findIndex(m => m.id === messageId);
-    if (messageIndex >= 0) {
-      const message = this.data.messages[messageIndex];
-      this.data.messages.splice(messageIndex, 1);
-      
-      // Update session message count
-      await this.updateSessionInternal(message.sessionId, {
-        messageCount: this.data.messages.filter(m => m.sessionId === message.sessionId).length
-      });
-      
-      await this.saveToFile();
-    }
+
+    await this.persist(() => {
+      const message = this.messagesById.get(messageId);
+      if (!message) return [];
+      return [
+        this.apply({ op: 'deleteMessage', id: messageId }),
+        // Update session message count
+        this.apply({ op: 'putSession', session: this.nextSession(message.sessionId, {}) })
+      ];
+    });
   }
 
   async deleteSession(sessionId: string): Promise<void> {
     if (!this.ready) throw new Error('Storage not initialized');
-    
-    // Remove all messages for this session
-    this.data.messages = this.data.messages.filter(m => m.sessionId !== sessionId);
-    
-    // Remove session
-    this.data.sessions = this.data.sessions.filter(s => s.id !== sessionId);
-    
-    await this.saveToFile();
+    await this.persist(() => [this.apply({ op: 'deleteSession', id: sessionId })]);
+  }
+
+  async saveRecord(record: MemoryRecord): Promise<MemoryRecord> {
+    if (!this.ready) throw new Error('Storage not initialized');
+
+    let stored = record;
+    await this.persist(() => {
+      const identity = recordIdentity(record);
+      const existing = this.data.records.find(r => recordIdentity(r) === identity);
+      stored = existing
+        ? { ...record, id: existing.id, createdAt: existing.createdAt }
+        : { ...record, id: record.id || uuidv4() };
+      return [this.apply({ op: 'putRecord', record: stored })];
+    });
+    return stored;
+  }
+
+  async getRecord(recordId: string): Promise<MemoryRecord | null> {
+    if (!this.ready) throw new Error('Storage not initialized');
+    await this.refresh();
+    return this.data.records.find(r => r.id === recordId) || null;
+  }
+
+  async getRecords(options: MemoryRecordQueryOptions = {}): Promise<MemoryRecord[]> {
+    if (!this.ready) throw new Error('Storage not initialized');
+    await this.refresh();
+    const candidates = options.scope
+      ? this.recordScopes.lookup(options.scope, options.scopeMode)
+      : this.data.records;
+    return queryRecords(candidates, options);
+  }
+
+  async deleteRecord(recordId: string): Promise<void> {
+    if (!this.ready) throw new Error('Storage not initialized');
+
+    await this.persist(() => this.data.records.some(r => r.id === recordId)
+      ? [this.apply({ op: 'deleteRecord', id: recordId })]
+      : []);
   }
 
   async getStats(): Promise<MemoryStats> {
     if (!this.ready) throw new Error('Storage not initialized');
+    await this.refresh();
 
     const totalSessions = this.data.sessions.length;
     const totalMessages = this.data.messages.length;
-    
+
     const timestamps = this.data.messages.map(m => m.timestamp.getTime());
     const oldestMessage = timestamps.length > 0 ? new Date(Math.min(...timestamps)) : null;
     const newestMessage = timestamps.length > 0 ? new Date(Math.max(...timestamps)) : null;
-    
+
     const averageMessagesPerSession = totalSessions > 0 ? totalMessages / totalSessions : 0;
 
     return {
@@ -203,49 +266,440 @@ export class LocalStorage implements IMemoryStorage {
 
   async clear(): Promise<void> {
     if (!this.ready) throw new Error('Storage not initialized');
-    
-    this.data = {
-      messages: [],
-      sessions: [],
-      lastUpdated: new Date()
-    };
-    
-    await this.saveToFile();
+    await this.persist(() => [this.apply({ op: 'clear' })]);
   }
 
   isReady(): boolean {
     return this.ready;
   }
 
-  private async updateSessionInternal(sessionId: string, updates: Partial<ConversationSession>): Promise<void> {
-    const sessionIndex = this.data.sessions.findIndex(s => s.id === sessionId);
-    
-    if (sessionIndex >= 0) {
-      this.data.sessions[sessionIndex] = {
-        ...this.data.sessions[sessionIndex],
-        ...updates,
-        updatedAt: new Date()
-      };
-    } else {
-      // Create new session
-      const newSession: ConversationSession = {
-        id: sessionId,
-        createdAt: new Date(),
-        updatedAt: new Date(),
-        messageCount: 1,
-        ...updates
-      };
-      this.data.sessions.push(newSession);
+  /**
+   * Fold the journal into the snapshot file and truncate it
+   */
+  async compact(): Promise<void> {
+    await this.enqueue(() => this.withLock(async () => {
+      await this.syncWithDisk();
+      await this.compactNow();
+    }));
+  }
+
+  /**
+   * Apply a mutation to the in-memory state and return it for persistence
+   */
+  private apply(entry: JournalEntry): JournalEntry {
+    if (entry.op === 'putMessage' || entry.op === 'deleteMessage' || entry.op === 'deleteSession') {
+      this.timeline = null;
+    }
+
+    switch (entry.op) {
+      case 'putMessage': {
+        const message = entry.message;
+        const previous = this.messagesById.get(message.id);
+        if (previous) {
+          this.data.messages[this.data.messages.indexOf(previous)] = message;
+          this.adjustCount(previous.sessionId, -1);
+        } else {
+          this.data.messages.push(message);
+        }
+        this.messagesById.set(message.id, message);
+        this.adjustCount(message.sessionId, 1);
+        this.index.add(message);
+        break;
+      }
+      case 'deleteMessage': {
+        const message = this.messagesById.get(entry.id);
+        if (!message) break;
+        this.data.messages.splice(this.data.messages.indexOf(message), 1);
+        this.messagesById.delete(entry.id);
+        this.adjustCount(message.sessionId, -1);
+        this.index.remove(entry.id);
+        break;
+      }
+      case 'putSession': {
+        const sessionIndex = this.data.sessions.findIndex(s => s.id === entry.session.id);
+        if (sessionIndex >= 0) {
+          this.data.sessions[sessionIndex] = entry.session;
+        } else {
+          this.data.sessions.push(entry.session);
+        }
+        this.sessionScopes.set(entry.session.id, entry.session.scope, entry.session);
+        break;
+      }
+      case 'deleteSession': {
+        // Remove all messages for this session
+        this.data.messages = this.data.messages.filter(m => {
+          if (m.sessionId !== entry.id) return true;
+          this.messagesById.delete(m.id);
+          return false;
+        });
+        this.messageCounts.delete(entry.id);
+        this.index.removeSession(entry.id);
+
+        // Remove session
+        this.data.sessions = this.data.sessions.filter(s => s.id !== entry.id);
+        this.sessionScopes.delete(entry.id);
+        break;
+      }
+      case 'putRecord': {
+        const recordIndex = this.data.records.findIndex(r => r.id === entry.record.id);
+        if (recordIndex >= 0) {
+          this.data.records[recordIndex] = entry.record;
+        } else {
+          this.data.records.push(entry.record);
+        }
+        this.recordScopes.set(entry.record.id, entry.record.scope, entry.record);
+        break;
+      }
+      case 'deleteRecord': {
+        this.data.records = this.data.records.filter(r => r.id !== entry.id);
+        this.recordScopes.delete(entry.id);
+        break;
+      }
+      case 'clear': {
+        this.data = {
+          messages: [],
+          sessions: [],
+          records: [],
+          lastUpdated: new Date()
+        };
+        this.index.clear();
+        this.rebuildLookups();
+        break;
+      }
+    }
+
+    return entry;
+  }
+
+  /**
+   * The session after applying updates, with its current message count
+   */
+  private nextSession(sessionId: string, updates: Partial<ConversationSession>): ConversationSession {
+    const existing = this.data.sessions.find(s => s.id === sessionId);
+    const messageCount = this.messageCounts.get(sessionId) || 0;
+
+    if (existing) {
+      return { ...existing, messageCount, ...updates, updatedAt: new Date() };
+    }
+
+    // Create new session
+    return {
+      id: sessionId,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+      messageCount,
+      ...updates
+    };
+  }
+
+  private adjustCount(sessionId: string, delta: number): void {
+    this.messageCounts.set(sessionId, (this.messageCounts.get(sessionId) || 0) + delta);
+  }
+
+  private rebuildLookups(): void {
+    this.timeline = null;
+    this.messagesById.clear();
+    this.messageCounts.clear();
+    this.sessionScopes.clear();
+    this.recordScopes.clear();
+    this.data.messages.forEach(message => {
+      this.messagesById.set(message.id, message);
+      this.adjustCount(message.sessionId, 1);
+    });
+    this.data.sessions.forEach(session => this.sessionScopes.set(session.id, session.scope, session));
+    this.data.records.forEach(record => this.recordScopes.set(record.id, record.scope, record));
+  }
+
+  /**
+   * Up to `count` matching messages of the timeline in page order, after `after` when given
+   */
+  private readTimeline(
+    matching: (message: ConversationMessage) => boolean,
+    order: 'asc' | 'desc' = 'asc',
+    after: KeysetPosition | undefined,
+    count: number
+  ): ConversationMessage[] {
+    if (!this.timeline) {
+      this.timeline = [...this.data.messages].sort(compareMessages());
+    }
+    const timeline = this.timeline;
+    const descending = order === 'desc';
+
+    // Split the timeline at the cursor: ascending pages continue with the first
+    // message after it, descending pages with the last message before it
+    let start = descending ? timeline.length : 0;
+    if (after) {
+      const pastSplit = (m: ConversationMessage) => descending ? !isAfter(m, after, 'desc') : isAfter(m, after);
+      let low = 0;
+      let high = timeline.length;
+      while (low < high) {
+        const middle = (low + high) >> 1;
+        if (pastSplit(timeline[middle])) {
+          high = middle;
+        } else {
+          low = middle + 1;
+        }
+      }
+      start = low;
+    }
+
+    const messages: ConversationMessage[] = [];
+    for (let i = descending ? start - 1 : start; i >= 0 && i < timeline.length && messages.length < count; i += descending ? -1 : 1) {
+      if (matching(timeline[i])) messages.push(timeline[i]);
+    }
+    return messages;
+  }
+
+  private compactThreshold(): number {
+    return this.config.compactThreshold ?? DEFAULT_COMPACT_THRESHOLD;
+  }
+
+  /**
+   * Apply the mutations made by `mutate` and persist them: appended to the
+   * journal in journal mode, otherwise by rewriting the snapshot. Writes are
+   * serialized within the process and hold the lock file across processes,
+   * and `mutate` runs on the state just read from disk under that lock, so
+   * changes made by other processes are never overwritten.
+   */
+  private async persist(mutate: () => JournalEntry[]): Promise<void> {
+    await this.enqueue(() => this.withLock(async () => {
+      await this.syncWithDisk();
+
+      const entries = mutate();
+      if (entries.length === 0) return;
+
+      try {
+        if (!this.config.journal) {
+          await this.saveToFile();
+        } else {
+          const lines = entries.map(entry => JSON.stringify(entry)).join('\n') + '\n';
+          await fs.appendFile(this.journalPath, lines, 'utf8');
+          this.journalEntries += entries.length;
+
+          if (this.journalEntries >= this.compactThreshold()) {
+            await this.compactNow();
+          }
+        }
+      } catch (error) {
+        // Roll back to what is on disk, so readers never see a mutation that was not persisted
+        this.diskState = '';
+        await this.syncWithDisk().catch(() => undefined);
+        throw error;
+      }
+
+      this.diskState = await this.fingerprint();
+    }));
+  }
+
+  /**
+   * Pick up writes made by other processes before reading
+   */
+  private async refresh(): Promise<void> {
+    await this.enqueue(() => this.syncWithDisk());
+  }
+
+  private enqueue(task: () => Promise<void>): Promise<void> {
+    const result = this.writes.then(task);
+    this.writes = result.catch(() => undefined);
+    return result;
+  }
+
+  private withLock<T>(fn: () => Promise<T>): Promise<T> {
+    return withFileLock(this.lockPath, fn, {
+      timeoutMs: this.config.lockTimeoutMs,
+      staleMs: this.config.staleLockMs
+    });
+  }
+
+  /**
+   * Reload when another process has changed the files since we last saw them
+   */
+  private async syncWithDisk(): Promise<void> {
+    if (await this.fingerprint() === this.diskState) return;
+    this.journalEntries = await this.loadFromDisk();
+  }
+
+  /**
+   * Replace the in-memory state with the snapshot and journal on disk.
+   * Returns the number of journal entries replayed.
+   */
+  private async loadFromDisk(): Promise<number> {
+    // Taken first, so that a write racing with the read is noticed next time
+    const diskState = await this.fingerprint();
+    const stored = await this.readSnapshot();
+
+    this.data = stored
+      ? {
+        messages: stored.messages.map(reviveMessage),
+        sessions: stored.sessions.map(reviveSession),
+        // Files written before records existed have no records array
+        records: (stored.records || []).map(reviveRecord),
+        lastUpdated: new Date(stored.lastUpdated)
+      }
+      : { messages: [], sessions: [], records: [], lastUpdated: new Date() };
+
+    this.rebuildLookups();
+    await this.loadIndex();
+
+    // Apply mutations journaled since the last snapshot
+    const replayed = await this.replayJournal();
+    this.diskState = diskState;
+    return replayed;
+  }
+
+  /**
+   * Read the data file, falling back to the backup of the previous
+   * snapshot when it is unreadable
+   */
+  private async readSnapshot(): Promise<StorageData | null> {
+    const encoding = this.config.encoding || 'utf8';
+    this.snapshotReadable = false;
+
+    if (!(await fs.pathExists(this.dataPath))) return null;
+
+    try {
+      const stored = parseSnapshot(await fs.readFile(this.dataPath, encoding));
+      this.snapshotReadable = true;
+      return stored;
+    } catch (error) {
+      if (!(await fs.pathExists(this.backupPath))) throw error;
+      return parseSnapshot(await fs.readFile(this.backupPath, encoding));
+    }
+  }
+
+  /**
+   * Keep the current data file as the backup. The file is only ever
+   * replaced by rename, so a hard link preserves it without copying.
+   */
+  private async backupSnapshot(): Promise<void> {
+    if (!this.snapshotReadable) return;
+
+    await fs.remove(this.backupPath);
+    try {
+      await fs.link(this.dataPath, this.backupPath);
+    } catch {
+      await fs.copy(this.dataPath, this.backupPath);
+    }
+  }
+
+  private async fingerprint(): Promise<string> {
+    const parts = await Promise.all([this.dataPath, this.journalPath].map(async file => {
+      try {
+        const stat = await fs.stat(file);
+        return `${stat.ino}:${stat.size}:${stat.mtimeMs}`;
+      } catch {
+        return '-';
+      }
+    }));
+    return parts.join('|');
+  }
+
+  private async compactNow(): Promise<void> {
+    await this.saveToFile();
+    // Entries are idempotent, so a crash before the journal is removed is harmless
+    await fs.remove(this.journalPath);
+    this.journalEntries = 0;
+    this.diskState = await this.fingerprint();
+  }
+
+  /**
+   * Replay the journal on top of the loaded snapshot. A torn last line
+   * (from a crash mid-append) is ignored. Returns the number of entries applied.
+   */
+  private async replayJournal(): Promise<number> {
+    if (!(await fs.pathExists(this.journalPath))) return 0;
+
+    const lines = (await fs.readFile(this.journalPath, 'utf8')).split('\n');
+    let applied = 0;
+
+    lines.forEach((line, i) => {
+      if (!line.trim()) return;
+
+      let entry: JournalEntry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        if (i === lines.length - 1) return;
+        throw new Error(`Corrupt journal entry on line ${i + 1}: ${error}`);
+      }
+
+      switch (entry.op) {
+        case 'putMessage':
+          entry.message = reviveMessage(entry.message);
+          break;
+        case 'putSession':
+          entry.session = reviveSession(entry.session);
+          break;
+        case 'putRecord':
+          entry.record = reviveRecord(entry.record);
+          break;
+      }
+
+      this.apply(entry);
+      applied++;
+    });
+
+    if (applied > 0) {
+      this.data.lastUpdated = new Date();
     }
+    return applied;
   }
 
   private async saveToFile(): Promise<void> {
     this.data.lastUpdated = new Date();
-    
-    const content = this.config.prettyPrint 
+
+    const content = this.config.prettyPrint
       ? JSON.stringify(this.data, null, 2)
       : JSON.stringify(this.data);
-    
-    await fs.writeFile(this.dataPath, content, this.config.encoding || 'utf8');
+
+    await this.backupSnapshot();
+    await writeFileAtomic(this.dataPath, content, this.config.encoding || 'utf8');
+    this.snapshotReadable = true;
+
+    this.index.lastUpdated = this.data.lastUpdated;
+    await writeFileAtomic(this.indexPath, JSON.stringify(this.index.toJSON()));
+  }
+
+  /**
+   * Load the search index kept next to the data file, rebuilding it when it
+   * is missing, unreadable or out of date
+   */
+  private async loadIndex(): Promise<void> {
+    if (await fs.pathExists(this.indexPath)) {
+      try {
+        const stored: SerializedIndex = JSON.parse(await fs.readFile(this.indexPath, 'utf8'));
+        const index = InvertedIndex.fromJSON(stored);
+        if (index.lastUpdated.getTime() === this.data.lastUpdated.getTime() &&
+            index.size === this.data.messages.length) {
+          this.index = index;
+          return;
+        }
+      } catch {
+        // Fall through and rebuild
+      }
+    }
+
+    this.index = InvertedIndex.fromMessages(this.data.messages);
   }
-} 
\ No newline at end of file
+}
+
+function parseSnapshot(content: string): StorageData {
+  const stored = JSON.parse(content);
+  if (!Array.isArray(stored?.messages) || !Array.isArray(stored?.sessions)) {
+    throw new Error('Memory file is missing messages or sessions');
+  }
+  return stored;
+}
+
+// Convert string dates back to Date objects
+function reviveMessage(message: ConversationMessage): ConversationMessage {
+  return { ...message, timestamp: new Date(message.timestamp) };
+}
+
+function reviveSession(session: ConversationSession): ConversationSession {
+  return { ...session, createdAt: new Date(session.createdAt), updatedAt: new Date(session.updatedAt) };
+}
+
+function reviveRecord(record: MemoryRecord): MemoryRecord {
+  return { ...record, createdAt: new Date(record.createdAt), updatedAt: new Date(record.updatedAt) };
+}
@@ -0,0 +1,31 @@
+import { newDb } from 'pg-mem';
+import type { Pool } from 'pg';
+import { runStorageConformanceSuite } from '../testing/storageConformance';
+import { PostgresStorage } from './PostgresStorage';
+
+function createPool(): Pool {
+  const { Pool: MemoryPool } = newDb().adapters.createPg();
+  return new MemoryPool();
+}
+
+describe('PostgresStorage', () => {
+  it('passes the storage conformance suite', async () => {
+    const report = await runStorageConformanceSuite(() => new PostgresStorage({ pool: createPool() }));
+
+    expect(report.results.filter(result => !result.passed)).toEqual([]);
+  });
+
+  it('returns the stored id to concurrent writers of one record', async () => {
+    const storage = new PostgresStorage({ pool: createPool() });
+    await storage.initialize();
+
+    const now = new Date();
+    const saved = await Promise.all(['a', 'b', 'c'].map(id =>
+      storage.saveRecord({ id, kind: 'preference', key: 'language', value: id, createdAt: now, updatedAt: now })
+    ));
+
+    const [stored] = await storage.getRecords({ kind: 'preference' });
+    expect(saved.map(record => record.id)).toEqual([stored.id, stored.id, stored.id]);
+    expect((await storage.getRecord(stored.id))?.id).toBe(stored.id);
+  });
+});
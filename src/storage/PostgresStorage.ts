@@ -0,0 +1,547 @@
+import { Pool, PoolClient } from 'pg';
+import { v4 as uuidv4 } from 'uuid';
+import { IMemoryStorage } from '../interfaces/MemoryInterface';
+import {
+  ConversationMessage,
+  ConversationSession,
+  PostgresStorageConfig,
+  MemoryQueryOptions,
+  MemorySearchResult,
+  MemoryStats,
+  MemoryRecord,
+  MemoryRecordQueryOptions,
+  MemoryScope,
+  ScopeMode,
+  SessionQueryOptions
+} from '../types';
+import { InvertedIndex } from '../search/InvertedIndex';
+import { rankMessages } from '../search/fullTextSearch';
+import { queryRecords, recordIdentity } from '../utils/records';
+import { ancestorScopeKeys, scopeKey } from '../utils/scope';
+import { decodeKeysetCursor, encodeCursor, paginateMessages } from '../utils/cursor';
+
+type Queryable = Pool | PoolClient;
+
+/**
+ * Collects positional parameters ($1, $2, ...) while a query is built
+ */
+class QueryParams {
+  values: any[] = [];
+
+  add(value: any): string {
+    this.values.push(value);
+    return `$${this.values.length}`;
+  }
+}
+
+/**
+ * PostgreSQL storage. Tables and indexes are created on initialize, metadata
+ * is stored as JSONB and message filtering and pagination happen in SQL.
+ */
+export class PostgresStorage implements IMemoryStorage {
+  private config: PostgresStorageConfig;
+  private pool: Pool;
+  private ownsPool: boolean;
+  private ready: boolean = false;
+  private tables: { sessions: string; messages: string; records: string };
+
+  constructor(config: PostgresStorageConfig) {
+    const prefix = config.tablePrefix ?? 'memory_';
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(prefix)) {
+      throw new Error(`Invalid table prefix: ${prefix}`);
+    }
+
+    this.config = config;
+    this.tables = {
+      sessions: `${prefix}sessions`,
+      messages: `${prefix}messages`,
+      records: `${prefix}records`
+    };
+    this.ownsPool = !config.pool;
+    this.pool = config.pool || new Pool({
+      connectionString: config.connectionString,
+      host: config.host,
+      port: config.port,
+      database: config.database,
+      user: config.user,
+      password: config.password,
+      ssl: config.ssl,
+      max: config.max ?? 10,
+      idleTimeoutMillis: config.idleTimeoutMillis,
+      connectionTimeoutMillis: config.connectionTimeoutMillis
+    });
+  }
+
+  async initialize(): Promise<void> {
+    const { sessions, messages, records } = this.tables;
+    const statements = [
+      `CREATE TABLE IF NOT EXISTS ${sessions} (
+        id TEXT PRIMARY KEY,
+        title TEXT,
+        scope JSONB,
+        scope_key TEXT NOT NULL DEFAULT '',
+        created_at TIMESTAMPTZ NOT NULL,
+        updated_at TIMESTAMPTZ NOT NULL,
+        message_count INTEGER NOT NULL DEFAULT 0,
+        metadata JSONB
+      )`,
+      `CREATE TABLE IF NOT EXISTS ${messages} (
+        id TEXT PRIMARY KEY,
+        seq BIGSERIAL,
+        session_id TEXT NOT NULL REFERENCES ${sessions}(id) ON DELETE CASCADE,
+        role TEXT NOT NULL,
+        content TEXT NOT NULL,
+        timestamp TIMESTAMPTZ NOT NULL,
+        metadata JSONB,
+        embedding JSONB,
+        parent_id TEXT,
+        parts JSONB,
+        tool_calls JSONB,
+        tool_call_id TEXT
+      )`,
+      // Databases created before conversation branching, tool calls and structured content lack these columns
+      `ALTER TABLE ${messages} ADD COLUMN IF NOT EXISTS parent_id TEXT`,
+      `ALTER TABLE ${messages} ADD COLUMN IF NOT EXISTS parts JSONB`,
+      `ALTER TABLE ${messages} ADD COLUMN IF NOT EXISTS tool_calls JSONB`,
+      `ALTER TABLE ${messages} ADD COLUMN IF NOT EXISTS tool_call_id TEXT`,
+      `CREATE TABLE IF NOT EXISTS ${records} (
+        id TEXT PRIMARY KEY,
+        identity TEXT NOT NULL UNIQUE,
+        kind TEXT NOT NULL,
+        key TEXT NOT NULL,
+        session_id TEXT,
+        scope_key TEXT NOT NULL DEFAULT '',
+        updated_at TIMESTAMPTZ NOT NULL,
+        data JSONB NOT NULL
+      )`,
+      `CREATE INDEX IF NOT EXISTS ${messages}_session_idx ON ${messages} (session_id, timestamp)`,
+      `CREATE INDEX IF NOT EXISTS ${messages}_timestamp_idx ON ${messages} (timestamp)`,
+      `CREATE INDEX IF NOT EXISTS ${messages}_role_idx ON ${messages} (role, timestamp)`,
+      `CREATE INDEX IF NOT EXISTS ${sessions}_scope_idx ON ${sessions} (scope_key)`,
+      `CREATE INDEX IF NOT EXISTS ${records}_kind_idx ON ${records} (kind, key)`,
+      `CREATE INDEX IF NOT EXISTS ${records}_scope_idx ON ${records} (scope_key)`
+    ];
+
+    try {
+      for (const statement of statements) {
+        await this.pool.query(statement);
+      }
+      this.ready = true;
+    } catch (error) {
+      throw new Error(`Failed to initialize PostgreSQL storage: ${error}`);
+    }
+  }
+
+  async saveMessage(message: ConversationMessage): Promise<void> {
+    await this.saveMessages([message]);
+  }
+
+  async saveMessages(messages: ConversationMessage[]): Promise<void> {
+    if (!this.ready) throw new Error('Storage not initialized');
+
+    await this.withTransaction(async client => {
+      // A message saved under another session moves, so both sessions are recounted
+      const touched = new Set<string>();
+      for (const message of messages) {
+        // Generate ID if not provided
+        if (!message.id) {
+          message.id = uuidv4();
+        }
+
+        const { rows } = await client.query(
+          `SELECT session_id FROM ${this.tables.messages} WHERE id = $1`,
+          [message.id]
+        );
+        if (rows.length > 0) touched.add(rows[0].session_id);
+        touched.add(message.sessionId);
+
+        await this.touchSession(client, message.sessionId);
+        await client.query(
+          `INSERT INTO ${this.tables.messages} (id, session_id, role, content, timestamp, metadata, embedding, parent_id, parts, tool_calls, tool_call_id)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+           ON CONFLICT (id) DO UPDATE SET
+             session_id = EXCLUDED.session_id,
+             role = EXCLUDED.role,
+             content = EXCLUDED.content,
+             timestamp = EXCLUDED.timestamp,
+             metadata = EXCLUDED.metadata,
+             embedding = EXCLUDED.embedding,
+             parent_id = EXCLUDED.parent_id,
+             parts = EXCLUDED.parts,
+             tool_calls = EXCLUDED.tool_calls,
+             tool_call_id = EXCLUDED.tool_call_id`,
+          [
+            message.id,
+            message.sessionId,
+            message.role,
+            message.content,
+            message.timestamp,
+            message.metadata ? JSON.stringify(message.metadata) : null,
+            message.embedding ? JSON.stringify(message.embedding) : null,
+            message.parentId ?? null,
+            message.parts ? JSON.stringify(message.parts) : null,
+            message.toolCalls ? JSON.stringify(message.toolCalls) : null,
+            message.toolCallId ?? null
+          ]
+        );
+      }
+
+      for (const sessionId of touched) {
+        await this.refreshMessageCount(client, sessionId);
+      }
+    });
+  }
+
+  async getMessages(options: MemoryQueryOptions = {}): Promise<MemorySearchResult> {
+    if (!this.ready) throw new Error('Storage not initialized');
+
+    const params = new QueryParams();
+    const conditions: string[] = [];
+    if (options.sessionId) {
+      conditions.push(`m.session_id = ${params.add(options.sessionId)}`);
+    }
+    if (options.scope) {
+      conditions.push(this.scopeCondition('s.scope_key', options.scope, options.scopeMode, params));
+    }
+    if (options.role) {
+      conditions.push(`m.role = ${params.add(options.role)}`);
+    }
+    if (options.startDate) {
+      conditions.push(`m.timestamp >= ${params.add(options.startDate)}`);
+    }
+    if (options.endDate) {
+      conditions.push(`m.timestamp <= ${params.add(options.endDate)}`);
+    }
+
+    const from = options.scope
+      ? `${this.tables.messages} m JOIN ${this.tables.sessions} s ON s.id = m.session_id`
+      : `${this.tables.messages} m`;
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    if (options.query) {
+      // Relevance ranking needs every candidate, so only the filters run in SQL
+      const { rows } = await this.pool.query(
+        `SELECT m.* FROM ${from} ${where} ORDER BY m.timestamp, m.seq`,
+        params.values
+      );
+      const candidates = rows.map(row => this.toMessage(row));
+
+      const { messages, matches } = rankMessages(InvertedIndex.fromMessages(candidates), candidates, options.query);
+      return paginateMessages(messages, options, matches);
+    }
+
+    const countResult = await this.pool.query(`SELECT COUNT(*)::int AS total FROM ${from} ${where}`, params.values);
+    const total: number = countResult.rows[0].total;
+    const limit = options.limit || total;
+    const direction = options.order === 'desc' ? 'DESC' : 'ASC';
+
+    // Cursors continue after (timestamp, seq), so pages stay stable while messages are added
+    let offset = options.offset || 0;
+    let pageWhere = where;
+    if (options.cursor) {
+      const position = decodeKeysetCursor(options.cursor);
+      const comparison = direction === 'DESC' ? '<' : '>';
+      const timestamp = params.add(new Date(position.timestamp));
+      const keyset = `(m.timestamp ${comparison} ${timestamp} OR (m.timestamp = ${timestamp} AND m.seq ${comparison} ${params.add(position.key)}))`;
+      pageWhere = where ? `${where} AND ${keyset}` : `WHERE ${keyset}`;
+      offset = 0;
+    }
+
+    const { rows } = await this.pool.query(
+      `SELECT m.* FROM ${from} ${pageWhere}
+       ORDER BY m.timestamp ${direction}, m.seq ${direction} LIMIT ${params.add(limit + 1)} OFFSET ${params.add(offset)}`,
+      params.values
+    );
+
+    const hasMore = rows.length > limit;
+    const page = rows.slice(0, limit);
+    const last = page[page.length - 1];
+
+    return {
+      messages: page.map(row => this.toMessage(row)),
+      total,
+      hasMore,
+      nextCursor: hasMore && last ? encodeCursor({ timestamp: last.timestamp.getTime(), key: String(last.seq) }) : undefined
+    };
+  }
+
+  async getMessage(messageId: string): Promise<ConversationMessage | null> {
+    if (!this.ready) throw new Error('Storage not initialized');
+    const { rows } = await this.pool.query(`SELECT * FROM ${this.tables.messages} WHERE id = $1`, [messageId]);
+    return rows[0] ? this.toMessage(rows[0]) : null;
+  }
+
+  async getSessions(options: SessionQueryOptions = {}): Promise<ConversationSession[]> {
+    if (!this.ready) throw new Error('Storage not initialized');
+
+    const params = new QueryParams();
+    const where = options.scope
+      ? `WHERE ${this.scopeCondition('scope_key', options.scope, options.scopeMode, params)}`
+      : '';
+    const { rows } = await this.pool.query(
+      `SELECT * FROM ${this.tables.sessions} ${where} ORDER BY updated_at DESC`,
+      params.values
+    );
+    return rows.map(row => this.toSession(row));
+  }
+
+  async getSession(sessionId: string): Promise<ConversationSession | null> {
+    if (!this.ready) throw new Error('Storage not initialized');
+    const { rows } = await this.pool.query(`SELECT * FROM ${this.tables.sessions} WHERE id = $1`, [sessionId]);
+    return rows[0] ? this.toSession(rows[0]) : null;
+  }
+
+  async updateSession(sessionId: string, updates: Partial<ConversationSession>): Promise<void> {
+    if (!this.ready) throw new Error('Storage not initialized');
+
+    await this.withTransaction(async client => {
+      await this.touchSession(client, sessionId);
+      const { rows } = await client.query(`SELECT * FROM ${this.tables.sessions} WHERE id = $1`, [sessionId]);
+      const session: ConversationSession = { ...this.toSession(rows[0]), ...updates, id: sessionId, updatedAt: new Date() };
+
+      await client.query(
+        `UPDATE ${this.tables.sessions}
+         SET title = $1, scope = $2, scope_key = $3, created_at = $4, updated_at = $5, message_count = $6, metadata = $7
+         WHERE id = $8`,
+        [
+          session.title ?? null,
+          session.scope ? JSON.stringify(session.scope) : null,
+          scopeKey(session.scope),
+          session.createdAt,
+          session.updatedAt,
+          session.messageCount,
+          session.metadata ? JSON.stringify(session.metadata) : null,
+          sessionId
+        ]
+      );
+    });
+  }
+
+  async deleteMessage(messageId: string): Promise<void> {
+    if (!this.ready) throw new Error('Storage not initialized');
+
+    await this.withTransaction(async client => {
+      const { rows } = await client.query(`SELECT session_id FROM ${this.tables.messages} WHERE id = $1`, [messageId]);
+      if (rows.length === 0) return;
+
+      await client.query(`DELETE FROM ${this.tables.messages} WHERE id = $1`, [messageId]);
+      await this.refreshMessageCount(client, rows[0].session_id);
+    });
+  }
+
+  async deleteSession(sessionId: string): Promise<void> {
+    if (!this.ready) throw new Error('Storage not initialized');
+    // Messages are removed by the foreign key cascade
+    await this.pool.query(`DELETE FROM ${this.tables.sessions} WHERE id = $1`, [sessionId]);
+  }
+
+  async saveRecord(record: MemoryRecord): Promise<MemoryRecord> {
+    if (!this.ready) throw new Error('Storage not initialized');
+    const identity = recordIdentity(record);
+    const candidate: MemoryRecord = { ...record, id: record.id || uuidv4() };
+
+    return await this.withTransaction(async client => {
+      // The upsert locks an existing row, so concurrent writers of one identity take turns
+      // and all of them get the id of the row that is actually stored
+      const { rows } = await client.query(
+        `INSERT INTO ${this.tables.records} (id, identity, kind, key, session_id, scope_key, updated_at, data)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+         ON CONFLICT (identity) DO UPDATE SET updated_at = EXCLUDED.updated_at
+         RETURNING id, data`,
+        [
+          candidate.id,
+          identity,
+          candidate.kind,
+          candidate.key,
+          candidate.sessionId ?? null,
+          scopeKey(candidate.scope),
+          candidate.updatedAt,
+          JSON.stringify(candidate)
+        ]
+      );
+
+      // Keep the stored row's id and creation time (the candidate's own when it was inserted)
+      const previous = this.toRecord(rows[0]);
+      const stored: MemoryRecord = { ...record, id: rows[0].id, createdAt: previous.createdAt };
+      await client.query(
+        `UPDATE ${this.tables.records} SET data = $2 WHERE id = $1`,
+        [stored.id, JSON.stringify(stored)]
+      );
+      return stored;
+    });
+  }
+
+  async getRecord(recordId: string): Promise<MemoryRecord | null> {
+    if (!this.ready) throw new Error('Storage not initialized');
+    const { rows } = await this.pool.query(`SELECT data FROM ${this.tables.records} WHERE id = $1`, [recordId]);
+    return rows[0] ? this.toRecord(rows[0]) : null;
+  }
+
+  async getRecords(options: MemoryRecordQueryOptions = {}): Promise<MemoryRecord[]> {
+    if (!this.ready) throw new Error('Storage not initialized');
+
+    const params = new QueryParams();
+    const conditions: string[] = [];
+    if (options.kind !== undefined) {
+      conditions.push(`kind = ${params.add(options.kind)}`);
+    }
+    if (options.key !== undefined) {
+      conditions.push(`key = ${params.add(options.key)}`);
+    }
+    if (options.sessionId !== undefined) {
+      conditions.push(`session_id = ${params.add(options.sessionId)}`);
+    }
+    if (options.scope) {
+      conditions.push(this.scopeCondition('scope_key', options.scope, options.scopeMode, params));
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const { rows } = await this.pool.query(`SELECT data FROM ${this.tables.records} ${where}`, params.values);
+
+    // Tags and confidence live in the record body
+    return queryRecords(rows.map(row => this.toRecord(row)), options);
+  }
+
+  async deleteRecord(recordId: string): Promise<void> {
+    if (!this.ready) throw new Error('Storage not initialized');
+    await this.pool.query(`DELETE FROM ${this.tables.records} WHERE id = $1`, [recordId]);
+  }
+
+  async getStats(): Promise<MemoryStats> {
+    if (!this.ready) throw new Error('Storage not initialized');
+
+    const sessions = await this.pool.query(`SELECT COUNT(*)::int AS total FROM ${this.tables.sessions}`);
+    const messages = await this.pool.query(
+      `SELECT COUNT(*)::int AS total, MIN(timestamp) AS oldest, MAX(timestamp) AS newest FROM ${this.tables.messages}`
+    );
+
+    const totalSessions: number = sessions.rows[0].total;
+    const { total: totalMessages, oldest, newest } = messages.rows[0];
+
+    return {
+      totalSessions,
+      totalMessages,
+      oldestMessage: oldest ? new Date(oldest) : null,
+      newestMessage: newest ? new Date(newest) : null,
+      averageMessagesPerSession: totalSessions > 0 ? totalMessages / totalSessions : 0
+    };
+  }
+
+  async clear(): Promise<void> {
+    if (!this.ready) throw new Error('Storage not initialized');
+
+    await this.withTransaction(async client => {
+      await client.query(`DELETE FROM ${this.tables.messages}`);
+      await client.query(`DELETE FROM ${this.tables.sessions}`);
+      await client.query(`DELETE FROM ${this.tables.records}`);
+    });
+  }
+
+  isReady(): boolean {
+    return this.ready;
+  }
+
+  /**
+   * Close the connection pool (a pool passed in the config is left open)
+   */
+  async close(): Promise<void> {
+    this.ready = false;
+    if (this.ownsPool) {
+      await this.pool.end();
+    }
+  }
+
+  private async withTransaction<T>(work: (client: PoolClient) => Promise<T>): Promise<T> {
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await work(client);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Create the session if it does not exist and bump its updatedAt
+   */
+  private async touchSession(db: Queryable, sessionId: string): Promise<void> {
+    const now = new Date();
+    await db.query(
+      `INSERT INTO ${this.tables.sessions} (id, created_at, updated_at) VALUES ($1, $2, $3)
+       ON CONFLICT (id) DO UPDATE SET updated_at = EXCLUDED.updated_at`,
+      [sessionId, now, now]
+    );
+  }
+
+  private async refreshMessageCount(db: Queryable, sessionId: string): Promise<void> {
+    await db.query(
+      `UPDATE ${this.tables.sessions}
+       SET message_count = (SELECT COUNT(*) FROM ${this.tables.messages} WHERE session_id = $1)
+       WHERE id = $1`,
+      [sessionId]
+    );
+  }
+
+  /**
+   * SQL condition matching a scope key column against a scope query
+   */
+  private scopeCondition(column: string, scope: MemoryScope, mode: ScopeMode = 'exact', params: QueryParams): string {
+    const key = scopeKey(scope);
+
+    switch (mode) {
+      case 'exact':
+        return `${column} = ${params.add(key)}`;
+      case 'ancestors':
+        return `${column} IN (${ancestorScopeKeys(scope).map(k => params.add(k)).join(', ')})`;
+      case 'descendants':
+        if (!key) return 'TRUE';
+        // substring rather than LIKE: encoded scope values may contain '%'
+        return `(${column} = ${params.add(key)} OR ` +
+          `substring(${column} from 1 for ${params.add(key.length + 1)}::int) = ${params.add(`${key}/`)})`;
+      default:
+        throw new Error(`Unsupported scope mode: ${mode}`);
+    }
+  }
+
+  private toMessage(row: any): ConversationMessage {
+    return {
+      id: row.id,
+      sessionId: row.session_id,
+      role: row.role,
+      content: row.content,
+      timestamp: new Date(row.timestamp),
+      metadata: row.metadata ?? undefined,
+      embedding: row.embedding ?? undefined,
+      parentId: row.parent_id ?? undefined,
+      parts: row.parts ?? undefined,
+      toolCalls: row.tool_calls ?? undefined,
+      toolCallId: row.tool_call_id ?? undefined
+    };
+  }
+
+  private toSession(row: any): ConversationSession {
+    return {
+      id: row.id,
+      title: row.title ?? undefined,
+      scope: row.scope ?? undefined,
+      createdAt: new Date(row.created_at),
+      updatedAt: new Date(row.updated_at),
+      messageCount: row.message_count,
+      metadata: row.metadata ?? undefined
+    };
+  }
+
+  private toRecord(row: any): MemoryRecord {
+    const record = row.data;
+    return {
+      ...record,
+      createdAt: new Date(record.createdAt),
+      updatedAt: new Date(record.updatedAt)
+    };
+  }
+}
@@ -0,0 +1,61 @@
+import RedisMock from 'ioredis-mock';
+import type Redis from 'ioredis';
+import { runStorageConformanceSuite } from '../testing/storageConformance';
+import { RedisStorage } from './RedisStorage';
+
+describe('RedisStorage', () => {
+  it('passes the storage conformance suite', async () => {
+    const clients: Redis[] = [];
+    // Mock clients share one keyspace, so each case also runs next to the keys of the cases before it
+    const report = await runStorageConformanceSuite(
+      () => {
+        clients.push(new RedisMock() as unknown as Redis);
+        return new RedisStorage({ client: clients[clients.length - 1], keyPrefix: `test${clients.length}:` });
+      },
+      { teardown: async () => clients[clients.length - 1].disconnect() }
+    );
+
+    expect(report.results.filter(result => !result.passed)).toEqual([]);
+  });
+
+  it('keeps a session set per scope', async () => {
+    const client = new RedisMock() as unknown as Redis;
+    const storage = new RedisStorage({ client, keyPrefix: 'scoped:' });
+    await storage.initialize();
+    await storage.updateSession('s1', { scope: { tenant: 'acme', project: 'p1' } });
+    await storage.updateSession('s2', { scope: { tenant: 'acme' } });
+    await storage.updateSession('s3', { scope: { tenant: 'other' } });
+
+    const zrevrange = jest.spyOn(client, 'zrevrange');
+    const sessions = await storage.getSessions({ scope: { tenant: 'acme' }, scopeMode: 'descendants' });
+    expect(sessions.map(s => s.id).sort()).toEqual(['s1', 's2']);
+    expect(zrevrange.mock.calls.map(call => call[0]).sort()).toEqual([
+      'scoped:scope:tenant=acme/project=p1:sessions',
+      'scoped:scope:tenant=acme:sessions'
+    ]);
+
+    // Moving a session to another scope and deleting one leave no stale entries
+    await storage.updateSession('s1', { scope: { tenant: 'other' } });
+    await storage.deleteSession('s2');
+    expect(await client.smembers('scoped:scopes')).toEqual(['tenant=other']);
+    expect((await storage.getSessions({ scope: { tenant: 'other' } })).map(s => s.id).sort()).toEqual(['s1', 's3']);
+    client.disconnect();
+  });
+
+  it('clears only its own prefix', async () => {
+    const client = new RedisMock() as unknown as Redis;
+    const ours = new RedisStorage({ client, keyPrefix: 'ours:' });
+    const theirs = new RedisStorage({ client, keyPrefix: 'theirs:' });
+    await ours.initialize();
+    await theirs.initialize();
+
+    const message = (id: string) => ({ id, sessionId: 's1', role: 'user' as const, content: id, timestamp: new Date() });
+    await ours.saveMessages(Array.from({ length: 250 }, (_, i) => message(`m${i}`)));
+    await theirs.saveMessage(message('kept'));
+    await ours.clear();
+
+    expect((await ours.getStats()).totalMessages).toBe(0);
+    expect((await theirs.getMessages()).messages.map(m => m.id)).toEqual(['kept']);
+    client.disconnect();
+  });
+});
@@ -0,0 +1,592 @@
+import Redis from 'ioredis';
+import { v4 as uuidv4 } from 'uuid';
+import { IMemoryStorage } from '../interfaces/MemoryInterface';
+import {
+  ConversationMessage,
+  ConversationSession,
+  RedisStorageConfig,
+  MemoryQueryOptions,
+  MemorySearchResult,
+  MemoryStats,
+  MemoryRecord,
+  MemoryRecordQueryOptions,
+  MemoryScope,
+  ScopeMode,
+  SessionQueryOptions
+} from '../types';
+import { InvertedIndex } from '../search/InvertedIndex';
+import { rankMessages } from '../search/fullTextSearch';
+import { queryRecords, recordIdentity } from '../utils/records';
+import { ancestorScopeKeys, isWithinScope, scopeKey } from '../utils/scope';
+import { KeysetPosition, MessageSource, decodeKeysetCursor, encodeCursor, paginateMessages, paginateSources } from '../utils/cursor';
+
+/** Message ids read from a session's sorted set at a time */
+const READ_BATCH_SIZE = 500;
+
+/**
+ * Redis storage for sharing conversation state between processes.
+ *
+ * Keys (all under the configured prefix):
+ * - `sessions`: sorted set of session ids scored by updatedAt
+ * - `scope:<scope key>:sessions`: the same, for the sessions of one scope
+ * - `scopes`: set of the scope keys that have sessions
+ * - `session:<id>`: hash with the session fields
+ * - `session:<id>:messages`: sorted set of message ids scored by timestamp
+ * - `session:<id>:message-data`: hash of message id to message JSON
+ * - `message-sessions`: hash of message id to session id
+ * - `records`, `record-identities` and `record:<id>`: record ids, upsert identities and record JSON
+ *
+ * With `sessionTtlSeconds` a session and its messages expire together after
+ * the last write; stale entries in the shared indexes are dropped on read.
+ */
+export class RedisStorage implements IMemoryStorage {
+  private config: RedisStorageConfig;
+  private client: Redis;
+  private ownsClient: boolean;
+  private prefix: string;
+  private ready: boolean = false;
+
+  constructor(config: RedisStorageConfig) {
+    this.config = config;
+    this.prefix = config.keyPrefix ?? 'langchain-memory:';
+    this.ownsClient = !config.client;
+    this.client = config.client || (config.url
+      ? new Redis(config.url, { lazyConnect: true })
+      : new Redis({
+        host: config.host,
+        port: config.port,
+        password: config.password,
+        db: config.db,
+        lazyConnect: true
+      }));
+  }
+
+  async initialize(): Promise<void> {
+    try {
+      if (this.ownsClient && this.client.status === 'wait') {
+        await this.client.connect();
+      }
+      await this.client.ping();
+      this.ready = true;
+    } catch (error) {
+      throw new Error(`Failed to initialize Redis storage: ${error}`);
+    }
+  }
+
+  async saveMessage(message: ConversationMessage): Promise<void> {
+    await this.saveMessages([message]);
+  }
+
+  async saveMessages(messages: ConversationMessage[]): Promise<void> {
+    if (!this.ready) throw new Error('Storage not initialized');
+
+    const touched = new Set<string>();
+    for (const message of messages) {
+      // Generate ID if not provided
+      if (!message.id) {
+        message.id = uuidv4();
+      }
+
+      // A message that moved to another session is removed from the old one
+      const previousSessionId = await this.client.hget(this.key('message-sessions'), message.id);
+      if (previousSessionId && previousSessionId !== message.sessionId) {
+        await this.client.multi()
+          .zrem(this.key(`session:${previousSessionId}:messages`), message.id)
+          .hdel(this.key(`session:${previousSessionId}:message-data`), message.id)
+          .exec();
+        touched.add(previousSessionId);
+      }
+
+      await this.client.multi()
+        .zadd(this.key(`session:${message.sessionId}:messages`), message.timestamp.getTime(), message.id)
+        .hset(this.key(`session:${message.sessionId}:message-data`), message.id, JSON.stringify(message))
+        .hset(this.key('message-sessions'), message.id, message.sessionId)
+        .exec();
+      touched.add(message.sessionId);
+    }
+
+    for (const sessionId of touched) {
+      await this.writeSession(sessionId, {
+        messageCount: await this.client.zcard(this.key(`session:${sessionId}:messages`))
+      });
+    }
+  }
+
+  async getMessages(options: MemoryQueryOptions = {}): Promise<MemorySearchResult> {
+    if (!this.ready) throw new Error('Storage not initialized');
+
+    const offset = options.offset || 0;
+    const min = options.startDate ? options.startDate.getTime() : '-inf';
+    const max = options.endDate ? options.endDate.getTime() : '+inf';
+
+    // A single session without role, scope or text filters is paginated by Redis (ZRANGE BYSCORE, Redis 6.2+)
+    if (options.sessionId && !options.role && !options.scope && !options.query) {
+      const messagesKey = this.key(`session:${options.sessionId}:messages`);
+      const descending = options.order === 'desc';
+      const total = await this.client.zcount(messagesKey, min, max);
+      const limit = options.limit || total;
+
+      let ids: string[];
+      let hasMore: boolean;
+      if (options.cursor) {
+        ({ ids, hasMore } = await this.rangeAfter(messagesKey, decodeKeysetCursor(options.cursor), min, max, limit, descending));
+      } else {
+        ids = limit <= 0 ? [] : descending
+          ? await this.client.zrange(messagesKey, max, min, 'BYSCORE', 'REV', 'LIMIT', offset, limit)
+          : await this.client.zrange(messagesKey, min, max, 'BYSCORE', 'LIMIT', offset, limit);
+        hasMore = offset + limit < total;
+      }
+
+      const messages = await this.loadMessages(options.sessionId, ids);
+      const last = messages[messages.length - 1];
+      return {
+        messages,
+        total,
+        hasMore,
+        nextCursor: hasMore && last ? encodeCursor({ timestamp: last.timestamp.getTime(), key: last.id }) : undefined
+      };
+    }
+
+    let sessionIds: string[];
+    if (options.scope) {
+      sessionIds = (await this.getSessions({ scope: options.scope, scopeMode: options.scopeMode }))
+        .map(session => session.id)
+        .filter(id => !options.sessionId || id === options.sessionId);
+    } else {
+      sessionIds = options.sessionId ? [options.sessionId] : await this.client.zrange(this.key('sessions'), 0, -1);
+    }
+
+    if (options.query) {
+      const messages: ConversationMessage[] = [];
+      for (const sessionId of sessionIds) {
+        messages.push(...await this.readSession(sessionId, options, undefined, Infinity));
+      }
+
+      const ranked = rankMessages(InvertedIndex.fromMessages(messages), messages, options.query);
+      return paginateMessages(ranked.messages, options, ranked.matches);
+    }
+
+    // Each page reads only the messages past the cursor that can still make it into the page
+    const sources: MessageSource[] = sessionIds.map(sessionId => ({
+      read: (after, count) => this.readSession(sessionId, options, after, count)
+    }));
+
+    return paginateSources(sources, options, async () => {
+      let total = 0;
+      for (const sessionId of sessionIds) {
+        total += options.role
+          ? (await this.readSession(sessionId, options, undefined, Infinity)).length
+          : await this.client.zcount(this.key(`session:${sessionId}:messages`), min, max);
+      }
+      return total;
+    });
+  }
+
+  async getMessage(messageId: string): Promise<ConversationMessage | null> {
+    if (!this.ready) throw new Error('Storage not initialized');
+
+    const sessionId = await this.client.hget(this.key('message-sessions'), messageId);
+    if (!sessionId) return null;
+
+    const [message] = await this.loadMessages(sessionId, [messageId]);
+    return message || null;
+  }
+
+  async getSessions(options: SessionQueryOptions = {}): Promise<ConversationSession[]> {
+    if (!this.ready) throw new Error('Storage not initialized');
+
+    const setKeys = options.scope
+      ? (await this.scopeKeys(options.scope, options.scopeMode)).map(key => this.scopeSetKey(key))
+      : [this.key('sessions')];
+
+    // Most recently updated first, like ZREVRANGE
+    const entries: Array<{ id: string; score: number; setKey: string }> = [];
+    for (const setKey of setKeys) {
+      const reply = await this.client.zrevrange(setKey, 0, -1, 'WITHSCORES');
+      for (let i = 0; i < reply.length; i += 2) {
+        entries.push({ id: reply[i], score: Number(reply[i + 1]), setKey });
+      }
+    }
+    entries.sort((a, b) => b.score - a.score || (a.id < b.id ? 1 : a.id > b.id ? -1 : 0));
+
+    const sessions: ConversationSession[] = [];
+    for (const entry of entries) {
+      const session = await this.getSession(entry.id);
+      if (session) {
+        sessions.push(session);
+      } else {
+        // The session expired
+        await this.client.zrem(entry.setKey, entry.id);
+      }
+    }
+    return sessions;
+  }
+
+  async getSession(sessionId: string): Promise<ConversationSession | null> {
+    if (!this.ready) throw new Error('Storage not initialized');
+
+    const fields = await this.client.hgetall(this.key(`session:${sessionId}`));
+    return fields.id ? this.toSession(fields) : null;
+  }
+
+  async updateSession(sessionId: string, updates: Partial<ConversationSession>): Promise<void> {
+    if (!this.ready) throw new Error('Storage not initialized');
+    await this.writeSession(sessionId, updates);
+  }
+
+  async deleteMessage(messageId: string): Promise<void> {
+    if (!this.ready) throw new Error('Storage not initialized');
+
+    const sessionId = await this.client.hget(this.key('message-sessions'), messageId);
+    if (!sessionId) return;
+
+    await this.client.multi()
+      .zrem(this.key(`session:${sessionId}:messages`), messageId)
+      .hdel(this.key(`session:${sessionId}:message-data`), messageId)
+      .hdel(this.key('message-sessions'), messageId)
+      .exec();
+
+    // Update session message count
+    await this.writeSession(sessionId, {
+      messageCount: await this.client.zcard(this.key(`session:${sessionId}:messages`))
+    });
+  }
+
+  async deleteSession(sessionId: string): Promise<void> {
+    if (!this.ready) throw new Error('Storage not initialized');
+
+    const messageIds = await this.client.zrange(this.key(`session:${sessionId}:messages`), 0, -1);
+    const sessionScope = await this.client.hget(this.key(`session:${sessionId}`), 'scopeKey');
+    const transaction = this.client.multi()
+      .del(
+        this.key(`session:${sessionId}`),
+        this.key(`session:${sessionId}:messages`),
+        this.key(`session:${sessionId}:message-data`)
+      )
+      .zrem(this.key('sessions'), sessionId);
+    if (sessionScope !== null) {
+      transaction.zrem(this.scopeSetKey(sessionScope), sessionId);
+    }
+    if (messageIds.length > 0) {
+      transaction.hdel(this.key('message-sessions'), ...messageIds);
+    }
+    await transaction.exec();
+    if (sessionScope !== null) await this.dropScopeIfEmpty(sessionScope);
+  }
+
+  async saveRecord(record: MemoryRecord): Promise<MemoryRecord> {
+    if (!this.ready) throw new Error('Storage not initialized');
+
+    const identity = recordIdentity(record);
+    const existingId = await this.client.hget(this.key('record-identities'), identity);
+    const existing = existingId ? await this.getRecord(existingId) : null;
+
+    const stored: MemoryRecord = existing
+      ? { ...record, id: existing.id, createdAt: existing.createdAt }
+      : { ...record, id: record.id || uuidv4() };
+
+    const transaction = this.client.multi()
+      .set(this.key(`record:${stored.id}`), JSON.stringify(stored))
+      .sadd(this.key('records'), stored.id)
+      .hset(this.key('record-identities'), identity, stored.id);
+    if (this.config.recordTtlSeconds) {
+      transaction.expire(this.key(`record:${stored.id}`), this.config.recordTtlSeconds);
+    }
+    await transaction.exec();
+
+    return stored;
+  }
+
+  async getRecord(recordId: string): Promise<MemoryRecord | null> {
+    if (!this.ready) throw new Error('Storage not initialized');
+
+    const data = await this.client.get(this.key(`record:${recordId}`));
+    return data ? this.toRecord(data) : null;
+  }
+
+  async getRecords(options: MemoryRecordQueryOptions = {}): Promise<MemoryRecord[]> {
+    if (!this.ready) throw new Error('Storage not initialized');
+
+    const ids = await this.client.smembers(this.key('records'));
+    if (ids.length === 0) return [];
+
+    const values = await this.client.mget(...ids.map(id => this.key(`record:${id}`)));
+    const records: MemoryRecord[] = [];
+    const expired: string[] = [];
+    values.forEach((value, i) => value ? records.push(this.toRecord(value)) : expired.push(ids[i]));
+
+    if (expired.length > 0) {
+      await this.client.srem(this.key('records'), ...expired);
+    }
+
+    return queryRecords(records, options);
+  }
+
+  async deleteRecord(recordId: string): Promise<void> {
+    if (!this.ready) throw new Error('Storage not initialized');
+
+    const record = await this.getRecord(recordId);
+    const transaction = this.client.multi()
+      .del(this.key(`record:${recordId}`))
+      .srem(this.key('records'), recordId);
+    if (record) {
+      transaction.hdel(this.key('record-identities'), recordIdentity(record));
+    }
+    await transaction.exec();
+  }
+
+  async getStats(): Promise<MemoryStats> {
+    if (!this.ready) throw new Error('Storage not initialized');
+
+    const sessions = await this.getSessions();
+    let totalMessages = 0;
+    let oldest: number | null = null;
+    let newest: number | null = null;
+
+    for (const session of sessions) {
+      const messagesKey = this.key(`session:${session.id}:messages`);
+      totalMessages += await this.client.zcard(messagesKey);
+
+      const [, first] = await this.client.zrange(messagesKey, 0, 0, 'WITHSCORES');
+      const [, last] = await this.client.zrange(messagesKey, -1, -1, 'WITHSCORES');
+      if (first !== undefined) oldest = Math.min(oldest ?? Infinity, Number(first));
+      if (last !== undefined) newest = Math.max(newest ?? -Infinity, Number(last));
+    }
+
+    return {
+      totalSessions: sessions.length,
+      totalMessages,
+      oldestMessage: oldest !== null ? new Date(oldest) : null,
+      newestMessage: newest !== null ? new Date(newest) : null,
+      averageMessagesPerSession: sessions.length > 0 ? totalMessages / sessions.length : 0
+    };
+  }
+
+  async clear(): Promise<void> {
+    if (!this.ready) throw new Error('Storage not initialized');
+
+    // Only keys under this storage's prefix are removed. The scan completes before
+    // anything is deleted, as deleting during a scan can make it skip keys.
+    const pattern = `${this.prefix.replace(/[*?[\]\\]/g, '\\$&')}*`;
+    const keys = new Set<string>();
+    let cursor = '0';
+    do {
+      const [next, found] = await this.client.scan(cursor, 'MATCH', pattern, 'COUNT', 100);
+      found.forEach(key => keys.add(key));
+      cursor = next;
+    } while (cursor !== '0');
+
+    const all = [...keys];
+    for (let i = 0; i < all.length; i += 500) {
+      await this.client.unlink(...all.slice(i, i + 500));
+    }
+  }
+
+  isReady(): boolean {
+    return this.ready;
+  }
+
+  /**
+   * Close the connection (a client passed in the config is left open)
+   */
+  async close(): Promise<void> {
+    this.ready = false;
+    if (this.ownsClient) {
+      await this.client.quit();
+    }
+  }
+
+  private key(name: string): string {
+    return `${this.prefix}${name}`;
+  }
+
+  private scopeSetKey(key: string): string {
+    return this.key(`scope:${key}:sessions`);
+  }
+
+  /**
+   * Scope keys whose session sets answer a scope query
+   */
+  private async scopeKeys(scope: MemoryScope, mode: ScopeMode = 'exact'): Promise<string[]> {
+    switch (mode) {
+      case 'exact':
+        return [scopeKey(scope)];
+      case 'ancestors':
+        return ancestorScopeKeys(scope);
+      case 'descendants':
+        return (await this.client.smembers(this.key('scopes'))).filter(key => isWithinScope(key, scopeKey(scope)));
+      default:
+        throw new Error(`Unsupported scope mode: ${mode}`);
+    }
+  }
+
+  private async dropScopeIfEmpty(key: string): Promise<void> {
+    if (await this.client.zcard(this.scopeSetKey(key)) === 0) {
+      await this.client.srem(this.key('scopes'), key);
+    }
+  }
+
+  /**
+   * Create or update a session hash and refresh the session's expiry
+   */
+  private async writeSession(sessionId: string, updates: Partial<ConversationSession>): Promise<void> {
+    const existing = await this.getSession(sessionId);
+    const now = new Date();
+    const session: ConversationSession = {
+      id: sessionId,
+      createdAt: now,
+      messageCount: 0,
+      ...existing,
+      ...updates,
+      updatedAt: now
+    };
+
+    const fields: Record<string, string> = {
+      id: session.id,
+      createdAt: String(session.createdAt.getTime()),
+      updatedAt: String(session.updatedAt.getTime()),
+      messageCount: String(session.messageCount),
+      scopeKey: scopeKey(session.scope)
+    };
+    if (session.title !== undefined) fields.title = session.title;
+    if (session.scope) fields.scope = JSON.stringify(session.scope);
+    if (session.metadata) fields.metadata = JSON.stringify(session.metadata);
+
+    const sessionKey = this.key(`session:${sessionId}`);
+    const previousScope = existing ? scopeKey(existing.scope) : undefined;
+    const transaction = this.client.multi()
+      .del(sessionKey)
+      .hset(sessionKey, fields)
+      .zadd(this.key('sessions'), session.updatedAt.getTime(), sessionId)
+      .zadd(this.scopeSetKey(fields.scopeKey), session.updatedAt.getTime(), sessionId)
+      .sadd(this.key('scopes'), fields.scopeKey);
+    if (previousScope !== undefined && previousScope !== fields.scopeKey) {
+      transaction.zrem(this.scopeSetKey(previousScope), sessionId);
+    }
+
+    const ttl = this.config.sessionTtlSeconds;
+    if (ttl) {
+      transaction
+        .expire(sessionKey, ttl)
+        .expire(this.key(`session:${sessionId}:messages`), ttl)
+        .expire(this.key(`session:${sessionId}:message-data`), ttl);
+    }
+
+    await transaction.exec();
+    if (previousScope !== undefined && previousScope !== fields.scopeKey) {
+      await this.dropScopeIfEmpty(previousScope);
+    }
+  }
+
+  /**
+   * Message ids after a cursor position. Members with equal scores are ordered by id,
+   * so the page starts past the cursor's score and skips ties up to the cursor's id.
+   */
+  private async rangeAfter(
+    messagesKey: string,
+    position: { timestamp: number; key: string | number },
+    min: number | string,
+    max: number | string,
+    limit: number,
+    descending: boolean
+  ): Promise<{ ids: string[]; hasMore: boolean }> {
+    const { timestamp } = position;
+    const cursorId = String(position.key);
+    const tied = await this.client.zcount(messagesKey, timestamp, timestamp);
+    const count = tied + limit + 1;
+
+    const raw = descending
+      ? await this.client.zrange(
+          messagesKey, typeof max === 'number' ? Math.min(max, timestamp) : timestamp, min,
+          'BYSCORE', 'REV', 'LIMIT', 0, count, 'WITHSCORES'
+        )
+      : await this.client.zrange(
+          messagesKey, typeof min === 'number' ? Math.max(min, timestamp) : timestamp, max,
+          'BYSCORE', 'LIMIT', 0, count, 'WITHSCORES'
+        );
+
+    const ids: string[] = [];
+    for (let i = 0; i < raw.length; i += 2) {
+      const id = raw[i];
+      const passed = Number(raw[i + 1]) !== timestamp || (descending ? id < cursorId : id > cursorId);
+      if (passed) ids.push(id);
+    }
+
+    return { ids: ids.slice(0, limit), hasMore: ids.length > limit };
+  }
+
+  /**
+   * Up to `count` messages of a session matching the query, in page order
+   * after `after`, read from its sorted set a batch at a time
+   */
+  private async readSession(
+    sessionId: string,
+    options: MemoryQueryOptions,
+    after: KeysetPosition | undefined,
+    count: number
+  ): Promise<ConversationMessage[]> {
+    const messagesKey = this.key(`session:${sessionId}:messages`);
+    const min = options.startDate ? options.startDate.getTime() : '-inf';
+    const max = options.endDate ? options.endDate.getTime() : '+inf';
+    const descending = options.order === 'desc';
+    const messages: ConversationMessage[] = [];
+    let position = after;
+
+    while (messages.length < count) {
+      const batch = Math.min(count - messages.length, READ_BATCH_SIZE);
+      let ids: string[];
+      let hasMore: boolean;
+      if (position) {
+        ({ ids, hasMore } = await this.rangeAfter(messagesKey, position, min, max, batch, descending));
+      } else {
+        const first = descending
+          ? await this.client.zrange(messagesKey, max, min, 'BYSCORE', 'REV', 'LIMIT', 0, batch + 1)
+          : await this.client.zrange(messagesKey, min, max, 'BYSCORE', 'LIMIT', 0, batch + 1);
+        ids = first.slice(0, batch);
+        hasMore = first.length > batch;
+      }
+
+      const loaded = await this.loadMessages(sessionId, ids);
+      messages.push(...loaded.filter(m => !options.role || m.role === options.role));
+
+      const last = loaded[loaded.length - 1];
+      if (!hasMore || !last) break;
+      position = { timestamp: last.timestamp.getTime(), key: last.id };
+    }
+
+    return messages.slice(0, count);
+  }
+
+  private async loadMessages(sessionId: string, ids: string[]): Promise<ConversationMessage[]> {
+    if (ids.length === 0) return [];
+
+    const values = await this.client.hmget(this.key(`session:${sessionId}:message-data`), ...ids);
+    return values
+      .filter((value): value is string => value !== null)
+      .map(value => {
+        const message = JSON.parse(value);
+        return { ...message, timestamp: new Date(message.timestamp) };
+      });
+  }
+
+  private toSession(fields: Record<string, string>): ConversationSession {
+    return {
+      id: fields.id,
+      title: fields.title,
+      scope: fields.scope ? JSON.parse(fields.scope) : undefined,
+      createdAt: new Date(Number(fields.createdAt)),
+      updatedAt: new Date(Number(fields.updatedAt)),
+      messageCount: Number(fields.messageCount) || 0,
+      metadata: fields.metadata ? JSON.parse(fields.metadata) : undefined
+    };
+  }
+
+  private toRecord(data: string): MemoryRecord {
+    const record = JSON.parse(data);
+    return {
+      ...record,
+      createdAt: new Date(record.createdAt),
+      updatedAt: new Date(record.updatedAt)
+    };
+  }
+}
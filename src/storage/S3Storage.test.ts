@@ -0,0 +1,229 @@
+import {
+  GetObjectCommand,
+  PutObjectCommand,
+  DeleteObjectCommand,
+  DeleteObjectsCommand,
+  ListObjectsV2Command
+} from '@aws-sdk/client-s3';
+import { InvertedIndex } from '../search/InvertedIndex';
+import { runStorageConformanceSuite } from '../testing/storageConformance';
+import { S3Storage } from './S3Storage';
+
+function failure(name: string, status: number): Error {
+  return Object.assign(new Error(name), { name, $metadata: { httpStatusCode: status } });
+}
+
+/**
+ * In-memory bucket answering the commands S3Storage sends, including
+ * conditional requests and paginated listings
+ */
+class MockS3Client {
+  objects = new Map<string, { body: string; etag: string }>();
+  sent: any[] = [];
+  private versions = 0;
+
+  async send(command: any): Promise<any> {
+    const input = command.input;
+    this.sent.push(command);
+    // Answer asynchronously, like a real client
+    await new Promise(resolve => setImmediate(resolve));
+    const object = this.objects.get(input.Key);
+
+    if (command instanceof GetObjectCommand) {
+      if (!object) throw failure('NoSuchKey', 404);
+      if (input.IfNoneMatch === object.etag) throw failure('NotModified', 304);
+      return { ETag: object.etag, Body: { transformToString: async () => object.body } };
+    }
+    if (command instanceof PutObjectCommand) {
+      if (input.IfMatch && input.IfMatch !== object?.etag) throw failure('PreconditionFailed', 412);
+      if (input.IfNoneMatch === '*' && object) throw failure('PreconditionFailed', 412);
+      const etag = `"${++this.versions}"`;
+      this.objects.set(input.Key, { body: input.Body, etag });
+      return { ETag: etag };
+    }
+    if (command instanceof DeleteObjectCommand) {
+      this.objects.delete(input.Key);
+      return {};
+    }
+    if (command instanceof DeleteObjectsCommand) {
+      input.Delete.Objects.forEach((entry: { Key: string }) => this.objects.delete(entry.Key));
+      return {};
+    }
+    if (command instanceof ListObjectsV2Command) {
+      // Small pages, so that continuation is exercised
+      const keys = [...this.objects.keys()].filter(key => key.startsWith(input.Prefix)).sort();
+      const start = Number(input.ContinuationToken || 0);
+      return {
+        Contents: keys.slice(start, start + 2).map(Key => ({ Key })),
+        IsTruncated: start + 2 < keys.length,
+        NextContinuationToken: String(start + 2)
+      };
+    }
+    throw new Error(`Unsupported command ${command.constructor.name}`);
+  }
+
+  gets(): (string | undefined)[] {
+    return this.sent.filter(command => command instanceof GetObjectCommand).map(command => command.input.Key);
+  }
+}
+
+function createStorage(client: MockS3Client): S3Storage {
+  return new S3Storage({ bucketName: 'memory', region: 'us-east-1', client: client as any });
+}
+
+describe('S3Storage', () => {
+  it('passes the storage conformance suite', async () => {
+    const report = await runStorageConformanceSuite(() => createStorage(new MockS3Client()));
+
+    expect(report.results.filter(result => !result.passed)).toEqual([]);
+  });
+
+  it('reads a single shard to look up a message by id', async () => {
+    const client = new MockS3Client();
+    const storage = createStorage(client);
+    await storage.initialize();
+
+    for (let i = 0; i < 5; i++) {
+      await storage.saveMessage({ id: `m${i}`, sessionId: `s${i}`, role: 'user', content: `hello ${i}`, timestamp: new Date() });
+    }
+
+    client.sent = [];
+    expect((await storage.getMessage('m3'))?.content).toBe('hello 3');
+    expect(await storage.getMessage('missing')).toBeNull();
+    const [lookup, shard, missingLookup, ...rest] = client.gets();
+    expect(lookup).toMatch(/^langchain-memory\/lookup\/\d+\.json$/);
+    expect(shard).toBe('langchain-memory/sessions/s3.json');
+    expect(missingLookup).toMatch(/^langchain-memory\/lookup\/\d+\.json$/);
+    expect(rest).toEqual([]);
+    expect(client.sent.some(command => command instanceof ListObjectsV2Command)).toBe(false);
+
+    await storage.deleteMessage('m3');
+    expect(await storage.getMessage('m3')).toBeNull();
+    expect((await storage.getSession('s3'))?.messageCount).toBe(0);
+  });
+
+  it('reads only the shards a page draws from', async () => {
+    const client = new MockS3Client();
+    const storage = createStorage(client);
+    await storage.initialize();
+
+    // Ten sessions one after another, three messages each
+    const start = Date.UTC(2024, 0, 1);
+    for (let s = 0; s < 10; s++) {
+      await storage.saveMessages([0, 1, 2].map(i => ({
+        id: `s${s}m${i}`,
+        sessionId: `s${s}`,
+        role: 'user' as const,
+        content: `message ${i}`,
+        timestamp: new Date(start + (s * 3 + i) * 60000)
+      })));
+    }
+
+    let page = await storage.getMessages({ limit: 3 });
+    const seen = [...page.messages];
+    while (page.nextCursor) {
+      client.sent = [];
+      page = await storage.getMessages({ limit: 3, cursor: page.nextCursor });
+      seen.push(...page.messages);
+
+      // The cursor's shard (for messages tied with the cursor), the shard holding
+      // the page and the next one, for the message that tells whether there is more
+      const shards = client.gets().filter(key => key?.startsWith('langchain-memory/sessions/'));
+      expect(shards.length).toBeLessThanOrEqual(3);
+      expect(page.total).toBe(30);
+    }
+    expect(seen.map(m => m.id)).toEqual(
+      Array.from({ length: 30 }, (_, n) => `s${Math.floor(n / 3)}m${n % 3}`)
+    );
+  });
+
+  it('looks up sessions by scope in the index', async () => {
+    const client = new MockS3Client();
+    const storage = createStorage(client);
+    await storage.initialize();
+    await storage.updateSession('s1', { scope: { tenant: 'acme', project: 'p1' } });
+    await storage.updateSession('s2', { scope: { tenant: 'acme' } });
+    await storage.updateSession('s3', { scope: { tenant: 'other' } });
+
+    client.sent = [];
+    const sessions = await storage.getSessions({ scope: { tenant: 'acme' }, scopeMode: 'descendants' });
+    expect(sessions.map(s => s.id).sort()).toEqual(['s1', 's2']);
+    expect(client.gets()).toEqual(['langchain-memory/sessions.json']);
+    expect(client.sent.some(command => command instanceof ListObjectsV2Command)).toBe(false);
+  });
+
+  it('keeps message ids out of the session index', async () => {
+    const client = new MockS3Client();
+    const storage = createStorage(client);
+    await storage.initialize();
+    await storage.updateSession('s1', { title: 'First' });
+
+    client.sent = [];
+    await storage.saveMessages([
+      { id: 'm1', sessionId: 's1', role: 'user', content: 'hello', timestamp: new Date() },
+      { id: 'm2', sessionId: 's1', role: 'assistant', content: 'hi', timestamp: new Date() }
+    ]);
+    const index = JSON.parse(client.objects.get('langchain-memory/sessions.json')!.body);
+    expect(Object.keys(index)).toEqual(['version', 'sessions', 'spans']);
+    expect(JSON.stringify(index)).not.toContain('m1');
+
+    // The index is only rewritten when a session's entry changes
+    client.sent = [];
+    await storage.deleteMessage('missing');
+    await storage.saveMessages([]);
+    expect(client.sent.some(command => command instanceof PutObjectCommand)).toBe(false);
+  });
+
+  it('ranks full-text queries with the search index kept in each shard', async () => {
+    const client = new MockS3Client();
+    const storage = createStorage(client);
+    await storage.initialize();
+    await storage.saveMessages([
+      { id: 'm1', sessionId: 's1', role: 'user', content: 'the deploy failed again', timestamp: new Date() },
+      { id: 'm2', sessionId: 's1', role: 'user', content: 'lunch at noon', timestamp: new Date() }
+    ]);
+    await storage.saveMessage({ id: 'm3', sessionId: 's2', role: 'user', content: 'deploy deploy deploy', timestamp: new Date() });
+    await storage.saveMessage({ id: 'm2', sessionId: 's1', role: 'user', content: 'deploy after lunch', timestamp: new Date() });
+    await storage.deleteMessage('m1');
+
+    const shard = JSON.parse(client.objects.get('langchain-memory/sessions/s1.json')!.body);
+    expect(Object.keys(shard.search.docs)).toEqual(['m2']);
+
+    const rebuild = jest.spyOn(InvertedIndex, 'fromMessages');
+    const result = await storage.getMessages({ query: 'deploy' });
+    expect(result.messages.map(m => m.id)).toEqual(['m3', 'm2']);
+    expect(rebuild).not.toHaveBeenCalled();
+    rebuild.mockRestore();
+  });
+
+  it('deletes the search index of the single-object layout when migrating it', async () => {
+    const client = new MockS3Client();
+    const message = { id: 'm1', sessionId: 's1', role: 'user', content: 'hello', timestamp: new Date() };
+    client.objects.set('langchain-memory/data.json', { body: JSON.stringify({ messages: [message], sessions: [] }), etag: '"1"' });
+    client.objects.set('langchain-memory/index.json', { body: '{}', etag: '"2"' });
+
+    const storage = createStorage(client);
+    await storage.initialize();
+    expect(client.objects.has('langchain-memory/index.json')).toBe(false);
+    expect((await storage.getMessages({ query: 'hello' })).messages.map(m => m.id)).toEqual(['m1']);
+  });
+
+  it('builds the message lookup for an index written by an earlier version', async () => {
+    const client = new MockS3Client();
+    const storage = createStorage(client);
+    await storage.initialize();
+    await storage.saveMessage({ id: 'm1', sessionId: 's1', role: 'user', content: 'hello', timestamp: new Date() });
+
+    // Earlier indexes kept every message id and had no version
+    const indexKey = 'langchain-memory/sessions.json';
+    const { version, ...index } = JSON.parse(client.objects.get(indexKey)!.body);
+    client.objects.set(indexKey, { body: JSON.stringify({ ...index, messages: { m1: 's1' } }), etag: '"old"' });
+    [...client.objects.keys()].filter(key => key.includes('/lookup/')).forEach(key => client.objects.delete(key));
+
+    const upgraded = createStorage(client);
+    await upgraded.initialize();
+    expect((await upgraded.getMessage('m1'))?.content).toBe('hello');
+    expect(JSON.parse(client.objects.get(indexKey)!.body)).toEqual(expect.objectContaining({ version }));
+    expect(JSON.parse(client.objects.get(indexKey)!.body).messages).toBeUndefined();
+  });
+});
@@ -1,33 +1,110 @@
-import { S3Client, GetObjectCommand, PutObjectCommand, DeleteObjectCommand, ListObjectsV2Command } from '@aws-sdk/client-s3';
+import {
+  S3Client,
+  GetObjectCommand,
+  PutObjectCommand,
+  DeleteObjectCommand,
+  DeleteObjectsCommand,
+  ListObjectsV2Command
+} from '@aws-sdk/client-s3';
+import { createHash } from 'crypto';
 import { v4 as uuidv4 } from 'uuid';
 import { IMemoryStorage } from '../interfaces/MemoryInterface';
-import { 
-  ConversationMessage, 
-  ConversationSession, 
-  S3StorageConfig, 
-  MemoryQueryOptions, 
-  MemorySearchResult, 
-  MemoryStats 
+import {
+  ConversationMessage,
+  ConversationSession,
+  S3StorageConfig,
+  MemoryQueryOptions,
+  MemorySearchResult,
+  MemoryStats,
+  MemoryRecord,
+  MemoryRecordQueryOptions,
+  SessionQueryOptions
 } from '../types';
-
-interface StorageData {
+import { InvertedIndex, SerializedIndex } from '../search/InvertedIndex';
+import { rankMessages } from '../search/fullTextSearch';
+import { queryRecords, recordIdentity } from '../utils/records';
+import { matchesScope, scopeKey } from '../utils/scope';
+import { MessageSource, compareMessages, isAfter, paginateMessages, paginateSources } from '../utils/cursor';
+
+/** One session, all of its messages and the search index over them */
+interface SessionShard {
+  session: ConversationSession;
   messages: ConversationMessage[];
-  sessions: ConversationSession[];
-  lastUpdated: Date;
+  search?: SerializedIndex;
+}
+
+/**
+ * Session metadata keyed by id, so listing does not read every shard, and the
+ * time range of each session's messages, so pages read only the shards they
+ * need. It holds one entry per session and only changes along with one.
+ */
+interface SessionIndex {
+  version: number;
+  sessions: Record<string, ConversationSession>;
+  spans: Record<string, MessageSpan>;
+}
+
+/** Session of each message whose id hashes to this lookup object */
+interface MessageLookup {
+  messages: Record<string, string>;
+}
+
+/** Oldest and newest message timestamps (milliseconds) a shard has held */
+interface MessageSpan {
+  first: number;
+  last: number;
 }
 
+interface RecordsObject {
+  records: MemoryRecord[];
+}
+
+interface CachedObject {
+  etag: string;
+  body: string;
+}
+
+const DEFAULT_MAX_RETRIES = 5;
+/** Layout of `sessions.json`; indexes without it are upgraded on `initialize()` */
+const INDEX_VERSION = 2;
+/** Objects the message id lookup is spread over */
+const MESSAGE_LOOKUP_SHARDS = 64;
+
+/**
+ * S3 storage with one object per session. Objects under the prefix:
+ *
+ * - `sessions/<id>.json`: a session, its messages and their search index
+ * - `sessions.json`: metadata and message time range of every session
+ * - `lookup/<n>.json`: the session of each message whose id hashes to `n`
+ * - `records.json`: all memory records
+ *
+ * Writes are conditional on the ETag that was read (If-Match, or
+ * If-None-Match for new objects) and are re-applied to the latest version
+ * on conflict, so concurrent writers merge instead of overwriting each other.
+ * A single `data.json` written by earlier versions is migrated on `initialize()`,
+ * and the `index.json` search index kept next to it is deleted.
+ */
 export class S3Storage implements IMemoryStorage {
   private config: S3StorageConfig;
   private s3Client: S3Client;
-  private data: StorageData;
   private ready: boolean = false;
-  private dataKey: string;
+  private prefix: string;
+  private indexKey: string;
+  private recordsKey: string;
+  private legacyKey: string;
+  private legacySearchKey: string;
+  /** Last seen version of each object, revalidated with If-None-Match */
+  private cache = new Map<string, CachedObject>();
 
   constructor(config: S3StorageConfig) {
     this.config = config;
-    this.dataKey = `${config.prefix || 'langchain-memory'}/data.json`;
-    
-    this.s3Client = new S3Client({
+    this.prefix = config.prefix || 'langchain-memory';
+    this.indexKey = `${this.prefix}/sessions.json`;
+    this.recordsKey = `${this.prefix}/records.json`;
+    this.legacyKey = `${this.prefix}/data.json`;
+    this.legacySearchKey = `${this.prefix}/index.json`;
+
+    this.s3Client = config.client || new S3Client({
       region: config.region,
       credentials: config.accessKeyId && config.secretAccessKey ? {
         accessKeyId: config.accessKeyId,
@@ -35,42 +112,15 @@ export class S3Storage implements IMemoryStorage {
         sessionToken: config.sessionToken
       } : undefined
     });
-
-    this.data = {
-      messages: [],
-      sessions: [],
-      lastUpdated: new Date()
-    };
   }
 
   async initialize(): Promise<void> {
     try {
-      // Try to load existing data
-      try {
-        const response = await this.s3Client.send(new GetObjectCommand({
-          Bucket: this.config.bucketName,
-          Key: this.dataKey
-        }));
-
-        if (response.Body) {
-          const bodyContents = await response.Body.transformToString();
-          this.data = JSON.parse(bodyContents);
-          
-          // Convert string dates back to Date objects
-          this.data.messages.forEach(msg => {
-            msg.timestamp = new Date(msg.timestamp);
-          });
-          this.data.sessions.forEach(session => {
-            session.createdAt = new Date(session.createdAt);
-            session.updatedAt = new Date(session.updatedAt);
-          });
-          this.data.lastUpdated = new Date(this.data.lastUpdated);
-        }
-      } catch (error: any) {
-        // If file doesn't exist, that's fine - we'll create it
-        if (error.name !== 'NoSuchKey') {
-          throw error;
-        }
+      const index = await this.readObject(this.indexKey);
+      if (!index) {
+        await this.migrateLegacyData();
+      } else if (JSON.parse(index.body).version !== INDEX_VERSION) {
+        await this.upgradeIndex();
       }
 
       this.ready = true;
@@ -80,134 +130,228 @@ export class S3Storage implements IMemoryStorage {
   }
 
   async saveMessage(message: ConversationMessage): Promise<void> {
+    await this.saveMessages([message]);
+  }
+
+  /**
+   * Save messages with one conditional PUT per session
+   */
+  async saveMessages(messages: ConversationMessage[]): Promise<void> {
     if (!this.ready) throw new Error('Storage not initialized');
 
-    // Generate ID if not provided
-    if (!message.id) {
-      message.id = uuidv4();
+    const bySession = new Map<string, ConversationMessage[]>();
+    for (const message of messages) {
+      // Generate ID if not provided
+      if (!message.id) {
+        message.id = uuidv4();
+      }
+      bySession.set(message.sessionId, [...(bySession.get(message.sessionId) || []), message]);
     }
 
-    // Update or add message
-    const existingIndex = this.data.messages.findIndex(m => m.id === message.id);
-    if (existingIndex >= 0) {
-      this.data.messages[existingIndex] = message;
-    } else {
-      this.data.messages.push(message);
+    // Messages saved under another session than before are then removed from the old shard
+    const moved = new Map<string, Set<string>>();
+    for (const [sessionId, sessionMessages] of bySession) {
+      const displaced = await this.updateShard(sessionId, shard => {
+        const merged = mergeById(shard?.messages || [], sessionMessages);
+        return {
+          session: {
+            ...(shard?.session || newSession(sessionId)),
+            messageCount: merged.length,
+            updatedAt: new Date()
+          },
+          messages: merged
+        };
+      });
+      displaced.forEach((messageIds, previous) => {
+        messageIds.forEach(id => moved.set(previous, (moved.get(previous) || new Set()).add(id)));
+      });
     }
-
-    // Update session
-    await this.updateSessionInternal(message.sessionId, {
-      updatedAt: new Date(),
-      messageCount: this.data.messages.filter(m => m.sessionId === message.sessionId).length
-    });
-
-    await this.saveToS3();
-  }
-
-  async saveMessages(messages: ConversationMessage[]): Promise<void> {
-    for (const message of messages) {
-      await this.saveMessage(message);
+    for (const [sessionId, messageIds] of moved) {
+      await this.updateShard(sessionId, shard => {
+        if (!shard || !shard.messages.some(m => messageIds.has(m.id))) return undefined;
+
+        const remaining = shard.messages.filter(m => !messageIds.has(m.id));
+        return {
+          session: { ...shard.session, messageCount: remaining.length, updatedAt: new Date() },
+          messages: remaining
+        };
+      });
     }
   }
 
   async getMessages(options: MemoryQueryOptions = {}): Promise<MemorySearchResult> {
     if (!this.ready) throw new Error('Storage not initialized');
 
-    let filteredMessages = [...this.data.messages];
-
-    // Apply filters
-    if (options.sessionId) {
-      filteredMessages = filteredMessages.filter(m => m.sessionId === options.sessionId);
-    }
-
-    if (options.role) {
-      filteredMessages = filteredMessages.filter(m => m.role === options.role);
-    }
+    let sessionIds = options.sessionId ? [options.sessionId] : await this.listSessionIds();
 
-    if (options.startDate) {
-      filteredMessages = filteredMessages.filter(m => m.timestamp >= options.startDate!);
+    if (options.scope) {
+      const inScope = new Set((await this.getSessions({ scope: options.scope, scopeMode: options.scopeMode })).map(s => s.id));
+      sessionIds = sessionIds.filter(id => inScope.has(id));
     }
 
-    if (options.endDate) {
-      filteredMessages = filteredMessages.filter(m => m.timestamp <= options.endDate!);
+    const readMessages = async (sessionId: string) =>
+      ((await this.readShard(sessionId))?.messages || []).filter(m => matchesFilters(m, options));
+
+    if (options.query) {
+      // Each shard carries its own search index; they are ranked together
+      const shards = (await Promise.all(sessionIds.map(id => this.readShard(id))))
+        .filter((shard): shard is SessionShard => !!shard);
+      const index = InvertedIndex.merge(shards.map(searchIndex));
+      const filteredMessages = shards.flatMap(shard => shard.messages.filter(m => matchesFilters(m, options)));
+      const { messages, matches } = rankMessages(index, filteredMessages, options.query);
+      return paginateMessages(messages, options, matches);
     }
 
-    // Sort by timestamp
-    filteredMessages.sort((a, b) => a.timestamp.getTime() - b.timestamp.getTime());
-
-    const total = filteredMessages.length;
-    const offset = options.offset || 0;
-    const limit = options.limit || total;
-
-    const paginatedMessages = filteredMessages.slice(offset, offset + limit);
+    // Shards are read as the merge reaches their span, so a page only reads the shards it draws from
+    const { spans } = await this.readIndex();
+    const sources: MessageSource[] = sessionIds.map(sessionId => ({
+      span: spans[sessionId],
+      read: async (after, count) => (await readMessages(sessionId))
+        .filter(m => !after || isAfter(m, after, options.order))
+        .sort(compareMessages(options.order))
+        .slice(0, count)
+    }));
 
-    return {
-      messages: paginatedMessages,
-      total,
-      hasMore: offset + limit < total
-    };
+    return paginateSources(sources, options, async () =>
+      (await Promise.all(sessionIds.map(readMessages))).reduce((sum, messages) => sum + messages.length, 0)
+    );
   }
 
   async getMessage(messageId: string): Promise<ConversationMessage | null> {
     if (!this.ready) throw new Error('Storage not initialized');
-    return this.data.messages.find(m => m.id === messageId) || null;
+    return this.findMessage(messageId);
   }
 
-  async getSessions(): Promise<ConversationSession[]> {
+  /**
+   * List sessions from the shards present in the bucket, taking their
+   * metadata from the session index where it has them
+   */
+  async getSessions(options: SessionQueryOptions = {}): Promise<ConversationSession[]> {
     if (!this.ready) throw new Error('Storage not initialized');
-    return [...this.data.sessions].sort((a, b) => b.updatedAt.getTime() - a.updatedAt.getTime());
+
+    let sessions: Array<ConversationSession | undefined>;
+    if (options.scope) {
+      // The index holds the scope of every session, so a scope lookup reads no shards
+      sessions = Object.values((await this.readIndex()).sessions)
+        .filter(session => matchesScope(scopeKey(session.scope), options.scope!, options.scopeMode));
+    } else {
+      const [sessionIds, index] = await Promise.all([this.listSessionIds(), this.readIndex()]);
+      sessions = await Promise.all(sessionIds.map(async id =>
+        index.sessions[id] || (await this.readShard(id))?.session
+      ));
+    }
+
+    return sessions
+      .filter((session): session is ConversationSession => !!session)
+      .sort((a, b) => b.updatedAt.getTime() - a.updatedAt.getTime());
   }
 
   async getSession(sessionId: string): Promise<ConversationSession | null> {
     if (!this.ready) throw new Error('Storage not initialized');
-    return this.data.sessions.find(s => s.id === sessionId) || null;
+    return (await this.readShard(sessionId))?.session || null;
   }
 
   async updateSession(sessionId: string, updates: Partial<ConversationSession>): Promise<void> {
     if (!this.ready) throw new Error('Storage not initialized');
-    await this.updateSessionInternal(sessionId, updates);
-    await this.saveToS3();
+
+    await this.updateShard(sessionId, shard => ({
+      session: shard
+        ? { ...shard.session, ...updates, updatedAt: new Date() }
+        : { ...newSession(sessionId), ...updates },
+      messages: shard?.messages || []
+    }));
   }
 
   async deleteMessage(messageId: string): Promise<void> {
     if (!this.ready) throw new Error('Storage not initialized');
-    
-    const messageIndex = this.data.messages.findIndex(m => m.id === messageId);
-    if (messageIndex >= 0) {
-      const message = this.data.messages[messageIndex];
-      this.data.messages.splice(messageIndex, 1);
-      
+
+    const message = await this.findMessage(messageId);
+    if (!message) return;
+
+    await this.updateShard(message.sessionId, shard => {
+      if (!shard || !shard.messages.some(m => m.id === messageId)) return undefined;
+
+      const messages = shard.messages.filter(m => m.id !== messageId);
       // Update session message count
-      await this.updateSessionInternal(message.sessionId, {
-        messageCount: this.data.messages.filter(m => m.sessionId === message.sessionId).length
-      });
-      
-      await this.saveToS3();
-    }
+      return {
+        session: { ...shard.session, messageCount: messages.length, updatedAt: new Date() },
+        messages
+      };
+    });
   }
 
   async deleteSession(sessionId: string): Promise<void> {
     if (!this.ready) throw new Error('Storage not initialized');
-    
-    // Remove all messages for this session
-    this.data.messages = this.data.messages.filter(m => m.sessionId !== sessionId);
-    
-    // Remove session
-    this.data.sessions = this.data.sessions.filter(s => s.id !== sessionId);
-    
-    await this.saveToS3();
+
+    const shard = await this.readShard(sessionId);
+    await this.deleteObject(this.shardKey(sessionId));
+
+    if (shard) {
+      await this.updateLookups(sessionId, [], shard.messages.map(m => m.id));
+    }
+    await this.updateIndex(index => {
+      if (!index.sessions[sessionId] && !index.spans[sessionId]) return false;
+      delete index.sessions[sessionId];
+      delete index.spans[sessionId];
+      return true;
+    });
+  }
+
+  async saveRecord(record: MemoryRecord): Promise<MemoryRecord> {
+    if (!this.ready) throw new Error('Storage not initialized');
+
+    const identity = recordIdentity(record);
+    let stored!: MemoryRecord;
+
+    await this.updateRecords(records => {
+      const existing = records.find(r => recordIdentity(r) === identity);
+      stored = existing
+        ? { ...record, id: existing.id, createdAt: existing.createdAt }
+        : { ...record, id: record.id || uuidv4() };
+      return [...records.filter(r => r.id !== stored.id), stored];
+    });
+
+    return stored;
+  }
+
+  async getRecord(recordId: string): Promise<MemoryRecord | null> {
+    if (!this.ready) throw new Error('Storage not initialized');
+    return (await this.readRecords()).find(r => r.id === recordId) || null;
+  }
+
+  async getRecords(options: MemoryRecordQueryOptions = {}): Promise<MemoryRecord[]> {
+    if (!this.ready) throw new Error('Storage not initialized');
+    return queryRecords(await this.readRecords(), options);
+  }
+
+  async deleteRecord(recordId: string): Promise<void> {
+    if (!this.ready) throw new Error('Storage not initialized');
+
+    await this.updateRecords(records =>
+      records.some(r => r.id === recordId) ? records.filter(r => r.id !== recordId) : undefined
+    );
   }
 
   async getStats(): Promise<MemoryStats> {
     if (!this.ready) throw new Error('Storage not initialized');
 
-    const totalSessions = this.data.sessions.length;
-    const totalMessages = this.data.messages.length;
-    
-    const timestamps = this.data.messages.map(m => m.timestamp.getTime());
-    const oldestMessage = timestamps.length > 0 ? new Date(Math.min(...timestamps)) : null;
-    const newestMessage = timestamps.length > 0 ? new Date(Math.max(...timestamps)) : null;
-    
+    const shards = (await Promise.all((await this.listSessionIds()).map(id => this.readShard(id))))
+      .filter((shard): shard is SessionShard => !!shard);
+
+    const totalSessions = shards.length;
+    const totalMessages = shards.reduce((sum, shard) => sum + shard.messages.length, 0);
+
+    let oldest = Infinity;
+    let newest = -Infinity;
+    for (const shard of shards) {
+      for (const message of shard.messages) {
+        oldest = Math.min(oldest, message.timestamp.getTime());
+        newest = Math.max(newest, message.timestamp.getTime());
+      }
+    }
+    const oldestMessage = totalMessages > 0 ? new Date(oldest) : null;
+    const newestMessage = totalMessages > 0 ? new Date(newest) : null;
+
     const averageMessagesPerSession = totalSessions > 0 ? totalMessages / totalSessions : 0;
 
     return {
@@ -221,53 +365,465 @@ export class S3Storage implements IMemoryStorage {
 
   async clear(): Promise<void> {
     if (!this.ready) throw new Error('Storage not initialized');
-    
-    this.data = {
-      messages: [],
-      sessions: [],
-      lastUpdated: new Date()
-    };
-    
-    await this.saveToS3();
+
+    const keys = await this.listKeys(`${this.prefix}/`);
+    // DeleteObjects accepts at most 1000 keys per request
+    for (let i = 0; i < keys.length; i += 1000) {
+      await this.s3Client.send(new DeleteObjectsCommand({
+        Bucket: this.config.bucketName,
+        Delete: { Objects: keys.slice(i, i + 1000).map(Key => ({ Key })), Quiet: true }
+      }));
+    }
+    this.cache.clear();
   }
 
   isReady(): boolean {
     return this.ready;
   }
 
-  private async updateSessionInternal(sessionId: string, updates: Partial<ConversationSession>): Promise<void> {
-    const sessionIndex = this.data.sessions.findIndex(s => s.id === sessionId);
-    
-    if (sessionIndex >= 0) {
-      this.data.sessions[sessionIndex] = {
-        ...this.data.sessions[sessionIndex],
-        ...updates,
-        updatedAt: new Date()
-      };
-    } else {
-      // Create new session
-      const newSession: ConversationSession = {
-        id: sessionId,
-        createdAt: new Date(),
-        updatedAt: new Date(),
-        messageCount: 1,
-        ...updates
-      };
-      this.data.sessions.push(newSession);
+  /**
+   * Split the single `data.json` object used by earlier versions into
+   * shards. Merging is idempotent, so an interrupted migration can simply be
+   * rerun; the legacy object is left in place.
+   */
+  private async migrateLegacyData(): Promise<void> {
+    const legacy = await this.readObject(this.legacyKey);
+    if (!legacy) return;
+
+    const stored = JSON.parse(legacy.body);
+    const messages: ConversationMessage[] = (stored.messages || []).map(reviveMessage);
+    const sessions: ConversationSession[] = (stored.sessions || []).map(reviveSession);
+    // Objects written before records existed have no records array
+    const records: MemoryRecord[] = (stored.records || []).map(reviveRecord);
+
+    const sessionIds = new Set([...sessions.map(s => s.id), ...messages.map(m => m.sessionId)]);
+    for (const sessionId of sessionIds) {
+      const sessionMessages = messages.filter(m => m.sessionId === sessionId);
+      await this.updateShard(sessionId, shard => {
+        const merged = mergeById(shard?.messages || [], sessionMessages);
+        return {
+          session: {
+            ...(shard?.session || sessions.find(s => s.id === sessionId) || newSession(sessionId)),
+            messageCount: merged.length
+          },
+          messages: merged
+        };
+      });
+    }
+
+    if (records.length > 0) {
+      await this.updateRecords(current => mergeById(current, records));
     }
+
+    // Ensure the index exists even when there were no sessions to migrate
+    await this.updateIndex(() => true);
+    await this.deleteObject(this.legacySearchKey);
+  }
+
+  private shardKey(sessionId: string): string {
+    return `${this.prefix}/sessions/${encodeURIComponent(sessionId)}.json`;
+  }
+
+  private lookupKey(messageId: string): string {
+    const hash = createHash('md5').update(messageId).digest().readUInt32BE(0);
+    return `${this.prefix}/lookup/${hash % MESSAGE_LOOKUP_SHARDS}.json`;
   }
 
-  private async saveToS3(): Promise<void> {
-    this.data.lastUpdated = new Date();
-    
-    const content = JSON.stringify(this.data);
-    
-    await this.s3Client.send(new PutObjectCommand({
+  private async listSessionIds(): Promise<string[]> {
+    const shardPrefix = `${this.prefix}/sessions/`;
+    return (await this.listKeys(shardPrefix))
+      .filter(key => key.endsWith('.json'))
+      .map(key => decodeURIComponent(key.slice(shardPrefix.length, -'.json'.length)));
+  }
+
+  private async listKeys(prefix: string): Promise<string[]> {
+    const keys: string[] = [];
+    let continuationToken: string | undefined;
+
+    do {
+      const response = await this.s3Client.send(new ListObjectsV2Command({
+        Bucket: this.config.bucketName,
+        Prefix: prefix,
+        ContinuationToken: continuationToken
+      }));
+      (response.Contents || []).forEach(object => object.Key && keys.push(object.Key));
+      continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+    } while (continuationToken);
+
+    return keys;
+  }
+
+  /**
+   * Look a message up in the shard its lookup object has it in. The lookup may
+   * still name a shard the message has since left, so the shard has the final say.
+   */
+  private async findMessage(messageId: string): Promise<ConversationMessage | null> {
+    const lookup = await this.readObject(this.lookupKey(messageId));
+    const sessionId = lookup ? parseLookup(lookup.body).messages[messageId] : undefined;
+    if (sessionId === undefined) return null;
+    return (await this.readShard(sessionId))?.messages.find(m => m.id === messageId) || null;
+  }
+
+  /**
+   * Bring an index written by an earlier version to the current layout: the
+   * message lookup and the spans are built from the shards, the message map
+   * earlier indexes held is dropped and a leftover `index.json` is deleted.
+   * Shards get their search index the next time they are written.
+   */
+  private async upgradeIndex(): Promise<void> {
+    const lookups = new Map<string, Record<string, string>>();
+    const spans: Record<string, MessageSpan> = {};
+    for (const sessionId of await this.listSessionIds()) {
+      const shard = await this.readShard(sessionId);
+      for (const message of shard?.messages || []) {
+        const key = this.lookupKey(message.id);
+        lookups.set(key, { ...lookups.get(key), [message.id]: sessionId });
+      }
+      const span = shard && messageSpan(shard.messages);
+      if (span) spans[sessionId] = span;
+    }
+
+    for (const [key, messages] of lookups) {
+      // Entries written since by current writers win
+      await this.updateObject(key, parseLookup, lookup => ({ messages: { ...messages, ...lookup?.messages } }));
+    }
+    await this.updateIndex(index => {
+      Object.entries(spans).forEach(([sessionId, span]) => {
+        index.spans[sessionId] = widenSpan(index.spans[sessionId], span);
+      });
+      return true;
+    });
+    await this.deleteObject(this.legacySearchKey);
+  }
+
+  private async readShard(sessionId: string): Promise<SessionShard | null> {
+    const object = await this.readObject(this.shardKey(sessionId));
+    return object ? parseShard(object.body) : null;
+  }
+
+  /**
+   * Conditionally rewrite a session shard along with its search index, then
+   * the lookup entries of the messages it gained or lost and its entry in the
+   * session index. `update` returns undefined to leave the shard unchanged.
+   * Returns the ids of gained messages that the lookup had in other sessions, by session.
+   */
+  private async updateShard(
+    sessionId: string,
+    update: (shard: SessionShard | null) => SessionShard | undefined
+  ): Promise<Map<string, Set<string>>> {
+    let previous: SessionShard | null = null;
+    let written: SessionShard | undefined;
+    await this.updateObject(this.shardKey(sessionId), parseShard, shard => {
+      previous = shard;
+      const next = update(shard);
+      written = next && { ...next, search: updateSearchIndex(shard, next.messages) };
+      return written;
+    });
+    if (!written) return new Map();
+
+    const before = new Set((previous as SessionShard | null)?.messages.map(m => m.id));
+    const kept = new Set(written.messages.map(m => m.id));
+    const displaced = await this.updateLookups(
+      sessionId,
+      [...kept].filter(id => !before.has(id)),
+      [...before].filter(id => !kept.has(id))
+    );
+
+    const session = written.session;
+    const span = messageSpan(written.messages);
+    await this.updateIndex(index => {
+      let changed = false;
+
+      // Spans only widen: index updates of concurrent writers can land in any order,
+      // and a span that is too wide only costs a read
+      const indexed = index.spans[sessionId];
+      if (span && (!indexed || span.first < indexed.first || span.last > indexed.last)) {
+        index.spans[sessionId] = widenSpan(indexed, span);
+        changed = true;
+      }
+
+      // A concurrent writer may already have indexed a newer version
+      const existing = index.sessions[sessionId];
+      if (!existing || existing.updatedAt <= session.updatedAt) {
+        index.sessions[sessionId] = session;
+        changed = true;
+      }
+      return changed;
+    });
+
+    return displaced;
+  }
+
+  /**
+   * Point added message ids at the session and drop removed ones that still
+   * point at it, with one conditional write per lookup object touched.
+   * Returns the added ids the lookup had in other sessions, by session.
+   */
+  private async updateLookups(
+    sessionId: string,
+    added: string[],
+    removed: string[]
+  ): Promise<Map<string, Set<string>>> {
+    const changes = new Map<string, { added: string[]; removed: string[] }>();
+    const changesFor = (id: string) => {
+      const key = this.lookupKey(id);
+      if (!changes.has(key)) changes.set(key, { added: [], removed: [] });
+      return changes.get(key)!;
+    };
+    added.forEach(id => changesFor(id).added.push(id));
+    removed.forEach(id => changesFor(id).removed.push(id));
+
+    const displaced = new Map<string, Set<string>>();
+    for (const [key, change] of changes) {
+      let moved: Array<[string, string]> = [];
+      await this.updateObject(key, parseLookup, lookup => {
+        const messages = { ...lookup?.messages };
+        let changed = false;
+        moved = [];
+        for (const id of change.added) {
+          if (messages[id] === sessionId) continue;
+          if (messages[id] !== undefined) moved.push([messages[id], id]);
+          messages[id] = sessionId;
+          changed = true;
+        }
+        for (const id of change.removed) {
+          if (messages[id] === sessionId) {
+            delete messages[id];
+            changed = true;
+          }
+        }
+        return changed ? { messages } : undefined;
+      });
+      moved.forEach(([previous, id]) => displaced.set(previous, (displaced.get(previous) || new Set()).add(id)));
+    }
+    return displaced;
+  }
+
+  private async readIndex(): Promise<SessionIndex> {
+    const object = await this.readObject(this.indexKey);
+    return object ? parseIndex(object.body) : emptyIndex();
+  }
+
+  /**
+   * `update` edits the index in place and returns whether anything changed
+   */
+  private async updateIndex(update: (index: SessionIndex) => boolean): Promise<void> {
+    await this.updateObject(this.indexKey, parseIndex, index => {
+      const next = index || emptyIndex();
+      return update(next) || !index ? next : undefined;
+    });
+  }
+
+  private async readRecords(): Promise<MemoryRecord[]> {
+    const object = await this.readObject(this.recordsKey);
+    return object ? parseRecords(object.body).records : [];
+  }
+
+  private async updateRecords(update: (records: MemoryRecord[]) => MemoryRecord[] | undefined): Promise<void> {
+    await this.updateObject(this.recordsKey, parseRecords, current => {
+      const records = update(current?.records || []);
+      return records ? { records } : undefined;
+    });
+  }
+
+  /**
+   * Read-modify-write an object, retrying against the latest version when
+   * another writer got there first
+   */
+  private async updateObject<T>(
+    key: string,
+    parse: (body: string) => T,
+    update: (current: T | null) => T | undefined
+  ): Promise<void> {
+    const maxRetries = this.config.maxRetries ?? DEFAULT_MAX_RETRIES;
+
+    for (let attempt = 0; ; attempt++) {
+      const current = await this.readObject(key);
+      const next = update(current ? parse(current.body) : null);
+      if (next === undefined) return;
+
+      try {
+        await this.writeObject(key, next, current?.etag);
+        return;
+      } catch (error) {
+        if (!isConflict(error)) throw error;
+        if (attempt >= maxRetries) {
+          throw new Error(`Gave up updating ${key} after ${attempt + 1} conflicting writes`);
+        }
+        await new Promise(resolve => setTimeout(resolve, Math.random() * 50 * 2 ** attempt));
+      }
+    }
+  }
+
+  private async readObject(key: string): Promise<CachedObject | null> {
+    const cached = this.cache.get(key);
+
+    try {
+      const response = await this.s3Client.send(new GetObjectCommand({
+        Bucket: this.config.bucketName,
+        Key: key,
+        IfNoneMatch: cached?.etag
+      }));
+
+      const object = { etag: response.ETag || '', body: await response.Body!.transformToString() };
+      if (object.etag) this.cache.set(key, object);
+      return object;
+    } catch (error: any) {
+      if (cached && (error.name === 'NotModified' || error.$metadata?.httpStatusCode === 304)) {
+        return cached;
+      }
+      if (error.name === 'NoSuchKey') {
+        this.cache.delete(key);
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  private async deleteObject(key: string): Promise<void> {
+    await this.s3Client.send(new DeleteObjectCommand({
+      Bucket: this.config.bucketName,
+      Key: key
+    }));
+    this.cache.delete(key);
+  }
+
+  /**
+   * Write an object only if it is still at `etag`, or only if it does not
+   * exist yet when no ETag is given
+   */
+  private async writeObject(key: string, value: unknown, etag?: string): Promise<void> {
+    const body = JSON.stringify(value);
+
+    const response = await this.s3Client.send(new PutObjectCommand({
       Bucket: this.config.bucketName,
-      Key: this.dataKey,
-      Body: content,
+      Key: key,
+      Body: body,
       ContentType: 'application/json',
-      ServerSideEncryption: this.config.encryption
+      ServerSideEncryption: this.config.encryption,
+      ...(etag ? { IfMatch: etag } : { IfNoneMatch: '*' })
     }));
+
+    if (response.ETag) {
+      this.cache.set(key, { etag: response.ETag, body });
+    } else {
+      this.cache.delete(key);
+    }
+  }
+}
+
+function isConflict(error: any): boolean {
+  const status = error?.$metadata?.httpStatusCode;
+  return error?.name === 'PreconditionFailed' || error?.name === 'ConditionalRequestConflict' ||
+    status === 412 || status === 409;
+}
+
+function newSession(sessionId: string): ConversationSession {
+  return {
+    id: sessionId,
+    createdAt: new Date(),
+    updatedAt: new Date(),
+    messageCount: 0
+  };
+}
+
+/**
+ * Upsert items by id, keeping the position of items that already exist
+ */
+function mergeById<T extends { id: string }>(existing: T[], updates: T[]): T[] {
+  const merged = new Map(existing.map(item => [item.id, item]));
+  updates.forEach(item => merged.set(item.id, item));
+  return [...merged.values()];
+}
+
+function parseShard(body: string): SessionShard {
+  const shard = JSON.parse(body);
+  return { session: reviveSession(shard.session), messages: shard.messages.map(reviveMessage), search: shard.search };
+}
+
+/**
+ * Search index of a shard; shards written before they carried one are indexed on the fly
+ */
+function searchIndex(shard: SessionShard): InvertedIndex {
+  try {
+    if (shard.search) return InvertedIndex.fromJSON(shard.search);
+  } catch {
+    // Written by another index version; rebuild below
+  }
+  return InvertedIndex.fromMessages(shard.messages);
+}
+
+/**
+ * Search index for the new messages of a shard, updated from the previous
+ * version's so that only added or edited messages are tokenised
+ */
+function updateSearchIndex(previous: SessionShard | null, messages: ConversationMessage[]): SerializedIndex {
+  if (!previous) return InvertedIndex.fromMessages(messages).toJSON();
+
+  const index = searchIndex(previous);
+  const indexed = new Map(previous.messages.map(m => [m.id, m.content]));
+  const kept = new Set(messages.map(m => m.id));
+  for (const id of indexed.keys()) {
+    if (!kept.has(id)) index.remove(id);
+  }
+  for (const message of messages) {
+    if (indexed.get(message.id) !== message.content || !index.has(message.id)) index.add(message);
+  }
+  return index.toJSON();
+}
+
+function emptyIndex(): SessionIndex {
+  return { version: INDEX_VERSION, sessions: {}, spans: {} };
+}
+
+/**
+ * Parse the session index, in the current layout whatever version wrote it
+ */
+function parseIndex(body: string): SessionIndex {
+  const index = JSON.parse(body);
+  const sessions: Record<string, ConversationSession> = {};
+  Object.entries(index.sessions || {}).forEach(([id, session]) => {
+    sessions[id] = reviveSession(session as ConversationSession);
+  });
+  return { version: INDEX_VERSION, sessions, spans: { ...index.spans } };
+}
+
+function parseLookup(body: string): MessageLookup {
+  return { messages: { ...JSON.parse(body).messages } };
+}
+
+function messageSpan(messages: ConversationMessage[]): MessageSpan | undefined {
+  let span: MessageSpan | undefined;
+  for (const message of messages) {
+    const timestamp = message.timestamp.getTime();
+    span = widenSpan(span, { first: timestamp, last: timestamp });
   }
-} 
\ No newline at end of file
+  return span;
+}
+
+function widenSpan(span: MessageSpan | undefined, other: MessageSpan): MessageSpan {
+  return span ? { first: Math.min(span.first, other.first), last: Math.max(span.last, other.last) } : other;
+}
+
+function matchesFilters(message: ConversationMessage, options: MemoryQueryOptions): boolean {
+  return (!options.role || message.role === options.role) &&
+    (!options.startDate || message.timestamp >= options.startDate) &&
+    (!options.endDate || message.timestamp <= options.endDate);
+}
+
+function parseRecords(body: string): RecordsObject {
+  return { records: (JSON.parse(body).records || []).map(reviveRecord) };
+}
+
+// Convert string dates back to Date objects
+function reviveMessage(message: ConversationMessage): ConversationMessage {
+  return { ...message, timestamp: new Date(message.timestamp) };
+}
+
+function reviveSession(session: ConversationSession): ConversationSession {
+  return { ...session, createdAt: new Date(session.createdAt), updatedAt: new Date(session.updatedAt) };
+}
+
+function reviveRecord(record: MemoryRecord): MemoryRecord {
+  return { ...record, createdAt: new Date(record.createdAt), updatedAt: new Date(record.updatedAt) };
+}
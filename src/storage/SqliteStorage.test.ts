@@ -0,0 +1,13 @@
+import { runStorageConformanceSuite } from '../testing/storageConformance';
+import { SqliteStorage } from './SqliteStorage';
+
+describe('SqliteStorage', () => {
+  it('passes the storage conformance suite', async () => {
+    const report = await runStorageConformanceSuite(
+      () => new SqliteStorage({ filePath: ':memory:' }),
+      { teardown: storage => (storage as SqliteStorage).close() }
+    );
+
+    expect(report.results.filter(result => !result.passed)).toEqual([]);
+  });
+});
@@ -0,0 +1,493 @@
+import Database from 'better-sqlite3';
+import * as fs from 'fs-extra';
+import * as path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { IMemoryStorage } from '../interfaces/MemoryInterface';
+import {
+  ConversationMessage,
+  ConversationSession,
+  SqliteStorageConfig,
+  MemoryQueryOptions,
+  MemorySearchResult,
+  MemoryStats,
+  MemoryRecord,
+  MemoryRecordQueryOptions,
+  MemoryScope,
+  ScopeMode,
+  SessionQueryOptions
+} from '../types';
+import { InvertedIndex } from '../search/InvertedIndex';
+import { rankMessages } from '../search/fullTextSearch';
+import { queryRecords, recordIdentity } from '../utils/records';
+import { ancestorScopeKeys, scopeKey } from '../utils/scope';
+import { decodeKeysetCursor, encodeCursor, paginateMessages } from '../utils/cursor';
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS sessions (
+    id TEXT PRIMARY KEY,
+    title TEXT,
+    scope TEXT,
+    scope_key TEXT NOT NULL DEFAULT '',
+    created_at INTEGER NOT NULL,
+    updated_at INTEGER NOT NULL,
+    message_count INTEGER NOT NULL DEFAULT 0,
+    metadata TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS messages (
+    id TEXT PRIMARY KEY,
+    session_id TEXT NOT NULL REFERENCES sessions(id) ON DELETE CASCADE,
+    role TEXT NOT NULL,
+    content TEXT NOT NULL,
+    timestamp INTEGER NOT NULL,
+    metadata TEXT,
+    embedding TEXT,
+    parent_id TEXT,
+    parts TEXT,
+    tool_calls TEXT,
+    tool_call_id TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS records (
+    id TEXT PRIMARY KEY,
+    identity TEXT NOT NULL UNIQUE,
+    kind TEXT NOT NULL,
+    key TEXT NOT NULL,
+    session_id TEXT,
+    scope_key TEXT NOT NULL DEFAULT '',
+    updated_at INTEGER NOT NULL,
+    data TEXT NOT NULL
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_messages_session ON messages (session_id, timestamp);
+  CREATE INDEX IF NOT EXISTS idx_messages_timestamp ON messages (timestamp);
+  CREATE INDEX IF NOT EXISTS idx_messages_role ON messages (role, timestamp);
+  CREATE INDEX IF NOT EXISTS idx_sessions_scope ON sessions (scope_key);
+  CREATE INDEX IF NOT EXISTS idx_records_kind ON records (kind, key);
+  CREATE INDEX IF NOT EXISTS idx_records_scope ON records (scope_key);
+`;
+
+interface SqlCondition {
+  sql: string;
+  params: any[];
+}
+
+/**
+ * SQLite storage with a normalised sessions/messages schema.
+ * Filtering, ordering and pagination of messages happen in SQL.
+ */
+export class SqliteStorage implements IMemoryStorage {
+  private config: SqliteStorageConfig;
+  private db?: Database.Database;
+  private ready: boolean = false;
+
+  constructor(config: SqliteStorageConfig) {
+    this.config = config;
+  }
+
+  async initialize(): Promise<void> {
+    try {
+      if (this.config.filePath !== ':memory:') {
+        await fs.ensureDir(path.dirname(path.resolve(this.config.filePath)));
+      }
+
+      this.db = new Database(this.config.filePath);
+      if (this.config.walMode !== false) {
+        this.db.pragma('journal_mode = WAL');
+      }
+      this.db.pragma('foreign_keys = ON');
+      this.db.exec(SCHEMA);
+      this.migrateSchema(this.db);
+
+      this.ready = true;
+    } catch (error) {
+      throw new Error(`Failed to initialize SQLite storage: ${error}`);
+    }
+  }
+
+  async saveMessage(message: ConversationMessage): Promise<void> {
+    await this.saveMessages([message]);
+  }
+
+  async saveMessages(messages: ConversationMessage[]): Promise<void> {
+    const db = this.getDb();
+
+    const insertMessage = db.prepare(`
+      INSERT INTO messages (id, session_id, role, content, timestamp, metadata, embedding, parent_id, parts, tool_calls, tool_call_id)
+      VALUES (@id, @sessionId, @role, @content, @timestamp, @metadata, @embedding, @parentId, @parts, @toolCalls, @toolCallId)
+      ON CONFLICT(id) DO UPDATE SET
+        session_id = excluded.session_id,
+        role = excluded.role,
+        content = excluded.content,
+        timestamp = excluded.timestamp,
+        metadata = excluded.metadata,
+        embedding = excluded.embedding,
+        parent_id = excluded.parent_id,
+        parts = excluded.parts,
+        tool_calls = excluded.tool_calls,
+        tool_call_id = excluded.tool_call_id
+    `);
+    const selectSession = db.prepare('SELECT session_id FROM messages WHERE id = ?');
+
+    db.transaction(() => {
+      // A message saved under another session moves, so both sessions are recounted
+      const touched = new Set<string>();
+      for (const message of messages) {
+        // Generate ID if not provided
+        if (!message.id) {
+          message.id = uuidv4();
+        }
+
+        const previous = selectSession.get(message.id) as { session_id: string } | undefined;
+        if (previous) touched.add(previous.session_id);
+        touched.add(message.sessionId);
+
+        this.touchSession(message.sessionId);
+        insertMessage.run({
+          id: message.id,
+          sessionId: message.sessionId,
+          role: message.role,
+          content: message.content,
+          timestamp: message.timestamp.getTime(),
+          metadata: message.metadata ? JSON.stringify(message.metadata) : null,
+          embedding: message.embedding ? JSON.stringify(message.embedding) : null,
+          parentId: message.parentId ?? null,
+          parts: message.parts ? JSON.stringify(message.parts) : null,
+          toolCalls: message.toolCalls ? JSON.stringify(message.toolCalls) : null,
+          toolCallId: message.toolCallId ?? null
+        });
+      }
+
+      for (const sessionId of touched) {
+        this.refreshMessageCount(sessionId);
+      }
+    })();
+  }
+
+  async getMessages(options: MemoryQueryOptions = {}): Promise<MemorySearchResult> {
+    const db = this.getDb();
+
+    const conditions: SqlCondition[] = [];
+    if (options.sessionId) {
+      conditions.push({ sql: 'm.session_id = ?', params: [options.sessionId] });
+    }
+    if (options.scope) {
+      conditions.push(this.scopeCondition('s.scope_key', options.scope, options.scopeMode));
+    }
+    if (options.role) {
+      conditions.push({ sql: 'm.role = ?', params: [options.role] });
+    }
+    if (options.startDate) {
+      conditions.push({ sql: 'm.timestamp >= ?', params: [options.startDate.getTime()] });
+    }
+    if (options.endDate) {
+      conditions.push({ sql: 'm.timestamp <= ?', params: [options.endDate.getTime()] });
+    }
+
+    const from = options.scope ? 'messages m JOIN sessions s ON s.id = m.session_id' : 'messages m';
+    const where = conditions.length > 0 ? `WHERE ${conditions.map(c => c.sql).join(' AND ')}` : '';
+    const params = conditions.flatMap(c => c.params);
+
+    if (options.query) {
+      // Relevance ranking needs every candidate, so only the filters run in SQL
+      const rows = db.prepare(`SELECT m.* FROM ${from} ${where} ORDER BY m.timestamp, m.rowid`).all(...params);
+      // Arrays from the native driver belong to the main realm; Array.from builds them in the caller's
+      // (which differs under VM sandboxes such as Jest's, and strict deep equality checks the prototype)
+      const candidates = Array.from(rows, row => this.toMessage(row));
+
+      const { messages, matches } = rankMessages(InvertedIndex.fromMessages(candidates), candidates, options.query);
+      return paginateMessages(messages, options, matches);
+    }
+
+    const { total } = db.prepare(`SELECT COUNT(*) AS total FROM ${from} ${where}`).get(...params) as { total: number };
+    const limit = options.limit || total;
+    const direction = options.order === 'desc' ? 'DESC' : 'ASC';
+
+    // Cursors continue after (timestamp, rowid), so pages stay stable while messages are added
+    let offset = options.offset || 0;
+    let pageWhere = where;
+    let pageParams = params;
+    if (options.cursor) {
+      const position = decodeKeysetCursor(options.cursor);
+      const comparison = direction === 'DESC' ? '<' : '>';
+      const keyset = `(m.timestamp ${comparison} ? OR (m.timestamp = ? AND m.rowid ${comparison} ?))`;
+      pageWhere = where ? `${where} AND ${keyset}` : `WHERE ${keyset}`;
+      pageParams = [...params, position.timestamp, position.timestamp, position.key];
+      offset = 0;
+    }
+
+    const rows = db.prepare(
+      `SELECT m.*, m.rowid AS row_key FROM ${from} ${pageWhere}
+       ORDER BY m.timestamp ${direction}, m.rowid ${direction} LIMIT ? OFFSET ?`
+    ).all(...pageParams, limit + 1, offset) as any[];
+
+    const hasMore = rows.length > limit;
+    const page = rows.slice(0, limit);
+    const last = page[page.length - 1];
+
+    return {
+      messages: Array.from(page, row => this.toMessage(row)),
+      total,
+      hasMore,
+      nextCursor: hasMore && last ? encodeCursor({ timestamp: last.timestamp, key: last.row_key }) : undefined
+    };
+  }
+
+  async getMessage(messageId: string): Promise<ConversationMessage | null> {
+    const row = this.getDb().prepare('SELECT * FROM messages WHERE id = ?').get(messageId);
+    return row ? this.toMessage(row) : null;
+  }
+
+  async getSessions(options: SessionQueryOptions = {}): Promise<ConversationSession[]> {
+    const condition = options.scope
+      ? this.scopeCondition('scope_key', options.scope, options.scopeMode)
+      : { sql: '1 = 1', params: [] };
+
+    const rows = this.getDb()
+      .prepare(`SELECT * FROM sessions WHERE ${condition.sql} ORDER BY updated_at DESC`)
+      .all(...condition.params);
+    return Array.from(rows, row => this.toSession(row));
+  }
+
+  async getSession(sessionId: string): Promise<ConversationSession | null> {
+    const row = this.getDb().prepare('SELECT * FROM sessions WHERE id = ?').get(sessionId);
+    return row ? this.toSession(row) : null;
+  }
+
+  async updateSession(sessionId: string, updates: Partial<ConversationSession>): Promise<void> {
+    const db = this.getDb();
+
+    db.transaction(() => {
+      this.touchSession(sessionId);
+      const existing = this.toSession(db.prepare('SELECT * FROM sessions WHERE id = ?').get(sessionId));
+      const session: ConversationSession = { ...existing, ...updates, id: sessionId, updatedAt: new Date() };
+
+      db.prepare(`
+        UPDATE sessions
+        SET title = ?, scope = ?, scope_key = ?, created_at = ?, updated_at = ?, message_count = ?, metadata = ?
+        WHERE id = ?
+      `).run(
+        session.title ?? null,
+        session.scope ? JSON.stringify(session.scope) : null,
+        scopeKey(session.scope),
+        session.createdAt.getTime(),
+        session.updatedAt.getTime(),
+        session.messageCount,
+        session.metadata ? JSON.stringify(session.metadata) : null,
+        sessionId
+      );
+    })();
+  }
+
+  async deleteMessage(messageId: string): Promise<void> {
+    const db = this.getDb();
+
+    db.transaction(() => {
+      const row = db.prepare('SELECT session_id FROM messages WHERE id = ?').get(messageId) as { session_id: string } | undefined;
+      if (!row) return;
+
+      db.prepare('DELETE FROM messages WHERE id = ?').run(messageId);
+      this.refreshMessageCount(row.session_id);
+    })();
+  }
+
+  async deleteSession(sessionId: string): Promise<void> {
+    // Messages are removed by the foreign key cascade
+    this.getDb().prepare('DELETE FROM sessions WHERE id = ?').run(sessionId);
+  }
+
+  async saveRecord(record: MemoryRecord): Promise<MemoryRecord> {
+    const db = this.getDb();
+    const identity = recordIdentity(record);
+
+    return db.transaction(() => {
+      const existing = db.prepare('SELECT data FROM records WHERE identity = ?').get(identity) as { data: string } | undefined;
+      const previous = existing ? this.toRecord(existing) : undefined;
+      const stored: MemoryRecord = previous
+        ? { ...record, id: previous.id, createdAt: previous.createdAt }
+        : { ...record, id: record.id || uuidv4() };
+
+      db.prepare(`
+        INSERT INTO records (id, identity, kind, key, session_id, scope_key, updated_at, data)
+        VALUES (@id, @identity, @kind, @key, @sessionId, @scopeKey, @updatedAt, @data)
+        ON CONFLICT(identity) DO UPDATE SET
+          updated_at = excluded.updated_at,
+          data = excluded.data
+      `).run({
+        id: stored.id,
+        identity,
+        kind: stored.kind,
+        key: stored.key,
+        sessionId: stored.sessionId ?? null,
+        scopeKey: scopeKey(stored.scope),
+        updatedAt: stored.updatedAt.getTime(),
+        data: JSON.stringify(stored)
+      });
+
+      return stored;
+    })();
+  }
+
+  async getRecord(recordId: string): Promise<MemoryRecord | null> {
+    const row = this.getDb().prepare('SELECT data FROM records WHERE id = ?').get(recordId);
+    return row ? this.toRecord(row) : null;
+  }
+
+  async getRecords(options: MemoryRecordQueryOptions = {}): Promise<MemoryRecord[]> {
+    const conditions: SqlCondition[] = [];
+    if (options.kind !== undefined) {
+      conditions.push({ sql: 'kind = ?', params: [options.kind] });
+    }
+    if (options.key !== undefined) {
+      conditions.push({ sql: 'key = ?', params: [options.key] });
+    }
+    if (options.sessionId !== undefined) {
+      conditions.push({ sql: 'session_id = ?', params: [options.sessionId] });
+    }
+    if (options.scope) {
+      conditions.push(this.scopeCondition('scope_key', options.scope, options.scopeMode));
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.map(c => c.sql).join(' AND ')}` : '';
+    const rows = this.getDb()
+      .prepare(`SELECT data FROM records ${where}`)
+      .all(...conditions.flatMap(c => c.params));
+
+    // Tags and confidence live in the record body
+    return queryRecords(Array.from(rows, row => this.toRecord(row)), options);
+  }
+
+  async deleteRecord(recordId: string): Promise<void> {
+    this.getDb().prepare('DELETE FROM records WHERE id = ?').run(recordId);
+  }
+
+  async getStats(): Promise<MemoryStats> {
+    const db = this.getDb();
+
+    const { totalSessions } = db.prepare('SELECT COUNT(*) AS totalSessions FROM sessions').get() as { totalSessions: number };
+    const { totalMessages, oldest, newest } = db.prepare(
+      'SELECT COUNT(*) AS totalMessages, MIN(timestamp) AS oldest, MAX(timestamp) AS newest FROM messages'
+    ).get() as { totalMessages: number; oldest: number | null; newest: number | null };
+
+    return {
+      totalSessions,
+      totalMessages,
+      oldestMessage: oldest !== null ? new Date(oldest) : null,
+      newestMessage: newest !== null ? new Date(newest) : null,
+      averageMessagesPerSession: totalSessions > 0 ? totalMessages / totalSessions : 0
+    };
+  }
+
+  async clear(): Promise<void> {
+    this.getDb().exec('DELETE FROM messages; DELETE FROM sessions; DELETE FROM records;');
+  }
+
+  isReady(): boolean {
+    return this.ready;
+  }
+
+  /**
+   * Close the database connection
+   */
+  async close(): Promise<void> {
+    this.db?.close();
+    this.db = undefined;
+    this.ready = false;
+  }
+
+  private getDb(): Database.Database {
+    if (!this.ready || !this.db) throw new Error('Storage not initialized');
+    return this.db;
+  }
+
+  /**
+   * Create the session if it does not exist and bump its updatedAt
+   */
+  private touchSession(sessionId: string): void {
+    const now = Date.now();
+    this.getDb().prepare(`
+      INSERT INTO sessions (id, created_at, updated_at) VALUES (?, ?, ?)
+      ON CONFLICT(id) DO UPDATE SET updated_at = excluded.updated_at
+    `).run(sessionId, now, now);
+  }
+
+  private refreshMessageCount(sessionId: string): void {
+    this.getDb().prepare(
+      'UPDATE sessions SET message_count = (SELECT COUNT(*) FROM messages WHERE session_id = ?) WHERE id = ?'
+    ).run(sessionId, sessionId);
+  }
+
+  /**
+   * SQL condition matching a scope key column against a scope query
+   */
+  private scopeCondition(column: string, scope: MemoryScope, mode: ScopeMode = 'exact'): SqlCondition {
+    const key = scopeKey(scope);
+
+    switch (mode) {
+      case 'exact':
+        return { sql: `${column} = ?`, params: [key] };
+      case 'ancestors': {
+        const keys = ancestorScopeKeys(scope);
+        return { sql: `${column} IN (${keys.map(() => '?').join(', ')})`, params: keys };
+      }
+      case 'descendants':
+        if (!key) return { sql: '1 = 1', params: [] };
+        // substr rather than LIKE: encoded scope values may contain '%'
+        return {
+          sql: `(${column} = ? OR substr(${column}, 1, ?) = ?)`,
+          params: [key, key.length + 1, `${key}/`]
+        };
+      default:
+        throw new Error(`Unsupported scope mode: ${mode}`);
+    }
+  }
+
+  /**
+   * Add columns introduced after a database was created
+   */
+  private migrateSchema(db: Database.Database): void {
+    const columns = (db.prepare('PRAGMA table_info(messages)').all() as Array<{ name: string }>).map(column => column.name);
+    for (const column of ['parent_id', 'parts', 'tool_calls', 'tool_call_id']) {
+      if (!columns.includes(column)) {
+        db.exec(`ALTER TABLE messages ADD COLUMN ${column} TEXT`);
+      }
+    }
+  }
+
+  private toMessage(row: any): ConversationMessage {
+    return {
+      id: row.id,
+      sessionId: row.session_id,
+      role: row.role,
+      content: row.content,
+      timestamp: new Date(row.timestamp),
+      metadata: row.metadata ? JSON.parse(row.metadata) : undefined,
+      embedding: row.embedding ? JSON.parse(row.embedding) : undefined,
+      parentId: row.parent_id ?? undefined,
+      parts: row.parts ? JSON.parse(row.parts) : undefined,
+      toolCalls: row.tool_calls ? JSON.parse(row.tool_calls) : undefined,
+      toolCallId: row.tool_call_id ?? undefined
+    };
+  }
+
+  private toSession(row: any): ConversationSession {
+    return {
+      id: row.id,
+      title: row.title ?? undefined,
+      scope: row.scope ? JSON.parse(row.scope) : undefined,
+      createdAt: new Date(row.created_at),
+      updatedAt: new Date(row.updated_at),
+      messageCount: row.message_count,
+      metadata: row.metadata ? JSON.parse(row.metadata) : undefined
+    };
+  }
+
+  private toRecord(row: any): MemoryRecord {
+    const record = JSON.parse(row.data);
+    return {
+      ...record,
+      createdAt: new Date(record.createdAt),
+      updatedAt: new Date(record.updatedAt)
+    };
+  }
+}
@@ -0,0 +1,42 @@
+import { BaseLanguageModelInterface } from '@langchain/core/language_models/base';
+import { ISummarizer } from '../interfaces/SummarizerInterface';
+import { ConversationMessage } from '../types';
+
+export const DEFAULT_SUMMARY_PROMPT = `Progressively summarize the lines of conversation provided, adding onto the previous summary and returning a new summary.
+
+Current summary:
+{summary}
+
+New lines of conversation:
+{new_lines}
+
+New summary:`;
+
+/**
+ * Summarizer backed by any LangChain LLM or chat model
+ */
+export class LLMSummarizer implements ISummarizer {
+  private llm: BaseLanguageModelInterface;
+  private prompt: string;
+
+  constructor(llm: BaseLanguageModelInterface, prompt: string = DEFAULT_SUMMARY_PROMPT) {
+    this.llm = llm;
+    this.prompt = prompt;
+  }
+
+  async summarize(existingSummary: string, messages: ConversationMessage[]): Promise<string> {
+    const newLines = messages.map(msg => `${msg.role}: ${msg.content}`).join('\n');
+    const prompt = this.prompt
+      .replace('{summary}', existingSummary)
+      .replace('{new_lines}', newLines);
+
+    const output = await this.llm.invoke(prompt);
+    const text = typeof output === 'string' ? output : output?.content;
+
+    if (typeof text !== 'string') {
+      throw new Error('Summarizer model returned non-text content');
+    }
+
+    return text.trim();
+  }
+}
@@ -0,0 +1,95 @@
+import { ISummarizer } from '../interfaces/SummarizerInterface';
+import { MemoryManager } from '../MemoryManager';
+import { RollingSummary } from './RollingSummary';
+
+/** Summarizes by joining the contents of the folded messages */
+const joiningSummarizer: ISummarizer = {
+  summarize: async (existing, messages) => [existing, ...messages.map(m => m.content)].filter(Boolean).join(' | ')
+};
+
+async function createManager(): Promise<MemoryManager> {
+  const manager = new MemoryManager({ type: 'memory', options: {} });
+  await manager.initialize();
+  return manager;
+}
+
+describe('RollingSummary', () => {
+  it('folds messages that leave the verbatim window into the summary once', async () => {
+    const manager = await createManager();
+    const sessionId = manager.startSession();
+    const summarize = jest.spyOn(joiningSummarizer, 'summarize');
+    const rolling = new RollingSummary(manager.getStorage(), joiningSummarizer, { maxMessages: 2 });
+
+    for (const content of ['one', 'two', 'three', 'four']) {
+      await manager.saveUserMessage(content);
+    }
+    expect(await rolling.load(sessionId)).toEqual({
+      summary: 'one | two',
+      messages: [expect.objectContaining({ content: 'three' }), expect.objectContaining({ content: 'four' })]
+    });
+
+    // Nothing new left the window, so the summarizer is not called again
+    await rolling.load(sessionId);
+    expect(summarize).toHaveBeenCalledTimes(1);
+
+    await manager.saveUserMessage('five');
+    expect((await rolling.load(sessionId)).summary).toBe('one | two | three');
+    expect(summarize).toHaveBeenLastCalledWith('one | two', [expect.objectContaining({ content: 'three' })]);
+    expect(await rolling.getSummary(sessionId)).toEqual(expect.objectContaining({
+      text: 'one | two | three',
+      summarizedCount: 3
+    }));
+
+    // Stored messages are left alone
+    expect(await manager.getSessionHistory(sessionId)).toHaveLength(5);
+    summarize.mockRestore();
+  });
+
+  it('keeps as many recent messages verbatim as fit in the token budget', async () => {
+    const manager = await createManager();
+    const sessionId = manager.startSession();
+    const rolling = new RollingSummary(manager.getStorage(), joiningSummarizer, {
+      maxTokens: 4,
+      tokenCounter: { countTokens: text => text.split(' ').length }
+    });
+
+    await manager.saveUserMessage('a long opening question');
+    await manager.saveAssistantMessage('short reply');
+    await manager.saveUserMessage('follow up');
+
+    const { summary, messages } = await rolling.load(sessionId);
+    expect(summary).toBe('a long opening question');
+    expect(messages.map(m => m.content)).toEqual(['short reply', 'follow up']);
+  });
+
+  it('rebuilds the summary from the stored messages after a reset', async () => {
+    const manager = await createManager();
+    const sessionId = manager.startSession();
+    const rolling = new RollingSummary(manager.getStorage(), joiningSummarizer, { maxMessages: 1 });
+
+    await manager.saveUserMessage('one');
+    await manager.saveUserMessage('two');
+    await rolling.load(sessionId);
+    await rolling.reset(sessionId);
+    expect(await rolling.getSummary(sessionId)).toBeNull();
+
+    expect((await rolling.load(sessionId)).summary).toBe('one');
+  });
+
+  it('rebuilds the summary from the active branch when it summarizes another one', async () => {
+    const manager = await createManager();
+    const sessionId = manager.startSession();
+    const rolling = new RollingSummary(manager.getStorage(), joiningSummarizer, { maxMessages: 1 });
+
+    const question = await manager.saveUserMessage('first question');
+    await manager.saveAssistantMessage('first answer');
+    expect((await rolling.load(sessionId)).summary).toBe('first question');
+
+    await manager.editMessage(question, 'better question');
+    await manager.saveAssistantMessage('better answer');
+    const { summary, messages } = await rolling.load(sessionId);
+    expect(summary).toBe('better question');
+    expect(messages.map(m => m.content)).toEqual(['better answer']);
+    expect(await rolling.getSummary(sessionId)).toEqual(expect.objectContaining({ summarizedCount: 1 }));
+  });
+});
@@ -0,0 +1,111 @@
+import { IMemoryStorage } from '../interfaces/MemoryInterface';
+import { ISummarizer } from '../interfaces/SummarizerInterface';
+import { ITokenCounter } from '../interfaces/TokenCounterInterface';
+import { ConversationMessage, SessionSummary } from '../types';
+import { messagesAfter, selectHistory } from '../utils/history';
+import { activeBranch } from '../utils/branches';
+
+export interface RollingSummaryOptions {
+  /** Number of most recent messages kept verbatim (default 20 when maxTokens is not set) */
+  maxMessages?: number;
+  /** Token budget for the messages kept verbatim */
+  maxTokens?: number;
+  /** Token counter used for maxTokens */
+  tokenCounter?: ITokenCounter;
+}
+
+export interface SummarizedHistory {
+  /** Running summary of everything older than the verbatim messages */
+  summary: string;
+  /** Recent messages kept verbatim, oldest first */
+  messages: ConversationMessage[];
+}
+
+/**
+ * Key under which the running summary is stored in session metadata
+ */
+export const SUMMARY_METADATA_KEY = 'summary';
+
+/**
+ * Keeps a persisted running summary of a session's older messages.
+ * Messages that fall out of the verbatim window are folded into the summary
+ * once; stored messages are never modified or removed.
+ */
+export class RollingSummary {
+  private storage: IMemoryStorage;
+  private summarizer: ISummarizer;
+  private options: RollingSummaryOptions;
+
+  constructor(storage: IMemoryStorage, summarizer: ISummarizer, options: RollingSummaryOptions = {}) {
+    this.storage = storage;
+    this.summarizer = summarizer;
+    this.options = options.maxMessages === undefined && options.maxTokens === undefined
+      ? { ...options, maxMessages: 20 }
+      : options;
+  }
+
+  /**
+   * Get the persisted summary state for a session
+   */
+  async getSummary(sessionId: string): Promise<SessionSummary | null> {
+    const session = await this.storage.getSession(sessionId);
+    return session?.metadata?.[SUMMARY_METADATA_KEY] || null;
+  }
+
+  /**
+   * Fold any messages that left the verbatim window into the summary and
+   * return the summary together with the recent messages
+   */
+  async load(sessionId: string): Promise<SummarizedHistory> {
+    const session = await this.storage.getSession(sessionId);
+    const stored: SessionSummary | undefined = session?.metadata?.[SUMMARY_METADATA_KEY];
+    const { messages } = await this.storage.getMessages({ sessionId });
+    const branch = activeBranch(messages, session);
+
+    // A summary that ends on another branch (after an edit or a branch switch) is rebuilt
+    // from this one; a folded message that was deleted falls back to its timestamp
+    const onOtherBranch = stored !== undefined &&
+      messages.some(m => m.id === stored.lastMessageId) &&
+      !branch.some(m => m.id === stored.lastMessageId);
+    const state = onOtherBranch ? undefined : stored;
+
+    const pending = messagesAfter(branch, state);
+    const verbatim = selectHistory(pending, {
+      lastMessages: this.options.maxMessages,
+      maxTokens: this.options.maxTokens,
+      tokenCounter: this.options.tokenCounter
+    });
+    const toFold = pending.slice(0, pending.length - verbatim.length);
+
+    if (toFold.length === 0) {
+      return { summary: state?.text || '', messages: verbatim };
+    }
+
+    const text = await this.summarizer.summarize(state?.text || '', toFold);
+    const last = toFold[toFold.length - 1];
+    const nextState: SessionSummary = {
+      text,
+      lastMessageId: last.id,
+      lastTimestamp: last.timestamp.toISOString(),
+      summarizedCount: (state?.summarizedCount || 0) + toFold.length,
+      updatedAt: new Date().toISOString()
+    };
+
+    await this.storage.updateSession(sessionId, {
+      metadata: { ...session?.metadata, [SUMMARY_METADATA_KEY]: nextState }
+    });
+
+    return { summary: text, messages: verbatim };
+  }
+
+  /**
+   * Discard the summary so the next load rebuilds it from the stored messages
+   */
+  async reset(sessionId: string): Promise<void> {
+    const session = await this.storage.getSession(sessionId);
+    if (!session?.metadata?.[SUMMARY_METADATA_KEY]) return;
+
+    const { [SUMMARY_METADATA_KEY]: _removed, ...metadata } = session.metadata;
+    await this.storage.updateSession(sessionId, { metadata });
+  }
+}
@@ -0,0 +1,456 @@
+import * as assert from 'assert';
+import { IMemoryStorage } from '../interfaces/MemoryInterface';
+import { ContentPart, ConversationMessage, MemoryRecord, ToolCall } from '../types';
+
+export interface StorageConformanceCase {
+  name: string;
+  run(storage: IMemoryStorage): Promise<void>;
+}
+
+export interface StorageConformanceResult {
+  name: string;
+  passed: boolean;
+  error?: string;
+  durationMs: number;
+}
+
+export interface StorageConformanceReport {
+  passed: number;
+  failed: number;
+  results: StorageConformanceResult[];
+}
+
+export interface StorageConformanceOptions {
+  /** Run only the cases with these names */
+  only?: string[];
+  /** Called after each case, e.g. to close connections or drop tables */
+  teardown?: (storage: IMemoryStorage) => Promise<void>;
+}
+
+const BASE_TIME = Date.UTC(2024, 0, 1);
+
+function message(id: string, sessionId: string, minute: number, overrides: Partial<ConversationMessage> = {}): ConversationMessage {
+  return {
+    id,
+    sessionId,
+    role: 'user',
+    content: `message ${id}`,
+    timestamp: new Date(BASE_TIME + minute * 60000),
+    ...overrides
+  };
+}
+
+function record(kind: string, key: string, value: any, overrides: Partial<MemoryRecord> = {}): MemoryRecord {
+  const now = new Date();
+  return { id: '', kind, key, value, createdAt: now, updatedAt: now, ...overrides };
+}
+
+function ids(messages: ConversationMessage[]): string[] {
+  return messages.map(m => m.id);
+}
+
+const sleep = (ms: number) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * The behaviour every IMemoryStorage implementation is expected to share
+ */
+export const STORAGE_CONFORMANCE_CASES: StorageConformanceCase[] = [
+  {
+    name: 'initialize marks the storage ready',
+    async run(storage) {
+      assert.strictEqual(storage.isReady(), true);
+    }
+  },
+  {
+    name: 'saveMessage creates the session and counts its messages',
+    async run(storage) {
+      await storage.saveMessage(message('m1', 's1', 1));
+      await storage.saveMessage(message('m2', 's1', 2, { role: 'assistant' }));
+
+      const session = await storage.getSession('s1');
+      assert.ok(session, 'session was not created');
+      assert.strictEqual(session.messageCount, 2);
+      assert.deepStrictEqual((await storage.getSessions()).map(s => s.id), ['s1']);
+    }
+  },
+  {
+    name: 'saveMessage with an existing id replaces the message',
+    async run(storage) {
+      await storage.saveMessage(message('m1', 's1', 1));
+      await storage.saveMessage(message('m1', 's1', 1, { content: 'edited' }));
+
+      assert.strictEqual((await storage.getMessage('m1'))?.content, 'edited');
+      assert.strictEqual((await storage.getSession('s1'))?.messageCount, 1);
+    }
+  },
+  {
+    name: 'saveMessage with an existing id in another session moves the message',
+    async run(storage) {
+      await storage.saveMessages([message('m1', 's1', 1), message('m2', 's1', 2)]);
+      await storage.saveMessage(message('m1', 's2', 3));
+
+      assert.deepStrictEqual(ids((await storage.getMessages({ sessionId: 's1' })).messages), ['m2']);
+      assert.deepStrictEqual(ids((await storage.getMessages({ sessionId: 's2' })).messages), ['m1']);
+      assert.strictEqual((await storage.getSession('s1'))?.messageCount, 1);
+      assert.strictEqual((await storage.getSession('s2'))?.messageCount, 1);
+      assert.strictEqual((await storage.getMessage('m1'))?.sessionId, 's2');
+    }
+  },
+  {
+    name: 'saveMessages stores a batch',
+    async run(storage) {
+      await storage.saveMessages([message('m1', 's1', 1), message('m2', 's1', 2), message('m3', 's2', 3)]);
+
+      assert.strictEqual((await storage.getMessages()).total, 3);
+      assert.strictEqual((await storage.getSession('s1'))?.messageCount, 2);
+      assert.strictEqual((await storage.getSession('s2'))?.messageCount, 1);
+    }
+  },
+  {
+    name: 'getMessages returns messages in timestamp order',
+    async run(storage) {
+      await storage.saveMessage(message('m3', 's1', 3));
+      await storage.saveMessage(message('m1', 's1', 1));
+      await storage.saveMessage(message('m2', 's1', 2));
+
+      assert.deepStrictEqual(ids((await storage.getMessages({ sessionId: 's1' })).messages), ['m1', 'm2', 'm3']);
+      assert.deepStrictEqual(ids((await storage.getMessages()).messages), ['m1', 'm2', 'm3']);
+    }
+  },
+  {
+    name: 'getMessages paginates with limit and offset',
+    async run(storage) {
+      for (let i = 1; i <= 5; i++) {
+        await storage.saveMessage(message(`m${i}`, 's1', i));
+      }
+
+      const page = await storage.getMessages({ sessionId: 's1', limit: 2, offset: 1 });
+      assert.deepStrictEqual(ids(page.messages), ['m2', 'm3']);
+      assert.strictEqual(page.total, 5);
+      assert.strictEqual(page.hasMore, true);
+
+      const last = await storage.getMessages({ sessionId: 's1', limit: 2, offset: 4 });
+      assert.deepStrictEqual(ids(last.messages), ['m5']);
+      assert.strictEqual(last.hasMore, false);
+    }
+  },
+  {
+    name: 'getMessages pages through sessions with cursors in both orders',
+    async run(storage) {
+      await storage.saveMessages([
+        message('m1', 's1', 1),
+        message('m2', 's2', 2),
+        message('m3', 's1', 3, { role: 'assistant' }),
+        message('m4', 's3', 4),
+        message('m5', 's2', 5),
+        message('m6', 's1', 6)
+      ]);
+
+      const pages = async (order: 'asc' | 'desc', role?: ConversationMessage['role']) => {
+        const seen: string[][] = [];
+        let cursor: string | undefined;
+        do {
+          const page = await storage.getMessages({ limit: 2, cursor, order, role });
+          assert.strictEqual(page.total, role ? 5 : 6);
+          seen.push(ids(page.messages));
+          cursor = page.nextCursor;
+        } while (cursor);
+        return seen;
+      };
+
+      assert.deepStrictEqual(await pages('asc'), [['m1', 'm2'], ['m3', 'm4'], ['m5', 'm6']]);
+      assert.deepStrictEqual(await pages('desc'), [['m6', 'm5'], ['m4', 'm3'], ['m2', 'm1']]);
+      assert.deepStrictEqual(await pages('asc', 'user'), [['m1', 'm2'], ['m4', 'm5'], ['m6']]);
+    }
+  },
+  {
+    name: 'getMessages filters by session, role and date range',
+    async run(storage) {
+      await storage.saveMessages([
+        message('m1', 's1', 1),
+        message('m2', 's1', 2, { role: 'assistant' }),
+        message('m3', 's1', 3),
+        message('m4', 's2', 4)
+      ]);
+
+      assert.deepStrictEqual(ids((await storage.getMessages({ sessionId: 's2' })).messages), ['m4']);
+      assert.deepStrictEqual(ids((await storage.getMessages({ role: 'assistant' })).messages), ['m2']);
+      assert.deepStrictEqual(ids((await storage.getMessages({
+        sessionId: 's1',
+        role: 'user',
+        startDate: new Date(BASE_TIME + 2 * 60000),
+        endDate: new Date(BASE_TIME + 3 * 60000)
+      })).messages), ['m3']);
+    }
+  },
+  {
+    name: 'getMessages ranks full-text matches',
+    async run(storage) {
+      await storage.saveMessages([
+        message('m1', 's1', 1, { content: 'the deploy failed' }),
+        message('m2', 's1', 2, { content: 'lunch plans' }),
+        message('m3', 's1', 3, { content: 'deploy deploy again after the failed deploy' })
+      ]);
+
+      const result = await storage.getMessages({ query: 'deploy' });
+      assert.deepStrictEqual(ids(result.messages).sort(), ['m1', 'm3']);
+      assert.strictEqual(result.total, 2);
+      assert.strictEqual(result.matches?.length, 2);
+    }
+  },
+  {
+    name: 'getMessage returns a message by id and null for unknown ids',
+    async run(storage) {
+      await storage.saveMessage(message('m1', 's1', 1, { metadata: { source: 'test' } }));
+
+      const found = await storage.getMessage('m1');
+      assert.strictEqual(found?.sessionId, 's1');
+      assert.strictEqual(found?.timestamp.getTime(), BASE_TIME + 60000);
+      assert.deepStrictEqual(found?.metadata, { source: 'test' });
+      assert.strictEqual(await storage.getMessage('missing'), null);
+    }
+  },
+  {
+    name: 'messages keep their parent links',
+    async run(storage) {
+      await storage.saveMessages([
+        message('m1', 's1', 1),
+        message('m2', 's1', 2, { role: 'assistant', parentId: 'm1' }),
+        message('m3', 's1', 3, { role: 'assistant', parentId: 'm1' })
+      ]);
+
+      assert.strictEqual((await storage.getMessage('m1'))?.parentId, undefined);
+      assert.strictEqual((await storage.getMessage('m3'))?.parentId, 'm1');
+      const { messages } = await storage.getMessages({ sessionId: 's1' });
+      assert.deepStrictEqual(messages.map(m => m.parentId), [undefined, 'm1', 'm1']);
+    }
+  },
+  {
+    name: 'messages keep tool calls, tool results and content parts',
+    async run(storage) {
+      const parts: ContentPart[] = [
+        { type: 'text', text: 'What is in this picture?' },
+        { type: 'image', url: 'https://example.com/cat.png', mimeType: 'image/png', detail: 'low' },
+        { type: 'file', url: 'data:text/plain;base64,aGk=', name: 'notes.txt' }
+      ];
+      const toolCalls: ToolCall[] = [
+        { id: 'call_1', name: 'search', args: { query: 'cats', filters: { limit: 3, tags: ['pets'] } } }
+      ];
+      await storage.saveMessages([
+        message('m1', 's1', 1, { content: 'What is in this picture?', parts }),
+        message('m2', 's1', 2, { role: 'assistant', content: '', toolCalls }),
+        message('m3', 's1', 3, { role: 'tool', content: '3 results', toolCallId: 'call_1' })
+      ]);
+
+      const { messages } = await storage.getMessages({ sessionId: 's1' });
+      assert.deepStrictEqual(messages.map(m => m.role), ['user', 'assistant', 'tool']);
+      assert.deepStrictEqual(messages[0].parts, parts);
+      assert.strictEqual(messages[0].toolCalls, undefined);
+      assert.deepStrictEqual(messages[1].toolCalls, toolCalls);
+      assert.strictEqual(messages[1].content, '');
+      assert.strictEqual(messages[2].toolCallId, 'call_1');
+      assert.strictEqual(messages[2].parts, undefined);
+      assert.deepStrictEqual((await storage.getMessage('m2'))?.toolCalls, toolCalls);
+      assert.deepStrictEqual(ids((await storage.getMessages({ role: 'tool' })).messages), ['m3']);
+    }
+  },
+  {
+    name: 'updateSession creates unknown sessions and merges updates',
+    async run(storage) {
+      await storage.updateSession('s1', { title: 'First' });
+      await storage.updateSession('s1', { metadata: { topic: 'deploys' } });
+
+      const session = await storage.getSession('s1');
+      assert.ok(session, 'session was not created');
+      assert.strictEqual(session.title, 'First');
+      assert.deepStrictEqual(session.metadata, { topic: 'deploys' });
+      assert.strictEqual(session.messageCount, 0);
+      assert.strictEqual(await storage.getSession('missing'), null);
+    }
+  },
+  {
+    name: 'updateSession clears a title or metadata given as undefined',
+    async run(storage) {
+      await storage.updateSession('s1', { title: 'First', metadata: { topic: 'deploys' } });
+      await storage.updateSession('s1', { title: undefined });
+
+      let session = await storage.getSession('s1');
+      assert.strictEqual(session?.title, undefined);
+      assert.deepStrictEqual(session?.metadata, { topic: 'deploys' });
+
+      await storage.updateSession('s1', { metadata: undefined });
+      session = await storage.getSession('s1');
+      assert.strictEqual(session?.metadata, undefined);
+      assert.strictEqual((await storage.getSessions())[0].title, undefined);
+    }
+  },
+  {
+    name: 'getSessions returns the most recently updated session first',
+    async run(storage) {
+      await storage.saveMessage(message('m1', 's1', 1));
+      await sleep(5);
+      await storage.saveMessage(message('m2', 's2', 2));
+      await sleep(5);
+      await storage.saveMessage(message('m3', 's1', 3));
+
+      assert.deepStrictEqual((await storage.getSessions()).map(s => s.id), ['s1', 's2']);
+    }
+  },
+  {
+    name: 'getSessions filters by scope',
+    async run(storage) {
+      await storage.updateSession('project', { scope: { tenant: 'acme', project: 'web' } });
+      await storage.updateSession('story', { scope: { tenant: 'acme', project: 'web', story: 'WEB-1' } });
+      await storage.updateSession('other', { scope: { tenant: 'acme', project: 'api' } });
+
+      const exact = await storage.getSessions({ scope: { tenant: 'acme', project: 'web' } });
+      assert.deepStrictEqual(exact.map(s => s.id), ['project']);
+
+      const below = await storage.getSessions({ scope: { tenant: 'acme', project: 'web' }, scopeMode: 'descendants' });
+      assert.deepStrictEqual(below.map(s => s.id).sort(), ['project', 'story']);
+    }
+  },
+  {
+    name: 'deleteMessage removes the message and updates the count',
+    async run(storage) {
+      await storage.saveMessages([message('m1', 's1', 1), message('m2', 's1', 2)]);
+      await storage.deleteMessage('m1');
+
+      assert.strictEqual(await storage.getMessage('m1'), null);
+      assert.deepStrictEqual(ids((await storage.getMessages({ sessionId: 's1' })).messages), ['m2']);
+      assert.strictEqual((await storage.getSession('s1'))?.messageCount, 1);
+
+      // Deleting an unknown message is a no-op
+      await storage.deleteMessage('missing');
+    }
+  },
+  {
+    name: 'deleteSession removes the session and its messages',
+    async run(storage) {
+      await storage.saveMessages([message('m1', 's1', 1), message('m2', 's1', 2), message('m3', 's2', 3)]);
+      await storage.deleteSession('s1');
+
+      assert.strictEqual(await storage.getSession('s1'), null);
+      assert.strictEqual(await storage.getMessage('m1'), null);
+      assert.strictEqual((await storage.getMessages({ sessionId: 's1' })).total, 0);
+      assert.deepStrictEqual((await storage.getSessions()).map(s => s.id), ['s2']);
+
+      const stats = await storage.getStats();
+      assert.strictEqual(stats.totalSessions, 1);
+      assert.strictEqual(stats.totalMessages, 1);
+    }
+  },
+  {
+    name: 'getStats reports totals and the message time range',
+    async run(storage) {
+      const empty = await storage.getStats();
+      assert.deepStrictEqual(empty, {
+        totalSessions: 0,
+        totalMessages: 0,
+        oldestMessage: null,
+        newestMessage: null,
+        averageMessagesPerSession: 0
+      });
+
+      await storage.saveMessages([message('m1', 's1', 1), message('m2', 's1', 5), message('m3', 's2', 3)]);
+      const stats = await storage.getStats();
+      assert.strictEqual(stats.totalSessions, 2);
+      assert.strictEqual(stats.totalMessages, 3);
+      assert.strictEqual(stats.oldestMessage?.getTime(), BASE_TIME + 60000);
+      assert.strictEqual(stats.newestMessage?.getTime(), BASE_TIME + 5 * 60000);
+      assert.strictEqual(stats.averageMessagesPerSession, 1.5);
+    }
+  },
+  {
+    name: 'saveRecord upserts by kind and key',
+    async run(storage) {
+      const first = await storage.saveRecord(record('preference', 'language', 'TypeScript', { id: 'r1' }));
+      const second = await storage.saveRecord(record('preference', 'language', 'Go', {
+        id: 'r2',
+        updatedAt: new Date(first.updatedAt.getTime() + 1000)
+      }));
+
+      assert.strictEqual(second.id, 'r1');
+      assert.strictEqual(second.createdAt.getTime(), first.createdAt.getTime());
+      assert.strictEqual((await storage.getRecord('r1'))?.value, 'Go');
+      assert.strictEqual((await storage.getRecords()).length, 1);
+    }
+  },
+  {
+    name: 'getRecords filters records and deleteRecord removes them',
+    async run(storage) {
+      await storage.saveRecord(record('fact', 'a', 1, { id: 'r1', tags: ['x'] }));
+      await storage.saveRecord(record('fact', 'b', 2, { id: 'r2', sessionId: 's1' }));
+      await storage.saveRecord(record('pattern', 'c', 3, { id: 'r3', scope: { project: 'web' } }));
+
+      assert.deepStrictEqual((await storage.getRecords({ kind: 'fact' })).map(r => r.id).sort(), ['r1', 'r2']);
+      assert.deepStrictEqual((await storage.getRecords({ tags: ['x'] })).map(r => r.id), ['r1']);
+      assert.deepStrictEqual((await storage.getRecords({ sessionId: 's1' })).map(r => r.id), ['r2']);
+      assert.deepStrictEqual((await storage.getRecords({ scope: { project: 'web' } })).map(r => r.id), ['r3']);
+
+      await storage.deleteRecord('r1');
+      assert.strictEqual(await storage.getRecord('r1'), null);
+      assert.strictEqual((await storage.getRecords()).length, 2);
+    }
+  },
+  {
+    name: 'clear removes all sessions, messages and records',
+    async run(storage) {
+      await storage.saveMessages([message('m1', 's1', 1), message('m2', 's2', 2)]);
+      await storage.saveRecord(record('fact', 'a', 1));
+      await storage.clear();
+
+      assert.deepStrictEqual(await storage.getSessions(), []);
+      assert.strictEqual((await storage.getMessages()).total, 0);
+      assert.deepStrictEqual(await storage.getRecords(), []);
+    }
+  }
+];
+
+/**
+ * Run the conformance cases against a storage implementation.
+ * The factory must return a new, empty and uninitialized storage for every
+ * case; each case initializes it before running. Failures are collected in
+ * the report rather than thrown, so the suite works with any test runner.
+ */
+export async function runStorageConformanceSuite(
+  factory: () => IMemoryStorage | Promise<IMemoryStorage>,
+  options: StorageConformanceOptions = {}
+): Promise<StorageConformanceReport> {
+  const cases = options.only
+    ? STORAGE_CONFORMANCE_CASES.filter(c => options.only!.includes(c.name))
+    : STORAGE_CONFORMANCE_CASES;
+  const results: StorageConformanceResult[] = [];
+
+  for (const testCase of cases) {
+    const started = Date.now();
+    let storage: IMemoryStorage | undefined;
+    let error: unknown;
+
+    try {
+      storage = await factory();
+      await storage.initialize();
+      await testCase.run(storage);
+    } catch (caught) {
+      error = caught;
+    }
+
+    if (storage && options.teardown) {
+      try {
+        await options.teardown(storage);
+      } catch (caught) {
+        error = error ?? caught;
+      }
+    }
+
+    results.push({
+      name: testCase.name,
+      passed: error === undefined,
+      error: error === undefined ? undefined : (error instanceof Error ? error.message : String(error)),
+      durationMs: Date.now() - started
+    });
+  }
+
+  const passed = results.filter(r => r.passed).length;
+  return { passed, failed: results.length - passed, results };
+}
@@ -0,0 +1,189 @@
+import { mapChatMessagesToStoredMessages } from '@langchain/core/messages';
+import { IMemoryStorage } from '../interfaces/MemoryInterface';
+import { ContentPart, ConversationMessage, ConversationSession, ExportOptions } from '../types';
+import { iterateMessages } from '../utils/cursor';
+import { toLangChainMessage } from '../langchain/messageConversion';
+
+export const CSV_COLUMNS = [
+  'session_id', 'message_id', 'role', 'timestamp', 'content', 'metadata', 'parts', 'tool_calls', 'tool_call_id'
+];
+
+const ROLE_LABELS: Record<ConversationMessage['role'], string> = {
+  user: 'User',
+  assistant: 'Assistant',
+  system: 'System',
+  tool: 'Tool'
+};
+
+/**
+ * Serialise sessions, messages and (for JSONL) records in an export format,
+ * reading messages page by page so large stores are never held in memory at once
+ */
+export async function* exportMemory(storage: IMemoryStorage, options: ExportOptions = {}): AsyncGenerator<string> {
+  const format = options.format || 'jsonl';
+  const sessions = await exportedSessions(storage, options);
+
+  switch (format) {
+    case 'jsonl':
+      for (const session of sessions) {
+        yield line({ type: 'session', ...session });
+        for await (const message of sessionMessages(storage, session.id, options)) {
+          yield line({ type: 'message', ...message });
+        }
+      }
+      if (options.includeRecords !== false) {
+        const records = await storage.getRecords(
+          options.sessionId ? { sessionId: options.sessionId } : { scope: options.scope, scopeMode: options.scopeMode }
+        );
+        for (const record of records) {
+          yield line({ type: 'record', ...record });
+        }
+      }
+      return;
+
+    case 'openai':
+      for (const session of sessions) {
+        const messages = await collect(sessionMessages(storage, session.id, options));
+        if (messages.length > 0) {
+          yield line({ messages: messages.map(openAIMessage) });
+        }
+      }
+      return;
+
+    case 'langchain': {
+      let first = true;
+      yield '{';
+      for (const session of sessions) {
+        const messages = await collect(sessionMessages(storage, session.id, options));
+        const stored = mapChatMessagesToStoredMessages(messages.map(toLangChainMessage));
+        yield `${first ? '' : ','}\n  ${JSON.stringify(session.id)}: ${JSON.stringify(stored)}`;
+        first = false;
+      }
+      yield '\n}\n';
+      return;
+    }
+
+    case 'csv':
+      yield `${CSV_COLUMNS.join(',')}\n`;
+      for (const session of sessions) {
+        for await (const message of sessionMessages(storage, session.id, options)) {
+          yield `${[
+            message.sessionId,
+            message.id,
+            message.role,
+            message.timestamp.toISOString(),
+            message.content,
+            message.metadata ? JSON.stringify(message.metadata) : '',
+            message.parts ? JSON.stringify(message.parts) : '',
+            message.toolCalls ? JSON.stringify(message.toolCalls) : '',
+            message.toolCallId ?? ''
+          ].map(csvField).join(',')}\n`;
+        }
+      }
+      return;
+
+    case 'markdown': {
+      let first = true;
+      for (const session of sessions) {
+        yield `${first ? '' : '\n---\n\n'}# ${session.title || session.id}\n\n`;
+        first = false;
+        for await (const message of sessionMessages(storage, session.id, options)) {
+          yield `**${ROLE_LABELS[message.role]}** · ${message.timestamp.toISOString()}\n\n${markdownBody(message)}\n\n`;
+        }
+      }
+      return;
+    }
+
+    default:
+      throw new Error(`Unsupported export format: ${format}`);
+  }
+}
+
+async function exportedSessions(storage: IMemoryStorage, options: ExportOptions): Promise<ConversationSession[]> {
+  const sessions = await storage.getSessions({ scope: options.scope, scopeMode: options.scopeMode });
+  return sessions
+    .filter(session => !options.sessionId || session.id === options.sessionId)
+    // Oldest first, so imports recreate sessions in their original order
+    .sort((a, b) => a.createdAt.getTime() - b.createdAt.getTime());
+}
+
+function sessionMessages(storage: IMemoryStorage, sessionId: string, options: ExportOptions): AsyncGenerator<ConversationMessage> {
+  return iterateMessages(storage, {
+    sessionId,
+    startDate: options.startDate,
+    endDate: options.endDate,
+    role: options.role
+  });
+}
+
+/**
+ * Chat completions message: content parts become `image_url` and `file` parts
+ * (data URLs as file data, other references as file ids), tool calls `function` calls
+ */
+function openAIMessage(message: ConversationMessage): Record<string, any> {
+  const converted: Record<string, any> = {
+    role: message.role,
+    content: message.parts ? message.parts.map(openAIContentPart) : message.content
+  };
+
+  if (message.toolCalls) {
+    converted.tool_calls = message.toolCalls.map(call => ({
+      id: call.id,
+      type: 'function',
+      function: { name: call.name, arguments: JSON.stringify(call.args) }
+    }));
+  }
+  if (message.toolCallId !== undefined) {
+    converted.tool_call_id = message.toolCallId;
+  }
+  return converted;
+}
+
+function openAIContentPart(part: ContentPart): Record<string, any> {
+  switch (part.type) {
+    case 'text':
+      return { type: 'text', text: part.text };
+    case 'image':
+      return { type: 'image_url', image_url: part.detail ? { url: part.url, detail: part.detail } : { url: part.url } };
+    case 'file':
+      return {
+        type: 'file',
+        file: {
+          ...(part.url.startsWith('data:') ? { file_data: part.url } : { file_id: part.url }),
+          ...(part.name ? { filename: part.name } : {})
+        }
+      };
+  }
+}
+
+/**
+ * Transcript text of a message, with images, files and tool calls as links and code
+ */
+function markdownBody(message: ConversationMessage): string {
+  const blocks = message.parts
+    ? message.parts.map(part => part.type === 'text' ? part.text
+      : part.type === 'image' ? `![image](${part.url})`
+      : `[${part.name || 'file'}](${part.url})`)
+    : [message.content];
+
+  for (const call of message.toolCalls || []) {
+    blocks.push(`Calls \`${call.name}\` with \`${JSON.stringify(call.args)}\``);
+  }
+  return blocks.filter(block => block).join('\n\n');
+}
+
+async function collect<T>(items: AsyncIterable<T>): Promise<T[]> {
+  const collected: T[] = [];
+  for await (const item of items) {
+    collected.push(item);
+  }
+  return collected;
+}
+
+function line(value: unknown): string {
+  return `${JSON.stringify(value)}\n`;
+}
+
+function csvField(value: string): string {
+  return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
@@ -0,0 +1,131 @@
+import { InMemoryStorage } from '../storage/InMemoryStorage';
+import { ConversationMessage, ExportOptions, ImportFormat, MemoryRecord } from '../types';
+import { exportMemory } from './exportMemory';
+import { importMemory } from './importMemory';
+
+const timestamp = (minute: number) => new Date(Date.UTC(2024, 0, 1, 0, minute));
+
+const messages: ConversationMessage[] = [
+  { id: 'm1', sessionId: 's1', role: 'system', content: 'be brief', timestamp: timestamp(0) },
+  {
+    id: 'm2',
+    sessionId: 's1',
+    role: 'user',
+    content: 'what is this?',
+    parts: [{ type: 'text', text: 'what is this?' }, { type: 'image', url: 'https://example.com/cat.png', detail: 'low' }],
+    timestamp: timestamp(1)
+  },
+  {
+    id: 'm3',
+    sessionId: 's1',
+    role: 'assistant',
+    content: '',
+    toolCalls: [{ id: 'call-1', name: 'classify', args: { url: 'https://example.com/cat.png' } }],
+    timestamp: timestamp(2)
+  },
+  { id: 'm4', sessionId: 's1', role: 'tool', content: 'cat', toolCallId: 'call-1', timestamp: timestamp(3) },
+  {
+    id: 'm5',
+    sessionId: 's1',
+    role: 'assistant',
+    content: 'A "cat", sitting\non a mat',
+    metadata: { model: 'small' },
+    timestamp: timestamp(4)
+  }
+];
+
+const record: MemoryRecord = {
+  id: 'r1',
+  kind: 'preference',
+  key: 'tone',
+  value: { brief: true },
+  createdAt: timestamp(5),
+  updatedAt: timestamp(5)
+};
+
+async function createSource(): Promise<InMemoryStorage> {
+  const storage = new InMemoryStorage();
+  await storage.initialize();
+  await storage.updateSession('s1', { title: 'Cats', scope: { tenant: 'acme' }, metadata: { channel: 'web' } });
+  await storage.saveMessages(messages.map(message => ({ ...message })));
+  await storage.saveRecord(record);
+  return storage;
+}
+
+async function roundTrip(format: ImportFormat, options: ExportOptions = {}): Promise<InMemoryStorage> {
+  let text = '';
+  for await (const chunk of exportMemory(await createSource(), { ...options, format })) {
+    text += chunk;
+  }
+
+  const target = new InMemoryStorage();
+  await target.initialize();
+  await importMemory(target, text, { format, sessionId: 'imported' });
+  return target;
+}
+
+/** Messages without the fields a format does not carry */
+const conversation = (stored: ConversationMessage[]) =>
+  stored.map(({ role, content, parts, toolCalls, toolCallId }) => ({ role, content, parts, toolCalls, toolCallId }));
+
+describe('export and import', () => {
+  it('round-trips sessions, messages and records through JSONL without loss', async () => {
+    const target = await roundTrip('jsonl');
+
+    expect((await target.getMessages()).messages).toEqual(messages.map(message => expect.objectContaining(message)));
+    expect(await target.getSession('s1')).toEqual(expect.objectContaining({
+      title: 'Cats',
+      scope: { tenant: 'acme' },
+      metadata: { channel: 'web' },
+      messageCount: 5
+    }));
+    expect(await target.getRecords()).toEqual([expect.objectContaining(record)]);
+  });
+
+  it('round-trips messages, parts and tool calls through OpenAI chat completions', async () => {
+    const target = await roundTrip('openai');
+    const { messages: imported } = await target.getMessages({ sessionId: 'imported' });
+
+    expect(conversation(imported)).toEqual(conversation(messages));
+  });
+
+  it('round-trips messages through LangChain stored messages, keyed by session', async () => {
+    const target = await roundTrip('langchain');
+    const { messages: imported } = await target.getMessages({ sessionId: 's1' });
+
+    expect(conversation(imported)).toEqual(conversation(messages));
+  });
+
+  it('round-trips messages with quotes, commas and newlines through CSV', async () => {
+    const target = await roundTrip('csv');
+    const { messages: imported } = await target.getMessages();
+
+    expect(imported).toEqual(messages.map(message => expect.objectContaining(message)));
+  });
+
+  it('writes Markdown transcripts, which cannot be imported', async () => {
+    let text = '';
+    for await (const chunk of exportMemory(await createSource(), { format: 'markdown' })) {
+      text += chunk;
+    }
+
+    expect(text).toContain('# Cats\n\n**System** · 2024-01-01T00:00:00.000Z\n\nbe brief\n\n');
+    expect(text).toContain('what is this?\n\n![image](https://example.com/cat.png)');
+    expect(text).toContain('Calls `classify` with `{"url":"https://example.com/cat.png"}`');
+    await expect(importMemory(new InMemoryStorage(), text, { format: 'markdown' as ImportFormat }))
+      .rejects.toThrow('Markdown transcripts cannot be imported');
+  });
+
+  it('upserts JSONL messages by id, so importing twice does not duplicate them', async () => {
+    let text = '';
+    for await (const chunk of exportMemory(await createSource())) {
+      text += chunk;
+    }
+
+    const target = new InMemoryStorage();
+    await target.initialize();
+    expect(await importMemory(target, text)).toEqual({ sessions: 1, messages: 5, records: 1 });
+    await importMemory(target, text);
+    expect((await target.getMessages()).total).toBe(5);
+  });
+});
@@ -0,0 +1,275 @@
+import * as readline from 'readline';
+import { Readable } from 'stream';
+import { v4 as uuidv4 } from 'uuid';
+import { mapStoredMessagesToChatMessages, StoredMessage } from '@langchain/core/messages';
+import { IMemoryStorage } from '../interfaces/MemoryInterface';
+import { ContentPart, ConversationMessage, ImportFormat, ImportOptions, ToolCall, TransferCounts } from '../types';
+import { fromLangChainMessage } from '../langchain/messageConversion';
+import { messageContent } from '../utils/content';
+import { CSV_COLUMNS } from './exportMemory';
+
+/** Text to import: a string, a readable stream or any async iterable of chunks */
+export type ImportInput = string | NodeJS.ReadableStream | AsyncIterable<string | Buffer>;
+
+const BATCH_SIZE = 100;
+
+/**
+ * Read data in an import format into a storage. Messages are upserted by id,
+ * so importing the same JSONL or CSV export twice does not duplicate them.
+ */
+export async function importMemory(
+  storage: IMemoryStorage,
+  input: ImportInput,
+  options: ImportOptions = {}
+): Promise<TransferCounts> {
+  const writer = new MessageWriter(storage);
+  const format = options.format || 'jsonl';
+
+  switch (format) {
+    case 'jsonl':
+      for await (const text of lines(input)) {
+        const { type, ...value } = JSON.parse(text);
+        if (type === 'session') {
+          await writer.saveSession(value);
+        } else if (type === 'message') {
+          await writer.add({ ...value, timestamp: new Date(value.timestamp) });
+        } else if (type === 'record') {
+          await writer.saveRecord(value);
+        } else {
+          throw new Error(`Unknown JSONL entry type: ${type}`);
+        }
+      }
+      break;
+
+    case 'openai':
+      for await (const text of lines(input)) {
+        const parsed = JSON.parse(text);
+        const sessionId = options.sessionId || uuidv4();
+        const messages: any[] = Array.isArray(parsed) ? parsed : parsed.messages;
+        const start = Date.now();
+        for (const [i, message] of messages.entries()) {
+          await writer.add({
+            id: uuidv4(),
+            sessionId,
+            role: openAIRole(message.role),
+            ...openAIContent(message.content),
+            // Chat completion messages have no timestamps; keep their order
+            timestamp: new Date(start + i),
+            toolCalls: message.tool_calls?.map(openAIToolCall),
+            toolCallId: message.tool_call_id
+          });
+        }
+      }
+      break;
+
+    case 'langchain': {
+      const parsed = JSON.parse(await readAll(input));
+      const conversations: Array<[string, StoredMessage[]]> = Array.isArray(parsed)
+        ? [[options.sessionId || uuidv4(), parsed]]
+        : Object.entries(parsed);
+      for (const [sessionId, stored] of conversations) {
+        const start = Date.now();
+        const messages = mapStoredMessagesToChatMessages(stored);
+        for (const [i, message] of messages.entries()) {
+          await writer.add(fromLangChainMessage(message, sessionId, new Date(start + i)));
+        }
+      }
+      break;
+    }
+
+    case 'csv': {
+      const [header, ...rows] = parseCsv(await readAll(input));
+      const column = (name: string) => header ? header.indexOf(name) : -1;
+      const missing = ['role', 'content'].filter(name => column(name) < 0);
+      if (missing.length > 0) {
+        throw new Error(`CSV is missing columns: ${missing.join(', ')} (expected ${CSV_COLUMNS.join(', ')})`);
+      }
+
+      const start = Date.now();
+      for (const [i, row] of rows.entries()) {
+        const field = (name: string) => column(name) >= 0 ? row[column(name)] : '';
+        await writer.add({
+          id: field('message_id') || uuidv4(),
+          sessionId: field('session_id') || options.sessionId || 'imported',
+          role: openAIRole(field('role')),
+          content: field('content'),
+          timestamp: field('timestamp') ? new Date(field('timestamp')) : new Date(start + i),
+          metadata: field('metadata') ? JSON.parse(field('metadata')) : undefined,
+          parts: field('parts') ? JSON.parse(field('parts')) : undefined,
+          toolCalls: field('tool_calls') ? JSON.parse(field('tool_calls')) : undefined,
+          toolCallId: field('tool_call_id') || undefined
+        });
+      }
+      break;
+    }
+
+    case 'markdown' as ImportFormat:
+      throw new Error('Markdown transcripts cannot be imported');
+
+    default:
+      throw new Error(`Unsupported import format: ${format}`);
+  }
+
+  await writer.flush();
+  return writer.counts();
+}
+
+/**
+ * Batches message writes and counts what was imported
+ */
+class MessageWriter {
+  private storage: IMemoryStorage;
+  private batch: ConversationMessage[] = [];
+  private sessionIds = new Set<string>();
+  private messages = 0;
+  private records = 0;
+
+  constructor(storage: IMemoryStorage) {
+    this.storage = storage;
+  }
+
+  async saveSession(session: any): Promise<void> {
+    await this.flush();
+    await this.storage.updateSession(session.id, {
+      title: session.title,
+      scope: session.scope,
+      metadata: session.metadata,
+      createdAt: new Date(session.createdAt)
+    });
+    this.sessionIds.add(session.id);
+  }
+
+  async saveRecord(record: any): Promise<void> {
+    await this.storage.saveRecord({ ...record, createdAt: new Date(record.createdAt), updatedAt: new Date(record.updatedAt) });
+    this.records++;
+  }
+
+  async add(message: ConversationMessage): Promise<void> {
+    this.batch.push(message);
+    this.sessionIds.add(message.sessionId);
+    if (this.batch.length >= BATCH_SIZE) {
+      await this.flush();
+    }
+  }
+
+  async flush(): Promise<void> {
+    if (this.batch.length === 0) return;
+    await this.storage.saveMessages(this.batch);
+    this.messages += this.batch.length;
+    this.batch = [];
+  }
+
+  counts(): TransferCounts {
+    return { sessions: this.sessionIds.size, messages: this.messages, records: this.records };
+  }
+}
+
+function openAIRole(role: string): ConversationMessage['role'] {
+  if (role === 'user' || role === 'assistant' || role === 'system' || role === 'tool') return role;
+  if (role === 'developer') return 'system';
+  throw new Error(`Unsupported chat message role: ${role}`);
+}
+
+/**
+ * Content is either a string or an array of text, `image_url` and `file` parts;
+ * other parts, such as audio, are left out
+ */
+function openAIContent(content: unknown): Pick<ConversationMessage, 'content' | 'parts'> {
+  if (typeof content === 'string') return { content };
+  if (Array.isArray(content)) {
+    return messageContent(content.flatMap(openAIContentPart));
+  }
+  // Assistant messages that only call tools have no content
+  return { content: content == null ? '' : JSON.stringify(content) };
+}
+
+function openAIContentPart(part: any): ContentPart[] {
+  switch (part?.type) {
+    case 'text':
+      return [{ type: 'text', text: part.text }];
+    case 'image_url': {
+      const image = typeof part.image_url === 'string' ? { url: part.image_url } : part.image_url;
+      if (!image?.url) return [];
+      return [image.detail ? { type: 'image', url: image.url, detail: image.detail } : { type: 'image', url: image.url }];
+    }
+    case 'file': {
+      const url = part.file?.file_data ?? part.file?.file_id;
+      if (!url) return [];
+      return [{ type: 'file', url, ...(part.file.filename ? { name: part.file.filename } : {}) }];
+    }
+    default:
+      return [];
+  }
+}
+
+function openAIToolCall(call: any): ToolCall {
+  return {
+    id: call.id,
+    name: call.function.name,
+    args: call.function.arguments ? JSON.parse(call.function.arguments) : {}
+  };
+}
+
+function toReadable(input: ImportInput): NodeJS.ReadableStream {
+  if (typeof input === 'string') return Readable.from([input]);
+  if ('pipe' in input) return input;
+  return Readable.from(input);
+}
+
+async function* lines(input: ImportInput): AsyncGenerator<string> {
+  const reader = readline.createInterface({ input: toReadable(input), crlfDelay: Infinity });
+  for await (const text of reader) {
+    if (text.trim()) yield text;
+  }
+}
+
+async function readAll(input: ImportInput): Promise<string> {
+  let text = '';
+  for await (const chunk of toReadable(input)) {
+    text += chunk.toString();
+  }
+  return text;
+}
+
+/**
+ * Parse RFC 4180 CSV: quoted fields may contain commas, quotes ("") and newlines
+ */
+function parseCsv(text: string): string[][] {
+  const rows: string[][] = [];
+  let row: string[] = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(fields => fields.some(value => value !== ''));
+}
@@ -0,0 +1,19 @@
+import { MemoryManager } from '../MemoryManager';
+import { migrateStorage } from './migrate';
+
+describe('migrateStorage', () => {
+  it('closes both managers, also when the migration fails', async () => {
+    const close = jest.spyOn(MemoryManager.prototype, 'close');
+
+    await migrateStorage({ type: 'memory', options: {} }, { type: 'sqlite', options: { filePath: ':memory:' } });
+    expect(close).toHaveBeenCalledTimes(2);
+
+    close.mockClear();
+    await expect(migrateStorage(
+      { type: 'memory', options: {} },
+      { type: 'local', options: { filePath: '/dev/null/memory.json' } }
+    )).rejects.toThrow();
+    expect(close).toHaveBeenCalledTimes(2);
+    close.mockRestore();
+  });
+});
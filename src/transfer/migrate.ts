@@ -0,0 +1,105 @@
+import { IMemoryStorage } from '../interfaces/MemoryInterface';
+import { MemoryManager } from '../MemoryManager';
+import { ConversationMessage, MemoryConfig, MigrationOptions, MigrationProgress, TransferCounts } from '../types';
+import { iterateMessages } from '../utils/cursor';
+import { recordIdentity } from '../utils/records';
+
+/**
+ * Copy every session, message and record from one storage into another,
+ * then check that the target holds the same number of each
+ */
+export async function copyStorage(
+  source: IMemoryStorage,
+  target: IMemoryStorage,
+  options: MigrationOptions = {}
+): Promise<TransferCounts> {
+  const pageSize = options.pageSize || 100;
+  const sessions = await source.getSessions();
+  const progress: MigrationProgress = { sessions: 0, messages: 0, records: 0, totalSessions: sessions.length };
+  const expected = new Map<string, number>();
+
+  for (const session of sessions) {
+    await target.updateSession(session.id, {
+      title: session.title,
+      scope: session.scope,
+      metadata: session.metadata,
+      createdAt: session.createdAt
+    });
+
+    let copied = 0;
+    let batch: ConversationMessage[] = [];
+    const flush = async () => {
+      await target.saveMessages(batch);
+      copied += batch.length;
+      progress.messages += batch.length;
+      batch = [];
+      options.onProgress?.({ ...progress, sessionId: session.id });
+    };
+
+    for await (const message of iterateMessages(source, { sessionId: session.id, pageSize })) {
+      batch.push(message);
+      if (batch.length >= pageSize) await flush();
+    }
+    if (batch.length > 0) await flush();
+
+    expected.set(session.id, copied);
+    progress.sessions++;
+    options.onProgress?.({ ...progress, sessionId: session.id });
+  }
+
+  const records = await source.getRecords();
+  for (const record of records) {
+    await target.saveRecord(record);
+    progress.records++;
+  }
+  if (records.length > 0) {
+    options.onProgress?.({ ...progress });
+  }
+
+  await verifyCopy(target, expected, records.map(recordIdentity));
+  return { sessions: progress.sessions, messages: progress.messages, records: progress.records };
+}
+
+async function verifyCopy(target: IMemoryStorage, expected: Map<string, number>, recordIdentities: string[]): Promise<void> {
+  const problems: string[] = [];
+
+  for (const [sessionId, count] of expected) {
+    const { total } = await target.getMessages({ sessionId, limit: 1 });
+    if (total !== count) {
+      problems.push(`session ${sessionId} has ${total} messages, expected ${count}`);
+    }
+  }
+
+  const stored = new Set((await target.getRecords()).map(recordIdentity));
+  const missing = recordIdentities.filter(identity => !stored.has(identity));
+  if (missing.length > 0) {
+    problems.push(`${missing.length} records are missing`);
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Migration verification failed: ${problems.join('; ')}`);
+  }
+}
+
+/**
+ * Move everything from one storage configuration to another, e.g. from local files
+ * to DynamoDB. Both sides go through a MemoryManager, so encryption and redaction
+ * configured on either side apply: data is decrypted when read and re-sealed under
+ * the target's keys when written.
+ */
+export async function migrateStorage(
+  fromConfig: MemoryConfig,
+  toConfig: MemoryConfig,
+  options: MigrationOptions = {}
+): Promise<TransferCounts> {
+  const source = new MemoryManager(fromConfig);
+  const target = new MemoryManager(toConfig);
+
+  try {
+    await source.initialize();
+    await target.initialize();
+    return await copyStorage(source.getStorage(), target.getStorage(), options);
+  } finally {
+    await Promise.all([source.close(), target.close()]);
+  }
+}
@@ -1,30 +1,301 @@
+import { ITokenCounter } from '../interfaces/TokenCounterInterface';
+import type { Pool } from 'pg';
+import type Redis from 'ioredis';
+import type { S3Client } from '@aws-sdk/client-s3';
+import type { DynamoDBClient } from '@aws-sdk/client-dynamodb';
+import { IEmbeddings } from '../interfaces/EmbeddingsInterface';
+import { IKeyProvider } from '../interfaces/KeyProviderInterface';
+import { ITokenVault } from '../interfaces/TokenVaultInterface';
+import { IMemoryPlugin } from '../interfaces/PluginInterface';
+
+/**
+ * Part of a message's structured content. Images and files are references
+ * (an http(s) or data URL, or an id the application resolves), not the bytes themselves.
+ */
+export type ContentPart =
+  | { type: 'text'; text: string }
+  | { type: 'image'; url: string; mimeType?: string; detail?: 'auto' | 'low' | 'high' }
+  | { type: 'file'; url: string; name?: string; mimeType?: string };
+
+/**
+ * Tool invocation requested by an assistant message
+ */
+export interface ToolCall {
+  /** Id the result's `toolCallId` refers to */
+  id: string;
+  name: string;
+  args: Record<string, any>;
+}
+
 export interface ConversationMessage {
   id: string;
   sessionId: string;
-  role: 'user' | 'assistant' | 'system';
+  /** `tool` messages carry the result of one of the previous assistant message's tool calls */
+  role: 'user' | 'assistant' | 'system' | 'tool';
+  /** Text of the message; for structured content, the text of its parts */
   content: string;
   timestamp: Date;
   metadata?: Record<string, any>;
+  /** Embedding of the content, used for semantic retrieval */
+  embedding?: number[];
+  /**
+   * Message this one follows in its branch of the conversation. Messages saved
+   * without one follow the message before them; an empty string marks a message
+   * that starts the conversation.
+   */
+  parentId?: string;
+  /** Structured content (text, images and files) when the message is more than text */
+  parts?: ContentPart[];
+  /** Tools an assistant message asks to call */
+  toolCalls?: ToolCall[];
+  /** Tool call a `tool` message answers */
+  toolCallId?: string;
+}
+
+/**
+ * Hierarchical scope, from the broadest level (tenant) to the narrowest (story).
+ * Levels may be omitted; an empty scope is global.
+ */
+export interface MemoryScope {
+  tenant?: string;
+  project?: string;
+  user?: string;
+  story?: string;
 }
 
+/**
+ * How a scope filter matches: only the scope itself, the scope plus all of
+ * its parents (roll-up), or the scope plus everything beneath it
+ */
+export type ScopeMode = 'exact' | 'ancestors' | 'descendants';
+
 export interface ConversationSession {
   id: string;
   title?: string;
+  scope?: MemoryScope;
   createdAt: Date;
   updatedAt: Date;
   messageCount: number;
   metadata?: Record<string, any>;
 }
 
+/**
+ * Kind of a structured memory record. The built-in kinds cover the common
+ * cases; any other string can be used for custom kinds.
+ */
+export type MemoryRecordKind = 'fact' | 'preference' | 'pattern' | 'feedback' | (string & {});
+
+/**
+ * Structured piece of knowledge stored next to conversation messages.
+ * Records are unique per (scope, sessionId, kind, key); saving the same key again updates the record.
+ */
+export interface MemoryRecord {
+  id: string;
+  kind: MemoryRecordKind;
+  key: string;
+  value: any;
+  tags?: string[];
+  /** Confidence between 0 and 1 */
+  confidence?: number;
+  /** Message this record was derived from */
+  sourceMessageId?: string;
+  /** Session the record belongs to */
+  sessionId?: string;
+  /** Scope the record belongs to; omit for global records */
+  scope?: MemoryScope;
+  createdAt: Date;
+  updatedAt: Date;
+  metadata?: Record<string, any>;
+}
+
+export type MemoryRecordInput = Omit<MemoryRecord, 'id' | 'createdAt' | 'updatedAt'>;
+
+export interface MemoryRecordQueryOptions {
+  kind?: MemoryRecordKind;
+  key?: string;
+  sessionId?: string;
+  scope?: MemoryScope;
+  /** How `scope` matches (default 'exact') */
+  scopeMode?: ScopeMode;
+  /** Only records carrying all of these tags */
+  tags?: string[];
+  minConfidence?: number;
+  limit?: number;
+  offset?: number;
+}
+
+export interface Entity {
+  name: string;
+  /** Entity type, e.g. person, service, component, jira_issue */
+  type?: string;
+  aliases?: string[];
+  description?: string;
+  attributes?: Record<string, any>;
+  /** Messages the entity was extracted from */
+  sourceMessageIds: string[];
+}
+
+export interface EntityRelation {
+  subject: string;
+  predicate: string;
+  object: string;
+  /** Messages the relation was extracted from */
+  sourceMessageIds: string[];
+}
+
+export interface EntityKnowledge {
+  entity: Entity;
+  /** Relations in which the entity is the subject or the object */
+  relations: EntityRelation[];
+}
+
+export interface EntityExtractionResult {
+  entities: Array<Omit<Entity, 'sourceMessageIds'>>;
+  relations: Array<Omit<EntityRelation, 'sourceMessageIds'>>;
+}
+
+export interface SessionSummary {
+  /** Running summary text */
+  text: string;
+  /** ID of the newest message folded into the summary */
+  lastMessageId: string;
+  /** Timestamp (ISO) of the newest message folded into the summary */
+  lastTimestamp: string;
+  /** Number of messages folded into the summary so far */
+  summarizedCount: number;
+  /** When the summary was last updated (ISO) */
+  updatedAt: string;
+}
+
 export interface MemoryConfig {
-  type: 'local' | 's3' | 'dynamodb';
-  options: LocalStorageConfig | S3StorageConfig | DynamoDBStorageConfig;
+  type: 'local' | 's3' | 'dynamodb' | 'sqlite' | 'postgres' | 'redis' | 'memory';
+  options:
+    | LocalStorageConfig
+    | S3StorageConfig
+    | DynamoDBStorageConfig
+    | SqliteStorageConfig
+    | PostgresStorageConfig
+    | RedisStorageConfig
+    | InMemoryStorageConfig;
+  /** Embedding model; when set, saved messages are embedded for semantic retrieval */
+  embeddings?: IEmbeddings;
+  /** How long messages and sessions are kept; nothing is pruned without it */
+  retention?: RetentionPolicy;
+  /** Encrypt message content, session titles and metadata, and record values client-side */
+  encryption?: EncryptionConfig;
+  /** Redact secrets and personal data from messages before they are stored */
+  redaction?: RedactionConfig;
+  /** Plugins with hooks around memory operations, in the order they run (after redaction) */
+  plugins?: IMemoryPlugin[];
+}
+
+/**
+ * What happens to a detected value: replaced by a `[REDACTED:<type>]` marker,
+ * removed without a trace, or replaced by a token that the vault can resolve
+ */
+export type RedactionMode = 'mask' | 'drop' | 'tokenize';
+
+export type BuiltInDetector = 'email' | 'phone' | 'creditCard' | 'awsKey' | 'jwt' | 'privateKey' | 'connectionString';
+
+/** Custom redactor; give either a pattern or a detect function */
+export interface Redactor {
+  /** Type used in markers, tokens and reports */
+  name: string;
+  pattern?: RegExp;
+  /** Character ranges (end exclusive) of the values to redact */
+  detect?: (text: string) => Array<{ start: number; end: number }>;
+  /** Overrides the pipeline mode for this redactor */
+  mode?: RedactionMode;
+}
+
+export interface RedactionConfig {
+  /** Built-in detectors to run (default: all of them) */
+  detectors?: BuiltInDetector[];
+  /** Custom redactors, run after the built-in detectors */
+  redactors?: Redactor[];
+  /** Default mode (default 'mask') */
+  mode?: RedactionMode;
+  /** Per-detector modes, e.g. `{ privateKey: 'drop', email: 'tokenize' }` */
+  modes?: Partial<Record<BuiltInDetector, RedactionMode>>;
+  /** Where tokenised values are kept, apart from the conversation data; required for 'tokenize' */
+  vault?: ITokenVault;
+  /** Roles whose messages are redacted (default: all) */
+  roles?: Array<ConversationMessage['role']>;
+}
+
+export interface RedactionFinding {
+  /** Detector or redactor name */
+  type: string;
+  mode: RedactionMode;
+  /** Token that replaced the value, for 'tokenize' */
+  token?: string;
+}
+
+/** Attached to the metadata of redacted messages */
+export interface RedactionReport {
+  redactedAt: string;
+  findings: RedactionFinding[];
+}
+
+export interface EncryptionConfig {
+  /** Wraps the per-session data keys, e.g. `LocalKeyProvider` or `KmsKeyProvider` */
+  keyProvider: IKeyProvider;
+}
+
+/** Retention override for the messages of one role */
+export interface RetentionRule {
+  /** Delete messages older than this many milliseconds (overrides `maxMessageAgeMs`) */
+  maxAgeMs?: number;
+  /** Never delete these messages; they do not count towards `maxMessagesPerSession` either */
+  keepForever?: boolean;
+}
+
+export interface RetentionPolicy {
+  /** Delete messages older than this many milliseconds */
+  maxMessageAgeMs?: number;
+  /** Keep only the newest N messages of each session */
+  maxMessagesPerSession?: number;
+  /** Keep only the N most recently updated sessions; older sessions are deleted */
+  maxSessions?: number;
+  /** Per-role overrides, e.g. `{ system: { keepForever: true } }` */
+  roles?: Partial<Record<ConversationMessage['role'], RetentionRule>>;
+  /** Apply the policy on this interval (milliseconds), for backends without native expiry */
+  pruneIntervalMs?: number;
+  /** Called when a scheduled run fails */
+  onPruneError?: (error: unknown) => void;
+}
+
+export interface RetentionOptions {
+  /** Only report what would be removed */
+  dryRun?: boolean;
+  /** Reference time for message ages (defaults to now) */
+  now?: Date;
+}
+
+export interface RetentionReport {
+  dryRun: boolean;
+  /** Messages removed (or to be removed), including those of removed sessions */
+  messageIds: string[];
+  /** Sessions removed entirely */
+  sessionIds: string[];
 }
 
 export interface LocalStorageConfig {
   filePath: string;
   encoding?: 'utf8' | 'utf16le' | 'latin1';
   prettyPrint?: boolean;
+  /** Where to keep the full-text search index (defaults to `<file>.index.json`) */
+  indexPath?: string;
+  /** Append mutations to a journal instead of rewriting the whole file on every write */
+  journal?: boolean;
+  /** Where to keep the journal (defaults to `<file>.journal.jsonl`) */
+  journalPath?: string;
+  /** Number of journal entries after which the journal is folded into the file (default 1000) */
+  compactThreshold?: number;
+  /** How long a write waits for another process's lock before failing (default 10s) */
+  lockTimeoutMs?: number;
+  /** Time without a refresh after which a lock file is considered abandoned and broken (default 30s) */
+  staleLockMs?: number;
 }
 
 export interface S3StorageConfig {
@@ -35,6 +306,10 @@ export interface S3StorageConfig {
   sessionToken?: string;
   prefix?: string;
   encryption?: 'AES256' | 'aws:kms';
+  /** Conflicting conditional writes to retry before giving up (default 5) */
+  maxRetries?: number;
+  /** Existing client to use instead of creating one (e.g. a mocked client in tests) */
+  client?: S3Client;
 }
 
 export interface DynamoDBStorageConfig {
@@ -44,21 +319,193 @@ export interface DynamoDBStorageConfig {
   secretAccessKey?: string;
   sessionToken?: string;
   endpoint?: string;
+  /** Global secondary index used for scoped lookups (defaults to `ScopeIndex`) */
+  scopeIndexName?: string;
+  /** Global secondary index for messages and records by id (defaults to `IdIndex`) */
+  idIndexName?: string;
+  /** Global secondary index for sessions and records by last update (defaults to `UpdatedIndex`) */
+  updatedIndexName?: string;
+  /**
+   * Partitions the session list in the updated index is spread over (default 16);
+   * keep it unchanged once sessions have been written
+   */
+  sessionListShards?: number;
+  /** Existing client to use instead of creating one */
+  client?: DynamoDBClient;
+  /** Policy used for the TTL attribute of messages (taken from `MemoryConfig.retention`) */
+  retention?: RetentionPolicy;
+}
+
+export interface SqliteStorageConfig {
+  /** Database file, or `:memory:` for a throwaway database */
+  filePath: string;
+  /** Use write-ahead logging (default true) */
+  walMode?: boolean;
+}
+
+export interface PostgresStorageConfig {
+  connectionString?: string;
+  host?: string;
+  port?: number;
+  database?: string;
+  user?: string;
+  password?: string;
+  ssl?: boolean;
+  /** Maximum number of pooled connections (default 10) */
+  max?: number;
+  idleTimeoutMillis?: number;
+  connectionTimeoutMillis?: number;
+  /** Prefix of the tables created by the storage (default `memory_`) */
+  tablePrefix?: string;
+  /** Existing pool to use instead of creating one (e.g. a pg-mem adapter in tests) */
+  pool?: Pool;
+}
+
+export interface RedisStorageConfig {
+  /** Connection URL, e.g. `redis://localhost:6379/0` (takes precedence over host/port) */
+  url?: string;
+  host?: string;
+  port?: number;
+  password?: string;
+  db?: number;
+  /** Prefix of every key, e.g. one per tenant (default `langchain-memory:`) */
+  keyPrefix?: string;
+  /** Expire a session and its messages this many seconds after their last write */
+  sessionTtlSeconds?: number;
+  /** Expire each record this many seconds after its last write */
+  recordTtlSeconds?: number;
+  /** Existing client to use instead of connecting (e.g. ioredis-mock in tests) */
+  client?: Redis;
 }
 
+/** The in-memory backend takes no options */
+export type InMemoryStorageConfig = Record<string, never>;
+
 export interface MemoryQueryOptions {
   sessionId?: string;
   limit?: number;
   offset?: number;
   startDate?: Date;
   endDate?: Date;
-  role?: 'user' | 'assistant' | 'system';
+  role?: ConversationMessage['role'];
+  /** Only messages of sessions in this scope */
+  scope?: MemoryScope;
+  /** How `scope` matches (default 'exact') */
+  scopeMode?: ScopeMode;
+  /**
+   * Full-text query; results are ordered by relevance instead of timestamp.
+   * Supports plain terms, "quoted phrases" and prefix* terms.
+   */
+  query?: string;
+  /** `nextCursor` of the previous page; takes precedence over `offset` */
+  cursor?: string;
+  /** Timestamp order (default 'asc'); ignored for full-text queries */
+  order?: 'asc' | 'desc';
+}
+
+export interface SessionQueryOptions {
+  scope?: MemoryScope;
+  /** How `scope` matches (default 'exact') */
+  scopeMode?: ScopeMode;
+}
+
+export interface HistoryLoadOptions {
+  /** Keep only the most recent N messages */
+  lastMessages?: number;
+  /** Keep only the most recent K turns; a turn starts at a user message */
+  lastTurns?: number;
+  /** Keep only the most recent messages that fit in this many tokens */
+  maxTokens?: number;
+  /** Token counter used for maxTokens (defaults to a character-based estimate) */
+  tokenCounter?: ITokenCounter;
+  /** Always keep system messages, regardless of the window or token budget */
+  keepSystemMessages?: boolean;
+}
+
+export interface MemorySearchMatch {
+  messageId: string;
+  /** BM25 relevance score */
+  score: number;
+  /** Excerpt of the content with matches wrapped in ** markers */
+  snippet: string;
+  /** Character ranges of the matched terms in the message content */
+  highlights: Array<{ start: number; end: number }>;
 }
 
 export interface MemorySearchResult {
   messages: ConversationMessage[];
   total: number;
   hasMore: boolean;
+  /** Relevance details, parallel to messages; only set for full-text queries */
+  matches?: MemorySearchMatch[];
+  /** Pass as `cursor` with the same options to get the next page; set while `hasMore` */
+  nextCursor?: string;
+}
+
+export interface RetrievalOptions {
+  /** Number of messages to return (default 4) */
+  k?: number;
+  sessionId?: string;
+  role?: ConversationMessage['role'];
+  /** Drop results with a cosine similarity below this value */
+  minScore?: number;
+}
+
+export interface RetrievedMessage {
+  message: ConversationMessage;
+  /** Cosine similarity to the query */
+  score: number;
+}
+
+export type ExportFormat = 'jsonl' | 'openai' | 'langchain' | 'csv' | 'markdown';
+
+/** Markdown transcripts are export-only */
+export type ImportFormat = Exclude<ExportFormat, 'markdown'>;
+
+export interface ExportOptions {
+  /**
+   * Output format (default 'jsonl'):
+   * - `jsonl`: lossless, one session, message or record per line
+   * - `openai`: one `{"messages": [...]}` chat completions line per session, as used for fine-tuning
+   * - `langchain`: JSON object of session id to LangChain `StoredMessage` arrays
+   * - `csv`: one row per message
+   * - `markdown`: human-readable transcripts
+   */
+  format?: ExportFormat;
+  sessionId?: string;
+  scope?: MemoryScope;
+  scopeMode?: ScopeMode;
+  startDate?: Date;
+  endDate?: Date;
+  role?: ConversationMessage['role'];
+  /** Include memory records in JSONL exports (default true) */
+  includeRecords?: boolean;
+}
+
+export interface ImportOptions {
+  /** Input format (default 'jsonl') */
+  format?: ImportFormat;
+  /** Session for conversations that carry no session id; by default each gets a new session */
+  sessionId?: string;
+}
+
+export interface TransferCounts {
+  sessions: number;
+  messages: number;
+  records: number;
+}
+
+export interface MigrationProgress extends TransferCounts {
+  /** Number of sessions in the source */
+  totalSessions: number;
+  /** Session being copied */
+  sessionId?: string;
+}
+
+export interface MigrationOptions {
+  /** Messages read and written per batch (default 100) */
+  pageSize?: number;
+  onProgress?: (progress: MigrationProgress) => void;
 }
 
 export interface MemoryStats {
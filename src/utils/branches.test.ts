@@ -0,0 +1,44 @@
+import { ConversationMessage } from '../types';
+import { branchHead, branchMessages, messageParents, messageVersions, ROOT_PARENT_ID } from './branches';
+
+function message(id: string, minute: number, parentId?: string): ConversationMessage {
+  return { id, sessionId: 's1', role: 'user', content: id, parentId, timestamp: new Date(Date.UTC(2024, 0, 1, 0, minute)) };
+}
+
+const ids = (messages: ConversationMessage[] | undefined) => (messages || []).map(m => m.id);
+
+describe('branches', () => {
+  // q1 - a1 - q2 - a2        (original)
+  //        \ - q2b - a2b     (edit of q2)
+  //   q1b                    (edit of the first message)
+  const messages = [
+    message('q1', 0),
+    message('a1', 1, 'q1'),
+    message('q2', 2, 'a1'),
+    message('a2', 3, 'q2'),
+    message('q2b', 4, 'a1'),
+    message('a2b', 5, 'q2b'),
+    message('q1b', 6, ROOT_PARENT_ID)
+  ];
+
+  it('follows the previous message when there is no parent or it was deleted', () => {
+    const parents = messageParents([message('m1', 0), message('m2', 1), message('m3', 2, 'deleted'), message('m4', 3, ROOT_PARENT_ID)]);
+    expect([...parents]).toEqual([['m1', undefined], ['m2', 'm1'], ['m3', 'm2'], ['m4', undefined]]);
+  });
+
+  it('finds the versions of a message', () => {
+    expect(ids(messageVersions(messages, 'q2b'))).toEqual(['q2', 'q2b']);
+    expect(ids(messageVersions(messages, 'q1'))).toEqual(['q1', 'q1b']);
+    expect(messageVersions(messages, 'missing')).toEqual([]);
+  });
+
+  it('runs a branch from the root to the newest descendant of a message', () => {
+    expect(branchHead(messages, 'q2')?.id).toBe('a2');
+    expect(branchHead(messages, 'a1')?.id).toBe('a2b');
+    expect(ids(branchMessages(messages, 'q2'))).toEqual(['q1', 'a1', 'q2', 'a2']);
+    expect(ids(branchMessages(messages, 'q2b'))).toEqual(['q1', 'a1', 'q2b', 'a2b']);
+    // Without a message, the branch of the newest message
+    expect(ids(branchMessages(messages))).toEqual(['q1b']);
+    expect(branchMessages([])).toEqual([]);
+  });
+});
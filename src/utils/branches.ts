@@ -0,0 +1,189 @@
+import { IMemoryStorage } from '../interfaces/MemoryInterface';
+import { ConversationMessage, ConversationSession } from '../types';
+
+/**
+ * Key under which the selected branch of a session is stored in its metadata
+ */
+export const BRANCH_METADATA_KEY = 'activeBranch';
+
+/**
+ * Key under which a session with a selected branch keeps the id of that branch's
+ * most recent message, so that new messages can follow it without loading the session
+ */
+export const BRANCH_HEAD_METADATA_KEY = 'activeBranchHead';
+
+/**
+ * `parentId` of a message that starts the conversation although others came before it,
+ * such as a new version of the first message
+ */
+export const ROOT_PARENT_ID = '';
+
+/**
+ * Parent of each message. Messages saved without a `parentId` (before branching
+ * existed, or by writers that do not track branches) follow the message before
+ * them, as do messages whose parent has been deleted.
+ * Messages must be in timestamp order.
+ */
+export function messageParents(messages: ConversationMessage[]): Map<string, string | undefined> {
+  const ids = new Set(messages.map(message => message.id));
+  const parents = new Map<string, string | undefined>();
+
+  messages.forEach((message, i) => {
+    if (message.parentId === ROOT_PARENT_ID) {
+      parents.set(message.id, undefined);
+    } else {
+      parents.set(message.id, message.parentId && ids.has(message.parentId) ? message.parentId : messages[i - 1]?.id);
+    }
+  });
+  return parents;
+}
+
+/**
+ * Messages that share a parent with the given message (including itself), oldest
+ * first: the versions of an edited message or the regenerations of a reply
+ */
+export function messageVersions(messages: ConversationMessage[], messageId: string): ConversationMessage[] {
+  const parents = messageParents(messages);
+  if (!parents.has(messageId)) return [];
+
+  const parentId = parents.get(messageId);
+  return messages.filter(message => parents.get(message.id) === parentId);
+}
+
+/**
+ * Most recent message of the branch through `messageId`: the newest message among
+ * it and its descendants. Without a message id, the newest message of all.
+ */
+export function branchHead(messages: ConversationMessage[], messageId?: string): ConversationMessage | undefined {
+  if (!messageId || !messages.some(message => message.id === messageId)) {
+    return messages[messages.length - 1];
+  }
+
+  const parents = messageParents(messages);
+  const inBranch = new Set([messageId]);
+  let head = messages.find(message => message.id === messageId);
+
+  // Parents always come before their children, so one pass in timestamp order finds every descendant
+  for (const message of messages) {
+    const parentId = parents.get(message.id);
+    if (parentId && inBranch.has(parentId)) {
+      inBranch.add(message.id);
+      head = message;
+    }
+  }
+  return head;
+}
+
+/**
+ * Messages from the root of the conversation down to the given message, in conversation order
+ */
+export function messagePath(messages: ConversationMessage[], messageId: string): ConversationMessage[] {
+  const parents = messageParents(messages);
+  const byId = new Map(messages.map(message => [message.id, message]));
+  const path: ConversationMessage[] = [];
+  const seen = new Set<string>();
+
+  // Guard against parent links that loop back, which only corrupted data can contain
+  for (let current = byId.get(messageId); current && !seen.has(current.id); current = byId.get(parents.get(current.id)!)) {
+    seen.add(current.id);
+    path.push(current);
+  }
+  return path.reverse();
+}
+
+/**
+ * Messages from the root of the conversation down to the head of the branch through
+ * `messageId` (the newest message of all without one), in conversation order
+ */
+export function branchMessages(messages: ConversationMessage[], messageId?: string): ConversationMessage[] {
+  const head = branchHead(messages, messageId);
+  return head ? messagePath(messages, head.id) : [];
+}
+
+/**
+ * Messages of the branch selected for a session (its most recent branch until one is selected)
+ */
+export function activeBranch(messages: ConversationMessage[], session: ConversationSession | null): ConversationMessage[] {
+  return branchMessages(messages, session?.metadata?.[BRANCH_METADATA_KEY]);
+}
+
+/**
+ * Load the messages of a session's active branch
+ */
+export async function loadActiveBranch(storage: IMemoryStorage, sessionId: string): Promise<ConversationMessage[]> {
+  const [session, { messages }] = await Promise.all([
+    storage.getSession(sessionId),
+    storage.getMessages({ sessionId })
+  ]);
+  return activeBranch(messages, session);
+}
+
+/**
+ * Id of the message a new message in the session should follow: the head of the
+ * active branch, as recorded in the session. Unbranched sessions only need their
+ * newest message.
+ */
+export async function activeBranchHead(storage: IMemoryStorage, sessionId: string): Promise<string | undefined> {
+  const session = await storage.getSession(sessionId);
+  const selected: string | undefined = session?.metadata?.[BRANCH_METADATA_KEY];
+  const head: string | undefined = session?.metadata?.[BRANCH_HEAD_METADATA_KEY];
+
+  if (head) return head;
+  if (!selected) {
+    const { messages } = await storage.getMessages({ sessionId, order: 'desc', limit: 1 });
+    return messages[0]?.id;
+  }
+
+  // Branches selected by earlier versions have no head recorded
+  const { messages } = await storage.getMessages({ sessionId });
+  return branchHead(messages, selected)?.id;
+}
+
+/**
+ * Record saved messages as the head of the session's active branch when they
+ * continue it. Sessions without a selected branch follow their newest message
+ * and are left as they are.
+ */
+export async function advanceBranchHead(
+  storage: IMemoryStorage,
+  sessionId: string,
+  messages: ConversationMessage[]
+): Promise<void> {
+  const session = await storage.getSession(sessionId);
+  if (!session?.metadata?.[BRANCH_METADATA_KEY]) return;
+
+  const recorded: string | undefined = session.metadata[BRANCH_HEAD_METADATA_KEY];
+  let head = recorded;
+  if (head === undefined) {
+    head = await activeBranchHead(storage, sessionId);
+  } else {
+    for (const message of messages) {
+      if (message.parentId === head) head = message.id;
+    }
+  }
+
+  if (head !== recorded) {
+    await storage.updateSession(sessionId, {
+      metadata: { ...session.metadata, [BRANCH_HEAD_METADATA_KEY]: head }
+    });
+  }
+}
+
+/**
+ * Select the branch through `messageId` as the session's active branch. The
+ * branch's head is looked up unless given, e.g. for a message that was just saved.
+ */
+export async function selectBranch(
+  storage: IMemoryStorage,
+  sessionId: string,
+  messageId: string,
+  headId?: string
+): Promise<void> {
+  const [session, head] = await Promise.all([
+    storage.getSession(sessionId),
+    headId ?? storage.getMessages({ sessionId }).then(({ messages }) => branchHead(messages, messageId)?.id)
+  ]);
+  await storage.updateSession(sessionId, {
+    metadata: { ...session?.metadata, [BRANCH_METADATA_KEY]: messageId, [BRANCH_HEAD_METADATA_KEY]: head }
+  });
+}
@@ -0,0 +1,15 @@
+import { ContentPart, ConversationMessage } from '../types';
+
+/**
+ * Text of structured content: its text parts, one per line
+ */
+export function partsText(parts: ContentPart[]): string {
+  return parts.flatMap(part => part.type === 'text' ? [part.text] : []).join('\n');
+}
+
+/**
+ * `content` and `parts` of a message holding plain text or structured content
+ */
+export function messageContent(content: string | ContentPart[]): Pick<ConversationMessage, 'content' | 'parts'> {
+  return typeof content === 'string' ? { content } : { content: partsText(content), parts: content };
+}
@@ -0,0 +1,205 @@
+import { IMemoryStorage } from '../interfaces/MemoryInterface';
+import { ConversationMessage, MemoryQueryOptions, MemorySearchMatch, MemorySearchResult } from '../types';
+
+/**
+ * Where the next page starts: after the message at (`timestamp`, `key`) in
+ * timestamp order, where `key` is whatever breaks timestamp ties in the
+ * backend (message id, row id, ...), or at `offset` in relevance order.
+ * Backends that merge sessions page by page also carry the `total` counted
+ * for the first page, instead of counting again.
+ */
+export type CursorPosition =
+  | KeysetPosition
+  | { offset: number };
+
+export interface KeysetPosition {
+  timestamp: number;
+  key: string | number;
+  total?: number;
+}
+
+/**
+ * Messages of one session (or shard) of a query, in page order
+ */
+export interface MessageSource {
+  /** Time range of all its messages, when known without reading them */
+  span?: { first: number; last: number };
+  /** Up to `count` matching messages following `after` (from the start when not given) */
+  read(after: KeysetPosition | undefined, count: number): Promise<ConversationMessage[]>;
+}
+
+export function encodeCursor(position: CursorPosition): string {
+  return Buffer.from(JSON.stringify(position), 'utf8').toString('base64url');
+}
+
+export function decodeCursor(cursor: string): CursorPosition {
+  let position: any;
+  try {
+    position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch {
+    position = undefined;
+  }
+
+  const isKeyset = typeof position?.timestamp === 'number' &&
+    (typeof position.key === 'string' || typeof position.key === 'number');
+  const isOffset = typeof position?.offset === 'number';
+  if (!isKeyset && !isOffset) {
+    throw new Error(`Invalid cursor: ${cursor}`);
+  }
+  return position;
+}
+
+/**
+ * Decode a keyset cursor; ranked queries page by offset instead
+ */
+export function decodeKeysetCursor(cursor: string): KeysetPosition {
+  const position = decodeCursor(cursor);
+  if (!('timestamp' in position)) {
+    throw new Error('Cursor from a full-text query cannot be used without the query');
+  }
+  return position;
+}
+
+/**
+ * Sort by timestamp, keeping the existing order of equal timestamps
+ * (reversed when descending)
+ */
+export function sortMessages(messages: ConversationMessage[], order: 'asc' | 'desc' = 'asc'): ConversationMessage[] {
+  messages.sort((a, b) => a.timestamp.getTime() - b.timestamp.getTime());
+  return order === 'desc' ? messages.reverse() : messages;
+}
+
+/**
+ * Order of messages in a page: by timestamp, then by id, both reversed when descending
+ */
+export function compareMessages(order: 'asc' | 'desc' = 'asc'): (a: ConversationMessage, b: ConversationMessage) => number {
+  const direction = order === 'desc' ? -1 : 1;
+  return (a, b) => direction * (a.timestamp.getTime() - b.timestamp.getTime() || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+}
+
+/**
+ * Whether a message comes after a cursor position in `compareMessages` order.
+ * Still works when the message at the position has been deleted.
+ */
+export function isAfter(message: ConversationMessage, position: KeysetPosition, order: 'asc' | 'desc' = 'asc'): boolean {
+  const key = String(position.key);
+  const difference = message.timestamp.getTime() - position.timestamp ||
+    (message.id < key ? -1 : message.id > key ? 1 : 0);
+  return (order === 'desc' ? -difference : difference) > 0;
+}
+
+/**
+ * Cut one page out of messages that are already filtered and ordered (by
+ * relevance for full-text queries, otherwise by `sortMessages`). Pages
+ * continue from `options.cursor` when given, else from `options.offset`.
+ */
+export function paginateMessages(
+  messages: ConversationMessage[],
+  options: MemoryQueryOptions,
+  matches?: MemorySearchMatch[]
+): MemorySearchResult {
+  const total = messages.length;
+  const start = options.cursor ? cursorStart(messages, options) : options.offset || 0;
+  const limit = options.limit || total;
+  const end = start + limit;
+
+  const page = messages.slice(start, end);
+  const hasMore = end < total;
+  const last = page[page.length - 1];
+
+  return {
+    messages: page,
+    total,
+    hasMore,
+    matches: matches?.slice(start, end),
+    nextCursor: hasMore && last
+      ? encodeCursor(options.query ? { offset: end } : { timestamp: last.timestamp.getTime(), key: last.id })
+      : undefined
+  };
+}
+
+function cursorStart(messages: ConversationMessage[], options: MemoryQueryOptions): number {
+  const position = options.query ? decodeCursor(options.cursor!) : decodeKeysetCursor(options.cursor!);
+  if ('offset' in position) return position.offset;
+
+  const index = messages.findIndex(m => m.id === position.key && m.timestamp.getTime() === position.timestamp);
+  if (index >= 0) return index + 1;
+
+  // The cursor message is gone; continue with the first message past its timestamp
+  const descending = options.order === 'desc';
+  const next = messages.findIndex(m => descending
+    ? m.timestamp.getTime() < position.timestamp
+    : m.timestamp.getTime() > position.timestamp);
+  return next >= 0 ? next : messages.length;
+}
+
+/**
+ * One page in timestamp order, merged from per-session sources. Each source
+ * is asked only for the messages that can still make it into the page, and
+ * sources whose span starts after the page is full are not read at all, so a
+ * page costs about the same however far into the results it is. `countTotal`
+ * is only called for the first page; later pages take the total from the cursor.
+ */
+export async function paginateSources(
+  sources: MessageSource[],
+  options: MemoryQueryOptions,
+  countTotal: () => Promise<number>
+): Promise<MemorySearchResult> {
+  const descending = options.order === 'desc';
+  const compare = compareMessages(options.order);
+  const position = options.cursor ? decodeKeysetCursor(options.cursor) : undefined;
+  const start = position ? 0 : options.offset || 0;
+  // One message past the page tells whether there is a next one
+  const wanted = options.limit ? start + options.limit + 1 : Infinity;
+
+  // Distance of a timestamp from the start of the results
+  const rank = (timestamp: number) => descending ? -timestamp : timestamp;
+  const firstRank = (source: MessageSource) =>
+    source.span ? rank(descending ? source.span.last : source.span.first) : -Infinity;
+  const lastRank = (source: MessageSource) =>
+    source.span ? rank(descending ? source.span.first : source.span.last) : Infinity;
+
+  const pending = sources
+    .filter(source => !position || lastRank(source) >= rank(position.timestamp))
+    .sort((a, b) => firstRank(a) - firstRank(b));
+
+  let collected: ConversationMessage[] = [];
+  for (const source of pending) {
+    const full = collected[wanted - 1];
+    // The rest start later still, so none of them can make it into the page
+    if (full && firstRank(source) > rank(full.timestamp.getTime())) break;
+    collected = [...collected, ...await source.read(position, wanted)].sort(compare).slice(0, wanted);
+  }
+
+  const messages = collected.slice(start, options.limit ? start + options.limit : undefined);
+  const hasMore = collected.length > start + messages.length;
+  const total = position?.total ?? await countTotal();
+  const last = messages[messages.length - 1];
+
+  return {
+    messages,
+    total,
+    hasMore,
+    nextCursor: hasMore && last
+      ? encodeCursor({ timestamp: last.timestamp.getTime(), key: last.id, total })
+      : undefined
+  };
+}
+
+/**
+ * Stream the messages matching a query from a storage, one page of `pageSize`
+ * (default 100) at a time, following cursors
+ */
+export async function* iterateMessages(
+  storage: IMemoryStorage,
+  options: MemoryQueryOptions & { pageSize?: number } = {}
+): AsyncGenerator<ConversationMessage> {
+  const { pageSize = 100, ...query } = options;
+  let cursor = query.cursor;
+
+  do {
+    const page = await storage.getMessages({ ...query, limit: pageSize, cursor });
+    yield* page.messages;
+    cursor = page.nextCursor;
+  } while (cursor);
+}
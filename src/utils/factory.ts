@@ -1,5 +1,5 @@
 import { MemoryManager } from '../MemoryManager';
-import { MemoryConfig } from '../types';
+import { MemoryConfig, PostgresStorageConfig, RedisStorageConfig } from '../types';
 
 /**
  * Create a memory manager with local file storage
@@ -7,13 +7,17 @@ import { MemoryConfig } from '../types';
 export function createLocalMemoryManager(filePath: string, options?: {
   encoding?: 'utf8' | 'utf16le' | 'latin1';
   prettyPrint?: boolean;
+  journal?: boolean;
+  compactThreshold?: number;
 }): MemoryManager {
   const config: MemoryConfig = {
     type: 'local',
     options: {
       filePath,
       encoding: options?.encoding || 'utf8',
-      prettyPrint: options?.prettyPrint || false
+      prettyPrint: options?.prettyPrint || false,
+      journal: options?.journal || false,
+      compactThreshold: options?.compactThreshold
     }
   };
 
@@ -71,57 +75,171 @@ export function createDynamoDBMemoryManager(tableName: string, region: string, o
 }
 
 /**
- * Create a memory manager from environment variables
+ * Create a memory manager with SQLite storage
  */
-export function createMemoryManagerFromEnv(): MemoryManager {
-  const storageType = process.env.MEMORY_STORAGE_TYPE || 'local';
+export function createSqliteMemoryManager(filePath: string, options?: {
+  walMode?: boolean;
+}): MemoryManager {
+  const config: MemoryConfig = {
+    type: 'sqlite',
+    options: {
+      filePath,
+      walMode: options?.walMode
+    }
+  };
+
+  return new MemoryManager(config);
+}
+
+/**
+ * Create a memory manager with PostgreSQL storage
+ */
+export function createPostgresMemoryManager(
+  connectionString: string,
+  options?: Omit<PostgresStorageConfig, 'connectionString'>
+): MemoryManager {
+  const config: MemoryConfig = {
+    type: 'postgres',
+    options: {
+      ...options,
+      connectionString
+    }
+  };
+
+  return new MemoryManager(config);
+}
+
+/**
+ * Create a memory manager with Redis storage
+ */
+export function createRedisMemoryManager(
+  url: string,
+  options?: Omit<RedisStorageConfig, 'url'>
+): MemoryManager {
+  const config: MemoryConfig = {
+    type: 'redis',
+    options: {
+      ...options,
+      url
+    }
+  };
+
+  return new MemoryManager(config);
+}
+
+/**
+ * Create a memory manager whose storage lives only in memory (for tests)
+ */
+export function createInMemoryMemoryManager(): MemoryManager {
+  return new MemoryManager({ type: 'memory', options: {} });
+}
+
+/**
+ * Build a memory config from environment variables (see `createMemoryManagerFromEnv`)
+ */
+export function memoryConfigFromEnv(env: NodeJS.ProcessEnv = process.env): MemoryConfig {
+  const storageType = env.MEMORY_STORAGE_TYPE || 'local';
 
   switch (storageType) {
     case 'local':
-      return createLocalMemoryManager(
-        process.env.MEMORY_FILE_PATH || './memory.json',
-        {
-          encoding: (process.env.MEMORY_FILE_ENCODING as any) || 'utf8',
-          prettyPrint: process.env.MEMORY_FILE_PRETTY_PRINT === 'true'
+      return {
+        type: 'local',
+        options: {
+          filePath: env.MEMORY_FILE_PATH || './memory.json',
+          encoding: (env.MEMORY_FILE_ENCODING as any) || 'utf8',
+          prettyPrint: env.MEMORY_FILE_PRETTY_PRINT === 'true',
+          journal: env.MEMORY_FILE_JOURNAL === 'true',
+          compactThreshold: env.MEMORY_FILE_COMPACT_THRESHOLD
+            ? parseInt(env.MEMORY_FILE_COMPACT_THRESHOLD, 10)
+            : undefined
         }
-      );
+      };
 
     case 's3':
-      if (!process.env.MEMORY_S3_BUCKET || !process.env.MEMORY_S3_REGION) {
+      if (!env.MEMORY_S3_BUCKET || !env.MEMORY_S3_REGION) {
         throw new Error('S3 storage requires MEMORY_S3_BUCKET and MEMORY_S3_REGION environment variables');
       }
-      return createS3MemoryManager(
-        process.env.MEMORY_S3_BUCKET,
-        process.env.MEMORY_S3_REGION,
-        {
-          accessKeyId: process.env.MEMORY_S3_ACCESS_KEY_ID,
-          secretAccessKey: process.env.MEMORY_S3_SECRET_ACCESS_KEY,
-          sessionToken: process.env.MEMORY_S3_SESSION_TOKEN,
-          prefix: process.env.MEMORY_S3_PREFIX,
-          encryption: (process.env.MEMORY_S3_ENCRYPTION as any)
+      return {
+        type: 's3',
+        options: {
+          bucketName: env.MEMORY_S3_BUCKET,
+          region: env.MEMORY_S3_REGION,
+          accessKeyId: env.MEMORY_S3_ACCESS_KEY_ID,
+          secretAccessKey: env.MEMORY_S3_SECRET_ACCESS_KEY,
+          sessionToken: env.MEMORY_S3_SESSION_TOKEN,
+          prefix: env.MEMORY_S3_PREFIX || 'langchain-memory',
+          encryption: (env.MEMORY_S3_ENCRYPTION as any)
         }
-      );
+      };
 
     case 'dynamodb':
-      if (!process.env.MEMORY_DYNAMODB_TABLE || !process.env.MEMORY_DYNAMODB_REGION) {
+      if (!env.MEMORY_DYNAMODB_TABLE || !env.MEMORY_DYNAMODB_REGION) {
         throw new Error('DynamoDB storage requires MEMORY_DYNAMODB_TABLE and MEMORY_DYNAMODB_REGION environment variables');
       }
-      return createDynamoDBMemoryManager(
-        process.env.MEMORY_DYNAMODB_TABLE,
-        process.env.MEMORY_DYNAMODB_REGION,
-        {
-          accessKeyId: process.env.MEMORY_DYNAMODB_ACCESS_KEY_ID,
-          secretAccessKey: process.env.MEMORY_DYNAMODB_SECRET_ACCESS_KEY,
-          sessionToken: process.env.MEMORY_DYNAMODB_SESSION_TOKEN,
-          endpoint: process.env.MEMORY_DYNAMODB_ENDPOINT
+      return {
+        type: 'dynamodb',
+        options: {
+          tableName: env.MEMORY_DYNAMODB_TABLE,
+          region: env.MEMORY_DYNAMODB_REGION,
+          accessKeyId: env.MEMORY_DYNAMODB_ACCESS_KEY_ID,
+          secretAccessKey: env.MEMORY_DYNAMODB_SECRET_ACCESS_KEY,
+          sessionToken: env.MEMORY_DYNAMODB_SESSION_TOKEN,
+          endpoint: env.MEMORY_DYNAMODB_ENDPOINT
+        }
+      };
+
+    case 'sqlite':
+      return {
+        type: 'sqlite',
+        options: {
+          filePath: env.MEMORY_SQLITE_PATH || './memory.db',
+          walMode: env.MEMORY_SQLITE_WAL !== 'false'
+        }
+      };
+
+    case 'postgres':
+      if (!env.MEMORY_POSTGRES_URL) {
+        throw new Error('PostgreSQL storage requires the MEMORY_POSTGRES_URL environment variable');
+      }
+      return {
+        type: 'postgres',
+        options: {
+          connectionString: env.MEMORY_POSTGRES_URL,
+          ssl: env.MEMORY_POSTGRES_SSL === 'true',
+          max: env.MEMORY_POSTGRES_POOL_SIZE ? parseInt(env.MEMORY_POSTGRES_POOL_SIZE, 10) : undefined,
+          tablePrefix: env.MEMORY_POSTGRES_TABLE_PREFIX
         }
-      );
+      };
+
+    case 'redis':
+      if (!env.MEMORY_REDIS_URL) {
+        throw new Error('Redis storage requires the MEMORY_REDIS_URL environment variable');
+      }
+      return {
+        type: 'redis',
+        options: {
+          url: env.MEMORY_REDIS_URL,
+          keyPrefix: env.MEMORY_REDIS_KEY_PREFIX,
+          sessionTtlSeconds: env.MEMORY_REDIS_SESSION_TTL ? parseInt(env.MEMORY_REDIS_SESSION_TTL, 10) : undefined,
+          recordTtlSeconds: env.MEMORY_REDIS_RECORD_TTL ? parseInt(env.MEMORY_REDIS_RECORD_TTL, 10) : undefined
+        }
+      };
+
+    case 'memory':
+      return { type: 'memory', options: {} };
 
     default:
       throw new Error(`Unsupported storage type: ${storageType}`);
   }
 }
 
+/**
+ * Create a memory manager from environment variables
+ */
+export function createMemoryManagerFromEnv(): MemoryManager {
+  return new MemoryManager(memoryConfigFromEnv());
+}
+
 /**
  * Generic factory function
  */
@@ -0,0 +1,45 @@
+import * as fs from 'fs-extra';
+import * as os from 'os';
+import * as path from 'path';
+import { withFileLock } from './files';
+
+describe('withFileLock', () => {
+  let dir: string;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'file-lock-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(dir);
+  });
+
+  /**
+   * Run waiters at once, failing if two of them ever hold the lock together
+   */
+  async function runExclusive(lockPath: string, waiters: number, holdMs: number, options = {}): Promise<void> {
+    let holders = 0;
+    let overlapped = false;
+    await Promise.all(Array.from({ length: waiters }, () => withFileLock(lockPath, async () => {
+      overlapped = overlapped || ++holders > 1;
+      await new Promise(resolve => setTimeout(resolve, holdMs));
+      holders--;
+    }, options)));
+    expect(overlapped).toBe(false);
+  }
+
+  it('lets only one of several waiters break a stale lock', async () => {
+    const lockPath = path.join(dir, 'data.lock');
+    await fs.writeFile(lockPath, JSON.stringify({ pid: 1, hostname: 'elsewhere', acquiredAt: '', nonce: 'old' }));
+    const past = new Date(Date.now() - 60000);
+    await fs.utimes(lockPath, past, past);
+
+    await runExclusive(lockPath, 5, 20, { retryMs: 1 });
+    expect(await fs.pathExists(lockPath)).toBe(false);
+    expect(await fs.readdir(dir)).toEqual([]);
+  });
+
+  it('keeps a lock held longer than the stale age', async () => {
+    await runExclusive(path.join(dir, 'data.lock'), 2, 400, { staleMs: 150, retryMs: 10 });
+  });
+});
@@ -0,0 +1,178 @@
+import * as fs from 'fs-extra';
+import * as os from 'os';
+import { v4 as uuidv4 } from 'uuid';
+
+export interface FileLockOptions {
+  /** How long to wait for the lock before giving up (default 10s) */
+  timeoutMs?: number;
+  /** Time without a refresh after which a lock whose owner cannot be checked is considered abandoned (default 30s) */
+  staleMs?: number;
+  /** Delay between attempts to take the lock (default 25ms) */
+  retryMs?: number;
+}
+
+interface LockOwner {
+  pid: number;
+  hostname: string;
+  acquiredAt: string;
+  /** Tells this lock apart from a later one taken by the same process */
+  nonce: string;
+}
+
+const DEFAULT_STALE_MS = 30000;
+
+/**
+ * Replace a file by writing a temporary sibling and renaming it over the
+ * target, so readers and crashes never observe a partially written file
+ */
+export async function writeFileAtomic(
+  filePath: string,
+  content: string,
+  encoding: BufferEncoding = 'utf8',
+  mode?: number
+): Promise<void> {
+  const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+  try {
+    const fd = await fs.open(tempPath, 'w', mode);
+    try {
+      await fs.writeFile(fd, content, encoding);
+      await fs.fsync(fd);
+    } finally {
+      await fs.close(fd);
+    }
+    await fs.rename(tempPath, filePath);
+  } catch (error) {
+    await fs.remove(tempPath).catch(() => undefined);
+    throw error;
+  }
+}
+
+/**
+ * Run `fn` while holding an advisory lock file. Locks left behind by a
+ * process that has exited (or that are older than `staleMs`) are broken.
+ * The lock's mtime is refreshed while `fn` runs, so a long-running holder
+ * is not mistaken for an abandoned one.
+ */
+export async function withFileLock<T>(lockPath: string, fn: () => Promise<T>, options: FileLockOptions = {}): Promise<T> {
+  const content = await acquireLock(lockPath, options);
+  const refresh = setInterval(() => {
+    const now = new Date();
+    fs.utimes(lockPath, now, now).catch(() => undefined);
+  }, (options.staleMs ?? DEFAULT_STALE_MS) / 3);
+  refresh.unref();
+
+  try {
+    return await fn();
+  } finally {
+    clearInterval(refresh);
+    await releaseLock(lockPath, content);
+  }
+}
+
+/**
+ * Take the lock and return the content written to it
+ */
+async function acquireLock(lockPath: string, options: FileLockOptions): Promise<string> {
+  const timeoutMs = options.timeoutMs ?? 10000;
+  const retryMs = options.retryMs ?? 25;
+  const deadline = Date.now() + timeoutMs;
+  const owner: LockOwner = {
+    pid: process.pid,
+    hostname: os.hostname(),
+    acquiredAt: new Date().toISOString(),
+    nonce: uuidv4()
+  };
+  const content = JSON.stringify(owner);
+
+  for (;;) {
+    try {
+      await fs.writeFile(lockPath, content, { flag: 'wx' });
+      return content;
+    } catch (error: any) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+
+    const stale = await staleContent(lockPath, options.staleMs ?? DEFAULT_STALE_MS);
+    if (stale !== undefined) {
+      await breakLock(lockPath, stale);
+      continue;
+    }
+
+    if (Date.now() >= deadline) {
+      throw new Error(`Timed out waiting for lock ${lockPath}`);
+    }
+    await new Promise(resolve => setTimeout(resolve, retryMs));
+  }
+}
+
+/**
+ * Remove our lock, unless it was broken and someone else holds the lock now
+ */
+async function releaseLock(lockPath: string, content: string): Promise<void> {
+  try {
+    if (await fs.readFile(lockPath, 'utf8') === content) {
+      await fs.remove(lockPath);
+    }
+  } catch {
+    // Already gone
+  }
+}
+
+/**
+ * Remove a lock judged stale. It is renamed to a name of our own first, so
+ * that only one of several waiters breaking it at once gets it, and put back
+ * when it is no longer the lock that was judged stale: another waiter broke
+ * that one in the meantime, and this is a fresh lock.
+ */
+async function breakLock(lockPath: string, staleContent: string): Promise<void> {
+  const claimedPath = `${lockPath}.${uuidv4()}.stale`;
+  try {
+    await fs.rename(lockPath, claimedPath);
+  } catch (error: any) {
+    if (error.code === 'ENOENT') return;
+    throw error;
+  }
+
+  const content = await fs.readFile(claimedPath, 'utf8').catch(() => undefined);
+  if (content !== staleContent) {
+    // Linking does not replace a lock taken since the rename
+    await fs.link(claimedPath, lockPath).catch(() => undefined);
+  }
+  await fs.remove(claimedPath).catch(() => undefined);
+}
+
+/**
+ * The content of the lock if it is stale, so that breaking it can check it is still the same lock
+ */
+async function staleContent(lockPath: string, staleMs: number): Promise<string | undefined> {
+  let content = '';
+  let age = 0;
+  try {
+    age = Date.now() - (await fs.stat(lockPath)).mtimeMs;
+    content = await fs.readFile(lockPath, 'utf8');
+  } catch {
+    // Gone already, or cannot be checked right now
+    return undefined;
+  }
+
+  let owner: LockOwner | undefined;
+  try {
+    owner = JSON.parse(content);
+  } catch {
+    // Caught between creation and the owner being written
+  }
+
+  if (owner && owner.hostname === os.hostname() && owner.pid !== process.pid) {
+    return isProcessAlive(owner.pid) ? undefined : content;
+  }
+  return age > staleMs ? content : undefined;
+}
+
+function isProcessAlive(pid: number): boolean {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error: any) {
+    return error.code === 'EPERM';
+  }
+}
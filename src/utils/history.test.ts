@@ -0,0 +1,80 @@
+import { ITokenCounter } from '../interfaces/TokenCounterInterface';
+import { ConversationMessage } from '../types';
+import { messagesAfter, selectHistory } from './history';
+
+/** One token per word */
+const wordCounter: ITokenCounter = {
+  countTokens: text => text.split(/\s+/).filter(Boolean).length
+};
+
+function conversation(...entries: Array<[ConversationMessage['role'], string]>): ConversationMessage[] {
+  return entries.map(([role, content], i) => ({
+    id: `m${i}`,
+    sessionId: 's1',
+    role,
+    content,
+    timestamp: new Date(Date.UTC(2024, 0, 1, 0, i))
+  }));
+}
+
+const ids = (messages: ConversationMessage[]) => messages.map(message => message.id);
+
+describe('selectHistory', () => {
+  const messages = conversation(
+    ['system', 'you are a helpful assistant'],
+    ['user', 'what is the weather'],
+    ['assistant', 'let me check'],
+    ['tool', 'sunny and warm'],
+    ['assistant', 'it is sunny'],
+    ['user', 'thanks'],
+    ['assistant', 'you are welcome']
+  );
+
+  it('returns every message without options', () => {
+    expect(selectHistory(messages)).toEqual(messages);
+  });
+
+  it('keeps the most recent messages', () => {
+    expect(ids(selectHistory(messages, { lastMessages: 2 }))).toEqual(['m5', 'm6']);
+    expect(selectHistory(messages, { lastMessages: 0 })).toEqual([]);
+  });
+
+  it('keeps the most recent turns, each starting at a user message', () => {
+    expect(ids(selectHistory(messages, { lastTurns: 1 }))).toEqual(['m5', 'm6']);
+    expect(ids(selectHistory(messages, { lastTurns: 2 }))).toEqual(['m1', 'm2', 'm3', 'm4', 'm5', 'm6']);
+    expect(selectHistory(messages, { lastTurns: 5 })).toEqual(messages);
+    expect(selectHistory(messages, { lastTurns: 0 })).toEqual([]);
+  });
+
+  it('keeps the most recent messages that fit in the token budget', () => {
+    expect(ids(selectHistory(messages, { maxTokens: 7, tokenCounter: wordCounter }))).toEqual(['m4', 'm5', 'm6']);
+    // A message that does not fit ends the window even when older ones would
+    expect(ids(selectHistory(messages, { maxTokens: 2, tokenCounter: wordCounter }))).toEqual([]);
+  });
+
+  it('keeps system messages outside the window and charges them to the budget', () => {
+    expect(ids(selectHistory(messages, { lastMessages: 1, keepSystemMessages: true }))).toEqual(['m0', 'm6']);
+    expect(ids(selectHistory(messages, { maxTokens: 12, tokenCounter: wordCounter, keepSystemMessages: true })))
+      .toEqual(['m0', 'm4', 'm5', 'm6']);
+  });
+
+  it('drops tool results whose tool call fell outside the window', () => {
+    expect(ids(selectHistory(messages, { lastMessages: 4 }))).toEqual(['m4', 'm5', 'm6']);
+    expect(ids(selectHistory(conversation(['tool', 'orphan'], ['user', 'hi']), {}))).toEqual(['m0', 'm1']);
+  });
+});
+
+describe('messagesAfter', () => {
+  const messages = conversation(['user', 'one'], ['assistant', 'two'], ['user', 'three']);
+
+  it('returns the messages after the cursor message', () => {
+    expect(ids(messagesAfter(messages, { lastMessageId: 'm0', lastTimestamp: messages[0].timestamp.toISOString() })))
+      .toEqual(['m1', 'm2']);
+    expect(messagesAfter(messages)).toEqual(messages);
+  });
+
+  it('falls back to the timestamp when the cursor message is gone', () => {
+    expect(ids(messagesAfter(messages, { lastMessageId: 'deleted', lastTimestamp: messages[1].timestamp.toISOString() })))
+      .toEqual(['m2']);
+  });
+});
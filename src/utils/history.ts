@@ -0,0 +1,96 @@
+import { ConversationMessage, HistoryLoadOptions } from '../types';
+import { CharacterTokenCounter } from './tokenCounter';
+
+/**
+ * Minimal view of a message needed to apply a history strategy
+ */
+export interface HistoryEntry {
+  role: string;
+  content: string;
+}
+
+/**
+ * Select the part of a conversation (oldest first) that should be loaded,
+ * according to the given history options. Order is preserved.
+ */
+export function selectHistory(
+  messages: ConversationMessage[],
+  options: HistoryLoadOptions = {}
+): ConversationMessage[] {
+  return selectHistoryBy(messages, options, message => message);
+}
+
+/**
+ * Same as selectHistory, for any message shape that can be described as a role and content
+ */
+export function selectHistoryBy<T>(
+  items: T[],
+  options: HistoryLoadOptions,
+  describe: (item: T) => HistoryEntry
+): T[] {
+  const entries = items.map((item, index) => ({ item, index, ...describe(item) }));
+
+  const pinned = options.keepSystemMessages ? entries.filter(e => e.role === 'system') : [];
+  let window = options.keepSystemMessages ? entries.filter(e => e.role !== 'system') : entries;
+
+  if (options.lastMessages !== undefined) {
+    window = options.lastMessages > 0 ? window.slice(-options.lastMessages) : [];
+  }
+
+  if (options.lastTurns !== undefined) {
+    window = lastTurns(window, options.lastTurns);
+  }
+
+  if (options.maxTokens !== undefined) {
+    const counter = options.tokenCounter || new CharacterTokenCounter();
+    let budget = options.maxTokens - pinned.reduce((sum, e) => sum + counter.countTokens(e.content), 0);
+
+    let start = window.length;
+    while (start > 0) {
+      const cost = counter.countTokens(window[start - 1].content);
+      if (cost > budget) break;
+      budget -= cost;
+      start--;
+    }
+    window = window.slice(start);
+  }
+
+  // Tool results whose assistant tool call fell outside the window cannot be sent on their own
+  while (window.length > 0 && window[0].role === 'tool' && window[0].index > 0) {
+    window = window.slice(1);
+  }
+
+  return [...pinned, ...window]
+    .sort((a, b) => a.index - b.index)
+    .map(e => e.item);
+}
+
+function lastTurns<T extends HistoryEntry>(entries: T[], turns: number): T[] {
+  if (turns <= 0) return [];
+
+  let seen = 0;
+  for (let i = entries.length - 1; i >= 0; i--) {
+    if (entries[i].role === 'user' && ++seen === turns) {
+      return entries.slice(i);
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Return the messages (oldest first) that come after a previously processed
+ * message. Falls back to the timestamp when that message no longer exists.
+ */
+export function messagesAfter(
+  messages: ConversationMessage[],
+  cursor?: { lastMessageId: string; lastTimestamp: string }
+): ConversationMessage[] {
+  if (!cursor) return messages;
+
+  const index = messages.findIndex(m => m.id === cursor.lastMessageId);
+  if (index >= 0) return messages.slice(index + 1);
+
+  const cutoff = Date.parse(cursor.lastTimestamp);
+  return messages.filter(m => m.timestamp.getTime() > cutoff);
+}
@@ -0,0 +1,38 @@
+import { MemoryRecord, MemoryRecordQueryOptions } from '../types';
+import { matchesScope, scopeKey } from './scope';
+
+/**
+ * Identity under which a record is upserted
+ */
+export function recordIdentity(record: Pick<MemoryRecord, 'sessionId' | 'kind' | 'key' | 'scope'>): string {
+  const key = scopeKey(record.scope);
+  // Unscoped records keep the identity format used before scopes existed
+  return JSON.stringify(key
+    ? [record.sessionId ?? null, record.kind, record.key, key]
+    : [record.sessionId ?? null, record.kind, record.key]);
+}
+
+/**
+ * Check whether a record matches the query filters (pagination is not applied)
+ */
+export function matchesRecordQuery(record: MemoryRecord, options: MemoryRecordQueryOptions): boolean {
+  if (options.kind !== undefined && record.kind !== options.kind) return false;
+  if (options.key !== undefined && record.key !== options.key) return false;
+  if (options.sessionId !== undefined && record.sessionId !== options.sessionId) return false;
+  if (options.scope && !matchesScope(scopeKey(record.scope), options.scope, options.scopeMode)) return false;
+  if (options.minConfidence !== undefined && (record.confidence ?? 0) < options.minConfidence) return false;
+  if (options.tags && !options.tags.every(tag => record.tags?.includes(tag))) return false;
+  return true;
+}
+
+/**
+ * Filter, sort (most recently updated first) and paginate records in memory
+ */
+export function queryRecords(records: MemoryRecord[], options: MemoryRecordQueryOptions = {}): MemoryRecord[] {
+  const offset = options.offset || 0;
+  const matching = records
+    .filter(record => matchesRecordQuery(record, options))
+    .sort((a, b) => b.updatedAt.getTime() - a.updatedAt.getTime());
+
+  return matching.slice(offset, options.limit ? offset + options.limit : undefined);
+}
@@ -0,0 +1,81 @@
+import { InMemoryStorage } from '../storage/InMemoryStorage';
+import { ConversationMessage } from '../types';
+import { applyRetention, messageExpiresAt } from './retention';
+
+const DAY = 24 * 60 * 60 * 1000;
+const now = new Date(Date.UTC(2024, 5, 1));
+
+function message(id: string, sessionId: string, role: ConversationMessage['role'], ageDays: number): ConversationMessage {
+  return { id, sessionId, role, content: id, timestamp: new Date(now.getTime() - ageDays * DAY) };
+}
+
+async function createStorage(messages: ConversationMessage[]): Promise<InMemoryStorage> {
+  const storage = new InMemoryStorage();
+  await storage.initialize();
+  // One save per session, oldest session first, so sessions are updated in that order
+  for (const sessionId of [...new Set(messages.map(m => m.sessionId))]) {
+    await storage.saveMessages(messages.filter(m => m.sessionId === sessionId));
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+  return storage;
+}
+
+const remainingIds = async (storage: InMemoryStorage) =>
+  (await storage.getMessages()).messages.map(m => m.id).sort();
+
+describe('applyRetention', () => {
+  it('deletes expired messages, with per-role ages and messages kept forever', async () => {
+    const storage = await createStorage([
+      message('system', 's1', 'system', 400),
+      message('old-user', 's1', 'user', 40),
+      message('old-tool', 's1', 'tool', 3),
+      message('recent', 's1', 'user', 1)
+    ]);
+    const policy = { maxMessageAgeMs: 30 * DAY, roles: { system: { keepForever: true }, tool: { maxAgeMs: 2 * DAY } } };
+
+    const report = await applyRetention(storage, policy, { now });
+    expect(report).toEqual({ dryRun: false, messageIds: ['old-user', 'old-tool'], sessionIds: [] });
+    expect(await remainingIds(storage)).toEqual(['recent', 'system']);
+  });
+
+  it('keeps the newest messages of each session, not counting those kept forever', async () => {
+    const storage = await createStorage([
+      message('system', 's1', 'system', 5),
+      message('m1', 's1', 'user', 4),
+      message('m2', 's1', 'assistant', 3),
+      message('m3', 's1', 'user', 2)
+    ]);
+
+    await applyRetention(storage, { maxMessagesPerSession: 2, roles: { system: { keepForever: true } } }, { now });
+    expect(await remainingIds(storage)).toEqual(['m2', 'm3', 'system']);
+  });
+
+  it('empties sessions past maxSessions, deleting those with nothing kept forever', async () => {
+    const storage = await createStorage([
+      message('pinned', 'oldest', 'system', 1),
+      message('a', 'oldest', 'user', 1),
+      message('b', 'older', 'user', 1),
+      message('c', 'newest', 'user', 1)
+    ]);
+    const policy = { maxSessions: 1, roles: { system: { keepForever: true } } };
+
+    const preview = await applyRetention(storage, policy, { now, dryRun: true });
+    expect(preview).toEqual({ dryRun: true, messageIds: ['b', 'a'], sessionIds: ['older'] });
+    expect(await remainingIds(storage)).toEqual(['a', 'b', 'c', 'pinned']);
+
+    await applyRetention(storage, policy, { now });
+    expect(await remainingIds(storage)).toEqual(['c', 'pinned']);
+    expect((await storage.getSessions()).map(s => s.id).sort()).toEqual(['newest', 'oldest']);
+  });
+});
+
+describe('messageExpiresAt', () => {
+  it('adds the age limit of the role to the timestamp', () => {
+    const policy = { maxMessageAgeMs: 30 * DAY, roles: { system: { keepForever: true }, tool: { maxAgeMs: DAY } } };
+
+    expect(messageExpiresAt(message('u', 's1', 'user', 0), policy)).toEqual(new Date(now.getTime() + 30 * DAY));
+    expect(messageExpiresAt(message('t', 's1', 'tool', 0), policy)).toEqual(new Date(now.getTime() + DAY));
+    expect(messageExpiresAt(message('s', 's1', 'system', 0), policy)).toBeNull();
+    expect(messageExpiresAt(message('u', 's1', 'user', 0), {})).toBeNull();
+  });
+});
@@ -0,0 +1,76 @@
+import { IMemoryStorage } from '../interfaces/MemoryInterface';
+import { ConversationMessage, RetentionOptions, RetentionPolicy, RetentionReport, RetentionRule } from '../types';
+
+/**
+ * Effective rule for a role: the role override on top of the policy-wide age limit
+ */
+export function retentionRule(policy: RetentionPolicy, role: ConversationMessage['role']): RetentionRule {
+  return { maxAgeMs: policy.maxMessageAgeMs, ...policy.roles?.[role] };
+}
+
+/**
+ * When a message expires under the policy, or null when age alone never removes it.
+ * DynamoDB stores this as the TTL attribute of the message.
+ */
+export function messageExpiresAt(message: ConversationMessage, policy: RetentionPolicy): Date | null {
+  const rule = retentionRule(policy, message.role);
+  if (rule.keepForever || rule.maxAgeMs === undefined) return null;
+  return new Date(message.timestamp.getTime() + rule.maxAgeMs);
+}
+
+/**
+ * Work out which messages and sessions the policy removes, and remove them unless `dryRun`.
+ *
+ * Sessions past `maxSessions` (by last update) lose every message that is not kept forever,
+ * and are deleted when nothing is left. In the other sessions, expired messages go first,
+ * then the oldest messages over `maxMessagesPerSession`.
+ */
+export async function applyRetention(
+  storage: IMemoryStorage,
+  policy: RetentionPolicy,
+  options: RetentionOptions = {}
+): Promise<RetentionReport> {
+  const now = (options.now || new Date()).getTime();
+  const report: RetentionReport = { dryRun: !!options.dryRun, messageIds: [], sessionIds: [] };
+  const sessions = await storage.getSessions();
+
+  for (const [index, session] of sessions.entries()) {
+    const { messages } = await storage.getMessages({ sessionId: session.id });
+    const evicted = policy.maxSessions !== undefined && index >= policy.maxSessions;
+
+    const expired: string[] = [];
+    const candidates: ConversationMessage[] = [];
+    let keptForever = 0;
+    for (const message of messages) {
+      const rule = retentionRule(policy, message.role);
+      if (rule.keepForever) {
+        keptForever++;
+      } else if (evicted || (rule.maxAgeMs !== undefined && now - message.timestamp.getTime() > rule.maxAgeMs)) {
+        expired.push(message.id);
+      } else {
+        candidates.push(message);
+      }
+    }
+
+    // Messages come oldest first, so the excess is at the front
+    const excess = policy.maxMessagesPerSession === undefined
+      ? 0
+      : Math.max(0, candidates.length - policy.maxMessagesPerSession);
+    expired.push(...candidates.slice(0, excess).map(message => message.id));
+
+    const deleteSession = evicted && keptForever === 0;
+    report.messageIds.push(...expired);
+    if (deleteSession) report.sessionIds.push(session.id);
+
+    if (options.dryRun) continue;
+    if (deleteSession) {
+      await storage.deleteSession(session.id);
+    } else {
+      for (const messageId of expired) {
+        await storage.deleteMessage(messageId);
+      }
+    }
+  }
+
+  return report;
+}
@@ -0,0 +1,118 @@
+import { MemoryScope, ScopeMode } from '../types';
+
+/**
+ * Scope levels from the broadest to the narrowest
+ */
+export const SCOPE_LEVELS: Array<keyof MemoryScope> = ['tenant', 'project', 'user', 'story'];
+
+/**
+ * Canonical string form of a scope, e.g. `tenant=acme/project=idelite/user=u1`.
+ * The empty scope (global) is the empty string.
+ */
+export function scopeKey(scope: MemoryScope = {}): string {
+  return SCOPE_LEVELS
+    .filter(level => scope[level] !== undefined && scope[level] !== '')
+    .map(level => `${level}=${encodeURIComponent(scope[level]!)}`)
+    .join('/');
+}
+
+/**
+ * Parse a canonical scope key back into a scope
+ */
+export function parseScopeKey(key: string): MemoryScope {
+  const scope: MemoryScope = {};
+  if (!key) return scope;
+
+  for (const segment of key.split('/')) {
+    const [level, value] = segment.split('=');
+    if (!SCOPE_LEVELS.includes(level as keyof MemoryScope) || value === undefined) {
+      throw new Error(`Invalid scope key: ${key}`);
+    }
+    scope[level as keyof MemoryScope] = decodeURIComponent(value);
+  }
+  return scope;
+}
+
+/**
+ * Keys of the scope and all of its parents, broadest first, starting with the global scope.
+ * For `{ project, user, story }` this is `['', 'project=p', 'project=p/user=u', 'project=p/user=u/story=s']`.
+ */
+export function ancestorScopeKeys(scope: MemoryScope = {}): string[] {
+  const segments = scopeKey(scope).split('/').filter(Boolean);
+  return ['', ...segments.map((_segment, i) => segments.slice(0, i + 1).join('/'))];
+}
+
+/**
+ * Whether `candidate` is inside the scope (the scope itself or one of its descendants)
+ */
+export function isWithinScope(candidateKey: string, key: string): boolean {
+  return key === '' || candidateKey === key || candidateKey.startsWith(`${key}/`);
+}
+
+/**
+ * Whether an item with `candidateKey` matches a scope query
+ */
+export function matchesScope(candidateKey: string, scope: MemoryScope, mode: ScopeMode = 'exact'): boolean {
+  const key = scopeKey(scope);
+
+  switch (mode) {
+    case 'exact':
+      return candidateKey === key;
+    case 'ancestors':
+      return ancestorScopeKeys(scope).includes(candidateKey);
+    case 'descendants':
+      return isWithinScope(candidateKey, key);
+    default:
+      throw new Error(`Unsupported scope mode: ${mode}`);
+  }
+}
+
+/**
+ * In-memory index from scope key to items, used by the file-based backends
+ */
+export class ScopeIndex<T> {
+  private byScope = new Map<string, Map<string, T>>();
+  private scopeOf = new Map<string, string>();
+
+  set(id: string, scope: MemoryScope | undefined, item: T): void {
+    this.delete(id);
+    const key = scopeKey(scope);
+    let items = this.byScope.get(key);
+    if (!items) {
+      items = new Map();
+      this.byScope.set(key, items);
+    }
+    items.set(id, item);
+    this.scopeOf.set(id, key);
+  }
+
+  delete(id: string): void {
+    const key = this.scopeOf.get(id);
+    if (key === undefined) return;
+
+    const items = this.byScope.get(key)!;
+    items.delete(id);
+    if (items.size === 0) this.byScope.delete(key);
+    this.scopeOf.delete(id);
+  }
+
+  clear(): void {
+    this.byScope.clear();
+    this.scopeOf.clear();
+  }
+
+  /**
+   * Items matching a scope query
+   */
+  lookup(scope: MemoryScope, mode: ScopeMode = 'exact'): T[] {
+    const keys = mode === 'exact' ? [scopeKey(scope)]
+      : mode === 'ancestors' ? ancestorScopeKeys(scope)
+      : [...this.byScope.keys()].filter(key => isWithinScope(key, scopeKey(scope)));
+
+    const result: T[] = [];
+    for (const key of keys) {
+      this.byScope.get(key)?.forEach(item => result.push(item));
+    }
+    return result;
+  }
+}
@@ -0,0 +1,21 @@
+import { ITokenCounter } from '../interfaces/TokenCounterInterface';
+
+/**
+ * Approximates token counts from character length.
+ * Roughly four characters per token holds for English text with most
+ * OpenAI-style tokenizers; pass a real tokenizer for exact budgets.
+ */
+export class CharacterTokenCounter implements ITokenCounter {
+  private charsPerToken: number;
+
+  constructor(charsPerToken: number = 4) {
+    if (charsPerToken <= 0) {
+      throw new Error('charsPerToken must be greater than zero');
+    }
+    this.charsPerToken = charsPerToken;
+  }
+
+  countTokens(text: string): number {
+    return Math.ceil(text.length / this.charsPerToken);
+  }
+}